@@ -24,6 +24,43 @@ const utils = {
 	 */
 	formatNumber: function(number) {
 		return number.toLocaleString('pt-BR');
+	},
+	/**
+	 * Faz o navegador baixar um arquivo gerado na hora (exportações).
+	 * @memberof utils
+	 * @param {string} filename - Nome sugerido para o arquivo.
+	 * @param {string} content - Conteúdo do arquivo.
+	 * @param {string} [mimeType='text/plain'] - Tipo MIME do conteúdo.
+	 */
+	downloadFile: function(filename, content, mimeType = 'text/plain') {
+		const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+		const link = document.createElement('a');
+		link.href = url;
+		link.download = filename;
+		document.body.appendChild(link);
+		link.click();
+		link.remove();
+		setTimeout(() => URL.revokeObjectURL(url), 0); // Libera o blob depois que o download começou
+	},
+	/**
+	 * Escapa um valor para uma célula CSV (RFC 4180).
+	 * @memberof utils
+	 * @param {*} value - Valor da célula.
+	 * @returns {string} Valor pronto para o CSV.
+	 */
+	escapeCsv: function(value) {
+		const text = value === undefined || value === null ? '' : String(value);
+		return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+	},
+	/**
+	 * Copia dados simples (o que cabe em JSON) em profundidade: o histórico de desfazer e o armazenamento guardam a
+	 * cópia, e o original pode continuar sendo alterado.
+	 * @memberof utils
+	 * @param {*} value - Objeto, array ou valor serializável em JSON.
+	 * @returns {*} Cópia independente.
+	 */
+	clone: function(value) {
+		return JSON.parse(JSON.stringify(value));
 	}
 };
 
@@ -50,702 +87,7964 @@ const Logger = {
 
 
 // --------------------------------------------------
-//  CACHE
+//  ARMAZENAMENTO - Coleções versionadas (IndexedDB ou localStorage)
 // --------------------------------------------------
-
 /**
- * @class Cache
- * @description Implementa uma funcionalidade simples de cache para armazenar e recuperar dados temporariamente.
+ * @class AppStorage
+ * @description Guarda os dados do app em coleções com nome (`tasks`, `calcHistory`, `cache:calc`...), cada uma
+ * com uma versão de esquema. Usa o IndexedDB quando existe e o localStorage quando não (chaves
+ * `<namespace>:<coleção>`). `open` lê tudo para a memória uma vez, antes de o app subir; depois disso as leituras
+ * são síncronas e as gravações seguem em segundo plano. Dados salvos por versões antigas (chaves soltas no
+ * localStorage) são importados e migrados até a versão atual na primeira abertura.
  */
-class Cache {
-	constructor() {
+class AppStorage {
+	/**
+	 * @constructor
+	 * @param {object} [options={}] - Configuração.
+	 * @param {string} [options.namespace='menuInterativo'] - Nome do banco e prefixo das chaves no localStorage.
+	 * @param {object} [options.collections=AppStorage.COLLECTIONS] - Versão, migrações e descrição de cada coleção.
+	 */
+	constructor({ namespace = 'menuInterativo', collections = AppStorage.COLLECTIONS } = {}) {
+		this.namespace = namespace;
+		this.collections = collections;
+		this.backend = 'memory'; // 'indexeddb', 'localStorage' ou 'memory' (nada persiste), definido em `open`
 		/** @private */
-		this.storage = {};
+		this.data = new Map(); // Coleção → dados já migrados
+		/** @private */
+		this.db = null; // IDBDatabase, quando o backend é o IndexedDB
+		/** @private */
+		this.ready = null; // Promessa de `open`
+		/** @private */
+		this.warned = false; // Se o usuário já foi avisado da falta de espaço nesta sessão
 	}
 
 	/**
-	 * Obtém um valor do cache usando sua chave.
-	 * @param {string} key - A chave de identificação do valor a ser recuperado.
-	 * @returns {*} O valor em cache se for válido e não expirado, caso contrário, retorna null.
+	 * @method open
+	 * @returns {Promise<void>} Resolve quando os dados estão na memória (nunca rejeita nem trava: sem IndexedDB, ou
+	 * se ele não responder a tempo, usa o localStorage; sem nenhum dos dois, só a memória).
 	 */
-	get(key) {
-		const item = this.storage[key];
-		if (item && Date.now() < item.expires) {
-			return item.value;
+	open() {
+		if (!this.ready) {
+			this.ready = this.openDatabase()
+				.then(db => {
+					this.db = db;
+					this.backend = 'indexeddb';
+					return this.readDatabase().then(records => {
+						// O que ficou no localStorage depois de uma troca (ver useLocalStorage) volta para o banco
+						const names = new Set(records.map(record => record.name));
+						const moved = this.readLocalStorage()
+							.filter(record => !names.has(record.name))
+							.map(record => ({ ...record, moveFrom: this.getKey(record.name) }));
+						return [...records, ...moved];
+					});
+				})
+				.catch(error => {
+					Logger.log(Logger.levels.INFO, 'IndexedDB indisponível, usando o localStorage', { error: error && error.message });
+					if (this.db) this.db.close(); // Abriu, mas a leitura falhou ou demorou demais
+					this.db = null;
+					this.backend = this.getLocalStorage() ? 'localStorage' : 'memory';
+					return this.readLocalStorage();
+				})
+				.then(records => this.load(records));
 		}
-		delete this.storage[key]; // Remove o item expirado do cache.
-		return null;
+		return this.ready;
 	}
 
 	/**
-	 * Define um valor no cache associado a uma chave, com tempo de vida (TTL) opcional.
-	 * @param {string} key - A chave para armazenar o valor no cache.
-	 * @param {*} value - O valor a ser armazenado no cache.
-	 * @param {number} [ttl=3600000] - Tempo de vida (Time To Live) em milissegundos antes de expirar (padrão: 1 hora).
+	 * @method get
+	 * @param {string} name - Coleção.
+	 * @param {*} [fallback=null] - Valor quando a coleção não existe (ou não pôde ser lida).
+	 * @returns {*} Dados da coleção. É o próprio objeto guardado: quem altera deve chamar `set` para salvar.
 	 */
-	set(key, value, ttl = 3600000) {
-		this.storage[key] = {
-			value,
-			expires: Date.now() + ttl // Calcula o tempo de expiração baseado no TTL fornecido e no tempo atual.
-		};
+	get(name, fallback = null) {
+		return this.data.has(name) ? this.data.get(name) : fallback;
 	}
-}
 
-// --------------------------------------------------
-//  NOTIFICAÇÕES
-// --------------------------------------------------
-/**
- * @class Notifications
- * @description Gerencia a exibição de notificações em sequência, utilizando uma fila para controlar a ordem e tempo de exibição.
- */
-class Notifications {
-	constructor() {
-		/** @private */
-		this.queue = [];
-		/** @private */
-		this.isDisplaying = false;
+	/**
+	 * @method set
+	 * @param {string} name - Coleção.
+	 * @param {*} value - Dados (serializáveis em JSON).
+	 * @description Atualiza a memória na hora e grava em segundo plano. Sem espaço, apaga os caches e tenta de
+	 * novo; se ainda faltar, avisa o usuário (uma vez por sessão) e os dados ficam só na memória.
+	 */
+	set(name, value) {
+		this.data.set(name, value);
+		this.persist(name, value);
 	}
 
 	/**
-	 * Adiciona uma nova notificação à fila para ser exibida.
-	 * @param {string} message - A mensagem de texto a ser exibida na notificação.
-	 * @param {string} [type='info'] - O tipo da notificação ('info' ou 'error'), que define o estilo visual.
+	 * @method remove
+	 * @param {string} name - Coleção.
 	 */
-	show(message, type = 'info') {
-		this.queue.push({
-			message,
-			type
-		});
-		if (!this.isDisplaying) {
-			this.displayNext();
+	remove(name) {
+		this.data.delete(name);
+		if (this.db) {
+			try {
+				this.db.transaction('collections', 'readwrite').objectStore('collections').delete(name);
+			} catch (error) {
+				this.useLocalStorage(error); // Conexão fechada: a coleção some do localStorage, se estiver lá
+				this.remove(name);
+			}
+		} else if (this.backend === 'localStorage') {
+			this.getLocalStorage().removeItem(this.getKey(name));
 		}
 	}
 
 	/**
-	 * @private
+	 * @param {string} name - Coleção.
+	 * @returns {{version: number, label: string, migrations: object, disposable: boolean}} Esquema da coleção
+	 * (`cache:calc` usa o de `cache:*`). Coleções desconhecidas ficam na versão 1, sem migrações.
 	 */
-	displayNext() {
-		if (this.queue.length === 0) {
-			this.isDisplaying = false;
-			return;
-		}
-
-		this.isDisplaying = true;
-		const next = this.queue.shift();
-		const notification = document.createElement('div');
-		notification.className = `notification ${next.type}`;
-		notification.setAttribute('role', 'alert');
-		notification.innerHTML = `
-                <span class="message">${utils.sanitizeInput(next.message)}</span>
-                <button class="close" aria-label="Fechar">&times;</button>
-            `;
+	getSchema(name) {
+		const schema = this.collections[name] || this.collections[`${name.split(':')[0]}:*`] || {};
+		return { version: 1, label: name, migrations: {}, disposable: false, ...schema };
+	}
 
-		document.body.appendChild(notification);
+	/** @private Chave da coleção no localStorage. */
+	getKey(name) {
+		return `${this.namespace}:${name}`;
+	}
 
-		setTimeout(() => {
-			notification.classList.add('fade-out');
-			setTimeout(() => {
-				notification.remove();
-				this.displayNext();
-			}, 300);
-		}, 5000);
+	/**
+	 * @private
+	 * @returns {Storage|null} O localStorage, ou null se o navegador bloquear o acesso.
+	 */
+	getLocalStorage() {
+		try {
+			return window.localStorage || null;
+		} catch (error) {
+			return null;
+		}
+	}
 
-		notification.querySelector('.close').addEventListener('click', () => {
-			notification.remove();
-			this.displayNext();
+	/**
+	 * @private
+	 * @returns {Promise<IDBDatabase>} Banco aberto (cria o object store na primeira vez). Rejeita se o navegador não
+	 * responder em `AppStorage.OPEN_TIMEOUT` (há navegadores em que o pedido fica pendurado), para o app não ficar
+	 * esperando; uma conexão que chegue depois disso é fechada.
+	 */
+	openDatabase() {
+		return new Promise((resolve, reject) => {
+			if (typeof indexedDB === 'undefined') {
+				reject(new Error('IndexedDB não suportado'));
+				return;
+			}
+			let timedOut = false;
+			const timer = setTimeout(() => {
+				timedOut = true;
+				reject(new Error('IndexedDB não respondeu'));
+			}, AppStorage.OPEN_TIMEOUT);
+			const request = indexedDB.open(this.namespace, AppStorage.DB_VERSION); // Pode lançar (ex: navegação privada)
+			request.onupgradeneeded = () => request.result.createObjectStore('collections', { keyPath: 'name' });
+			request.onsuccess = () => {
+				clearTimeout(timer);
+				const db = request.result;
+				if (timedOut) {
+					db.close(); // O app já seguiu com o localStorage
+					return;
+				}
+				db.onversionchange = () => this.useLocalStorage(new Error('Banco atualizado ou apagado por outra aba'));
+				resolve(db);
+			};
+			request.onerror = () => {
+				clearTimeout(timer);
+				reject(request.error);
+			};
+			request.onblocked = () => {
+				clearTimeout(timer);
+				reject(new Error('Banco bloqueado por outra aba'));
+			};
 		});
 	}
-}
 
-// --------------------------------------------------
-//  JOGO DA FORCA
-// --------------------------------------------------
-/**
- * @class Forca
- * @description Gerencia a lógica do Jogo da Forca.
- */
-class Forca {
-	constructor(contentDiv) {
-		this.contentDiv = contentDiv;
-		this.palavras = ["javascript", "html", "css", "programacao", "computador", "internet"];
-		this.palavraSecreta = this.escolherPalavra(); // Define a palavra a ser adivinhada
-		this.letrasErradas = [];
-		this.letrasCorretas = [];
-		this.maxErros = 6;
-		this.erros = 0;
+	/**
+	 * @private
+	 * @returns {Promise<Array<{name: string, version: number, data: *}>>} Registros do IndexedDB.
+	 */
+	readDatabase() {
+		return new Promise((resolve, reject) => {
+			const timer = setTimeout(() => reject(new Error('IndexedDB não respondeu')), AppStorage.OPEN_TIMEOUT);
+			const request = this.db.transaction('collections').objectStore('collections').getAll();
+			request.onsuccess = () => {
+				clearTimeout(timer);
+				resolve(request.result);
+			};
+			request.onerror = () => {
+				clearTimeout(timer);
+				reject(request.error);
+			};
+		});
 	}
 
 	/**
 	 * @private
+	 * @returns {Array<{name: string, version: number, data: *}>} Registros do localStorage (chaves com o namespace).
+	 * Um registro ilegível é ignorado, e fica lá para não se perder.
 	 */
-	escolherPalavra() {
-		return this.palavras[Math.floor(Math.random() * this.palavras.length)]; // Retorna uma palavra aleatória do array
+	readLocalStorage() {
+		const local = this.getLocalStorage();
+		if (!local) return [];
+		const prefix = this.getKey('');
+		const records = [];
+		Object.keys(local).filter(key => key.startsWith(prefix)).forEach(key => {
+			try {
+				const { version, data } = JSON.parse(local.getItem(key));
+				records.push({ name: key.slice(prefix.length), version, data });
+			} catch (error) {
+				Logger.log(Logger.levels.ERROR, 'Dado salvo ilegível, ignorado', { key, error: error.message });
+			}
+		});
+		return records;
 	}
 
 	/**
-	 * Atualiza o estado do jogo na interface.
+	 * @private
+	 * @returns {Array<{name: string, version: number, data: *, moveFrom: string}>} Chaves soltas de versões antigas
+	 * do app (`tasks`, `darkMode`, `cache:calc`...), como versão 1. Valores que não são JSON (ex: 'enabled') vêm como
+	 * texto.
 	 */
-	atualizarJogo() {
-		this.contentDiv.innerHTML = `
-                <div id="forca-container">
-                    <h2>Jogo da Forca</h2>
-                    <p id="forca-palavra">${this.palavraSecreta.split('').map(letra => this.letrasCorretas.includes(letra) ? letra : '_').join(' ')}</p>
-                    <p id="forca-letras-erradas">Letras Erradas: ${this.letrasErradas.join(', ')}</p>
-                    <p>Erros: ${this.erros}/${this.maxErros}</p>
-                    <input type="text" id="letra-input" maxlength="1" placeholder="Digite uma letra">
-                    <button id="btn-adivinhar">Adivinhar</button>
-                    <button onclick="app.voltarAoMenu()">Voltar ao Menu</button>
-                    <p id="forca-mensagem"></p>
-                </div>
-            `;
+	readLegacy() {
+		const local = this.getLocalStorage();
+		if (!local) return [];
+		return Object.keys(local)
+			.filter(key => this.collections[key] || (key.includes(':') && !key.startsWith(this.getKey('')) && this.collections[`${key.split(':')[0]}:*`]))
+			.map(key => {
+				const raw = local.getItem(key);
+				let data = raw;
+				try {
+					data = JSON.parse(raw);
+				} catch (error) {
+					// Texto puro, como o 'enabled' do modo escuro
+				}
+				return { name: key, version: 1, data, moveFrom: key };
+			});
+	}
 
-		document.getElementById('btn-adivinhar').addEventListener('click', () => this.adivinharLetra()); // Evento do botão "Adivinhar"
-		document.getElementById('letra-input').addEventListener('keyup', (event) => { // Evento para Enter no input
-			if (event.key === 'Enter') {
-				this.adivinharLetra();
+	/**
+	 * @private
+	 * @param {Array<{name: string, version: number, data: *}>} records - Registros lidos do backend.
+	 * @description Junta os registros com os dados antigos, migra tudo para a versão atual e regrava o que mudou.
+	 * Uma migração que falha deixa a coleção de fora (o app usa o padrão) sem apagar o que estava salvo.
+	 */
+	load(records) {
+		const names = new Set(records.map(record => record.name));
+		const legacy = this.readLegacy().filter(record => !names.has(record.name));
+		[...records, ...legacy].forEach(record => {
+			if (this.data.has(record.name)) return; // Gravado antes de `open` terminar: vale o mais novo
+			const schema = this.getSchema(record.name);
+			const version = Number.isInteger(record.version) ? record.version : 1;
+			let data = record.data;
+			try {
+				for (let next = version + 1; next <= schema.version; next++) {
+					if (schema.migrations[next]) data = schema.migrations[next](data);
+				}
+			} catch (error) {
+				Logger.log(Logger.levels.ERROR, 'Falha ao migrar dados salvos', { name: record.name, from: version, to: schema.version, error: error.message });
+				return;
+			}
+			this.data.set(record.name, data);
+			if (record.moveFrom || version < schema.version) {
+				this.persist(record.name, data).then(saved => {
+					// Já regravada no formato novo (ou no banco): a chave de origem sai, se não for a que está em uso
+					const inUse = this.backend === 'localStorage' && record.moveFrom === this.getKey(record.name);
+					if (saved && record.moveFrom && !inUse) this.getLocalStorage().removeItem(record.moveFrom);
+				});
 			}
 		});
 	}
 
 	/**
 	 * @private
+	 * @param {string} name - Coleção.
+	 * @param {*} value - Dados.
+	 * @param {boolean} [retry=true] - Se ainda pode liberar espaço e tentar de novo.
+	 * @returns {Promise<boolean>} Se os dados foram gravados.
 	 */
-	adivinharLetra() {
-		const letraInput = document.getElementById('letra-input');
-		const letra = letraInput.value.toLowerCase();
-		letraInput.value = ''; // Limpa o input
-
-		if (!letra.match(/[a-z]/i)) { // Valida se é letra
-			document.getElementById('forca-mensagem').textContent = 'Por favor, digite uma letra válida.';
-			return;
+	persist(name, value, retry = true) {
+		const record = { name, version: this.getSchema(name).version, data: value };
+		if (this.db) {
+			return new Promise(resolve => {
+				let transaction;
+				try {
+					transaction = this.db.transaction('collections', 'readwrite');
+					transaction.objectStore('collections').put(record); // Copia os dados na hora (structured clone)
+				} catch (error) {
+					if (error && error.name === 'InvalidStateError') { // Conexão fechada (ex: pelo navegador)
+						this.useLocalStorage(error);
+						resolve(this.persist(name, value, retry));
+						return;
+					}
+					resolve(this.handleWriteError(name, value, error, retry));
+					return;
+				}
+				transaction.oncomplete = () => resolve(true);
+				transaction.onabort = () => resolve(this.handleWriteError(name, value, transaction.error, retry));
+			});
 		}
-
-		if (this.letrasCorretas.includes(letra) || this.letrasErradas.includes(letra)) { // Verifica se letra já foi tentada
-			document.getElementById('forca-mensagem').textContent = 'Você já tentou essa letra. Tente outra.';
-			return;
+		if (this.backend === 'localStorage') {
+			try {
+				this.getLocalStorage().setItem(this.getKey(name), JSON.stringify(record));
+				return Promise.resolve(true);
+			} catch (error) {
+				return this.handleWriteError(name, value, error, retry);
+			}
 		}
+		return Promise.resolve(false);
+	}
 
-		if (this.palavraSecreta.includes(letra)) {
-			this.letrasCorretas.push(letra); // Acertou a letra
-		} else {
-			this.letrasErradas.push(letra); // Errou a letra
-			this.erros++; // Incrementa erros
+	/**
+	 * @private
+	 * @param {string} name - Coleção que não foi gravada.
+	 * @param {*} value - Dados.
+	 * @param {Error} error - Erro da gravação.
+	 * @param {boolean} retry - Se ainda pode liberar espaço e tentar de novo.
+	 * @returns {Promise<boolean>} Resultado da nova tentativa, ou false.
+	 */
+	handleWriteError(name, value, error, retry) {
+		const schema = this.getSchema(name);
+		if (!AppStorage.isQuotaError(error)) {
+			Logger.log(Logger.levels.ERROR, 'Erro ao salvar dados', { name, error: error && error.message });
+			return Promise.resolve(false);
 		}
+		if (schema.disposable) return Promise.resolve(false); // Cache sem espaço continua só na memória
+		if (retry) {
+			this.freeSpace();
+			return this.persist(name, value, false);
+		}
+		Logger.log(Logger.levels.ERROR, 'Sem espaço para salvar dados', { name });
+		if (!this.warned && app) {
+			this.warned = true;
+			app.notifications.show(`Sem espaço no navegador para salvar ${schema.label}. As últimas mudanças valem só até fechar a página.`, 'error');
+		}
+		return Promise.resolve(false);
+	}
 
-		this.atualizarJogo(); // Atualiza a tela
-
-		if (this.erros === this.maxErros) { // Perdeu o jogo
-			document.getElementById('forca-mensagem').textContent = `Você perdeu! A palavra era ${this.palavraSecreta}.`;
-			this.desabilitarJogo();
-		} else if (!document.getElementById('forca-palavra').textContent.includes('_')) { // Ganhou o jogo
-			document.getElementById('forca-mensagem').textContent = 'Parabéns! Você ganhou!';
-			this.desabilitarJogo();
+	/**
+	 * @private
+	 * @param {Error} reason - Por que o banco não serve mais.
+	 * @description Troca o IndexedDB pelo localStorage quando a conexão fecha (outra aba atualizou ou apagou o banco,
+	 * ou o navegador a encerrou) e grava lá tudo o que está na memória, para nada se perder; na próxima abertura,
+	 * isso volta para o banco. Sem localStorage, avisa o usuário que as mudanças não estão sendo salvas.
+	 */
+	useLocalStorage(reason) {
+		if (!this.db) return;
+		try {
+			this.db.close();
+		} catch (error) {
+			// Já estava fechada
+		}
+		this.db = null;
+		this.backend = this.getLocalStorage() ? 'localStorage' : 'memory';
+		Logger.log(Logger.levels.INFO, 'IndexedDB fechado, usando o localStorage', { error: reason && reason.message, backend: this.backend });
+		if (this.backend === 'memory') {
+			if (app) app.notifications.show('O app não consegue mais salvar os dados neste navegador. Recarregue a página para voltar a salvar.', 'error');
+			return;
 		}
+		this.data.forEach((value, name) => this.persist(name, value));
 	}
 
 	/**
 	 * @private
+	 * @description Apaga do backend as coleções descartáveis (caches); os objetos `Cache` continuam com os itens na
+	 * memória.
 	 */
-	desabilitarJogo() {
-		document.getElementById('letra-input').disabled = true; // Desabilita input
-		document.getElementById('btn-adivinhar').disabled = true; // Desabilita botão
+	freeSpace() {
+		[...this.data.keys()].filter(name => this.getSchema(name).disposable).forEach(name => {
+			const value = this.data.get(name);
+			this.remove(name);
+			this.data.set(name, value);
+		});
+	}
+
+	/**
+	 * @param {*} error - Erro de uma gravação.
+	 * @returns {boolean} Se é falta de espaço (o nome muda entre navegadores).
+	 */
+	static isQuotaError(error) {
+		return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22);
 	}
 }
 
+/** Versão do banco IndexedDB (estrutura dos object stores, não dos dados). */
+AppStorage.DB_VERSION = 1;
+
+/** Quanto tempo (ms) esperar o IndexedDB abrir e ler os dados antes de seguir com o localStorage. */
+AppStorage.OPEN_TIMEOUT = 1500;
+
+/**
+ * Coleções do app. `version` é a versão atual do formato dos dados; `migrations[n]` converte da versão n - 1 para
+ * n. Dados de antes deste serviço (chaves soltas no localStorage) contam como versão 1. `label` aparece no aviso de
+ * falta de espaço; `disposable` marca o que pode ser apagado para liberar espaço.
+ */
+AppStorage.COLLECTIONS = {
+	tasks: {
+		version: 2,
+		label: 'as tarefas',
+		migrations: { // 2: tarefas completas (id, lista, prazo...); as antigas eram só { text, completed }
+			2: (tasks) => {
+				if (!Array.isArray(tasks)) throw new Error('tarefas ilegíveis'); // Corrompido: fica salvo como estava
+				return tasks.map((task, index) => ListaDeTarefas.normalizeTask(task || {}, Date.now() - (tasks.length - index)));
+			}
+		}
+	},
+	taskLists: { version: 1, label: 'as listas de tarefas' },
+	tasksView: { version: 1, label: 'o filtro da lista de tarefas' },
+	calcHistory: { version: 1, label: 'o histórico da calculadora' },
+	calcSettings: { version: 1, label: 'as preferências da calculadora' },
+	calcMemory: {
+		version: 2,
+		label: 'a memória da calculadora',
+		migrations: { 2: (memory) => (isFinite(parseFloat(memory)) ? parseFloat(memory) : 0) } // 2: número (era texto)
+	},
+	calcScope: { version: 1, label: 'as variáveis da calculadora' },
+	calcGraphs: { version: 1, label: 'os gráficos da calculadora' },
+	darkMode: {
+		version: 2,
+		label: 'o modo escuro',
+		migrations: { 2: (value) => value === 'enabled' || value === true } // 2: booleano (era 'enabled'/'disabled')
+	},
+	pomodoroSettings: { version: 1, label: 'as durações do Pomodoro' },
+	pomodoroSession: { version: 1, label: 'a sessão do Pomodoro' },
+	pomodoroLog: { version: 1, label: 'o tempo de foco das tarefas' },
+	'cache:*': { version: 1, label: 'o cache', disposable: true }
+};
+
+/**
+ * @global
+ * @type {AppStorage}
+ * @description Armazenamento do app, aberto em `DOMContentLoaded` antes do `initializeApp`.
+ */
+const appStorage = new AppStorage();
+
 // --------------------------------------------------
-//  JOGO DA VELHA - Inteligência Aprimorada
+//  CACHE
 // --------------------------------------------------
+
 /**
- * @class JogoDaVelha
- * @description Gerencia a lógica do Jogo da Velha com IA aprimorada.
+ * @class Cache
+ * @description Cache LRU com limite de itens e tempo de vida (TTL), usado para memorizar contas caras
+ * (resultados da Calculadora, números primos grandes). Com `namespace`, os itens sobrevivem ao recarregar a
+ * página (coleção `cache:<namespace>` do {@link AppStorage}). Guarda estatísticas de acertos e falhas.
  */
-class JogoDaVelha {
-	constructor(contentDiv) {
-		this.contentDiv = contentDiv;
-		this.currentPlayer = 'X'; // Jogador humano começa
-		this.gameBoard = ['', '', '', '', '', '', '', '', '']; // Tabuleiro vazio
-		this.gameActive = true; // Jogo ativo
-	}
-
+class Cache {
 	/**
-	 * @method renderBoard
-	 * @description Renderiza o tabuleiro do jogo e os elementos da interface.
+	 * @constructor
+	 * @param {object} [options={}] - Configuração do cache.
+	 * @param {number} [options.maxEntries=500] - Máximo de itens; passando disso, sai o usado há mais tempo.
+	 * @param {number} [options.ttl=3600000] - Tempo de vida padrão em milissegundos (padrão: 1 hora).
+	 * @param {string} [options.namespace] - Se informado, persiste os itens no armazenamento do app.
 	 */
-	renderBoard() {
-		this.contentDiv.innerHTML = `
-	            <div class="jogo-velha-container">
-	                <h2>Jogo da Velha</h2>
-	                <div class="grid"></div>
-	                <div class="status"></div>
-	                <button onclick="app.jogoDaVelha.reiniciarJogo()">Reiniciar Jogo</button>
-	                <button onclick="app.voltarAoMenu()">Voltar ao Menu</button>
-	            </div>
-	        `;
-		const grid = document.querySelector('.grid');
-		for (let i = 0; i < 9; i++) {
-			const cell = document.createElement('div');
-			cell.classList.add('cell');
-			cell.addEventListener('click', () => this.handleClick(i)); // Evento de clique na célula
-			grid.appendChild(cell);
-		}
-		this.updateStatus(); // Status inicial
+	constructor({ maxEntries = 500, ttl = 3600000, namespace = null } = {}) {
+		this.maxEntries = Math.max(1, maxEntries);
+		this.ttl = ttl;
+		this.namespace = namespace;
+		/** @private */
+		this.storage = new Map(); // A ordem do Map é a ordem de uso: o primeiro é o menos usado
+		/** @private */
+		this.stats = { hits: 0, misses: 0, evictions: 0 };
+		this.load();
 	}
 
 	/**
-	 * @method handleClick
-	 * @param {number} index - Índice da célula clicada.
-	 * @description Lida com o clique em uma célula do tabuleiro.
+	 * Obtém um valor do cache usando sua chave (e marca o item como usado agora).
+	 * @param {string} key - A chave de identificação do valor a ser recuperado.
+	 * @returns {*} O valor em cache se for válido e não expirado, caso contrário, retorna null.
 	 */
-	handleClick(index) {
-		if (this.gameBoard[index] === '' && this.gameActive) { // Célula vazia e jogo ativo?
-			this.gameBoard[index] = this.currentPlayer; // Marca célula com jogador atual
-			this.renderCell(index); // Atualiza visual da célula
-			if (this.checkWinner()) { // Checa vitória
-				this.updateStatus(); // Atualiza status de vitória
-				this.gameActive = false; // Jogo inativo após vitória
-				return;
-			}
-			if (this.isBoardFull()) { // Checa empate
-				this.updateStatus(); // Atualiza status de empate
-				this.gameActive = false; // Jogo inativo após empate
-				return;
-			}
-			this.togglePlayer(); // Troca jogador
-			this.updateStatus(); // Atualiza status do jogador da vez
-			if (this.currentPlayer === 'O' && this.gameActive) { // Vez do computador?
-				setTimeout(() => this.makeComputerMove(), 500); // IA joga após um delay
-			}
+	get(key) {
+		const item = this.storage.get(key);
+		if (!item || this.isExpired(item)) {
+			if (item) this.delete(key); // Remove o item expirado do cache.
+			this.stats.misses++;
+			return null;
 		}
+		this.storage.delete(key); // Volta para o fim da fila (mais recente)
+		this.storage.set(key, item);
+		this.stats.hits++;
+		return item.value;
 	}
 
 	/**
-	 * @method renderCell
-	 * @param {number} index - Índice da célula a ser renderizada.
-	 * @description Adiciona a classe do jogador ('X' ou 'O') à célula correspondente no tabuleiro visual.
+	 * Define um valor no cache associado a uma chave, com tempo de vida (TTL) opcional.
+	 * @param {string} key - A chave para armazenar o valor no cache.
+	 * @param {*} value - O valor a ser armazenado no cache (serializável em JSON, se o cache for persistente).
+	 * @param {number} [ttl] - Tempo de vida (Time To Live) em milissegundos antes de expirar (padrão: o do cache).
 	 */
-	renderCell(index) {
-		const cell = document.querySelector(`.grid .cell:nth-child(${index + 1})`);
-		cell.classList.add(this.currentPlayer); // Adiciona classe 'X' ou 'O'
+	set(key, value, ttl = this.ttl) {
+		this.storage.delete(key);
+		this.storage.set(key, {
+			value,
+			expires: Date.now() + ttl // Calcula o tempo de expiração baseado no TTL fornecido e no tempo atual.
+		});
+		while (this.storage.size > this.maxEntries) { // Descarta os menos usados
+			this.storage.delete(this.storage.keys().next().value);
+			this.stats.evictions++;
+		}
+		this.save();
 	}
 
 	/**
-	 * @method togglePlayer
-	 * @description Alterna o jogador atual entre 'X' e 'O'.
+	 * @param {string} key - Chave procurada.
+	 * @returns {boolean} Se existe um item válido (não conta nas estatísticas nem muda a ordem de uso).
 	 */
-	togglePlayer() {
-		this.currentPlayer = this.currentPlayer === 'X' ? 'O' : 'X'; // Troca 'X' por 'O' ou vice-versa
+	has(key) {
+		const item = this.storage.get(key);
+		if (item && this.isExpired(item)) {
+			this.delete(key);
+			return false;
+		}
+		return Boolean(item);
 	}
 
 	/**
-	 * @method checkWinner
-	 * @returns {boolean} - Retorna true se houver um vencedor ou empate, false caso contrário.
-	 * @description Verifica se há um vencedor no jogo ou se o jogo empatou.
+	 * @param {string} key - Chave a remover.
+	 * @returns {boolean} Se havia um item com essa chave.
 	 */
-	checkWinner() {
-		const winPatterns = [ // Padrões de vitória
-			[0, 1, 2],
-			[3, 4, 5],
-			[6, 7, 8], // Linhas
-			[0, 3, 6],
-			[1, 4, 7],
-			[2, 5, 8], // Colunas
-			[0, 4, 8],
-			[2, 4, 6] // Diagonais
-		];
-
-		for (const pattern of winPatterns) {
-			const [a, b, c] = pattern;
-			if (this.gameBoard[a] && this.gameBoard[a] === this.gameBoard[b] && this.gameBoard[a] === this.gameBoard[c]) {
-				return this.gameBoard[a]; // Retorna o jogador vencedor ('X' ou 'O')
-			}
-		}
-		return null; // Sem vencedor ainda
+	delete(key) {
+		const removed = this.storage.delete(key);
+		if (removed) this.save();
+		return removed;
 	}
 
 	/**
-	 * @method isBoardFull
-	 * @returns {boolean} - Retorna true se o tabuleiro estiver cheio (empate), false caso contrário.
-	 * @description Verifica se todas as células do tabuleiro estão preenchidas.
+	 * Esvazia o cache (e a cópia salva). As estatísticas são mantidas.
 	 */
-	isBoardFull() {
-		return this.gameBoard.every(cell => cell !== ''); // Checa se não tem célula vazia
+	clear() {
+		this.storage.clear();
+		this.save();
 	}
 
+	/**
+	 * @returns {{hits: number, misses: number, evictions: number, hitRate: number, size: number, maxEntries: number}}
+	 * Estatísticas desde a criação do cache (`hitRate` de 0 a 1).
+	 */
+	getStats() {
+		const lookups = this.stats.hits + this.stats.misses;
+		return { ...this.stats, hitRate: lookups > 0 ? this.stats.hits / lookups : 0, size: this.storage.size, maxEntries: this.maxEntries };
+	}
 
 	/**
-	 * @method updateStatus
-	 * @description Atualiza a mensagem de status do jogo na interface, exibindo o jogador da vez, o vencedor ou empate.
+	 * @param {string} text - Texto qualquer (ex: definições serializadas).
+	 * @returns {string} Resumo curto (djb2 em base 36) para compor chaves sem guardar o texto inteiro.
 	 */
-	updateStatus() {
-		if (!this.gameActive) return; // Jogo inativo, não atualiza
+	static hash(text) {
+		let hash = 5381;
+		for (let i = 0; i < text.length; i++) {
+			hash = (hash * 33 + text.charCodeAt(i)) | 0;
+		}
+		return (hash >>> 0).toString(36);
+	}
 
-		const winner = this.checkWinner(); // Verifica vencedor
-		const status = document.querySelector('.status'); // Elemento de status
+	/** @private */
+	isExpired(item) {
+		return Date.now() >= item.expires;
+	}
 
-		if (winner) {
-			status.textContent = `Jogador ${winner} venceu!`; // Mostra vencedor
-			this.gameActive = false; // Desativa jogo
-		} else if (this.isBoardFull()) {
-			status.textContent = 'Empate!'; // Mostra empate
-			this.gameActive = false; // Desativa jogo
+	/** @private */
+	getStorageKey() {
+		return `cache:${this.namespace}`;
+	}
+
+	/**
+	 * @private
+	 * @description Recupera os itens persistidos, descartando os expirados e o excesso.
+	 */
+	load() {
+		if (!this.namespace) return;
+		const entries = appStorage.get(this.getStorageKey(), []);
+		if (!Array.isArray(entries)) {
+			Logger.log(Logger.levels.ERROR, 'Cache salvo ilegível, começando vazio', { namespace: this.namespace });
+			return;
+		}
+		entries.slice(-this.maxEntries).forEach((entry) => {
+			const [key, item] = Array.isArray(entry) ? entry : [];
+			if (item && !this.isExpired(item)) this.storage.set(key, item);
+		});
+	}
+
+	/**
+	 * @private
+	 * @description Grava os itens, na ordem de uso. Sem espaço, o cache continua só na memória (ver `AppStorage`).
+	 */
+	save() {
+		if (!this.namespace) return;
+		if (this.storage.size === 0) {
+			appStorage.remove(this.getStorageKey());
 		} else {
-			status.textContent = `Vez do Jogador ${this.currentPlayer}`; // Mostra jogador da vez
+			appStorage.set(this.getStorageKey(), [...this.storage]);
 		}
 	}
+}
 
+// --------------------------------------------------
+//  CICLO DE VIDA DAS TELAS
+// --------------------------------------------------
+/**
+ * @class ViewScope
+ * @description Escopo de vida de uma ferramenta montada. Tudo o que é registrado aqui (listeners, timers,
+ * funções de limpeza) é desfeito em `dispose`, chamado pelo App quando o usuário sai da ferramenta.
+ */
+class ViewScope {
 	/**
-	 * @method makeComputerMove
-	 * @description Determina e executa o movimento do computador ('O') com lógica de IA (nível fácil/médio).
+	 * @constructor
+	 * @param {HTMLElement} container - Elemento onde a ferramenta está montada.
 	 */
-	makeComputerMove() {
-		if (!this.gameActive || this.currentPlayer !== 'O') return; // Jogo inativo ou não é vez do computador
+	constructor(container) {
+		this.container = container;
+		/** @private */
+		this.disposers = []; // Funções de limpeza, executadas em ordem inversa
+		/** @private */
+		this.timeouts = new Set(); // IDs de setTimeout pendentes
+		/** @private */
+		this.intervals = new Set(); // IDs de setInterval ativos
+		this.disposed = false;
+	}
 
-		let bestMoveIndex = this.getBestMove(); // IA calcula o melhor movimento
+	/**
+	 * @method listen
+	 * @param {EventTarget} target - Alvo do evento (ex: `document`, `window`).
+	 * @param {string} type - Tipo do evento.
+	 * @param {function(Event): void} handler - Função chamada no evento.
+	 * @param {object|boolean} [options] - Opções do addEventListener.
+	 * @returns {function(): void} Função que remove o listener antes do fim do escopo.
+	 * @description Adiciona um listener que é removido automaticamente quando a ferramenta é desmontada.
+	 */
+	listen(target, type, handler, options) {
+		target.addEventListener(type, handler, options);
+		const remove = () => target.removeEventListener(type, handler, options);
+		this.onDispose(remove);
+		return remove;
+	}
 
-		if (bestMoveIndex !== null) {
-			this.gameBoard[bestMoveIndex] = 'O'; // Computador faz o movimento
-			this.renderCell(bestMoveIndex); // Atualiza visual
+	/**
+	 * @method setTimeout
+	 * @param {function(): void} callback - Função a ser executada.
+	 * @param {number} delay - Atraso em milissegundos.
+	 * @returns {number} ID do timer.
+	 * @description `setTimeout` que é cancelado se a ferramenta for desmontada antes de disparar.
+	 */
+	setTimeout(callback, delay) {
+		if (this.disposed) return 0; // Escopo já encerrado: não agenda mais nada.
+		const id = setTimeout(() => {
+			this.timeouts.delete(id);
+			callback();
+		}, delay);
+		this.timeouts.add(id);
+		return id;
+	}
 
-			if (this.checkWinner()) { // Checa se IA venceu
-				this.updateStatus(); // Atualiza status (IA venceu)
-				this.gameActive = false; // Desativa jogo
-				return;
-			}
-			if (this.isBoardFull()) { // Checa empate
-				this.updateStatus(); // Atualiza status (empate)
-				this.gameActive = false; // Desativa jogo
-				return;
-			}
+	/**
+	 * @method clearTimeout
+	 * @param {number} id - ID retornado por `setTimeout`.
+	 */
+	clearTimeout(id) {
+		clearTimeout(id);
+		this.timeouts.delete(id);
+	}
 
-			this.togglePlayer(); // Troca para jogador humano
-			this.updateStatus(); // Atualiza status (vez do humano)
-		}
+	/**
+	 * @method setInterval
+	 * @param {function(): void} callback - Função a ser executada.
+	 * @param {number} delay - Intervalo em milissegundos.
+	 * @returns {number} ID do timer.
+	 * @description `setInterval` que é parado automaticamente quando a ferramenta é desmontada.
+	 */
+	setInterval(callback, delay) {
+		if (this.disposed) return 0;
+		const id = setInterval(callback, delay);
+		this.intervals.add(id);
+		return id;
 	}
 
+	/**
+	 * @method clearInterval
+	 * @param {number} id - ID retornado por `setInterval`.
+	 */
+	clearInterval(id) {
+		clearInterval(id);
+		this.intervals.delete(id);
+	}
 
 	/**
-	 * @method getBestMove
-	 * @returns {number|null} - Retorna o índice do melhor movimento para o computador ou null se não houver movimentos possíveis.
-	 * @description Implementa a lógica de IA para o computador encontrar o melhor movimento, priorizando vitória, bloqueio e jogadas estratégicas.
+	 * @method onDispose
+	 * @param {function(): void} disposer - Função de limpeza.
+	 * @description Registra uma função de limpeza extra (ex: cancelar um requestAnimationFrame).
 	 */
-	getBestMove() {
-		// 1. Tenta vencer
-		for (let i = 0; i < 9; i++) {
-			if (this.gameBoard[i] === '') {
-				this.gameBoard[i] = 'O'; // Simula movimento IA
-				if (this.checkWinner() === 'O') { // Vencerá?
-					this.gameBoard[i] = ''; // Desfaz simulação
-					return i; // Retorna índice para vencer
-				}
-				this.gameBoard[i] = ''; // Desfaz simulação
+	onDispose(disposer) {
+		if (this.disposed) {
+			disposer(); // Registrado tarde demais: limpo na hora.
+			return;
+		}
+		this.disposers.push(disposer);
+	}
+
+	/**
+	 * @method dispose
+	 * @description Remove listeners, cancela timers, executa as limpezas registradas e esvazia o container.
+	 */
+	dispose() {
+		if (this.disposed) return;
+		this.disposed = true;
+
+		this.timeouts.forEach(id => clearTimeout(id));
+		this.intervals.forEach(id => clearInterval(id));
+		this.timeouts.clear();
+		this.intervals.clear();
+
+		while (this.disposers.length > 0) {
+			const disposer = this.disposers.pop();
+			try {
+				disposer();
+			} catch (error) {
+				Logger.log(Logger.levels.ERROR, 'Erro ao liberar recurso da tela', { // Uma limpeza com erro não impede as outras.
+					error
+				});
 			}
 		}
 
-		// 2. Tenta bloquear
-		for (let i = 0; i < 9; i++) {
-			if (this.gameBoard[i] === '') {
-				this.gameBoard[i] = 'X'; // Simula movimento jogador
-				if (this.checkWinner() === 'X') { // Jogador venceria?
-					this.gameBoard[i] = ''; // Desfaz simulação
-					return i; // Retorna índice para bloquear
-				}
-				this.gameBoard[i] = ''; // Desfaz simulação
+		if (this.container) {
+			this.container.innerHTML = ''; // O DOM da ferramenta sai junto com ela.
+		}
+	}
+}
+
+// --------------------------------------------------
+//  NOTIFICAÇÕES
+// --------------------------------------------------
+/**
+ * @class Notifications
+ * @description Central de notificações: toasts empilhados com gravidade (success/info/warning/error), botões de ação
+ * (ex: "Desfazer"), pausa com o mouse em cima ou com foco, Escape para fechar e leitura por leitores de tela numa região
+ * `aria-live` própria. O sino do cabeçalho (`#notificationBell`) abre o histórico das notificações da sessão.
+ */
+class Notifications {
+	constructor() {
+		/** @private */
+		this.queue = []; // Notificações esperando espaço na pilha
+		/** @private */
+		this.active = []; // Toasts na tela: { id, element, remaining, startedAt, timer, paused }
+		/** @private */
+		this.history = []; // { id, message, type, timestamp, read }, mais recente primeiro
+		/** @private */
+		this.nextId = 1;
+		/** @private */
+		this.container = null; // Pilha de toasts, criada na primeira notificação
+		/** @private */
+		this.liveRegion = null; // Região aria-live usada só para anunciar o texto
+		this.maxVisible = 4; // Acima disso, as novas esperam na fila
+		this.maxHistory = 50;
+		this.durations = { success: 4000, info: 5000, warning: 7000, error: 8000 }; // Erros ficam mais tempo na tela
+		this.setupHistory();
+		window.addEventListener('keydown', (event) => { // Escape fecha o toast mais recente (se ninguém usou a tecla antes)
+			if (event.key === 'Escape' && !event.defaultPrevented && this.active.length > 0) {
+				this.dismiss(this.active[this.active.length - 1].id);
 			}
+		});
+	}
+
+	/**
+	 * Adiciona uma nova notificação (na pilha, ou na fila se a pilha estiver cheia).
+	 * @param {string} message - A mensagem de texto a ser exibida na notificação.
+	 * @param {string} [type='info'] - Gravidade: 'success', 'info', 'warning' ou 'error' (define estilo e duração).
+	 * @param {object} [options={}] - Opções extras.
+	 * @param {Array<{label: string, handler: function}>} [options.actions] - Botões de ação (ex: "Desfazer"); clicar fecha o toast.
+	 * @param {number} [options.duration] - Tempo na tela em ms (0 = só fecha manualmente).
+	 * @returns {number} ID da notificação, para fechar com `dismiss`.
+	 */
+	show(message, type = 'info', options = {}) {
+		const level = Object.prototype.hasOwnProperty.call(this.durations, type) ? type : 'info';
+		const notification = {
+			id: this.nextId++,
+			message: String(message),
+			type: level,
+			actions: options.actions || [],
+			duration: options.duration !== undefined ? options.duration : this.durations[level]
+		};
+		this.addToHistory(notification);
+		if (this.active.length >= this.maxVisible) {
+			this.queue.push(notification);
+		} else {
+			this.display(notification);
 		}
+		return notification.id;
+	}
 
-		// 3. Movimento estratégico (centro, cantos, lados)
-		const strategicMoves = [4, 0, 2, 6, 8, 1, 3, 5, 7]; // Prioridades: Centro, Cantos, Lados
-		for (const move of strategicMoves) {
-			if (this.gameBoard[move] === '') {
-				return move; // Retorna primeiro movimento estratégico livre
+	/**
+	 * @method dismiss
+	 * @param {number} id - ID devolvido por `show`.
+	 * @description Fecha o toast (ou tira da fila, se ainda não apareceu).
+	 */
+	dismiss(id) {
+		this.queue = this.queue.filter(item => item.id !== id);
+		const toast = this.active.find(item => item.id === id);
+		if (!toast) return;
+		clearTimeout(toast.timer);
+		this.active = this.active.filter(item => item !== toast);
+		const hadFocus = toast.element.contains(document.activeElement);
+		toast.element.classList.add('fade-out');
+		setTimeout(() => toast.element.remove(), 300);
+		if (hadFocus) { // Não deixa o foco sumir com o toast
+			const next = this.active[this.active.length - 1];
+			if (next) next.element.focus();
+		}
+		if (this.queue.length > 0) {
+			this.display(this.queue.shift());
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {object} notification - Notificação a mostrar.
+	 */
+	display(notification) {
+		this.ensureContainer();
+		const element = document.createElement('div');
+		element.className = `notification ${notification.type}`;
+		element.tabIndex = -1; // Focável para o Escape e para manter o foco ao fechar vizinhos
+		element.dataset.id = String(notification.id);
+		element.innerHTML = `
+                <span class="notification-icon" aria-hidden="true">${Notifications.ICONS[notification.type]}</span>
+                <span class="message">${utils.sanitizeInput(notification.message)}</span>
+                ${notification.actions.map((action, index) => `<button class="notification-action" data-action="${index}">${utils.sanitizeInput(action.label)}</button>`).join('')}
+                <button class="close" aria-label="Fechar notificação">&times;</button>
+            `;
+		this.container.appendChild(element);
+
+		const toast = { id: notification.id, element, remaining: notification.duration, startedAt: 0, timer: null, paused: false };
+		this.active.push(toast);
+		this.announce(notification);
+
+		element.addEventListener('click', (event) => {
+			const actionButton = event.target.closest('[data-action]');
+			if (actionButton) {
+				const action = notification.actions[Number(actionButton.dataset.action)];
+				this.dismiss(notification.id);
+				action.handler();
+			} else if (event.target.closest('.close')) {
+				this.dismiss(notification.id);
+			}
+		});
+		element.addEventListener('keydown', (event) => {
+			if (event.key === 'Escape') { // Só este toast, e sem a tecla chegar às ferramentas
+				event.preventDefault();
+				event.stopPropagation();
+				this.dismiss(notification.id);
 			}
+		});
+		const pause = () => this.pause(toast);
+		const resume = () => {
+			if (!element.matches(':hover') && !element.contains(document.activeElement)) this.resume(toast);
+		};
+		element.addEventListener('mouseenter', pause);
+		element.addEventListener('focusin', pause);
+		element.addEventListener('mouseleave', resume);
+		element.addEventListener('focusout', () => setTimeout(resume, 0)); // Espera o foco chegar no próximo elemento
+		this.resume(toast);
+	}
+
+	/** @private */
+	pause(toast) {
+		if (toast.paused) return;
+		toast.paused = true;
+		clearTimeout(toast.timer);
+		if (toast.startedAt) {
+			toast.remaining = Math.max(0, toast.remaining - (Date.now() - toast.startedAt));
 		}
+		toast.element.classList.add('paused');
+	}
 
-		// 4. Fallback (não deve acontecer em jogo normal)
-		return null; // ou movimento aleatório se necessário
+	/** @private */
+	resume(toast) {
+		toast.paused = false;
+		toast.element.classList.remove('paused');
+		if (!toast.remaining) return; // Duração 0: fica até fechar
+		toast.startedAt = Date.now();
+		toast.timer = setTimeout(() => this.dismiss(toast.id), toast.remaining);
+	}
+
+	/**
+	 * @private
+	 * @description Cria a pilha de toasts e a região aria-live (uma vez só).
+	 */
+	ensureContainer() {
+		if (this.container && document.body.contains(this.container)) return;
+		this.container = document.createElement('div');
+		this.container.className = 'notification-stack';
+		this.container.setAttribute('aria-label', 'Notificações');
+		document.body.appendChild(this.container);
+		this.liveRegion = document.createElement('div');
+		this.liveRegion.className = 'sr-only';
+		this.liveRegion.setAttribute('aria-live', 'polite');
+		this.liveRegion.setAttribute('aria-atomic', 'true');
+		document.body.appendChild(this.liveRegion);
 	}
 
+	/**
+	 * @private
+	 * @param {object} notification - Notificação a anunciar.
+	 * @description Os toasts não têm role="alert": quem fala é a região aria-live, com a gravidade na frente.
+	 */
+	announce(notification) {
+		this.liveRegion.textContent = ''; // Limpa antes, para repetir a mesma mensagem também ser lida
+		setTimeout(() => {
+			this.liveRegion.textContent = `${Notifications.LABELS[notification.type]}: ${notification.message}`;
+		}, 50);
+	}
 
 	/**
-	 * @method reiniciarJogo
-	 * @description Reinicia o jogo, resetando o tabuleiro, o jogador atual e o estado do jogo.
+	 * @private
+	 * @param {object} notification - Notificação mostrada agora.
 	 */
-	reiniciarJogo() {
-		this.currentPlayer = 'X'; // Jogador 'X' sempre começa
-		this.gameBoard = ['', '', '', '', '', '', '', '', '']; // Limpa tabuleiro
-		this.gameActive = true; // Reativa jogo
-		this.renderBoard(); // Redesenha tabuleiro
+	addToHistory(notification) {
+		this.history.unshift({ id: notification.id, message: notification.message, type: notification.type, timestamp: new Date().toISOString(), read: false });
+		this.history.length = Math.min(this.history.length, this.maxHistory);
+		this.updateHistory();
+	}
+
+	/**
+	 * @private
+	 * @description Liga o sino do cabeçalho ao painel de histórico (se a página tiver os dois).
+	 */
+	setupHistory() {
+		const bell = document.getElementById('notificationBell');
+		const panel = document.getElementById('notificationHistory');
+		if (!bell || !panel) return;
+		bell.addEventListener('click', () => this.toggleHistory());
+		panel.addEventListener('keydown', (event) => {
+			if (event.key === 'Escape') {
+				event.preventDefault();
+				event.stopPropagation();
+				this.toggleHistory(false);
+				bell.focus();
+			}
+		});
+		panel.querySelector('.notification-history-clear').addEventListener('click', () => {
+			this.history = [];
+			this.updateHistory();
+		});
+		document.addEventListener('click', (event) => { // Clique fora fecha
+			if (!panel.hidden && !panel.contains(event.target) && !bell.contains(event.target)) {
+				this.toggleHistory(false);
+			}
+		});
+	}
+
+	/**
+	 * @method toggleHistory
+	 * @param {boolean} [open] - Abre ou fecha (padrão: inverte).
+	 * @description Mostra o histórico de notificações; abrir marca todas como lidas.
+	 */
+	toggleHistory(open) {
+		const bell = document.getElementById('notificationBell');
+		const panel = document.getElementById('notificationHistory');
+		if (!bell || !panel) return;
+		panel.hidden = open === undefined ? !panel.hidden : !open;
+		bell.setAttribute('aria-expanded', String(!panel.hidden));
+		if (!panel.hidden) {
+			this.history.forEach(item => { item.read = true; });
+			panel.focus();
+		}
+		this.updateHistory();
+	}
+
+	/**
+	 * @private
+	 * @description Redesenha a lista do histórico e o contador de não lidas do sino.
+	 */
+	updateHistory() {
+		const bell = document.getElementById('notificationBell');
+		const panel = document.getElementById('notificationHistory');
+		if (!bell || !panel) return;
+		const unread = this.history.filter(item => !item.read).length;
+		const badge = bell.querySelector('.notification-badge');
+		badge.textContent = unread > 9 ? '9+' : String(unread);
+		badge.hidden = unread === 0;
+		bell.setAttribute('aria-label', unread > 0 ? `Notificações (${unread} não lidas)` : 'Notificações');
+		const list = panel.querySelector('ul');
+		list.innerHTML = this.history.map(item => `
+                <li class="notification-history-item ${item.type}">
+                    <span class="notification-icon" aria-hidden="true">${Notifications.ICONS[item.type]}</span>
+                    <span class="message"><span class="sr-only">${Notifications.LABELS[item.type]}: </span>${utils.sanitizeInput(item.message)}</span>
+                    <time datetime="${item.timestamp}">${new Date(item.timestamp).toLocaleTimeString('pt-BR')}</time>
+                </li>
+            `).join('');
+		panel.querySelector('.notification-history-empty').hidden = this.history.length > 0;
 	}
 }
 
+/** Ícone de cada gravidade (o texto da gravidade vai para o leitor de tela em `LABELS`). */
+Notifications.ICONS = { success: '✔', info: 'ℹ', warning: '⚠', error: '✖' };
+/** Nome de cada gravidade, lido antes da mensagem. */
+Notifications.LABELS = { success: 'Sucesso', info: 'Informação', warning: 'Atenção', error: 'Erro' };
+
 // --------------------------------------------------
-//  LISTA DE TAREFAS - Inteligência Aprimorada (Refatoração e Melhorias)
+//  JOGO DA FORCA
 // --------------------------------------------------
 /**
- * @class ListaDeTarefas
- * @description Gerencia a lógica da Lista de Tarefas com renderização e organização melhoradas.
+ * @class Forca
+ * @description Gerencia a lógica do Jogo da Forca.
  */
-class ListaDeTarefas {
+class Forca {
 	constructor(contentDiv) {
 		this.contentDiv = contentDiv;
-		this.tasks = this.loadTasks(); // Inicializa tarefas carregando do localStorage
+		this.palavras = ["javascript", "html", "css", "programacao", "computador", "internet"];
+		this.palavraSecreta = this.escolherPalavra(); // Define a palavra a ser adivinhada
+		this.letrasErradas = [];
+		this.letrasCorretas = [];
+		this.maxErros = 6;
+		this.erros = 0;
+	}
+
+	/**
+	 * @method mount
+	 * @param {HTMLElement} container - Elemento onde o jogo será exibido.
+	 * @description Monta o jogo no container (usado pelo registro de ferramentas do App).
+	 */
+	mount(container) {
+		this.contentDiv = container;
+		this.atualizarJogo();
+	}
+
+	/**
+	 * @private
+	 */
+	escolherPalavra() {
+		return this.palavras[Math.floor(Math.random() * this.palavras.length)]; // Retorna uma palavra aleatória do array
+	}
+
+	/**
+	 * Atualiza o estado do jogo na interface.
+	 */
+	atualizarJogo() {
+		this.contentDiv.innerHTML = `
+                <div id="forca-container">
+                    <h2>Jogo da Forca</h2>
+                    <p id="forca-palavra">${this.palavraSecreta.split('').map(letra => this.letrasCorretas.includes(letra) ? letra : '_').join(' ')}</p>
+                    <p id="forca-letras-erradas">Letras Erradas: ${this.letrasErradas.join(', ')}</p>
+                    <p>Erros: ${this.erros}/${this.maxErros}</p>
+                    <input type="text" id="letra-input" maxlength="1" placeholder="Digite uma letra">
+                    <button id="btn-adivinhar">Adivinhar</button>
+                    <button onclick="app.voltarAoMenu()">Voltar ao Menu</button>
+                    <p id="forca-mensagem"></p>
+                </div>
+            `;
+
+		document.getElementById('btn-adivinhar').addEventListener('click', () => this.adivinharLetra()); // Evento do botão "Adivinhar"
+		document.getElementById('letra-input').addEventListener('keyup', (event) => { // Evento para Enter no input
+			if (event.key === 'Enter') {
+				this.adivinharLetra();
+			}
+		});
+	}
+
+	/**
+	 * @private
+	 */
+	adivinharLetra() {
+		const letraInput = document.getElementById('letra-input');
+		const letra = letraInput.value.toLowerCase();
+		letraInput.value = ''; // Limpa o input
+
+		if (!letra.match(/[a-z]/i)) { // Valida se é letra
+			document.getElementById('forca-mensagem').textContent = 'Por favor, digite uma letra válida.';
+			return;
+		}
+
+		if (this.letrasCorretas.includes(letra) || this.letrasErradas.includes(letra)) { // Verifica se letra já foi tentada
+			document.getElementById('forca-mensagem').textContent = 'Você já tentou essa letra. Tente outra.';
+			return;
+		}
+
+		if (this.palavraSecreta.includes(letra)) {
+			this.letrasCorretas.push(letra); // Acertou a letra
+		} else {
+			this.letrasErradas.push(letra); // Errou a letra
+			this.erros++; // Incrementa erros
+		}
+
+		this.atualizarJogo(); // Atualiza a tela
+
+		if (this.erros === this.maxErros) { // Perdeu o jogo
+			document.getElementById('forca-mensagem').textContent = `Você perdeu! A palavra era ${this.palavraSecreta}.`;
+			this.desabilitarJogo();
+		} else if (!document.getElementById('forca-palavra').textContent.includes('_')) { // Ganhou o jogo
+			document.getElementById('forca-mensagem').textContent = 'Parabéns! Você ganhou!';
+			this.desabilitarJogo();
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	desabilitarJogo() {
+		document.getElementById('letra-input').disabled = true; // Desabilita input
+		document.getElementById('btn-adivinhar').disabled = true; // Desabilita botão
+	}
+}
+
+// --------------------------------------------------
+//  JOGO DA VELHA - Inteligência Aprimorada
+// --------------------------------------------------
+/**
+ * @class JogoDaVelha
+ * @description Gerencia a lógica do Jogo da Velha com IA aprimorada.
+ */
+class JogoDaVelha {
+	constructor(contentDiv) {
+		this.contentDiv = contentDiv;
+		this.scope = null; // ViewScope da tela montada (timer da jogada da IA)
+		this.currentPlayer = 'X'; // Jogador humano começa
+		this.gameBoard = ['', '', '', '', '', '', '', '', '']; // Tabuleiro vazio
+		this.gameActive = true; // Jogo ativo
+	}
+
+	/**
+	 * @method mount
+	 * @param {HTMLElement} container - Elemento onde o jogo será exibido.
+	 * @param {ViewScope} scope - Escopo da tela; a jogada agendada da IA é cancelada se o usuário sair.
+	 * @description Monta o jogo no container (usado pelo registro de ferramentas do App).
+	 */
+	mount(container, scope) {
+		this.contentDiv = container;
+		this.scope = scope;
+		this.renderBoard();
+		this.scheduleComputerMove(); // Se saí no meio da vez da IA, ela joga ao voltar.
+	}
+
+	/**
+	 * @method unmount
+	 * @description Esquece o escopo da tela (o App cancela o timer pendente ao descartá-lo).
+	 */
+	unmount() {
+		this.scope = null;
+	}
+
+	/**
+	 * @method renderBoard
+	 * @description Renderiza o tabuleiro do jogo e os elementos da interface.
+	 */
+	renderBoard() {
+		this.contentDiv.innerHTML = `
+	            <div class="jogo-velha-container">
+	                <h2>Jogo da Velha</h2>
+	                <div class="grid"></div>
+	                <div class="status"></div>
+	                <button onclick="app.jogoDaVelha.reiniciarJogo()">Reiniciar Jogo</button>
+	                <button onclick="app.voltarAoMenu()">Voltar ao Menu</button>
+	            </div>
+	        `;
+		const grid = document.querySelector('.grid');
+		for (let i = 0; i < 9; i++) {
+			const cell = document.createElement('div');
+			cell.classList.add('cell');
+			if (this.gameBoard[i]) {
+				cell.classList.add(this.gameBoard[i]); // Restaura jogadas feitas antes de sair da tela
+			}
+			cell.addEventListener('click', () => this.handleClick(i)); // Evento de clique na célula
+			grid.appendChild(cell);
+		}
+		this.updateStatus(); // Status inicial
+	}
+
+	/**
+	 * @method handleClick
+	 * @param {number} index - Índice da célula clicada.
+	 * @description Lida com o clique em uma célula do tabuleiro.
+	 */
+	handleClick(index) {
+		if (this.gameBoard[index] === '' && this.gameActive) { // Célula vazia e jogo ativo?
+			this.gameBoard[index] = this.currentPlayer; // Marca célula com jogador atual
+			this.renderCell(index); // Atualiza visual da célula
+			if (this.checkWinner()) { // Checa vitória
+				this.updateStatus(); // Atualiza status de vitória
+				this.gameActive = false; // Jogo inativo após vitória
+				return;
+			}
+			if (this.isBoardFull()) { // Checa empate
+				this.updateStatus(); // Atualiza status de empate
+				this.gameActive = false; // Jogo inativo após empate
+				return;
+			}
+			this.togglePlayer(); // Troca jogador
+			this.updateStatus(); // Atualiza status do jogador da vez
+			this.scheduleComputerMove();
+		}
+	}
+
+	/**
+	 * @method scheduleComputerMove
+	 * @description Agenda a jogada da IA (com delay) no escopo da tela, se for a vez do computador.
+	 */
+	scheduleComputerMove() {
+		if (this.currentPlayer === 'O' && this.gameActive && this.scope) { // Vez do computador?
+			this.scope.setTimeout(() => this.makeComputerMove(), 500); // IA joga após um delay
+		}
+	}
+
+	/**
+	 * @method renderCell
+	 * @param {number} index - Índice da célula a ser renderizada.
+	 * @description Adiciona a classe do jogador ('X' ou 'O') à célula correspondente no tabuleiro visual.
+	 */
+	renderCell(index) {
+		const cell = document.querySelector(`.grid .cell:nth-child(${index + 1})`);
+		cell.classList.add(this.currentPlayer); // Adiciona classe 'X' ou 'O'
+	}
+
+	/**
+	 * @method togglePlayer
+	 * @description Alterna o jogador atual entre 'X' e 'O'.
+	 */
+	togglePlayer() {
+		this.currentPlayer = this.currentPlayer === 'X' ? 'O' : 'X'; // Troca 'X' por 'O' ou vice-versa
+	}
+
+	/**
+	 * @method checkWinner
+	 * @returns {boolean} - Retorna true se houver um vencedor ou empate, false caso contrário.
+	 * @description Verifica se há um vencedor no jogo ou se o jogo empatou.
+	 */
+	checkWinner() {
+		const winPatterns = [ // Padrões de vitória
+			[0, 1, 2],
+			[3, 4, 5],
+			[6, 7, 8], // Linhas
+			[0, 3, 6],
+			[1, 4, 7],
+			[2, 5, 8], // Colunas
+			[0, 4, 8],
+			[2, 4, 6] // Diagonais
+		];
+
+		for (const pattern of winPatterns) {
+			const [a, b, c] = pattern;
+			if (this.gameBoard[a] && this.gameBoard[a] === this.gameBoard[b] && this.gameBoard[a] === this.gameBoard[c]) {
+				return this.gameBoard[a]; // Retorna o jogador vencedor ('X' ou 'O')
+			}
+		}
+		return null; // Sem vencedor ainda
+	}
+
+	/**
+	 * @method isBoardFull
+	 * @returns {boolean} - Retorna true se o tabuleiro estiver cheio (empate), false caso contrário.
+	 * @description Verifica se todas as células do tabuleiro estão preenchidas.
+	 */
+	isBoardFull() {
+		return this.gameBoard.every(cell => cell !== ''); // Checa se não tem célula vazia
+	}
+
+
+	/**
+	 * @method updateStatus
+	 * @description Atualiza a mensagem de status do jogo na interface, exibindo o jogador da vez, o vencedor ou empate.
+	 */
+	updateStatus() {
+		if (!this.gameActive) return; // Jogo inativo, não atualiza
+
+		const winner = this.checkWinner(); // Verifica vencedor
+		const status = document.querySelector('.status'); // Elemento de status
+
+		if (winner) {
+			status.textContent = `Jogador ${winner} venceu!`; // Mostra vencedor
+			this.gameActive = false; // Desativa jogo
+		} else if (this.isBoardFull()) {
+			status.textContent = 'Empate!'; // Mostra empate
+			this.gameActive = false; // Desativa jogo
+		} else {
+			status.textContent = `Vez do Jogador ${this.currentPlayer}`; // Mostra jogador da vez
+		}
+	}
+
+	/**
+	 * @method makeComputerMove
+	 * @description Determina e executa o movimento do computador ('O') com lógica de IA (nível fácil/médio).
+	 */
+	makeComputerMove() {
+		if (!this.gameActive || this.currentPlayer !== 'O') return; // Jogo inativo ou não é vez do computador
+
+		let bestMoveIndex = this.getBestMove(); // IA calcula o melhor movimento
+
+		if (bestMoveIndex !== null) {
+			this.gameBoard[bestMoveIndex] = 'O'; // Computador faz o movimento
+			this.renderCell(bestMoveIndex); // Atualiza visual
+
+			if (this.checkWinner()) { // Checa se IA venceu
+				this.updateStatus(); // Atualiza status (IA venceu)
+				this.gameActive = false; // Desativa jogo
+				return;
+			}
+			if (this.isBoardFull()) { // Checa empate
+				this.updateStatus(); // Atualiza status (empate)
+				this.gameActive = false; // Desativa jogo
+				return;
+			}
+
+			this.togglePlayer(); // Troca para jogador humano
+			this.updateStatus(); // Atualiza status (vez do humano)
+		}
+	}
+
+
+	/**
+	 * @method getBestMove
+	 * @returns {number|null} - Retorna o índice do melhor movimento para o computador ou null se não houver movimentos possíveis.
+	 * @description Implementa a lógica de IA para o computador encontrar o melhor movimento, priorizando vitória, bloqueio e jogadas estratégicas.
+	 */
+	getBestMove() {
+		// 1. Tenta vencer
+		for (let i = 0; i < 9; i++) {
+			if (this.gameBoard[i] === '') {
+				this.gameBoard[i] = 'O'; // Simula movimento IA
+				if (this.checkWinner() === 'O') { // Vencerá?
+					this.gameBoard[i] = ''; // Desfaz simulação
+					return i; // Retorna índice para vencer
+				}
+				this.gameBoard[i] = ''; // Desfaz simulação
+			}
+		}
+
+		// 2. Tenta bloquear
+		for (let i = 0; i < 9; i++) {
+			if (this.gameBoard[i] === '') {
+				this.gameBoard[i] = 'X'; // Simula movimento jogador
+				if (this.checkWinner() === 'X') { // Jogador venceria?
+					this.gameBoard[i] = ''; // Desfaz simulação
+					return i; // Retorna índice para bloquear
+				}
+				this.gameBoard[i] = ''; // Desfaz simulação
+			}
+		}
+
+		// 3. Movimento estratégico (centro, cantos, lados)
+		const strategicMoves = [4, 0, 2, 6, 8, 1, 3, 5, 7]; // Prioridades: Centro, Cantos, Lados
+		for (const move of strategicMoves) {
+			if (this.gameBoard[move] === '') {
+				return move; // Retorna primeiro movimento estratégico livre
+			}
+		}
+
+		// 4. Fallback (não deve acontecer em jogo normal)
+		return null; // ou movimento aleatório se necessário
+	}
+
+
+	/**
+	 * @method reiniciarJogo
+	 * @description Reinicia o jogo, resetando o tabuleiro, o jogador atual e o estado do jogo.
+	 */
+	reiniciarJogo() {
+		this.currentPlayer = 'X'; // Jogador 'X' sempre começa
+		this.gameBoard = ['', '', '', '', '', '', '', '', '']; // Limpa tabuleiro
+		this.gameActive = true; // Reativa jogo
+		this.renderBoard(); // Redesenha tabuleiro
+	}
+}
+
+// --------------------------------------------------
+//  LISTA DE TAREFAS - Inteligência Aprimorada (Refatoração e Melhorias)
+// --------------------------------------------------
+/**
+ * @class TaskHistory
+ * @description Histórico de desfazer/refazer da Lista de Tarefas. Cada operação guarda uma cópia do estado (tarefas e
+ * listas) antes e depois dela, então qualquer mudança (adicionar, excluir, marcar, editar, reordenar...) volta do mesmo jeito.
+ */
+class TaskHistory {
+	/**
+	 * @constructor
+	 * @param {number} [limit=100] - Quantas operações dá para desfazer.
+	 */
+	constructor(limit = 100) {
+		this.limit = limit;
+		this.undoStack = [];
+		this.redoStack = [];
+		/** @private */
+		this.nextId = 1;
+	}
+
+	/**
+	 * @method record
+	 * @param {string} label - Descrição da operação (ex: 'excluir "Comprar pão"').
+	 * @param {object} before - Estado antes da operação.
+	 * @param {object} after - Estado depois da operação.
+	 * @returns {object} Entrada registrada (`id` serve para o "Desfazer" do toast).
+	 * @description Registra uma operação; refazer deixa de valer, como em qualquer editor.
+	 */
+	record(label, before, after) {
+		const entry = { id: this.nextId++, label, before: utils.clone(before), after: utils.clone(after) };
+		this.undoStack.push(entry);
+		if (this.undoStack.length > this.limit) {
+			this.undoStack.shift();
+		}
+		this.redoStack = [];
+		return entry;
+	}
+
+	/**
+	 * @method undo
+	 * @returns {object|null} Operação desfeita (use `before`) ou null se não houver.
+	 */
+	undo() {
+		const entry = this.undoStack.pop();
+		if (!entry) return null;
+		this.redoStack.push(entry);
+		return entry;
+	}
+
+	/**
+	 * @method redo
+	 * @returns {object|null} Operação refeita (use `after`) ou null se não houver.
+	 */
+	redo() {
+		const entry = this.redoStack.pop();
+		if (!entry) return null;
+		this.undoStack.push(entry);
+		return entry;
+	}
+
+	/**
+	 * @method isLatest
+	 * @param {number} id - ID de uma entrada.
+	 * @returns {boolean} Se é a última operação (a próxima a ser desfeita).
+	 */
+	isLatest(id) {
+		const last = this.undoStack[this.undoStack.length - 1];
+		return Boolean(last && last.id === id);
+	}
+}
+
+/**
+ * @class TaskImportError
+ * @extends Error
+ * @description Arquivo de tarefas que não pôde ser lido (formato errado ou conteúdo inválido).
+ */
+class TaskImportError extends Error {
+	/**
+	 * @constructor
+	 * @param {string} message - Descrição do problema.
+	 * @param {number} [line=0] - Linha do arquivo onde ele foi encontrado (base 1; 0 se não se aplica).
+	 */
+	constructor(message, line = 0) {
+		super(line ? `${message} (linha ${line})` : message);
+		this.name = 'TaskImportError';
+		this.line = line;
+	}
+}
+
+/**
+ * @namespace TaskTransfer
+ * @description Converte tarefas de/para arquivos: JSON, CSV, checklist Markdown (`- [x] item`) e iCalendar (VTODO).
+ * Só converte; quem decide mesclar ou substituir é a `ListaDeTarefas`. As tarefas lidas ainda passam por
+ * `ListaDeTarefas.normalizeTask`. Subtarefas vão como `parentId` (JSON), coluna "pai" (CSV), itens recuados
+ * (Markdown) e RELATED-TO (iCalendar).
+ */
+const TaskTransfer = {
+	/** Formatos suportados: rótulo, extensão do arquivo e tipo MIME. */
+	FORMATS: {
+		json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+		csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+		markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+		ics: { label: 'iCalendar', extension: 'ics', mimeType: 'text/calendar' }
+	},
+
+	/** Colunas do CSV, na ordem. */
+	CSV_COLUMNS: ['id', 'texto', 'concluida', 'criada', 'prazo', 'prioridade', 'tags', 'notas', 'pai'],
+
+	/** PRIORITY do iCalendar (1 = mais alta, 9 = mais baixa) para cada prioridade da lista. */
+	ICS_PRIORITIES: { alta: 1, media: 5, baixa: 9 },
+
+	/**
+	 * @memberof TaskTransfer
+	 * @param {Array<object>} tasks - Tarefas.
+	 * @param {string} format - Chave de `FORMATS`.
+	 * @returns {string} Conteúdo do arquivo. No iCalendar só entram as tarefas com prazo.
+	 */
+	serialize: function(tasks, format) {
+		switch (format) {
+			case 'json':
+				return JSON.stringify(tasks, null, 2);
+			case 'csv':
+				return [TaskTransfer.CSV_COLUMNS, ...tasks.map(task => [
+					task.id, task.text, task.completed ? 'sim' : 'nao', task.createdAt, task.dueDate || '',
+					task.priority, task.tags.join(' '), task.notes, task.parentId || ''
+				])].map(row => row.map(utils.escapeCsv).join(',')).join('\r\n');
+			case 'markdown':
+				return TaskTransfer.inTreeOrder(tasks).map(({ task, depth }) => {
+					const extras = [
+						task.priority !== 'media' ? `!${task.priority}` : '',
+						...task.tags.map(tag => `#${tag}`),
+						task.dueDate ? `(prazo: ${task.dueDate})` : ''
+					].filter(Boolean);
+					return `${'  '.repeat(depth)}- [${task.completed ? 'x' : ' '}] ${[task.text.replace(/\s*\n\s*/g, ' '), ...extras].join(' ')}`;
+				}).join('\n') + '\n';
+			case 'ics':
+				return TaskTransfer.toICalendar(tasks.filter(task => task.dueDate));
+			default:
+				throw new TaskImportError(`Formato desconhecido: ${format}`);
+		}
+	},
+
+	/**
+	 * @private
+	 * @param {Array<object>} tasks - Tarefas.
+	 * @returns {Array<{task: object, depth: number}>} Tarefas com cada mãe seguida das subtarefas (profundidade 0 no
+	 * primeiro nível). Quem tem mãe fora do conjunto fica no primeiro nível.
+	 */
+	inTreeOrder: function(tasks) {
+		const ids = new Set(tasks.map(task => task.id));
+		const walk = (parentId, depth) => tasks
+			.filter(task => (parentId ? task.parentId === parentId : !ids.has(task.parentId)))
+			.flatMap(task => [{ task, depth }, ...walk(task.id, depth + 1)]);
+		return walk(null, 0);
+	},
+
+	/**
+	 * @memberof TaskTransfer
+	 * @param {string} filename - Nome do arquivo escolhido.
+	 * @param {string} text - Conteúdo.
+	 * @returns {string} Formato provável: pela extensão e, se ela não ajudar, pelo começo do conteúdo.
+	 */
+	detectFormat: function(filename, text) {
+		const extension = String(filename).split('.').pop().toLowerCase();
+		const byExtension = { json: 'json', csv: 'csv', md: 'markdown', markdown: 'markdown', ics: 'ics', ical: 'ics' };
+		if (byExtension[extension]) return byExtension[extension];
+		const start = text.trimStart();
+		if (start.startsWith('[') || start.startsWith('{')) return 'json';
+		if (start.toUpperCase().startsWith('BEGIN:VCALENDAR')) return 'ics';
+		if (/^\s*[-*+]\s+\[[ xX]\]/m.test(text)) return 'markdown';
+		return 'csv';
+	},
+
+	/**
+	 * @memberof TaskTransfer
+	 * @param {string} text - Conteúdo do arquivo.
+	 * @param {string} format - Chave de `FORMATS`.
+	 * @returns {Array<object>} Tarefas lidas (ainda não normalizadas).
+	 * @throws {TaskImportError} Se o conteúdo não estiver no formato ou não tiver nenhuma tarefa.
+	 */
+	parse: function(text, format) {
+		const parsers = {
+			json: TaskTransfer.parseJson,
+			csv: TaskTransfer.parseCsv,
+			markdown: TaskTransfer.parseMarkdown,
+			ics: TaskTransfer.parseICalendar
+		};
+		if (!parsers[format]) throw new TaskImportError(`Formato desconhecido: ${format}`);
+		const tasks = parsers[format](String(text).replace(/^\uFEFF/, '')); // Ignora o BOM de arquivos do Excel/Windows
+		if (tasks.length === 0) throw new TaskImportError('Nenhuma tarefa encontrada no arquivo.');
+		return tasks;
+	},
+
+	/** @private */
+	parseJson: function(text) {
+		let data;
+		try {
+			data = JSON.parse(text);
+		} catch (error) {
+			throw new TaskImportError(`JSON inválido: ${error.message}`);
+		}
+		const list = Array.isArray(data) ? data : data && data.tasks; // Aceita o array ou { tasks: [...] }
+		if (!Array.isArray(list)) throw new TaskImportError('O JSON precisa ser uma lista de tarefas.');
+		return list.map((item, index) => {
+			if (!item || typeof item.text !== 'string' || !item.text.trim()) {
+				throw new TaskImportError(`A tarefa ${index + 1} não tem o campo "text".`);
+			}
+			return item;
+		});
+	},
+
+	/**
+	 * @private
+	 * @description CSV no padrão RFC 4180 (aspas, quebras de linha dentro de aspas). Aceita vírgula ou ponto e vírgula
+	 * (Excel em português) e cabeçalho com as colunas em qualquer ordem; só "texto" é obrigatória.
+	 */
+	parseCsv: function(text) {
+		const firstLine = text.split(/\r?\n/, 1)[0];
+		const delimiter = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+		const rows = [];
+		let row = [];
+		let cell = '';
+		let quoted = false;
+		for (let i = 0; i < text.length; i++) {
+			const char = text[i];
+			if (quoted) {
+				if (char === '"' && text[i + 1] === '"') {
+					cell += '"';
+					i++;
+				} else if (char === '"') {
+					quoted = false;
+				} else {
+					cell += char;
+				}
+			} else if (char === '"') {
+				quoted = true;
+			} else if (char === delimiter) {
+				row.push(cell);
+				cell = '';
+			} else if (char === '\n' || char === '\r') {
+				if (char === '\r' && text[i + 1] === '\n') i++;
+				row.push(cell);
+				rows.push(row);
+				row = [];
+				cell = '';
+			} else {
+				cell += char;
+			}
+		}
+		if (quoted) throw new TaskImportError('CSV com aspas sem fechar.');
+		if (cell || row.length) {
+			row.push(cell);
+			rows.push(row);
+		}
+
+		const header = (rows.shift() || []).map(name => name.trim().toLowerCase());
+		const column = (name) => header.indexOf(name);
+		if (column('texto') < 0) throw new TaskImportError('O CSV precisa de uma coluna "texto".', 1);
+		return rows
+			.map((cells, index) => ({ cells, line: index + 2 }))
+			.filter(({ cells }) => cells.some(value => value.trim()))
+			.map(({ cells, line }) => {
+				const value = (name) => (column(name) >= 0 ? (cells[column(name)] || '').trim() : '');
+				if (!value('texto')) throw new TaskImportError('Tarefa sem texto.', line);
+				return {
+					id: value('id') || undefined,
+					text: value('texto'),
+					completed: ['sim', 's', 'x', 'true', '1', 'yes'].includes(value('concluida').toLowerCase()),
+					createdAt: value('criada') || undefined,
+					dueDate: TaskTransfer.parseCsvDate(value('prazo'), line),
+					priority: value('prioridade').toLowerCase(),
+					tags: ListaDeTarefas.parseTags(value('tags')),
+					notes: column('notas') >= 0 ? cells[column('notas')] || '' : '',
+					parentId: value('pai') || null
+				};
+			});
+	},
+
+	/**
+	 * @private
+	 * @param {string} value - Célula da coluna "prazo".
+	 * @param {number} line - Linha do arquivo, para o erro.
+	 * @returns {string|null} Dia 'AAAA-MM-DD', ou null se a célula estiver vazia.
+	 * @throws {TaskImportError} Se não for uma data válida. Aceita 'AAAA-MM-DD' e 'DD/MM/AAAA' (o que o Excel em
+	 * português grava), com uma hora no fim que é ignorada.
+	 */
+	parseCsvDate: function(value, line) {
+		if (!value) return null;
+		const iso = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/);
+		const local = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s.*)?$/);
+		const dateKey = iso ? TaskTransfer.toDateKey(iso[1], iso[2], iso[3]) : local ? TaskTransfer.toDateKey(local[3], local[2], local[1]) : null;
+		if (!dateKey) throw new TaskImportError(`Prazo inválido: "${value}". Use DD/MM/AAAA ou AAAA-MM-DD.`, line);
+		return dateKey;
+	},
+
+	/**
+	 * @private
+	 * @returns {string|null} 'AAAA-MM-DD' se ano, mês e dia formam uma data que existe (31/02 não), senão null.
+	 */
+	toDateKey: function(year, month, day) {
+		const date = new Date(Number(year), Number(month) - 1, Number(day));
+		const exists = date.getFullYear() === Number(year) && date.getMonth() === Number(month) - 1 && date.getDate() === Number(day);
+		return exists ? ListaDeTarefas.toDateKey(date) : null;
+	},
+
+	/**
+	 * @private
+	 * @description Checklist no estilo do GitHub. Além do texto, entende o que a exportação escreve no fim do item:
+	 * `!alta`/`!baixa`, `#tags` e `(prazo: AAAA-MM-DD)`. Item mais recuado que o anterior vira subtarefa dele.
+	 * Linhas que não são itens são ignoradas.
+	 */
+	parseMarkdown: function(text) {
+		const ids = new Set();
+		const parents = []; // Pilha de { indent, id } dos itens que ainda podem ter subtarefas
+		return text.split(/\r?\n/)
+			.map(line => line.replace(/\t/g, '    ').match(/^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/))
+			.filter(Boolean)
+			.map(([, indent, mark, content]) => {
+				while (parents.length && parents[parents.length - 1].indent >= indent.length) parents.pop();
+				const id = ListaDeTarefas.createId(ids);
+				ids.add(id);
+				const parentId = parents.length ? parents[parents.length - 1].id : null;
+				parents.push({ indent: indent.length, id });
+				let rest = content.trim();
+				let dueDate = null;
+				let priority = 'media';
+				const tags = [];
+				let match;
+				while ((match = rest.match(/\s+(?:\(prazo:\s*(\d{4}-\d{2}-\d{2})\)|!(alta|media|baixa)|#([^\s#,]+))$/i))) {
+					if (match[1]) dueDate = match[1];
+					if (match[2]) priority = match[2].toLowerCase();
+					if (match[3]) tags.unshift(match[3].toLowerCase());
+					rest = rest.slice(0, match.index);
+				}
+				return { id, parentId, text: rest.trim() || content.trim(), completed: mark !== ' ', dueDate, priority, tags };
+			});
+	},
+
+	/**
+	 * @memberof TaskTransfer
+	 * @param {Array<object>} tasks - Tarefas (com prazo).
+	 * @returns {string} Calendário iCalendar (RFC 5545) com um VTODO por tarefa.
+	 */
+	toICalendar: function(tasks) {
+		const stamp = TaskTransfer.toICalendarDateTime(new Date().toISOString());
+		const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//Central de Utilidades//Lista de Tarefas//PT-BR'];
+		tasks.forEach(task => {
+			lines.push(
+				'BEGIN:VTODO',
+				`UID:${task.id}`,
+				`DTSTAMP:${stamp}`,
+				`CREATED:${TaskTransfer.toICalendarDateTime(task.createdAt)}`,
+				`SUMMARY:${TaskTransfer.escapeICalendar(task.text)}`,
+				`DUE;VALUE=DATE:${task.dueDate.replace(/-/g, '')}`,
+				`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`,
+				`PRIORITY:${TaskTransfer.ICS_PRIORITIES[task.priority]}`
+			);
+			if (task.tags.length) lines.push(`CATEGORIES:${task.tags.map(TaskTransfer.escapeICalendar).join(',')}`);
+			if (task.notes) lines.push(`DESCRIPTION:${TaskTransfer.escapeICalendar(task.notes)}`);
+			if (task.parentId) lines.push(`RELATED-TO;RELTYPE=PARENT:${task.parentId}`);
+			lines.push('END:VTODO');
+		});
+		lines.push('END:VCALENDAR');
+		return lines.map(TaskTransfer.foldICalendarLine).join('\r\n') + '\r\n';
+	},
+
+	/** @private */
+	parseICalendar: function(text) {
+		const lines = []; // { line, number }: linhas dobradas são desfeitas, guardando o número da primeira
+		text.split(/\r?\n/).forEach((line, index) => {
+			if (/^[ \t]/.test(line) && lines.length) {
+				lines[lines.length - 1].line += line.slice(1);
+			} else {
+				lines.push({ line, number: index + 1 });
+			}
+		});
+		if (!/^BEGIN:VCALENDAR/i.test(lines.length ? lines[0].line : '')) throw new TaskImportError('O arquivo não é um calendário iCalendar.', 1);
+		const tasks = [];
+		let todo = null;
+		lines.forEach(({ line, number }) => {
+			const separator = line.indexOf(':');
+			if (separator < 0) return;
+			const [name, ...params] = line.slice(0, separator).toUpperCase().split(';');
+			const value = line.slice(separator + 1);
+			if (name === 'BEGIN' && value.toUpperCase() === 'VTODO') {
+				todo = { tags: [] };
+			} else if (name === 'END' && value.toUpperCase() === 'VTODO' && todo) {
+				if (todo.text) tasks.push(todo);
+				todo = null;
+			} else if (todo) {
+				const date = value.match(/^(\d{4})(\d{2})(\d{2})/);
+				if (name === 'UID') todo.id = value.replace(/[^\w-]/g, '-');
+				if (name === 'SUMMARY') todo.text = TaskTransfer.unescapeICalendar(value);
+				if (name === 'DESCRIPTION') todo.notes = TaskTransfer.unescapeICalendar(value);
+				if (name === 'DUE' && date) { // DATE ou DATE-TIME: fica o dia
+					todo.dueDate = TaskTransfer.toDateKey(date[1], date[2], date[3]);
+					if (!todo.dueDate) throw new TaskImportError(`Prazo inválido: "${value}".`, number);
+				}
+				if (name === 'CREATED' && date) todo.createdAt = TaskTransfer.fromICalendarDateTime(value) || undefined; // Inválida: usa a data da importação
+				if (name === 'STATUS') todo.completed = value.toUpperCase() === 'COMPLETED';
+				if (name === 'COMPLETED') todo.completed = true;
+				if (name === 'RELATED-TO' && !params.some(param => /^RELTYPE=(CHILD|SIBLING)$/.test(param))) todo.parentId = value.replace(/[^\w-]/g, '-');
+				if (name === 'CATEGORIES') todo.tags.push(...ListaDeTarefas.parseTags(TaskTransfer.unescapeICalendar(value)));
+				if (name === 'PRIORITY' && Number(value) > 0) todo.priority = Number(value) <= 4 ? 'alta' : Number(value) === 5 ? 'media' : 'baixa';
+			}
+		});
+		return tasks;
+	},
+
+	/** @private Escapa texto de propriedade do iCalendar (\\ ; , e quebras de linha). */
+	escapeICalendar: function(text) {
+		return String(text).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+	},
+
+	/** @private */
+	unescapeICalendar: function(text) {
+		return text.replace(/\\([\\;,nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+	},
+
+	/** @private Quebra linhas com mais de 75 octetos em UTF-8, como pede a RFC 5545 (continuação começa com espaço). */
+	foldICalendarLine: function(line) {
+		const parts = [''];
+		let size = 0; // Octetos (UTF-8) da linha atual; a continuação já começa com o espaço
+		for (const char of line) { // Por code point: um emoji nunca é partido ao meio
+			const code = char.codePointAt(0);
+			const bytes = code < 0x80 ? 1 : code < 0x800 ? 2 : code < 0x10000 ? 3 : 4;
+			if (size + bytes > 75) {
+				parts.push('');
+				size = 1;
+			}
+			parts[parts.length - 1] += char;
+			size += bytes;
+		}
+		return parts.join('\r\n ');
+	},
+
+	/** @private ISO → 'AAAAMMDDTHHMMSSZ'. */
+	toICalendarDateTime: function(iso) {
+		return new Date(iso).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+	},
+
+	/** @private 'AAAAMMDD[THHMMSS[Z]]' → ISO, ou null se a data ou a hora não existirem (ex: mês 13). */
+	fromICalendarDateTime: function(value) {
+		const [, year, month, day, hour = '00', minute = '00', second = '00'] = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2}))?/);
+		if (!TaskTransfer.toDateKey(year, month, day) || hour > 23 || minute > 59 || second > 59) return null;
+		return new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}${value.endsWith('Z') ? 'Z' : ''}`).toISOString();
+	}
+};
+
+/**
+ * @namespace TaskRecurrence
+ * @description Regras de repetição das tarefas. Uma regra é um objeto simples, salvo junto com a tarefa:
+ * `{ type: 'daily' }`, `{ type: 'weekdays' }`, `{ type: 'weekly', days: [1, 3] }` (0 = domingo),
+ * `{ type: 'monthly', day: 15 }` ou `{ type: 'monthly', week: -1, weekday: 5 }` (última sexta; 1 a 4 = primeira a quarta).
+ */
+const TaskRecurrence = {
+	/** Abreviações dos dias da semana (0 = domingo, como em `Date#getDay`). */
+	WEEKDAYS: ['dom', 'seg', 'ter', 'qua', 'qui', 'sex', 'sáb'],
+
+	/** Nomes dos dias da semana, para as descrições. */
+	WEEKDAY_NAMES: ['domingo', 'segunda', 'terça', 'quarta', 'quinta', 'sexta', 'sábado'],
+
+	/** Opções do campo "Repetir". As mensais usam o prazo da tarefa como referência. */
+	KINDS: [
+		['', 'Não repete'],
+		['daily', 'Todo dia'],
+		['weekdays', 'Dias úteis (seg a sex)'],
+		['weekly', 'Toda semana'],
+		['monthly-day', 'Todo mês, no mesmo dia'],
+		['monthly-weekday', 'Todo mês, no mesmo dia da semana (ex: última sexta)']
+	],
+
+	/**
+	 * @memberof TaskRecurrence
+	 * @param {*} rule - Regra salva (de qualquer origem).
+	 * @returns {object|null} Regra válida ou null.
+	 */
+	normalize: function(rule) {
+		if (!rule || typeof rule !== 'object') return null;
+		const weekday = (value) => Number.isInteger(value) && value >= 0 && value <= 6;
+		if (rule.type === 'daily' || rule.type === 'weekdays') return { type: rule.type };
+		if (rule.type === 'weekly') {
+			const days = [...new Set((Array.isArray(rule.days) ? rule.days : []).map(Number).filter(weekday))].sort();
+			return days.length ? { type: 'weekly', days } : null;
+		}
+		if (rule.type === 'monthly' && Number.isInteger(rule.day) && rule.day >= 1 && rule.day <= 31) {
+			return { type: 'monthly', day: rule.day };
+		}
+		if (rule.type === 'monthly' && [1, 2, 3, 4, -1].includes(rule.week) && weekday(rule.weekday)) {
+			return { type: 'monthly', week: rule.week, weekday: rule.weekday };
+		}
+		return null;
+	},
+
+	/**
+	 * @memberof TaskRecurrence
+	 * @param {string} kind - Valor do campo "Repetir" (ver `KINDS`).
+	 * @param {Array<number>} days - Dias marcados (só para 'weekly').
+	 * @param {string|null} dateKey - Prazo da tarefa ('AAAA-MM-DD'); sem prazo, vale hoje.
+	 * @returns {object|null} Regra correspondente.
+	 */
+	build: function(kind, days, dateKey) {
+		const date = TaskRecurrence.toDate(dateKey || ListaDeTarefas.toDateKey());
+		const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+		switch (kind) {
+			case 'daily':
+			case 'weekdays':
+				return { type: kind };
+			case 'weekly':
+				return TaskRecurrence.normalize({ type: 'weekly', days: days.length ? days : [date.getDay()] });
+			case 'monthly-day':
+				return { type: 'monthly', day: date.getDate() };
+			case 'monthly-weekday': // Nos últimos 7 dias do mês vira "a última", que existe em todo mês
+				return { type: 'monthly', week: date.getDate() + 7 > lastDay ? -1 : Math.ceil(date.getDate() / 7), weekday: date.getDay() };
+			default:
+				return null;
+		}
+	},
+
+	/**
+	 * @memberof TaskRecurrence
+	 * @param {object|null} rule - Regra.
+	 * @returns {string} Valor do campo "Repetir" para a regra.
+	 */
+	kindOf: function(rule) {
+		if (!rule) return '';
+		if (rule.type === 'monthly') return rule.day ? 'monthly-day' : 'monthly-weekday';
+		return rule.type;
+	},
+
+	/**
+	 * @memberof TaskRecurrence
+	 * @param {object} rule - Regra.
+	 * @returns {string} Descrição curta (ex: "Toda semana: seg, qua", "Todo mês na última sexta").
+	 */
+	describe: function(rule) {
+		if (rule.type === 'daily') return 'Todo dia';
+		if (rule.type === 'weekdays') return 'Dias úteis';
+		if (rule.type === 'weekly') return `Toda semana: ${rule.days.map(day => TaskRecurrence.WEEKDAYS[day]).join(', ')}`;
+		if (rule.day) return `Todo mês no dia ${rule.day}`;
+		const masculine = rule.weekday === 0 || rule.weekday === 6; // "o primeiro domingo", "a primeira segunda"
+		const ordinals = { 1: 'primeir', 2: 'segund', 3: 'terceir', 4: 'quart', '-1': 'últim' };
+		return `Todo mês ${masculine ? 'no' : 'na'} ${ordinals[rule.week]}${masculine ? 'o' : 'a'} ${TaskRecurrence.WEEKDAY_NAMES[rule.weekday]}`;
+	},
+
+	/**
+	 * @memberof TaskRecurrence
+	 * @param {object} rule - Regra.
+	 * @param {Date} date - Dia.
+	 * @returns {boolean} Se a regra cai nesse dia. Dia 31 em mês curto cai no último dia do mês.
+	 */
+	matches: function(rule, date) {
+		const day = date.getDate();
+		const lastDay = new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+		switch (rule.type) {
+			case 'daily':
+				return true;
+			case 'weekdays':
+				return date.getDay() >= 1 && date.getDay() <= 5;
+			case 'weekly':
+				return rule.days.includes(date.getDay());
+			case 'monthly':
+				if (rule.day) return day === Math.min(rule.day, lastDay);
+				return date.getDay() === rule.weekday && (rule.week === -1 ? day + 7 > lastDay : Math.ceil(day / 7) === rule.week);
+			default:
+				return false;
+		}
+	},
+
+	/**
+	 * @memberof TaskRecurrence
+	 * @param {object} rule - Regra.
+	 * @param {string} [afterKey] - Dia da ocorrência atual ('AAAA-MM-DD'); a próxima é depois dele.
+	 * @param {string} [notBefore=hoje] - Ocorrências antes deste dia são puladas (tarefa concluída com atraso não
+	 * gera outra já atrasada).
+	 * @returns {string} Dia da próxima ocorrência ('AAAA-MM-DD').
+	 */
+	next: function(rule, afterKey, notBefore = ListaDeTarefas.toDateKey()) {
+		const after = afterKey ? TaskRecurrence.toDate(afterKey) : null;
+		const date = TaskRecurrence.toDate(notBefore);
+		if (after && after >= date) {
+			date.setTime(after.getTime());
+			date.setDate(date.getDate() + 1);
+		}
+		for (let i = 0; i < 400 && !TaskRecurrence.matches(rule, date); i++) { // Toda regra válida cai em até ~1 mês
+			date.setDate(date.getDate() + 1);
+		}
+		return ListaDeTarefas.toDateKey(date);
+	},
+
+	/** @private 'AAAA-MM-DD' → Date à meia-noite local. */
+	toDate: function(dateKey) {
+		return new Date(`${dateKey}T00:00:00`);
+	}
+};
+
+/**
+ * @namespace TaskQuickAdd
+ * @description Entende o texto digitado no "Adicione uma tarefa": "pagar boleto amanhã 18h #casa !alta" vira a tarefa
+ * "pagar boleto" com prazo, hora, tag e prioridade. Datas relativas aceitas: hoje, amanhã, depois de amanhã, dia da
+ * semana ("sexta", "na próxima segunda"), "em 3 dias", "daqui a 2 semanas", "dia 15" e "dia 15/11".
+ */
+const TaskQuickAdd = {
+	/** Dias da semana como aparecem no texto (sem acento também), na ordem de `Date#getDay`. */
+	WEEKDAYS: ['domingo', 'segunda', 'ter[çc]a', 'quarta', 'quinta', 'sexta', 's[áa]bado'],
+
+	/** Dias que também são palavras comuns ("segunda via", "terça parte"): sozinhos não viram data. */
+	AMBIGUOUS_WEEKDAYS: [1, 2],
+
+	/**
+	 * @memberof TaskQuickAdd
+	 * @param {string} input - Texto digitado.
+	 * @param {Date} [now=new Date()] - Momento de referência para as datas relativas.
+	 * @returns {{text: string, dueDate: string|null, time: string|null, tags: Array<string>, priority: string|null}}
+	 * Texto sem os trechos reconhecidos, prazo ('AAAA-MM-DD'), hora ('HH:MM'), tags e prioridade. Só a primeira
+	 * data e a primeira hora valem; o que sobrar fica no texto. Hora sem data é hoje (ou amanhã, se já passou).
+	 */
+	parse: function(input, now = new Date()) {
+		const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+		const result = { text: input, dueDate: null, time: null, tags: [], priority: null };
+		const inDays = (days) => {
+			const date = new Date(today);
+			date.setDate(date.getDate() + days);
+			return ListaDeTarefas.toDateKey(date);
+		};
+		const setDate = (dateKey) => {
+			if (result.dueDate || !dateKey) return false;
+			result.dueDate = dateKey;
+			return true;
+		};
+		const lead = '(?:(?:até|ate|para|pra|no|na)\\s+)?'; // "até sexta", "pra amanhã", "no dia 15"
+		const rules = [
+			['!(alta|m[ée]dia|baixa)', (level) => {
+				result.priority = { a: 'alta', m: 'media', b: 'baixa' }[level[0].toLowerCase()];
+				return true;
+			}],
+			['(#[^\\s#,]+(?:\\s*,\\s*#[^\\s#,]+)*),?', (tags) => { // "#casa", "#casa, #rua", "#a,#b"
+				result.tags.push(...ListaDeTarefas.parseTags(tags).filter(tag => !result.tags.includes(tag)));
+				return true;
+			}],
+			[`${lead}(hoje|amanh[ãa]|depois de amanh[ãa])`, (word) => setDate(inDays({ h: 0, a: 1, d: 2 }[word[0].toLowerCase()]))],
+			[`(?:em|daqui a)\\s+(\\d{1,3})\\s+(dias?|semanas?)`, (count, unit) => setDate(inDays(Number(count) * (/^s/i.test(unit) ? 7 : 1)))],
+			[`(${lead}(?:(?:nest[ae]|pr[óo]xim[ao])\\s+)?)(${TaskQuickAdd.WEEKDAYS.join('|')})(-feira)?`, (qualifier, name, suffix) => {
+				const weekday = TaskQuickAdd.WEEKDAYS.findIndex(pattern => new RegExp(`^${pattern}$`, 'i').test(name));
+				if (TaskQuickAdd.AMBIGUOUS_WEEKDAYS.includes(weekday) && !qualifier && !suffix) return false; // "segunda via"
+				return setDate(inDays((weekday - today.getDay() + 7) % 7 || 7)); // Sempre adiante: "sexta" na sexta é a próxima
+			}],
+			[`${lead}dia\\s+(\\d{1,2})(?:\\/(\\d{1,2})(?:\\/(\\d{4}))?)?`, (day, month, year) => setDate(TaskQuickAdd.resolveDay(today, Number(day), month && Number(month) - 1, year && Number(year)))],
+			['(?:(?:às|as)\\s+)?(\\d{1,2})(?:h(\\d{2})?|:(\\d{2}))', (hour, minutes, colonMinutes) => {
+				const time = [Number(hour), Number(minutes || colonMinutes || 0)];
+				if (result.time || time[0] > 23 || time[1] > 59) return false;
+				result.time = time.map(value => String(value).padStart(2, '0')).join(':');
+				return true;
+			}]
+		];
+		rules.forEach(([pattern, handle]) => {
+			const regex = new RegExp(`(^|\\s)${pattern}(?=[\\s,.;?]|$)`, 'gi');
+			result.text = result.text.replace(regex, (match, space, ...groups) => (handle(...groups.slice(0, -2)) ? space : match));
+		});
+		if (result.time && !result.dueDate) {
+			const [hour, minutes] = result.time.split(':').map(Number);
+			result.dueDate = inDays(hour * 60 + minutes > now.getHours() * 60 + now.getMinutes() ? 0 : 1);
+		}
+		result.text = result.text.replace(/\s+/g, ' ').trim() || input.trim(); // Só data/tag: mantém o que foi digitado
+		return result;
+	},
+
+	/**
+	 * @private
+	 * @param {Date} today - Hoje, à meia-noite.
+	 * @param {number} day - Dia do mês.
+	 * @param {number} [month] - Mês (0 a 11); sem ele, o próximo mês em que o dia ainda vem (e existe).
+	 * @param {number} [year] - Ano; sem ele, o próximo em que a data ainda vem.
+	 * @returns {string|null} 'AAAA-MM-DD' ou null se a data não existir.
+	 */
+	resolveDay: function(today, day, month, year) {
+		for (let i = 0; i < 12 * 5; i++) {
+			const monthIndex = month === undefined ? today.getMonth() + i : month + (year ? 0 : 12 * i);
+			const date = new Date(year || today.getFullYear(), monthIndex, day);
+			if (date.getDate() !== day || (month !== undefined && date.getMonth() !== month)) { // 31/02 e afins
+				if (year) return null;
+				continue;
+			}
+			if (year || date >= today) return ListaDeTarefas.toDateKey(date);
+		}
+		return null;
+	}
+};
+
+/**
+ * @class ListaDeTarefas
+ * @description Gerencia a lógica da Lista de Tarefas com renderização e organização melhoradas.
+ */
+class ListaDeTarefas {
+	constructor(contentDiv) {
+		this.contentDiv = contentDiv;
+		this.lists = this.loadLists(); // Listas/projetos: [{ id, name }] (salvas em 'taskLists')
+		this.tasks = this.loadTasks(); // Inicializa tarefas carregando do armazenamento
+		this.history = new TaskHistory(); // Desfazer/refazer (fica aqui, não no DOM, para sobreviver ao renderTasks)
+		this.scope = null; // ViewScope da tela montada (atalhos de teclado)
+		this.view = this.loadView(); // Lista aberta, filtro e ordenação escolhidos (salvos em 'tasksView')
+		this.pendingImport = null; // Arquivo lido, esperando "Mesclar" ou "Substituir"
+		this.remindersActive = false; // Ligado por startReminders
+		this.reminderTimer = null;
+		this.firedReminders = new Map(); // ID → { reminderAt, remindedAt } dos lembretes disparados (ver restore)
+	}
+
+	/**
+	 * @method mount
+	 * @param {HTMLElement} container - Elemento onde a lista será exibida.
+	 * @param {ViewScope} [scope] - Escopo da tela; os atalhos Ctrl+Z/Ctrl+Shift+Z vivem só enquanto ele existir.
+	 * @description Monta a lista de tarefas no container (usado pelo registro de ferramentas do App).
+	 */
+	mount(container, scope = null) {
+		this.contentDiv = container;
+		this.scope = scope;
+		this.renderTasks();
+		if (scope) {
+			scope.listen(document, 'keydown', (event) => this.handleKeyDown(event));
+		}
+	}
+
+	/**
+	 * @method loadTasks
+	 * @returns {Array<object>} - Array de tarefas salvas ou vazio.
+	 * @description Carrega tarefas salvas (já migradas pelo `AppStorage`) ou inicia lista vazia. Dados corrompidos
+	 * não derrubam a lista: o que não for tarefa é ignorado.
+	 */
+	loadTasks() {
+		const stored = appStorage.get('tasks', []);
+		const tasks = Array.isArray(stored) ? stored.filter(task => task && typeof task === 'object') : [];
+		if (!Array.isArray(stored)) {
+			Logger.log(Logger.levels.ERROR, 'Tarefas salvas ilegíveis, começando vazio', { stored });
+		}
+		const migrated = tasks.map((task, index) => ListaDeTarefas.normalizeTask(task, Date.now() - (tasks.length - index)));
+		const seen = new Set();
+		migrated.forEach(task => { // IDs repetidos (dados editados à mão) ganham um novo
+			if (seen.has(task.id)) task.id = ListaDeTarefas.createId(seen);
+			seen.add(task.id);
+		});
+		this.fixHierarchy(migrated);
+		if (JSON.stringify(migrated) !== JSON.stringify(stored)) {
+			appStorage.set('tasks', migrated); // Grava já corrigido
+		}
+		return migrated;
+	}
+
+	/**
+	 * @param {object} task - Tarefa salva (de qualquer versão).
+	 * @param {number} [createdAt=Date.now()] - Data de criação para tarefas antigas, que não tinham (mantém a ordem original).
+	 * @returns {object} Tarefa completa: { id, listId, parentId, text, completed, collapsed, createdAt, dueDate, priority,
+	 * tags, notes, recurrence, reminderAt, remindedAt, columnId }. `parentId` é a tarefa-mãe (null no primeiro nível); as
+	 * tarefas continuam num array só.
+	 */
+	static normalizeTask(task, createdAt = Date.now()) {
+		const recurrence = TaskRecurrence.normalize(task.recurrence);
+		const dueDate = /^\d{4}-\d{2}-\d{2}$/.test(task.dueDate) ? task.dueDate : null; // 'AAAA-MM-DD' no fuso local
+		return {
+			...task,
+			id: typeof task.id === 'string' && /^[\w-]+$/.test(task.id) ? task.id : ListaDeTarefas.createId(), // Vai para seletores e IDs do DOM
+			listId: typeof task.listId === 'string' && task.listId ? task.listId : ListaDeTarefas.DEFAULT_LIST.id,
+			parentId: typeof task.parentId === 'string' && task.parentId ? task.parentId : null,
+			text: String(task.text || ''),
+			completed: Boolean(task.completed),
+			collapsed: Boolean(task.collapsed), // Subtarefas recolhidas
+			createdAt: typeof task.createdAt === 'string' && !isNaN(Date.parse(task.createdAt)) ? task.createdAt : new Date(createdAt).toISOString(),
+			dueDate: dueDate || (recurrence ? TaskRecurrence.next(recurrence) : null), // Tarefa que repete sempre tem prazo
+			priority: Object.prototype.hasOwnProperty.call(ListaDeTarefas.PRIORITIES, task.priority) ? task.priority : 'media', // 'constructor' não é prioridade
+			tags: Array.isArray(task.tags) ? ListaDeTarefas.parseTags(task.tags.join(' ')) : [],
+			notes: typeof task.notes === 'string' ? task.notes : '',
+			recurrence, // Regra de `TaskRecurrence` ou null
+			reminderAt: /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(task.reminderAt) ? task.reminderAt : null, // 'AAAA-MM-DDTHH:MM' local
+			remindedAt: typeof task.remindedAt === 'string' ? task.remindedAt : null, // Quando o lembrete disparou
+			columnId: typeof task.columnId === 'string' ? task.columnId : null // Coluna do quadro (ver `getTaskColumn`)
+		};
+	}
+
+	/**
+	 * @param {Set<string>|Array<object>} [taken] - IDs (ou tarefas) já em uso.
+	 * @returns {string} ID novo e estável da tarefa (não muda com a ordem, o filtro nem a ordenação).
+	 */
+	static createId(taken = []) {
+		const used = taken instanceof Set ? taken : new Set(taken.map(task => task.id));
+		let id;
+		do {
+			id = `t${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+		} while (used.has(id));
+		return id;
+	}
+
+	/**
+	 * @param {string} text - Tags separadas por espaço ou vírgula, com ou sem # (ex: "#casa, trabalho").
+	 * @returns {Array<string>} Tags em minúsculas, sem repetição.
+	 */
+	static parseTags(text) {
+		const tags = String(text || '').split(/[\s,]+/).map(tag => tag.replace(/^#+/, '').toLowerCase()).filter(Boolean);
+		return [...new Set(tags)];
+	}
+
+	/**
+	 * @param {Date} [date=new Date()] - Data.
+	 * @returns {string} Data no formato 'AAAA-MM-DD' do fuso local (o mesmo do <input type="date">).
+	 */
+	static toDateKey(date = new Date()) {
+		const pad = (value) => String(value).padStart(2, '0');
+		return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+	}
+
+	/**
+	 * @param {object} task - Tarefa.
+	 * @returns {boolean} Se tem prazo vencido e ainda não foi concluída.
+	 */
+	static isOverdue(task) {
+		return Boolean(task.dueDate) && !task.completed && task.dueDate < ListaDeTarefas.toDateKey();
+	}
+
+	/**
+	 * @private
+	 * @param {Array<object>} tasks - Tarefas (alteradas no lugar).
+	 * @returns {Array<object>} As mesmas tarefas, com lista e tarefa-mãe válidas: lista que não existe vira a padrão;
+	 * mãe que não existe, está em outra lista ou criaria um ciclo vira null.
+	 */
+	fixHierarchy(tasks) {
+		const byId = new Map(tasks.map(task => [task.id, task]));
+		tasks.forEach(task => {
+			if (!this.lists.some(list => list.id === task.listId)) task.listId = this.lists[0].id;
+		});
+		tasks.forEach(task => {
+			const parent = byId.get(task.parentId);
+			if (!parent || parent.listId !== task.listId) task.parentId = null;
+		});
+		tasks.forEach(task => { // Ciclo (A mãe de B, B mãe de A): quem dá a volta e se encontra sobe para o primeiro nível
+			const seen = new Set();
+			let current = task;
+			while (current && current.parentId && !seen.has(current.id)) {
+				seen.add(current.id);
+				current = byId.get(current.parentId);
+			}
+			if (current === task && seen.size > 0) task.parentId = null;
+		});
+		return tasks;
+	}
+
+	/**
+	 * @private
+	 * @returns {Array<{id: string, name: string}>} Listas salvas (sempre pelo menos a padrão).
+	 */
+	loadLists() {
+		const lists = appStorage.get('taskLists', []);
+		const valid = Array.isArray(lists) ? lists.filter(list => list && /^[\w-]+$/.test(list.id) && typeof list.name === 'string') : [];
+		if (!Array.isArray(lists)) {
+			Logger.log(Logger.levels.ERROR, 'Listas de tarefas ilegíveis, usando a padrão', { lists });
+		}
+		return (valid.length ? valid : [ListaDeTarefas.DEFAULT_LIST]).map(list => ({ ...list, columns: ListaDeTarefas.normalizeColumns(list.columns) }));
+	}
+
+	/**
+	 * @param {*} [columns] - Colunas salvas de uma lista.
+	 * @returns {Array<{id: string, name: string, wip: number, done: boolean}>} Colunas do quadro, com exatamente uma
+	 * de concluídas (a última, se nenhuma estiver marcada). Menos de duas colunas válidas: volta para as padrão.
+	 */
+	static normalizeColumns(columns) {
+		const ids = new Set();
+		const valid = (Array.isArray(columns) ? columns : [])
+			.filter(column => column && /^[\w-]+$/.test(column.id) && !ids.has(column.id) && ids.add(column.id) && typeof column.name === 'string' && column.name.trim())
+			.map(column => ({ id: column.id, name: column.name.trim(), wip: Math.max(0, Math.floor(Number(column.wip)) || 0), done: column.done === true }));
+		if (valid.length < 2) return ListaDeTarefas.BOARD_COLUMNS.map(column => ({ ...column }));
+		const done = valid.find(column => column.done) || valid[valid.length - 1];
+		return valid.map(column => ({ ...column, done: column === done }));
+	}
+
+	/**
+	 * @private
+	 * @returns {object} Lista aberta na tela.
+	 */
+	getCurrentList() {
+		return this.lists.find(list => list.id === this.view.listId) || this.lists[0];
+	}
+
+	/**
+	 * @param {object} task - Tarefa.
+	 * @returns {object} Coluna do quadro onde a tarefa está. Concluída fica sempre na coluna de concluídas; pendente,
+	 * na que guardou em `columnId` (ou na primeira). Assim `completed` e a coluna nunca discordam.
+	 */
+	getTaskColumn(task) {
+		const { columns } = this.lists.find(list => list.id === task.listId) || this.getCurrentList();
+		if (task.completed) return columns.find(column => column.done);
+		return columns.find(column => !column.done && column.id === task.columnId) || columns.find(column => !column.done);
+	}
+
+	/**
+	 * @param {object} column - Coluna da lista aberta.
+	 * @returns {Array<object>} Tarefas de primeiro nível da lista aberta nessa coluna, sem filtro (é o que conta para o
+	 * limite WIP), na ordem do array.
+	 */
+	getColumnTasks(column) {
+		const listId = this.getCurrentList().id;
+		return this.tasks.filter(task => task.listId === listId && !task.parentId && this.getTaskColumn(task).id === column.id);
+	}
+
+	/**
+	 * @param {string} parentId - ID da tarefa.
+	 * @returns {Array<object>} Subtarefas diretas, na ordem do array.
+	 */
+	getChildren(parentId) {
+		return this.tasks.filter(task => task.parentId === parentId);
+	}
+
+	/**
+	 * @param {string} id - ID da tarefa.
+	 * @returns {Array<string>} IDs das subtarefas em todos os níveis.
+	 */
+	getDescendantIds(id) {
+		return this.getChildren(id).flatMap(child => [child.id, ...this.getDescendantIds(child.id)]);
+	}
+
+	/**
+	 * @private
+	 * @param {string|null} parentId - Tarefa-mãe de uma subtarefa que mudou (criada, marcada, removida...).
+	 * @description Sobe pela hierarquia: a mãe fica concluída quando todas as subtarefas estão, e volta a ficar
+	 * pendente se alguma for desmarcada.
+	 */
+	syncParents(parentId) {
+		const parent = this.tasks[this.findIndex(parentId)];
+		const children = this.getChildren(parentId);
+		if (!parent || children.length === 0) return; // Sem subtarefas, quem manda é a própria tarefa
+		const completed = children.every(child => child.completed);
+		if (parent.completed !== completed) {
+			parent.completed = completed;
+			this.syncParents(parent.parentId);
+		}
+	}
+
+	/**
+	 * @private
+	 * @returns {{listId: string, status: string, tag: string, sort: string, layout: string}} Lista aberta, filtro,
+	 * ordenação e modo de exibição ('list' ou 'board') salvos.
+	 */
+	loadView() {
+		const view = { listId: this.lists[0].id, status: 'all', tag: '', sort: 'manual', layout: 'list' };
+		const saved = appStorage.get('tasksView', {});
+		if (saved && typeof saved === 'object') {
+			Object.assign(view, saved);
+		} else {
+			Logger.log(Logger.levels.ERROR, 'Filtro da lista de tarefas ilegível, usando o padrão', { saved });
+		}
+		return view;
+	}
+
+	/**
+	 * @method setView
+	 * @param {object} changes - { listId?, status?, tag?, sort?, layout? } (sort: 'manual', 'creation', 'due' ou
+	 * 'priority'; layout: 'list' ou 'board').
+	 * @description Muda filtro/ordenação, salva a escolha e redesenha a lista.
+	 */
+	setView(changes) {
+		Object.assign(this.view, changes);
+		appStorage.set('tasksView', { ...this.view });
+		this.updateTaskListUI();
+	}
+
+	/**
+	 * @method getVisibleTasks
+	 * @param {string|null} [parentId=null] - Nível da árvore: null para as tarefas de primeiro nível da lista aberta,
+	 * ou o ID da tarefa-mãe.
+	 * @returns {Array<{task: object, index: number}>} Tarefas daquele nível que passam no filtro (ou têm alguma
+	 * subtarefa que passa, para não perder o contexto), na ordem escolhida, com a posição de cada uma em `this.tasks`
+	 * (usada na ordem manual e ao reordenar).
+	 */
+	getVisibleTasks(parentId = null) {
+		const { status, tag, sort } = this.view;
+		const listId = this.getCurrentList().id;
+		const filters = {
+			all: () => true,
+			active: (task) => !task.completed,
+			done: (task) => task.completed,
+			overdue: (task) => ListaDeTarefas.isOverdue(task)
+		};
+		const byCreation = (a, b) => a.task.createdAt.localeCompare(b.task.createdAt);
+		const byDue = (a, b) => (a.task.dueDate || '9999-99-99').localeCompare(b.task.dueDate || '9999-99-99'); // Sem prazo vai para o fim
+		const byPriority = (a, b) => ListaDeTarefas.PRIORITIES[b.task.priority].weight - ListaDeTarefas.PRIORITIES[a.task.priority].weight;
+		const sorters = {
+			manual: (a, b) => a.index - b.index, // Ordem do array, definida arrastando ou com Alt+↑/↓
+			creation: byCreation,
+			due: (a, b) => byDue(a, b) || byPriority(a, b) || byCreation(a, b),
+			priority: (a, b) => byPriority(a, b) || byDue(a, b) || byCreation(a, b)
+		};
+		const matches = (task) => (filters[status] || filters.all)(task) && (!tag || task.tags.includes(tag));
+		const visible = (task) => matches(task) || this.getChildren(task.id).some(visible);
+		return this.tasks
+			.map((task, index) => ({ task, index }))
+			.filter(({ task }) => task.listId === listId && task.parentId === parentId && visible(task))
+			.sort(sorters[sort] || sorters.manual);
+	}
+
+	/**
+	 * @private
+	 * @returns {string} Dica de edição/reordenação para a ordenação atual.
+	 */
+	getHint() {
+		if (this.view.layout === 'board') {
+			return 'Arraste os cartões entre as colunas ou use Alt+←/→ com o cartão em foco (Alt+↑/↓ muda a ordem na coluna).';
+		}
+		return `Clique duas vezes (ou Enter) para editar. ${this.view.sort === 'manual' ? 'Arraste ou use Alt+↑/↓ para reordenar.' : 'Para reordenar, escolha "Ordem manual".'}`;
+	}
+
+	/**
+	 * @param {string} id - ID da tarefa.
+	 * @returns {number} Posição da tarefa em `this.tasks` (-1 se não existir).
+	 */
+	findIndex(id) {
+		return this.tasks.findIndex(task => task.id === id);
+	}
+
+	/**
+	 * @method saveTasks
+	 * @description Salva tarefas e listas. Vai uma cópia: o array continua sendo alterado no lugar (desfazer, arrastar).
+	 */
+	saveTasks() {
+		appStorage.set('tasks', utils.clone(this.tasks)); // Salva array de tarefas no storage
+		appStorage.set('taskLists', utils.clone(this.lists));
+		this.scheduleReminders(); // Lembrete novo, alterado ou tarefa concluída
+	}
+
+	/**
+	 * @method renderTasks
+	 * @description Renderiza a lista de tarefas na tela.
+	 */
+	renderTasks() {
+		this.contentDiv.innerHTML = `
+                <div class="todo-container fade-in">
+                    <h2>Lista de Tarefas</h2>
+                    <div class="todo-layout">
+                        <nav class="todo-sidebar" aria-label="Listas de tarefas">
+                            <ul class="todo-lists" id="todoLists">${this.renderListsNav()}</ul>
+                            <form class="todo-new-list" id="newListForm">
+                                <input type="text" id="newListName" placeholder="Nova lista ou projeto" aria-label="Nome da nova lista">
+                                <button type="submit">Criar</button>
+                            </form>
+                        </nav>
+                        <div class="todo-main">
+                            <div class="todo-list-header">
+                                <h3 id="todoListTitle">${utils.sanitizeInput(this.getCurrentList().name)}</h3>
+                                <button id="renameListBtn">Renomear</button>
+                                <button id="deleteListBtn" ${this.lists.length < 2 ? 'disabled' : ''}>Excluir lista</button>
+                                <div class="todo-view-switch" id="todoViewSwitch" role="group" aria-label="Modo de exibição">
+                                    ${[['list', 'Lista'], ['board', 'Quadro']].map(([value, label]) => `<button data-layout="${value}" aria-pressed="${this.view.layout === value}">${label}</button>`).join('')}
+                                </div>
+                            </div>
+                            <div class="todo-header">
+                                <input type="text" id="taskInput" placeholder="Adicione uma tarefa (ex: pagar boleto amanhã 18h #casa !alta)" aria-label="Nova tarefa" aria-describedby="taskQuickAddPreview">
+                                <button id="addTaskBtn">Adicionar</button>
+                            </div>
+                            <div id="taskQuickAddPreview" class="todo-quickadd-preview" aria-live="polite" hidden></div>
+                            <details class="todo-new-details">
+                                <summary>Prazo, prioridade, tags e notas</summary>
+                                ${this.renderDetailsFields('new')}
+                            </details>
+                            <div class="todo-filters" role="group" aria-label="Filtrar e ordenar tarefas">
+                                <label for="taskFilterStatus">Mostrar</label>
+                                <select id="taskFilterStatus">
+                                    ${[['all', 'Todas'], ['active', 'Pendentes'], ['done', 'Concluídas'], ['overdue', 'Atrasadas']].map(([value, label]) => `<option value="${value}" ${this.view.status === value ? 'selected' : ''}>${label}</option>`).join('')}
+                                </select>
+                                <label for="taskFilterTag">Tag</label>
+                                <select id="taskFilterTag">${this.renderTagOptions()}</select>
+                                <label for="taskSort">Ordenar por</label>
+                                <select id="taskSort">
+                                    ${[['manual', 'Ordem manual'], ['creation', 'Criação'], ['due', 'Prazo'], ['priority', 'Prioridade']].map(([value, label]) => `<option value="${value}" ${this.view.sort === value ? 'selected' : ''}>${label}</option>`).join('')}
+                                </select>
+                            </div>
+                            <div class="todo-history" role="group" aria-label="Desfazer e refazer">
+                                <button id="undoTaskBtn" title="Desfazer (Ctrl+Z)">↶ Desfazer</button>
+                                <button id="redoTaskBtn" title="Refazer (Ctrl+Shift+Z)">↷ Refazer</button>
+                            </div>
+                            <p class="todo-hint" id="todoHint">${this.getHint()}</p>
+                            <ul class="todo-list" aria-describedby="todoHint" ${this.view.layout === 'board' ? 'hidden' : ''}>
+                                ${this.renderTaskListItems()}
+                            </ul>
+                            <section class="todo-board-wrapper" id="todoBoardWrapper" aria-label="Quadro" ${this.view.layout === 'board' ? '' : 'hidden'}>
+                                <details class="todo-board-settings">
+                                    <summary>Colunas do quadro</summary>
+                                    <div id="todoColumnSettings">${this.renderColumnSettings()}</div>
+                                    <form class="todo-new-column" id="newColumnForm">
+                                        <input type="text" id="newColumnName" placeholder="Nova coluna" aria-label="Nome da nova coluna">
+                                        <button type="submit">Adicionar coluna</button>
+                                    </form>
+                                </details>
+                                <div class="todo-board" id="todoBoard" aria-describedby="todoHint">${this.renderBoard()}</div>
+                            </section>
+                            <p class="todo-empty" id="todoEmpty" ${this.getVisibleTasks().length > 0 ? 'hidden' : ''}>Nenhuma tarefa por aqui.</p>
+                            <div class="todo-transfer" role="group" aria-label="Importar e exportar tarefas">
+                                <label for="taskExportFormat">Formato</label>
+                                <select id="taskExportFormat">
+                                    ${Object.entries(TaskTransfer.FORMATS).map(([value, { label }]) => `<option value="${value}">${label}</option>`).join('')}
+                                </select>
+                                <button id="exportTasksBtn">Exportar</button>
+                                <button id="importTasksBtn">Importar…</button>
+                                <input type="file" id="taskImportFile" accept=".json,.csv,.md,.markdown,.txt,.ics" hidden>
+                            </div>
+                            <section class="todo-import-preview" id="todoImportPreview" aria-label="Prévia da importação" hidden></section>
+                        </div>
+                    </div>
+                    <button onclick="app.voltarAoMenu()">Voltar ao Menu</button>
+                </div>
+            `;
+		this.setupEventListeners(); // Configura eventos dos botões
+		this.updateHistoryButtons();
+	}
+
+	/**
+	 * @method renderTaskListItems
+	 * @private
+	 * @param {string|null} [parentId=null] - Nível da árvore (null para o primeiro).
+	 * @returns {string} - HTML para itens da lista de tarefas.
+	 * @description Cria HTML para cada tarefa na lista, com as subtarefas numa lista aninhada.
+	 */
+	renderTaskListItems(parentId = null) {
+		const manual = this.view.sort === 'manual';
+		return this.getVisibleTasks(parentId).map(({ task }) => {
+			const id = task.id;
+			const priority = ListaDeTarefas.PRIORITIES[task.priority];
+			const overdue = ListaDeTarefas.isOverdue(task);
+			const due = task.dueDate ? new Date(`${task.dueDate}T00:00:00`).toLocaleDateString('pt-BR') : '';
+			const children = this.getChildren(id);
+			const subtasks = children.length ? this.renderTaskListItems(id) : '';
+			const focusTime = app.pomodoro ? app.pomodoro.getTaskTime(id) : 0;
+			return `
+                <li class="todo-item priority-${task.priority}${overdue ? ' overdue' : ''}" data-id="${id}" tabindex="0" aria-labelledby="task-label-${id}" ${manual ? 'draggable="true"' : ''}>
+                    ${manual ? '<span class="todo-drag-handle" aria-hidden="true">⠿</span>' : ''}
+                    ${children.length ? `<button class="todo-collapse" data-id="${id}" aria-expanded="${!task.collapsed}" aria-label="${task.collapsed ? 'Expandir' : 'Recolher'} subtarefas de ${utils.sanitizeInput(task.text)}">${task.collapsed ? '▸' : '▾'}</button>` : ''}
+                    <input type="checkbox" class="todo-check" id="task-${id}" ${task.completed ? 'checked' : ''} aria-labelledby="task-label-${id}">
+                    <div class="todo-body">
+                        <span id="task-label-${id}" class="todo-text ${task.completed ? 'completed' : ''}" title="Clique duas vezes para editar">${utils.sanitizeInput(task.text)}</span>
+                        <div class="todo-meta">
+                            ${children.length ? `<span class="todo-progress" title="Subtarefas concluídas">${children.filter(child => child.completed).length}/${children.length}</span>` : ''}
+                            <span class="todo-priority" title="Prioridade">${priority.label}</span>
+                            ${due ? `<span class="todo-due" title="Prazo">${overdue ? 'Atrasada · ' : ''}${due}</span>` : ''}
+                            ${task.recurrence ? `<span class="todo-recurrence" title="Repetição">🔁 ${TaskRecurrence.describe(task.recurrence)}</span>` : ''}
+                            ${focusTime >= 60000 ? `<span class="todo-time" title="Tempo de foco (Pomodoro)">⏱ ${Pomodoro.formatDuration(focusTime)}</span>` : ''}
+                            ${task.reminderAt ? `<span class="todo-reminder${task.remindedAt ? ' fired' : ''}" title="Lembrete">🔔 ${new Date(task.reminderAt).toLocaleString('pt-BR', { dateStyle: 'short', timeStyle: 'short' })}</span>` : ''}
+                            ${task.tags.map(tag => `<button class="todo-tag" data-tag="${utils.sanitizeInput(tag)}" aria-label="Filtrar pela tag ${utils.sanitizeInput(tag)}">#${utils.sanitizeInput(tag)}</button>`).join('')}
+                        </div>
+                        ${task.notes ? `<p class="todo-notes">${utils.sanitizeInput(task.notes)}</p>` : ''}
+                        <details class="todo-edit-details">
+                            <summary>Detalhes</summary>
+                            <form class="todo-details-form" data-id="${id}">
+                                ${this.renderDetailsFields(`task-${id}`, task)}
+                                ${this.lists.length > 1 ? `
+                                <label>Mover para a lista
+                                    <select name="listId">${this.lists.map(list => `<option value="${list.id}" ${list.id === task.listId ? 'selected' : ''}>${utils.sanitizeInput(list.name)}</option>`).join('')}</select>
+                                </label>` : ''}
+                                <button type="submit">Salvar</button>
+                            </form>
+                        </details>
+                        <form class="todo-subtask-form" data-parent-id="${id}" hidden>
+                            <input type="text" name="text" placeholder="Nova subtarefa" aria-label="Nova subtarefa de ${utils.sanitizeInput(task.text)}">
+                            <button type="submit">Adicionar</button>
+                        </form>
+                    </div>
+                    <button class="add-subtask-btn" data-id="${id}" aria-label="Adicionar subtarefa a ${utils.sanitizeInput(task.text)}">+ Subtarefa</button>
+                    <button class="delete-btn" data-id="${id}" aria-label="Excluir tarefa ${utils.sanitizeInput(task.text)}">Excluir</button>
+                    ${subtasks ? `<ul class="todo-subtasks" ${task.collapsed ? 'hidden' : ''}>${subtasks}</ul>` : ''}
+                </li>`;
+		}).join(''); // Transforma array de HTML em string
+	}
+
+	/**
+	 * @private
+	 * @returns {string} Colunas do quadro com os cartões das tarefas de primeiro nível da lista aberta (com o mesmo
+	 * filtro e ordenação da lista). O contador mostra o limite WIP, quando há, e fica destacado se passar dele.
+	 */
+	renderBoard() {
+		const visible = this.getVisibleTasks().map(({ task }) => task);
+		return this.getCurrentList().columns.map(column => {
+			const count = this.getColumnTasks(column).length;
+			const cards = visible.filter(task => this.getTaskColumn(task).id === column.id).map(task => {
+				const children = this.getChildren(task.id);
+				const overdue = ListaDeTarefas.isOverdue(task);
+				return `
+                    <li class="todo-card priority-${task.priority}${overdue ? ' overdue' : ''}" data-id="${task.id}" tabindex="0" draggable="true" aria-labelledby="card-label-${task.id}">
+                        <span id="card-label-${task.id}" class="todo-text ${task.completed ? 'completed' : ''}">${utils.sanitizeInput(task.text)}</span>
+                        <div class="todo-meta">
+                            ${children.length ? `<span class="todo-progress" title="Subtarefas concluídas">${children.filter(child => child.completed).length}/${children.length}</span>` : ''}
+                            <span class="todo-priority" title="Prioridade">${ListaDeTarefas.PRIORITIES[task.priority].label}</span>
+                            ${task.dueDate ? `<span class="todo-due" title="Prazo">${overdue ? 'Atrasada · ' : ''}${TaskRecurrence.toDate(task.dueDate).toLocaleDateString('pt-BR')}</span>` : ''}
+                            ${task.tags.map(tag => `<span class="todo-tag">#${utils.sanitizeInput(tag)}</span>`).join('')}
+                        </div>
+                    </li>`;
+			}).join('');
+			return `
+                <section class="todo-column${column.done ? ' done' : ''}${column.wip && count > column.wip ? ' over-limit' : ''}" data-column-id="${column.id}" aria-labelledby="column-title-${column.id}">
+                    <header class="todo-column-header">
+                        <h4 id="column-title-${column.id}">${utils.sanitizeInput(column.name)}</h4>
+                        <span class="todo-column-count" title="${column.wip ? 'Tarefas / limite WIP' : 'Tarefas'}">${count}${column.wip ? `/${column.wip}` : ''}</span>
+                    </header>
+                    <ul class="todo-cards" aria-labelledby="column-title-${column.id}">${cards}</ul>
+                </section>`;
+		}).join('');
+	}
+
+	/**
+	 * @private
+	 * @returns {string} Formulários das colunas da lista aberta: nome, limite WIP, ordem e exclusão, e a escolha da
+	 * coluna de concluídas.
+	 */
+	renderColumnSettings() {
+		const { columns } = this.getCurrentList();
+		return `
+                                        <label>Coluna das concluídas
+                                            <select id="doneColumnSelect">
+                                                ${columns.map(column => `<option value="${column.id}" ${column.done ? 'selected' : ''}>${utils.sanitizeInput(column.name)}</option>`).join('')}
+                                            </select>
+                                        </label>
+                                        <ol class="todo-column-settings">
+                                            ${columns.map((column, index) => `
+                                            <li>
+                                                <form class="todo-column-form" data-column-id="${column.id}">
+                                                    <input type="text" name="name" id="column-name-${column.id}" value="${utils.sanitizeInput(column.name)}" aria-label="Nome da coluna ${utils.sanitizeInput(column.name)}">
+                                                    <label>Limite WIP <input type="number" name="wip" min="0" step="1" value="${column.wip}" title="0 = sem limite"></label>
+                                                    <button type="submit">Salvar</button>
+                                                    <button type="button" class="todo-column-move" data-dir="-1" ${index === 0 ? 'disabled' : ''} aria-label="Mover a coluna ${utils.sanitizeInput(column.name)} para a esquerda">←</button>
+                                                    <button type="button" class="todo-column-move" data-dir="1" ${index === columns.length - 1 ? 'disabled' : ''} aria-label="Mover a coluna ${utils.sanitizeInput(column.name)} para a direita">→</button>
+                                                    <button type="button" class="todo-column-delete" ${column.done || columns.length <= 2 ? 'disabled' : ''} aria-label="Excluir a coluna ${utils.sanitizeInput(column.name)}">Excluir</button>
+                                                </form>
+                                            </li>`).join('')}
+                                        </ol>`;
+	}
+
+	/**
+	 * @private
+	 * @param {string} prefix - Prefixo dos IDs ('new' no formulário de nova tarefa, 'task-<id>' nas existentes).
+	 * @param {object} [task] - Tarefa com os valores atuais.
+	 * @returns {string} Campos de prazo, prioridade, tags e notas.
+	 */
+	renderDetailsFields(prefix, task = ListaDeTarefas.normalizeTask({})) {
+		return `
+                        <div class="todo-details-fields">
+                            <label>Prazo <input type="date" name="dueDate" id="${prefix}-due" value="${task.dueDate || ''}"></label>
+                            <label>Prioridade
+                                <select name="priority" id="${prefix}-priority">
+                                    ${Object.entries(ListaDeTarefas.PRIORITIES).map(([value, { label }]) => `<option value="${value}" ${task.priority === value ? 'selected' : ''}>${label}</option>`).join('')}
+                                </select>
+                            </label>
+                            <label>Tags <input type="text" name="tags" id="${prefix}-tags" placeholder="#casa, trabalho" value="${utils.sanitizeInput(task.tags.map(tag => `#${tag}`).join(' '))}"></label>
+                            <label>Repetir
+                                <select name="recurrenceKind" id="${prefix}-recurrence">
+                                    ${TaskRecurrence.KINDS.map(([value, label]) => `<option value="${value}" ${TaskRecurrence.kindOf(task.recurrence) === value ? 'selected' : ''}>${label}</option>`).join('')}
+                                </select>
+                            </label>
+                            <label>Lembrete <input type="datetime-local" name="reminderAt" id="${prefix}-reminder" value="${task.reminderAt || ''}"></label>
+                            <fieldset class="todo-recurrence-days" ${TaskRecurrence.kindOf(task.recurrence) === 'weekly' ? '' : 'hidden'}>
+                                <legend>Dias da semana</legend>
+                                ${TaskRecurrence.WEEKDAYS.map((day, index) => `<label><input type="checkbox" name="recurrenceDays" value="${index}" ${task.recurrence && task.recurrence.days && task.recurrence.days.includes(index) ? 'checked' : ''}> ${day}</label>`).join('')}
+                            </fieldset>
+                            <label class="todo-notes-field">Notas <textarea name="notes" id="${prefix}-notes" rows="2">${utils.sanitizeInput(task.notes)}</textarea></label>
+                        </div>`;
+	}
+
+	/**
+	 * @private
+	 * @returns {string} Opções do filtro de tags (todas as tags em uso).
+	 */
+	renderTagOptions() {
+		const listId = this.getCurrentList().id;
+		const tags = [...new Set(this.tasks.filter(task => task.listId === listId).flatMap(task => task.tags))].sort();
+		if (this.view.tag && !tags.includes(this.view.tag)) {
+			tags.unshift(this.view.tag); // Mantém a tag escolhida mesmo sem tarefas (lista vazia em vez de sumir o filtro)
+		}
+		return `<option value="">Todas</option>${tags.map(tag => `<option value="${utils.sanitizeInput(tag)}" ${this.view.tag === tag ? 'selected' : ''}>#${utils.sanitizeInput(tag)}</option>`).join('')}`;
+	}
+
+	/**
+	 * @private
+	 * @returns {string} Itens da barra lateral: uma entrada por lista, com quantas tarefas faltam.
+	 */
+	renderListsNav() {
+		const current = this.getCurrentList();
+		return this.lists.map(list => {
+			const pending = this.tasks.filter(task => task.listId === list.id && !task.completed).length;
+			return `
+                        <li>
+                            <button class="todo-list-link${list.id === current.id ? ' active' : ''}" data-list-id="${list.id}" ${list.id === current.id ? 'aria-current="true"' : ''}>
+                                <span>${utils.sanitizeInput(list.name)}</span>
+                                <span class="todo-list-count" title="Pendentes">${pending}</span>
+                            </button>
+                        </li>`;
+		}).join('');
+	}
+
+	/**
+	 * @private
+	 * @param {HTMLElement} container - Elemento com os campos de `renderDetailsFields`.
+	 * @returns {{dueDate: string|null, priority: string, tags: Array<string>, notes: string, recurrence: object|null,
+	 * reminderAt: string|null}} Valores digitados.
+	 */
+	readDetailsFields(container) {
+		const field = (name) => container.querySelector(`[name="${name}"]`);
+		const days = [...container.querySelectorAll('[name="recurrenceDays"]:checked')].map(input => Number(input.value));
+		return {
+			dueDate: field('dueDate').value || null,
+			priority: field('priority').value,
+			tags: ListaDeTarefas.parseTags(field('tags').value),
+			notes: field('notes').value.trim(),
+			recurrence: TaskRecurrence.build(field('recurrenceKind').value, days, field('dueDate').value || null),
+			reminderAt: field('reminderAt').value || null,
+			...(field('listId') ? { listId: field('listId').value } : {})
+		};
+	}
+
+
+	/**
+	 * @method setupEventListeners
+	 * @private
+	 * @description Configura eventos para botões e checkboxes.
+	 */
+	setupEventListeners() {
+		document.getElementById('addTaskBtn').addEventListener('click', () => this.addTask()); // Evento botão Adicionar
+		const taskInput = document.getElementById('taskInput');
+		taskInput.addEventListener('input', () => this.updateQuickAddPreview());
+		taskInput.addEventListener('keydown', (event) => {
+			if (event.key === 'Enter') this.addTask();
+		});
+		document.getElementById('undoTaskBtn').addEventListener('click', () => this.undo());
+		document.getElementById('redoTaskBtn').addEventListener('click', () => this.redo());
+
+		document.getElementById('taskFilterStatus').addEventListener('change', (event) => this.setView({ status: event.target.value }));
+		document.getElementById('taskFilterTag').addEventListener('change', (event) => this.setView({ tag: event.target.value }));
+		document.getElementById('taskSort').addEventListener('change', (event) => this.setView({ sort: event.target.value }));
+
+		this.contentDiv.querySelector('.todo-container').addEventListener('change', (event) => { // "Toda semana" mostra os dias
+			if (event.target.name === 'recurrenceKind') {
+				event.target.closest('.todo-details-fields').querySelector('.todo-recurrence-days').hidden = event.target.value !== 'weekly';
+			}
+		});
+
+		document.getElementById('todoLists').addEventListener('click', (event) => {
+			const link = event.target.closest('.todo-list-link');
+			if (link) this.setView({ listId: link.dataset.listId });
+		});
+		document.getElementById('newListForm').addEventListener('submit', (event) => {
+			event.preventDefault();
+			const input = document.getElementById('newListName');
+			if (this.createList(input.value)) input.value = '';
+		});
+		document.getElementById('todoViewSwitch').addEventListener('click', (event) => {
+			const button = event.target.closest('[data-layout]');
+			if (button) this.setView({ layout: button.dataset.layout });
+		});
+		this.setupBoard();
+		document.getElementById('renameListBtn').addEventListener('click', () => this.startRenamingList());
+		document.getElementById('deleteListBtn').addEventListener('click', () => this.deleteList(this.getCurrentList().id));
+
+		const taskList = document.querySelector('.todo-list');
+		taskList.addEventListener('change', (event) => { // Evento change nos checkboxes (delegação)
+			if (event.target.classList.contains('todo-check')) {
+				this.toggleTask(event.target.closest('.todo-item').dataset.id); // Alterna tarefa
+			}
+		});
+
+		taskList.addEventListener('click', (event) => { // Evento click nos botões delete (delegação)
+			if (event.target.classList.contains('delete-btn')) {
+				this.deleteTask(event.target.dataset.id); // Deleta tarefa
+			} else if (event.target.classList.contains('todo-collapse')) {
+				this.toggleCollapsed(event.target.dataset.id);
+			} else if (event.target.classList.contains('add-subtask-btn')) {
+				const form = event.target.closest('.todo-item').querySelector(':scope > .todo-body > .todo-subtask-form');
+				form.hidden = !form.hidden;
+				if (!form.hidden) form.querySelector('input').focus();
+			} else if (event.target.classList.contains('todo-tag')) {
+				this.setView({ tag: event.target.dataset.tag }); // Clicar numa tag filtra por ela
+			}
+		});
+
+		taskList.addEventListener('submit', (event) => { // Formulários "Detalhes" e "Nova subtarefa" de cada tarefa
+			event.preventDefault();
+			const form = event.target;
+			if (form.classList.contains('todo-details-form')) {
+				this.updateTaskDetails(form.dataset.id, this.readDetailsFields(form));
+			} else if (form.classList.contains('todo-subtask-form')) {
+				this.addSubtask(form.dataset.parentId, form.querySelector('input').value);
+			}
+		});
+
+		taskList.addEventListener('dblclick', (event) => { // Duplo clique no texto edita
+			if (event.target.classList.contains('todo-text')) {
+				this.startEditing(event.target.closest('.todo-item').dataset.id);
+			}
+		});
+
+		taskList.addEventListener('keydown', (event) => this.handleItemKeyDown(event));
+		this.setupDragAndDrop(taskList, document.getElementById('todoLists'));
+
+		const importFile = document.getElementById('taskImportFile');
+		document.getElementById('exportTasksBtn').addEventListener('click', () => this.exportTasks(document.getElementById('taskExportFormat').value));
+		document.getElementById('importTasksBtn').addEventListener('click', () => importFile.click());
+		importFile.addEventListener('change', () => {
+			if (importFile.files[0]) this.importFile(importFile.files[0]);
+			importFile.value = ''; // Permite escolher o mesmo arquivo de novo
+		});
+		document.getElementById('todoImportPreview').addEventListener('click', (event) => {
+			const action = event.target.dataset.importAction;
+			if (action === 'cancel') this.cancelImport();
+			else if (action) this.applyImport(action);
+		});
+		this.renderImportPreview(); // Prévia pendente continua visível ao voltar para a lista
+	}
+
+	/**
+	 * @method exportTasks
+	 * @param {string} format - 'json', 'csv', 'markdown' ou 'ics'.
+	 * @description Baixa as tarefas da lista aberta no formato pedido. No iCalendar vão só as que têm prazo.
+	 */
+	exportTasks(format) {
+		const list = this.getCurrentList();
+		const listTasks = this.tasks.filter(task => task.listId === list.id);
+		const tasks = format === 'ics' ? listTasks.filter(task => task.dueDate) : listTasks;
+		if (tasks.length === 0) {
+			app.notifications.show(format === 'ics' ? 'Nenhuma tarefa com prazo para exportar em iCalendar.' : 'Não há tarefas para exportar.', 'warning');
+			return;
+		}
+		const { extension, mimeType } = TaskTransfer.FORMATS[format];
+		const slug = list.name.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tarefas';
+		utils.downloadFile(`${slug}-${ListaDeTarefas.toDateKey()}.${extension}`, TaskTransfer.serialize(tasks, format), mimeType);
+		const skipped = listTasks.length - tasks.length;
+		if (skipped > 0) {
+			app.notifications.show(`${skipped} tarefa(s) sem prazo ficaram fora do arquivo iCalendar.`, 'info');
+		}
+	}
+
+	/**
+	 * @method importFile
+	 * @param {File} file - Arquivo escolhido pelo usuário.
+	 * @returns {Promise<void>}
+	 * @description Lê o arquivo e mostra a prévia da importação.
+	 */
+	importFile(file) {
+		return file.text()
+			.then(text => this.previewImport(file.name, text))
+			.catch(error => {
+				Logger.log(Logger.levels.ERROR, 'Erro ao ler arquivo de tarefas', { error: error.message });
+				app.notifications.show(`Não foi possível ler "${file.name}".`, 'error');
+			});
+	}
+
+	/**
+	 * @method previewImport
+	 * @param {string} filename - Nome do arquivo (define o formato pela extensão).
+	 * @param {string} text - Conteúdo.
+	 * @param {string} [format] - Força um formato em vez de detectar.
+	 * @returns {boolean} Se o arquivo foi lido.
+	 * @description Lê as tarefas para a lista aberta e marca as duplicadas: mesmo ID ou mesmo texto e prazo de uma
+	 * tarefa da lista (ou de uma anterior do próprio arquivo). Nada muda até escolher "Mesclar" ou "Substituir".
+	 */
+	previewImport(filename, text, format = TaskTransfer.detectFormat(filename, text)) {
+		let parsed;
+		try {
+			parsed = TaskTransfer.parse(text, format);
+		} catch (error) {
+			if (!(error instanceof TaskImportError)) throw error;
+			app.notifications.show(`Importação de "${filename}": ${error.message}`, 'error');
+			return false;
+		}
+
+		const listId = this.getCurrentList().id;
+		const current = this.tasks.filter(task => task.listId === listId);
+		const key = (task) => `${task.text.trim().toLowerCase()}|${task.dueDate || ''}`;
+		const listIds = new Set(current.map(task => task.id));
+		const listKeys = new Set(current.map(key));
+		const usedIds = new Set(this.tasks.map(task => task.id));
+		const renamed = new Map(); // ID que já existe em outra lista → ID novo
+		const fileIds = new Set();
+		const fileKeys = new Set();
+		const now = Date.now();
+		const items = parsed.map((raw, index) => {
+			const task = ListaDeTarefas.normalizeTask({ ...raw, listId }, now + index); // Sem data de criação: mantém a ordem do arquivo
+			if (usedIds.has(task.id) && !listIds.has(task.id) && !fileIds.has(task.id)) {
+				renamed.set(task.id, ListaDeTarefas.createId(usedIds)); // Cópia de outra lista: vira outra tarefa
+				usedIds.add(renamed.get(task.id));
+			}
+			let duplicate = null;
+			if (fileIds.has(task.id) || fileKeys.has(key(task))) duplicate = 'arquivo';
+			else if (listIds.has(task.id) || listKeys.has(key(task))) duplicate = 'lista';
+			fileIds.add(task.id);
+			fileKeys.add(key(task));
+			return { task, duplicate };
+		});
+		items.forEach(({ task }) => {
+			task.id = renamed.get(task.id) || task.id;
+			task.parentId = renamed.get(task.parentId) || task.parentId;
+		});
+		this.pendingImport = { filename, format, listId, items };
+		this.renderImportPreview();
+		return true;
+	}
+
+	/**
+	 * @private
+	 * @description Mostra (ou esconde) a prévia da importação pendente.
+	 */
+	renderImportPreview() {
+		const preview = document.getElementById('todoImportPreview');
+		if (!preview) return;
+		if (!this.pendingImport) {
+			preview.hidden = true;
+			preview.innerHTML = '';
+			return;
+		}
+		const { filename, format, listId, items } = this.pendingImport;
+		const list = this.lists.find(item => item.id === listId) || this.getCurrentList();
+		const fresh = items.filter(item => !item.duplicate).length;
+		const unique = items.filter(item => item.duplicate !== 'arquivo').length;
+		const shown = items.slice(0, ListaDeTarefas.IMPORT_PREVIEW_LIMIT);
+		const duplicateLabels = { lista: 'já está na lista', arquivo: 'repetida no arquivo' };
+		preview.hidden = false;
+		preview.innerHTML = `
+                    <h3>Importar "${utils.sanitizeInput(filename)}" (${TaskTransfer.FORMATS[format].label}) para "${utils.sanitizeInput(list.name)}"</h3>
+                    <p>${items.length} tarefa(s) no arquivo, ${items.length - fresh} duplicada(s).</p>
+                    <ul class="todo-import-list">
+                        ${shown.map(({ task, duplicate }) => `
+                        <li class="${duplicate ? 'duplicate' : ''}">
+                            <span aria-hidden="true">${task.completed ? '☑' : '☐'}</span>
+                            <span>${utils.sanitizeInput(task.text)}</span>
+                            ${task.dueDate ? `<span class="todo-due">${new Date(`${task.dueDate}T00:00:00`).toLocaleDateString('pt-BR')}</span>` : ''}
+                            ${task.tags.map(tag => `<span class="todo-tag">#${utils.sanitizeInput(tag)}</span>`).join('')}
+                            ${duplicate ? `<span class="todo-duplicate">${duplicateLabels[duplicate]}</span>` : ''}
+                        </li>`).join('')}
+                    </ul>
+                    ${items.length > shown.length ? `<p>… e mais ${items.length - shown.length}.</p>` : ''}
+                    <div class="todo-import-actions">
+                        <button data-import-action="merge" ${fresh === 0 ? 'disabled' : ''}>Mesclar (adicionar ${fresh} nova(s))</button>
+                        <button data-import-action="replace">Substituir a lista (${unique} tarefa(s))</button>
+                        <button data-import-action="cancel">Cancelar</button>
+                    </div>`;
+	}
+
+	/**
+	 * @method applyImport
+	 * @param {string} mode - 'merge' adiciona só as novas; 'replace' troca as tarefas da lista pelas do arquivo
+	 * (as outras listas não mudam).
+	 * @returns {number} Quantas tarefas entraram.
+	 * @description Conclui a importação pendente (pode ser desfeita).
+	 */
+	applyImport(mode) {
+		if (!this.pendingImport) return 0;
+		const { filename, listId, items } = this.pendingImport;
+		const incoming = items
+			.filter(({ duplicate }) => (mode === 'merge' ? !duplicate : duplicate !== 'arquivo'))
+			.map(({ task }) => task);
+		const entry = this.applyChange(`importar "${filename}"`, () => {
+			const kept = mode === 'merge' ? this.tasks : this.tasks.filter(task => task.listId !== listId);
+			this.tasks = this.fixHierarchy([...kept, ...incoming]); // Subtarefa cuja mãe ficou de fora sobe de nível
+		});
+		this.pendingImport = null;
+		this.renderImportPreview();
+		this.updateTaskListUI();
+		app.notifications.show(`${incoming.length} tarefa(s) importada(s)${mode === 'replace' ? ', substituindo a lista' : ''}.`, 'success', {
+			actions: [{ label: 'Desfazer', handler: () => this.undoEntry(entry.id) }]
+		});
+		return incoming.length;
+	}
+
+	/**
+	 * @method cancelImport
+	 * @description Descarta a importação pendente.
+	 */
+	cancelImport() {
+		this.pendingImport = null;
+		this.renderImportPreview();
+	}
+
+	/**
+	 * @private
+	 * @param {KeyboardEvent} event - Tecla com o foco num item da lista.
+	 * @description Enter edita o texto; Alt+↑/↓ move a tarefa (só na ordem manual).
+	 */
+	handleItemKeyDown(event) {
+		const item = event.target.closest('.todo-item');
+		if (!item || event.target.classList.contains('todo-edit-input')) return; // A edição trata as próprias teclas
+		if (event.key === 'Enter' && event.target === item) {
+			event.preventDefault();
+			this.startEditing(item.dataset.id);
+		} else if (event.altKey && (event.key === 'ArrowUp' || event.key === 'ArrowDown')) {
+			event.preventDefault();
+			this.moveTaskBy(item.dataset.id, event.key === 'ArrowUp' ? -1 : 1);
+		}
+	}
+
+	/**
+	 * @method startEditing
+	 * @param {string} id - ID da tarefa.
+	 * @description Troca o texto da tarefa por um campo: Enter (ou sair do campo) salva, Escape cancela.
+	 */
+	startEditing(id) {
+		const item = document.querySelector(`.todo-list li[data-id="${id}"]`);
+		const label = item && item.querySelector('.todo-text');
+		if (!label) return;
+		const task = this.tasks[this.findIndex(id)];
+		const input = document.createElement('input');
+		input.type = 'text';
+		input.className = 'todo-edit-input';
+		input.value = task.text;
+		input.setAttribute('aria-label', `Editar tarefa ${task.text}`);
+		item.removeAttribute('draggable'); // Para poder selecionar o texto com o mouse
+		label.replaceWith(input);
+		input.focus();
+		input.select();
+
+		let done = false;
+		const finish = (save) => {
+			if (done) return;
+			done = true;
+			if (!save || !this.editTask(id, input.value)) {
+				this.updateTaskListUI(); // Nada mudou: só volta o texto
+			}
+			this.focusTask(id);
+		};
+		input.addEventListener('keydown', (event) => {
+			if (event.key === 'Enter') {
+				event.preventDefault();
+				finish(true);
+			} else if (event.key === 'Escape') {
+				event.preventDefault();
+				event.stopPropagation(); // Não fecha também um toast aberto
+				finish(false);
+			}
+		});
+		input.addEventListener('blur', () => finish(true));
+	}
+
+	/**
+	 * @private
+	 * @param {HTMLElement} taskList - A UL da lista.
+	 * @param {HTMLElement} listsNav - A UL das listas na barra lateral.
+	 * @description Arrastar e soltar para reordenar (só na ordem manual). A tarefa vai para antes ou depois do item
+	 * sob o ponteiro, conforme a metade em que foi solta, e passa para o nível dele. Solta sobre uma lista da barra
+	 * lateral, muda de lista.
+	 */
+	setupDragAndDrop(taskList, listsNav) {
+		let draggedId = null;
+		const clearMarks = () => taskList.querySelectorAll('.drop-before, .drop-after').forEach(item => item.classList.remove('drop-before', 'drop-after'));
+		const dropAfter = (event, item) => {
+			const rect = item.getBoundingClientRect();
+			return event.clientY > rect.top + rect.height / 2;
+		};
+
+		taskList.addEventListener('dragstart', (event) => {
+			const item = event.target.closest && event.target.closest('.todo-item');
+			if (!item || this.view.sort !== 'manual') return;
+			draggedId = item.dataset.id;
+			item.classList.add('dragging');
+			if (event.dataTransfer) {
+				event.dataTransfer.effectAllowed = 'move';
+				event.dataTransfer.setData('text/plain', draggedId); // O Firefox só arrasta com algum dado
+			}
+		});
+		taskList.addEventListener('dragover', (event) => {
+			const item = event.target.closest('.todo-item');
+			if (!draggedId || !item || item.closest('.dragging')) return; // Nem sobre ela mesma nem sobre as subtarefas dela
+			event.preventDefault(); // Permite soltar aqui
+			clearMarks();
+			item.classList.add(dropAfter(event, item) ? 'drop-after' : 'drop-before');
+		});
+		taskList.addEventListener('drop', (event) => {
+			const item = event.target.closest('.todo-item');
+			if (!draggedId || !item || item.closest('.dragging')) return;
+			event.preventDefault();
+			event.stopPropagation(); // Itens aninhados: só o mais interno trata
+			this.placeTask(draggedId, item.dataset.id, dropAfter(event, item));
+			this.focusTask(draggedId);
+		});
+		taskList.addEventListener('dragend', () => {
+			draggedId = null;
+			clearMarks();
+			listsNav.querySelectorAll('.drop-target').forEach(link => link.classList.remove('drop-target'));
+			taskList.querySelectorAll('.dragging').forEach(item => item.classList.remove('dragging'));
+		});
+
+		listsNav.addEventListener('dragover', (event) => {
+			const link = event.target.closest('.todo-list-link');
+			if (!draggedId || !link) return;
+			event.preventDefault();
+			link.classList.add('drop-target');
+		});
+		listsNav.addEventListener('dragleave', (event) => {
+			const link = event.target.closest('.todo-list-link');
+			if (link) link.classList.remove('drop-target');
+		});
+		listsNav.addEventListener('drop', (event) => {
+			const link = event.target.closest('.todo-list-link');
+			if (!draggedId || !link) return;
+			event.preventDefault();
+			this.moveToList(draggedId, link.dataset.listId);
+		});
+	}
+
+	/**
+	 * @private
+	 * @description Eventos do quadro: arrastar cartões entre colunas (antes ou depois do cartão sob o ponteiro, ou no
+	 * fim da coluna), Alt+←/→ e Alt+↑/↓ no cartão em foco, e os formulários das colunas.
+	 */
+	setupBoard() {
+		const board = document.getElementById('todoBoard');
+		let draggedId = null;
+		const clearMarks = () => board.querySelectorAll('.drop-before, .drop-after, .drop-target').forEach(element => element.classList.remove('drop-before', 'drop-after', 'drop-target'));
+		const dropAfter = (event, card) => {
+			const rect = card.getBoundingClientRect();
+			return event.clientY > rect.top + rect.height / 2;
+		};
+
+		board.addEventListener('dragstart', (event) => {
+			const card = event.target.closest && event.target.closest('.todo-card');
+			if (!card) return;
+			draggedId = card.dataset.id;
+			card.classList.add('dragging');
+			if (event.dataTransfer) {
+				event.dataTransfer.effectAllowed = 'move';
+				event.dataTransfer.setData('text/plain', draggedId);
+			}
+		});
+		board.addEventListener('dragover', (event) => {
+			const column = event.target.closest('.todo-column');
+			if (!draggedId || !column) return;
+			event.preventDefault();
+			clearMarks();
+			column.classList.add('drop-target');
+			const card = event.target.closest('.todo-card');
+			if (card && card.dataset.id !== draggedId) card.classList.add(dropAfter(event, card) ? 'drop-after' : 'drop-before');
+		});
+		board.addEventListener('drop', (event) => {
+			const column = event.target.closest('.todo-column');
+			if (!draggedId || !column) return;
+			event.preventDefault();
+			const card = event.target.closest('.todo-card');
+			let beforeId = null; // Solto na coluna, fora dos cartões: vai para o fim
+			if (card && card.dataset.id !== draggedId) {
+				const next = dropAfter(event, card) ? card.nextElementSibling : card;
+				beforeId = next ? next.dataset.id : null;
+			}
+			const id = draggedId;
+			draggedId = null;
+			this.moveCard(id, column.dataset.columnId, beforeId);
+			this.focusCard(id);
+		});
+		board.addEventListener('dragend', () => {
+			draggedId = null;
+			clearMarks();
+			board.querySelectorAll('.dragging').forEach(card => card.classList.remove('dragging'));
+		});
+
+		board.addEventListener('keydown', (event) => {
+			const card = event.target.closest('.todo-card');
+			if (!card || !event.altKey || !['ArrowLeft', 'ArrowRight', 'ArrowUp', 'ArrowDown'].includes(event.key)) return;
+			event.preventDefault();
+			const id = card.dataset.id;
+			const columns = this.getCurrentList().columns;
+			const index = columns.findIndex(column => column.id === card.closest('.todo-column').dataset.columnId);
+			if (event.key === 'ArrowLeft' || event.key === 'ArrowRight') {
+				const target = columns[index + (event.key === 'ArrowLeft' ? -1 : 1)];
+				if (target) this.moveCard(id, target.id);
+			} else if (event.key === 'ArrowUp' && card.previousElementSibling) {
+				this.moveCard(id, columns[index].id, card.previousElementSibling.dataset.id);
+			} else if (event.key === 'ArrowDown' && card.nextElementSibling) {
+				const after = card.nextElementSibling.nextElementSibling;
+				this.moveCard(id, columns[index].id, after ? after.dataset.id : null);
+			}
+			this.focusCard(id);
+		});
+
+		const settings = document.getElementById('todoColumnSettings');
+		settings.addEventListener('submit', (event) => {
+			const form = event.target.closest('.todo-column-form');
+			if (!form) return;
+			event.preventDefault();
+			this.updateColumn(form.dataset.columnId, { name: form.querySelector('[name="name"]').value, wip: form.querySelector('[name="wip"]').value });
+		});
+		settings.addEventListener('click', (event) => {
+			const form = event.target.closest('.todo-column-form');
+			if (!form) return;
+			if (event.target.classList.contains('todo-column-move')) {
+				this.moveColumn(form.dataset.columnId, Number(event.target.dataset.dir));
+			} else if (event.target.classList.contains('todo-column-delete')) {
+				this.deleteColumn(form.dataset.columnId);
+			}
+		});
+		settings.addEventListener('change', (event) => {
+			if (event.target.id === 'doneColumnSelect') this.setDoneColumn(event.target.value);
+		});
+		document.getElementById('newColumnForm').addEventListener('submit', (event) => {
+			event.preventDefault();
+			const input = document.getElementById('newColumnName');
+			if (this.addColumn(input.value)) input.value = '';
+		});
+	}
+
+	/**
+	 * @private
+	 * @param {string} id - ID da tarefa.
+	 * @description Põe o foco no cartão do quadro.
+	 */
+	focusCard(id) {
+		const card = document.querySelector(`.todo-card[data-id="${id}"]`);
+		if (card) card.focus();
+	}
+
+	/**
+	 * @private
+	 * @param {string} id - ID da tarefa.
+	 * @description Põe o foco no item (depois de redesenhar a lista, para o teclado não se perder).
+	 */
+	focusTask(id) {
+		const item = document.querySelector(`.todo-list li[data-id="${id}"]`);
+		if (item) item.focus();
+	}
+
+
+	/**
+	 * @method addTask
+	 * @description Adiciona nova tarefa. Valida input, atualiza UI e armazenamento.
+	 */
+	addTask() {
+		const taskInput = document.getElementById('taskInput');
+		const taskText = taskInput.value.trim(); // Pega texto da tarefa
+
+		if (!taskText) {
+			app.notifications.show("Por favor, insira uma tarefa antes de adicionar.", 'warning'); // Avisa se input vazio
+			taskInput.focus();
+			return; // Sai da função se não tiver texto
+		}
+
+		const detailsPanel = this.contentDiv.querySelector('.todo-new-details');
+		const details = detailsPanel ? this.readDetailsFields(detailsPanel) : {};
+		const parsed = TaskQuickAdd.parse(taskText); // O que foi escrito no texto vale mais que o painel de detalhes
+		this.createTask(parsed.text, {
+			...details,
+			dueDate: parsed.dueDate || details.dueDate,
+			priority: parsed.priority || details.priority,
+			tags: [...new Set([...(details.tags || []), ...parsed.tags])],
+			reminderAt: parsed.time ? `${parsed.dueDate}T${parsed.time}` : details.reminderAt // A hora digitada vira o lembrete
+		});
+		taskInput.value = ''; // Limpa input
+		this.updateQuickAddPreview();
+		if (detailsPanel) { // Próxima tarefa começa sem prazo/tags/notas
+			detailsPanel.querySelector('.todo-details-fields').outerHTML = this.renderDetailsFields('new');
+		}
+		this.updateTaskListUI(); // Atualiza lista na tela
+	}
+
+	/**
+	 * @private
+	 * @description Mostra, abaixo do campo, o que `TaskQuickAdd` reconheceu no texto digitado (ou esconde, se nada).
+	 */
+	updateQuickAddPreview() {
+		const preview = document.getElementById('taskQuickAddPreview');
+		const input = document.getElementById('taskInput');
+		if (!preview || !input) return;
+		const parsed = TaskQuickAdd.parse(input.value);
+		const chips = [];
+		if (parsed.dueDate) {
+			chips.push(`📅 ${TaskRecurrence.toDate(parsed.dueDate).toLocaleDateString('pt-BR', { weekday: 'short', day: '2-digit', month: '2-digit' })}`);
+		}
+		if (parsed.time) chips.push(`⏰ ${parsed.time}`);
+		if (parsed.priority) chips.push(`Prioridade ${ListaDeTarefas.PRIORITIES[parsed.priority].label.toLowerCase()}`);
+		chips.push(...parsed.tags.map(tag => `#${tag}`));
+		preview.hidden = chips.length === 0;
+		preview.innerHTML = chips.length === 0 ? '' : `
+			<span class="todo-quickadd-text">${utils.sanitizeInput(parsed.text)}</span>
+			${chips.map(chip => `<span class="todo-quickadd-chip">${utils.sanitizeInput(chip)}</span>`).join('')}
+		`;
+	}
+
+	/**
+	 * @private
+	 * @param {string} text - Texto da tarefa.
+	 * @param {object} [details={}] - Prazo, prioridade, tags, notas.
+	 * @param {string|null} [parentId=null] - Tarefa-mãe, para criar uma subtarefa.
+	 * @returns {object} Tarefa criada (na lista aberta, ou na lista da mãe).
+	 */
+	createTask(text, details = {}, parentId = null) {
+		const parent = this.tasks[this.findIndex(parentId)];
+		const task = ListaDeTarefas.normalizeTask({
+			...details,
+			id: ListaDeTarefas.createId(this.tasks),
+			listId: parent ? parent.listId : this.getCurrentList().id,
+			parentId: parent ? parent.id : null,
+			text,
+			completed: false
+		});
+		if (task.reminderAt) this.requestNotificationPermission();
+		this.applyChange(parent ? `adicionar subtarefa "${text}"` : `adicionar "${text}"`, () => {
+			this.tasks.push(task); // Adiciona tarefa ao array
+			if (parent) {
+				parent.collapsed = false; // Mostra a subtarefa recém-criada
+				this.syncParents(parent.id); // Mãe concluída volta a ficar pendente
+			}
+		});
+		return task;
+	}
+
+	/**
+	 * @method addSubtask
+	 * @param {string} parentId - ID da tarefa-mãe.
+	 * @param {string} text - Texto da subtarefa.
+	 * @returns {object|null} Subtarefa criada (null se o texto estiver vazio).
+	 */
+	addSubtask(parentId, text) {
+		const taskText = String(text).trim();
+		if (!taskText || this.findIndex(parentId) < 0) return null;
+		const task = this.createTask(taskText, {}, parentId);
+		this.updateTaskListUI();
+		const input = document.querySelector(`.todo-list li[data-id="${parentId}"] > .todo-body > .todo-subtask-form input`);
+		if (input) { // Deixa o campo aberto para a próxima subtarefa
+			input.closest('form').hidden = false;
+			input.focus();
+		}
+		return task;
+	}
+
+	/**
+	 * @method toggleCollapsed
+	 * @param {string} id - ID da tarefa-mãe.
+	 * @description Recolhe ou expande as subtarefas (fica salvo, mas não entra no desfazer).
+	 */
+	toggleCollapsed(id) {
+		const task = this.tasks[this.findIndex(id)];
+		if (!task) return;
+		task.collapsed = !task.collapsed;
+		this.saveTasks();
+		this.updateTaskListUI();
+		const button = document.querySelector(`.todo-list li[data-id="${id}"] > .todo-collapse`);
+		if (button) button.focus();
+	}
+
+	/**
+	 * @method updateTaskDetails
+	 * @param {string} id - ID da tarefa.
+	 * @param {object} details - { dueDate, priority, tags, notes, listId } (só os campos informados mudam).
+	 * @description Altera prazo, prioridade, tags e notas, e muda de lista se `listId` for outra (pode ser desfeito).
+	 */
+	updateTaskDetails(id, details) {
+		const index = this.findIndex(id);
+		const task = this.tasks[index];
+		if (!task) return;
+		const { listId, ...fields } = details;
+		if (fields.reminderAt && fields.reminderAt !== task.reminderAt) {
+			fields.remindedAt = null; // Lembrete novo dispara de novo
+			this.requestNotificationPermission();
+		}
+		this.applyChange(`alterar detalhes de "${task.text}"`, () => {
+			this.tasks[index] = ListaDeTarefas.normalizeTask({ ...task, ...fields, id });
+			if (listId && listId !== task.listId) this.relocate(id, listId);
+		});
+		this.updateTaskListUI();
+	}
+
+	/**
+	 * @method moveToList
+	 * @param {string} id - ID da tarefa.
+	 * @param {string} listId - Lista de destino.
+	 * @returns {boolean} Se a tarefa mudou de lista.
+	 * @description Move a tarefa, com as subtarefas, para o primeiro nível de outra lista (pode ser desfeito).
+	 */
+	moveToList(id, listId) {
+		const task = this.tasks[this.findIndex(id)];
+		const list = this.lists.find(item => item.id === listId);
+		if (!task || !list || task.listId === listId) return false;
+		const entry = this.applyChange(`mover "${task.text}" para "${list.name}"`, () => this.relocate(id, listId));
+		this.updateTaskListUI();
+		app.notifications.show(`"${task.text}" movida para "${list.name}".`, 'success', {
+			actions: [{ label: 'Desfazer', handler: () => this.undoEntry(entry.id) }]
+		});
+		return true;
+	}
+
+	/**
+	 * @private
+	 * @param {string} id - ID da tarefa.
+	 * @param {string} listId - Lista de destino.
+	 * @description Troca a lista da tarefa e das subtarefas; ela sai de baixo da mãe, que fica na lista antiga.
+	 */
+	relocate(id, listId) {
+		const task = this.tasks[this.findIndex(id)];
+		const parent = this.tasks[this.findIndex(task.parentId)];
+		[id, ...this.getDescendantIds(id)].forEach(taskId => {
+			this.tasks[this.findIndex(taskId)].listId = listId;
+		});
+		task.parentId = null;
+		if (parent) this.syncParents(parent.id); // Sem ela, as que sobraram podem estar todas concluídas
+	}
+
+	/**
+	 * @method createList
+	 * @param {string} name - Nome da lista ou projeto.
+	 * @returns {string|null} ID da lista criada (já aberta na tela), ou null se o nome for inválido.
+	 */
+	createList(name) {
+		const listName = String(name).trim();
+		if (!listName) {
+			app.notifications.show('Dê um nome para a nova lista.', 'warning');
+			return null;
+		}
+		if (this.lists.some(list => list.name.toLowerCase() === listName.toLowerCase())) {
+			app.notifications.show(`Já existe uma lista chamada "${listName}".`, 'warning');
+			return null;
+		}
+		const id = ListaDeTarefas.createId(this.lists);
+		this.applyChange(`criar lista "${listName}"`, () => {
+			this.lists.push({ id, name: listName, columns: ListaDeTarefas.normalizeColumns() });
+		});
+		this.setView({ listId: id });
+		return id;
+	}
+
+	/**
+	 * @method renameList
+	 * @param {string} id - ID da lista.
+	 * @param {string} name - Novo nome.
+	 * @returns {boolean} Se o nome mudou.
+	 */
+	renameList(id, name) {
+		const list = this.lists.find(item => item.id === id);
+		const listName = String(name).trim();
+		if (!list || !listName || listName === list.name) return false;
+		this.applyChange(`renomear lista "${list.name}"`, () => {
+			list.name = listName;
+		});
+		this.updateTaskListUI();
+		return true;
+	}
+
+	/**
+	 * @method startRenamingList
+	 * @description Troca o título da lista aberta por um campo: Enter (ou sair do campo) salva, Escape cancela.
+	 */
+	startRenamingList() {
+		const title = document.getElementById('todoListTitle');
+		const list = this.getCurrentList();
+		const input = document.createElement('input');
+		input.type = 'text';
+		input.className = 'todo-edit-input';
+		input.value = list.name;
+		input.setAttribute('aria-label', `Novo nome da lista ${list.name}`);
+		title.replaceChildren(input);
+		input.focus();
+		input.select();
+
+		let done = false;
+		const finish = (save) => {
+			if (done) return;
+			done = true;
+			title.textContent = list.name;
+			if (save) this.renameList(list.id, input.value);
+			document.getElementById('renameListBtn').focus();
+		};
+		input.addEventListener('keydown', (event) => {
+			if (event.key === 'Enter') {
+				event.preventDefault();
+				finish(true);
+			} else if (event.key === 'Escape') {
+				event.preventDefault();
+				event.stopPropagation();
+				finish(false);
+			}
+		});
+		input.addEventListener('blur', () => finish(true));
+	}
+
+	/**
+	 * @method deleteList
+	 * @param {string} id - ID da lista.
+	 * @returns {boolean} Se a lista foi excluída (a última lista não pode).
+	 * @description Exclui a lista com todas as tarefas dela (pode ser desfeito).
+	 */
+	deleteList(id) {
+		const list = this.lists.find(item => item.id === id);
+		if (!list || this.lists.length < 2) return false;
+		const count = this.tasks.filter(task => task.listId === id).length;
+		const entry = this.applyChange(`excluir lista "${list.name}"`, () => {
+			this.lists = this.lists.filter(item => item.id !== id);
+			this.tasks = this.tasks.filter(task => task.listId !== id);
+		});
+		this.setView({ listId: this.lists[0].id });
+		app.notifications.show(`Lista "${list.name}" excluída${count ? ` com ${count} tarefa(s)` : ''}.`, 'info', {
+			actions: [{ label: 'Desfazer', handler: () => this.undoEntry(entry.id) }]
+		});
+		return true;
+	}
+
+
+	/**
+	 * @method toggleTask
+	 * @param {string} id - ID da tarefa.
+	 * @description Alterna status (concluída/não concluída) da tarefa. Atualiza UI e armazenamento.
+	 */
+	toggleTask(id) {
+		const index = this.findIndex(id);
+		if (index >= 0) { // Valida ID
+			const task = this.tasks[index];
+			let spawned = [];
+			this.applyChange(`${task.completed ? 'desmarcar' : 'concluir'} "${task.text}"`, () => {
+				spawned = this.setCompleted(task, !task.completed); // Inverte status da tarefa
+			});
+			this.announceOccurrences(spawned);
+			const hasChildren = this.getChildren(id).length > 0;
+			if (this.view.status === 'all' && !task.parentId && !hasChildren && spawned.length === 0 && this.view.layout !== 'board') {
+				this.updateTaskItemUI(id); // Atualiza item da tarefa na tela
+			} else {
+				this.updateTaskListUI(); // Com filtro a tarefa pode sair da lista; subtarefas e mãe mudam junto
+				const checkbox = document.getElementById(`task-${id}`);
+				if (checkbox) checkbox.focus();
+			}
+		} else {
+			console.error('Tarefa não encontrada:', id); // Erro: ID inexistente
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {object} task - Tarefa.
+	 * @param {boolean} completed - Novo status.
+	 * @returns {Array<object>} Próximas ocorrências criadas para as tarefas que repetem e acabaram de ser concluídas
+	 * (inclusive a mãe concluída pela última subtarefa). Chamar dentro de `applyChange`. As subtarefas seguem a
+	 * tarefa (concluir a mãe conclui todas, desmarcar desmarca), para a mãe nunca ficar diferente delas.
+	 */
+	setCompleted(task, completed) {
+		const wasDone = new Set(this.tasks.filter(item => item.completed).map(item => item.id));
+		[task.id, ...this.getDescendantIds(task.id)].forEach(id => {
+			this.tasks[this.findIndex(id)].completed = completed;
+		});
+		this.syncParents(task.parentId); // Última subtarefa concluída conclui a mãe
+		return this.tasks
+			.filter(item => item.recurrence && item.completed && !wasDone.has(item.id))
+			.map(item => this.createNextOccurrence(item));
+	}
+
+	/**
+	 * @private
+	 * @param {Array<object>} occurrences - Tarefas criadas por `createNextOccurrence`.
+	 */
+	announceOccurrences(occurrences) {
+		occurrences.forEach(next => {
+			app.notifications.show(`Próxima ocorrência de "${next.text}": ${TaskRecurrence.toDate(next.dueDate).toLocaleDateString('pt-BR')}.`, 'info');
+		});
+	}
+
+	/**
+	 * @method moveCard
+	 * @param {string} id - ID da tarefa (de primeiro nível, da lista aberta).
+	 * @param {string} columnId - Coluna de destino.
+	 * @param {string|null} [beforeId=null] - Cartão que fica logo depois; null põe no fim da coluna.
+	 * @returns {boolean} Se o cartão mudou. Para a coluna de concluídas, a tarefa é concluída (e, se repetir, gera a
+	 * próxima); fora dela, volta a ficar pendente. Coluna cheia (limite WIP) não recebe cartão de outra.
+	 */
+	moveCard(id, columnId, beforeId = null) {
+		const task = this.tasks[this.findIndex(id)];
+		const column = this.getCurrentList().columns.find(item => item.id === columnId);
+		if (!task || !column || beforeId === id) return false;
+		const from = this.getTaskColumn(task);
+		const others = this.getColumnTasks(column).filter(item => item.id !== id);
+		if (from.id !== column.id && column.wip && others.length >= column.wip) {
+			app.notifications.show(`A coluna "${column.name}" já está no limite de ${column.wip} tarefa(s).`, 'warning');
+			return false;
+		}
+		let spawned = [];
+		this.applyChange(`mover "${task.text}" para "${column.name}"`, () => {
+			const index = this.findIndex(id);
+			this.tasks.splice(index, 1);
+			const last = others[others.length - 1];
+			const target = beforeId ? this.findIndex(beforeId) : (last ? this.findIndex(last.id) + 1 : index);
+			this.tasks.splice(target, 0, task);
+			if (!column.done) task.columnId = column.id; // Na de concluídas, guarda de onde veio: desmarcar volta para lá
+			if (task.completed !== column.done) spawned = this.setCompleted(task, column.done);
+		});
+		this.announceOccurrences(spawned);
+		this.updateTaskListUI();
+		return true;
+	}
+
+	/**
+	 * @private
+	 * @param {string} label - Descrição da mudança (para o desfazer).
+	 * @param {Function} change - Altera as colunas da lista aberta.
+	 * @description Aplica a mudança e redesenha o quadro e as configurações das colunas.
+	 */
+	changeColumns(label, change) {
+		this.applyChange(label, change);
+		this.updateTaskListUI();
+	}
+
+	/**
+	 * @method addColumn
+	 * @param {string} name - Nome da coluna.
+	 * @returns {string|null} ID da coluna criada (antes da de concluídas), ou null se o nome for inválido.
+	 */
+	addColumn(name) {
+		const columnName = String(name).trim();
+		const { columns } = this.getCurrentList();
+		if (!columnName) {
+			app.notifications.show('Dê um nome para a nova coluna.', 'warning');
+			return null;
+		}
+		if (columns.some(column => column.name.toLowerCase() === columnName.toLowerCase())) {
+			app.notifications.show(`Já existe uma coluna chamada "${columnName}".`, 'warning');
+			return null;
+		}
+		const id = ListaDeTarefas.createId(columns);
+		this.changeColumns(`criar coluna "${columnName}"`, () => {
+			const done = columns.findIndex(column => column.done);
+			columns.splice(done === columns.length - 1 ? done : columns.length, 0, { id, name: columnName, wip: 0, done: false });
+		});
+		return id;
+	}
+
+	/**
+	 * @method updateColumn
+	 * @param {string} id - ID da coluna.
+	 * @param {{name?: string, wip?: number|string}} changes - Novo nome e/ou limite WIP (0 = sem limite).
+	 * @returns {boolean} Se algo mudou.
+	 */
+	updateColumn(id, changes) {
+		const column = this.getCurrentList().columns.find(item => item.id === id);
+		if (!column) return false;
+		const name = changes.name === undefined ? column.name : String(changes.name).trim() || column.name;
+		const wip = changes.wip === undefined ? column.wip : Math.max(0, Math.floor(Number(changes.wip)) || 0);
+		if (name === column.name && wip === column.wip) return false;
+		this.changeColumns(`alterar coluna "${column.name}"`, () => {
+			column.name = name;
+			column.wip = wip;
+		});
+		const input = document.getElementById(`column-name-${id}`);
+		if (input) input.focus();
+		return true;
+	}
+
+	/**
+	 * @method moveColumn
+	 * @param {string} id - ID da coluna.
+	 * @param {number} direction - -1 para a esquerda, 1 para a direita.
+	 */
+	moveColumn(id, direction) {
+		const { columns } = this.getCurrentList();
+		const index = columns.findIndex(column => column.id === id);
+		const target = index + direction;
+		if (index < 0 || target < 0 || target >= columns.length) return;
+		this.changeColumns(`mover coluna "${columns[index].name}"`, () => {
+			columns.splice(target, 0, ...columns.splice(index, 1));
+		});
+		const button = document.querySelector(`.todo-column-form[data-column-id="${id}"] .todo-column-move[data-dir="${direction}"]`);
+		if (button) (button.disabled ? document.getElementById(`column-name-${id}`) : button).focus();
+	}
+
+	/**
+	 * @method setDoneColumn
+	 * @param {string} id - ID da coluna que passa a ser a de concluídas.
+	 * @description As tarefas concluídas vão para ela; as pendentes que já estavam nela são concluídas.
+	 */
+	setDoneColumn(id) {
+		const list = this.getCurrentList();
+		const column = list.columns.find(item => item.id === id);
+		if (!column || column.done) return;
+		let spawned = [];
+		this.changeColumns(`usar "${column.name}" para as concluídas`, () => {
+			list.columns.forEach(item => { item.done = item === column; });
+			this.tasks
+				.filter(task => task.listId === list.id && !task.parentId && !task.completed && task.columnId === id)
+				.forEach(task => { spawned.push(...this.setCompleted(task, true)); });
+		});
+		this.announceOccurrences(spawned);
+	}
+
+	/**
+	 * @method deleteColumn
+	 * @param {string} id - ID da coluna.
+	 * @returns {boolean} Se a coluna foi excluída. A de concluídas não pode, e o quadro fica com pelo menos duas;
+	 * as tarefas dela voltam para a primeira coluna (pode ser desfeito).
+	 */
+	deleteColumn(id) {
+		const list = this.getCurrentList();
+		const column = list.columns.find(item => item.id === id);
+		if (!column || column.done || list.columns.length <= 2) return false;
+		const entry = this.applyChange(`excluir coluna "${column.name}"`, () => {
+			list.columns = list.columns.filter(item => item !== column);
+			this.tasks.filter(task => task.columnId === id).forEach(task => { task.columnId = null; });
+		});
+		this.updateTaskListUI();
+		app.notifications.show(`Coluna "${column.name}" excluída.`, 'info', {
+			actions: [{ label: 'Desfazer', handler: () => this.undoEntry(entry.id) }]
+		});
+		return true;
+	}
+
+	/**
+	 * @private
+	 * @param {object} task - Tarefa que repete, acabou de ser concluída.
+	 * @returns {object} Próxima ocorrência, criada logo depois dela (com cópias pendentes das subtarefas). A regra
+	 * passa para a nova; a concluída fica como registro e não gera outra se for desmarcada e marcada de novo.
+	 */
+	createNextOccurrence(task) {
+		const dueDate = TaskRecurrence.next(task.recurrence, task.dueDate);
+		const shift = Math.round((TaskRecurrence.toDate(dueDate) - TaskRecurrence.toDate(task.dueDate || dueDate)) / 86400000);
+		const reminder = task.reminderAt ? new Date(task.reminderAt) : null;
+		if (reminder) reminder.setDate(reminder.getDate() + shift); // Mesmo horário, mesma distância do prazo
+		const descendants = this.getDescendantIds(task.id);
+		const ids = new Set(this.tasks.map(item => item.id));
+		const newIds = new Map();
+		[task.id, ...descendants].forEach(id => {
+			newIds.set(id, ListaDeTarefas.createId(ids));
+			ids.add(newIds.get(id));
+		});
+		const copy = (item, changes) => ListaDeTarefas.normalizeTask({
+			...item, id: newIds.get(item.id), parentId: newIds.get(item.parentId) || item.parentId,
+			completed: false, collapsed: false, createdAt: new Date().toISOString(), remindedAt: null, ...changes
+		});
+		const next = copy(task, {
+			dueDate,
+			columnId: null, // Começa na primeira coluna do quadro
+			reminderAt: reminder ? `${ListaDeTarefas.toDateKey(reminder)}T${task.reminderAt.slice(11)}` : null
+		});
+		const subtasks = descendants.map(id => copy(this.tasks[this.findIndex(id)], {}));
+		task.recurrence = null;
+		this.tasks.splice(this.findIndex(task.id) + 1, 0, next, ...subtasks);
+		return next;
+	}
+
+	/**
+	 * @method startReminders
+	 * @description Liga os lembretes. O App chama ao iniciar, para que disparem em qualquer tela enquanto a página
+	 * estiver aberta.
+	 */
+	startReminders() {
+		this.remindersActive = true;
+		this.checkReminders();
+	}
+
+	/**
+	 * @private
+	 * @description Dispara os lembretes vencidos (inclusive os que venceram com a página fechada) e agenda a próxima
+	 * verificação.
+	 */
+	checkReminders() {
+		const now = Date.now();
+		const due = this.tasks.filter(task => task.reminderAt && !task.remindedAt && !task.completed && new Date(task.reminderAt).getTime() <= now);
+		due.forEach(task => {
+			task.remindedAt = new Date(now).toISOString();
+			this.firedReminders.set(task.id, { reminderAt: task.reminderAt, remindedAt: task.remindedAt }); // Para o desfazer
+			this.notifyReminder(task);
+		});
+		if (due.length) {
+			this.saveTasks(); // Fora do desfazer, como recolher subtarefas
+			this.updateTaskListUI();
+		}
+		this.scheduleReminders();
+	}
+
+	/**
+	 * @private
+	 * @description Agenda `checkReminders` para o próximo lembrete. O intervalo tem um teto: relógio alterado ou aba
+	 * suspensa não fazem o lembrete se perder.
+	 */
+	scheduleReminders() {
+		clearTimeout(this.reminderTimer);
+		if (!this.remindersActive) return;
+		const pending = this.tasks
+			.filter(task => task.reminderAt && !task.remindedAt && !task.completed)
+			.map(task => new Date(task.reminderAt).getTime());
+		if (pending.length === 0) return;
+		const delay = Math.min(Math.max(Math.min(...pending) - Date.now(), 0), ListaDeTarefas.REMINDER_MAX_DELAY);
+		this.reminderTimer = setTimeout(() => this.checkReminders(), delay);
+	}
+
+	/**
+	 * @private
+	 * @param {object} task - Tarefa do lembrete.
+	 * @description Mostra o toast (fica até ser fechado) e, com permissão, a notificação do navegador.
+	 */
+	notifyReminder(task) {
+		app.notifications.show(`Lembrete: ${task.text}`, 'warning', {
+			duration: 0,
+			actions: [
+				{ label: 'Concluir', handler: () => this.completeFromReminder(task.id) },
+				{ label: 'Ver tarefas', handler: () => app.router.navigate('tarefas') }
+			]
+		});
+		if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+			const notification = new Notification('Lembrete de tarefa', { body: task.text, tag: task.id });
+			notification.onclick = () => {
+				window.focus();
+				app.router.navigate('tarefas');
+			};
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {string} id - ID da tarefa do lembrete.
+	 * @description Ação "Concluir" do toast. O toast fica aberto, então a tarefa pode ter sido excluída, desfeita ou
+	 * substituída por uma importação nesse meio-tempo.
+	 */
+	completeFromReminder(id) {
+		const task = this.tasks.find(item => item.id === id);
+		if (!task) {
+			app.notifications.show('Essa tarefa não existe mais.', 'info');
+			return;
+		}
+		if (!task.completed) this.toggleTask(id);
+	}
+
+	/**
+	 * @private
+	 * @description Pede permissão para notificações do navegador na primeira vez que um lembrete é definido (o
+	 * navegador só pergunta depois de uma ação do usuário, como salvar o formulário).
+	 */
+	requestNotificationPermission() {
+		if (typeof Notification !== 'undefined' && Notification.permission === 'default') {
+			Notification.requestPermission();
+		}
+	}
+
+	/**
+	 * @method deleteTask
+	 * @param {string} id - ID da tarefa.
+	 * @description Deleta tarefa da lista. Atualiza UI e armazenamento.
+	 */
+	deleteTask(id) {
+		const index = this.findIndex(id);
+		if (index >= 0) { // Valida ID
+			const { text, parentId } = this.tasks[index];
+			const removed = new Set([id, ...this.getDescendantIds(id)]); // Subtarefas vão junto
+			const entry = this.applyChange(`excluir "${text}"`, () => {
+				this.tasks = this.tasks.filter(task => !removed.has(task.id)); // Remove tarefa do array
+				this.syncParents(parentId); // Se era a única pendente, a mãe fica concluída
+			});
+			this.updateTaskListUI(); // Atualiza lista na tela
+			const subtasks = removed.size > 1 ? ` com ${removed.size - 1} subtarefa(s)` : '';
+			app.notifications.show(`Tarefa "${text}"${subtasks} excluída.`, 'info', {
+				actions: [{ label: 'Desfazer', handler: () => this.undoEntry(entry.id) }]
+			});
+		} else {
+			console.error('Tarefa não encontrada:', id); // Erro: ID inexistente
+		}
+	}
+
+	/**
+	 * @method editTask
+	 * @param {string} id - ID da tarefa.
+	 * @param {string} text - Novo texto.
+	 * @returns {boolean} Se o texto mudou.
+	 * @description Renomeia a tarefa (pode ser desfeito).
+	 */
+	editTask(id, text) {
+		const task = this.tasks[this.findIndex(id)];
+		const newText = String(text).trim();
+		if (!task || !newText || newText === task.text) return false;
+		this.applyChange(`editar "${task.text}"`, () => {
+			task.text = newText;
+		});
+		this.updateTaskListUI();
+		return true;
+	}
+
+	/**
+	 * @method moveTask
+	 * @param {string} id - ID da tarefa.
+	 * @param {number} to - Nova posição em `this.tasks`.
+	 * @returns {boolean} Se a ordem mudou.
+	 * @description Reordena a tarefa (pode ser desfeito). A ordem fica salva com as tarefas.
+	 */
+	moveTask(id, to) {
+		const from = this.findIndex(id);
+		if (from < 0 || from === to || to < 0 || to >= this.tasks.length) return false;
+		this.applyChange(`mover "${this.tasks[from].text}"`, () => {
+			this.tasks.splice(to, 0, ...this.tasks.splice(from, 1));
+		});
+		this.updateTaskListUI();
+		return true;
+	}
+
+	/**
+	 * @method placeTask
+	 * @param {string} id - Tarefa arrastada.
+	 * @param {string} targetId - Tarefa sobre a qual foi solta.
+	 * @param {boolean} [after=false] - Se vai depois (e não antes) da outra.
+	 * @returns {boolean} Se a ordem (ou o nível) mudou.
+	 * @description Põe a tarefa ao lado da outra, no mesmo nível dela (pode virar subtarefa de outra mãe ou voltar
+	 * ao primeiro nível). Não pode ir para dentro das próprias subtarefas.
+	 */
+	placeTask(id, targetId, after = false) {
+		const from = this.findIndex(id);
+		const target = this.findIndex(targetId);
+		if (from < 0 || target < 0 || id === targetId || this.getDescendantIds(id).includes(targetId)) return false;
+		const task = this.tasks[from];
+		const { parentId, listId } = this.tasks[target];
+		const to = target + (after ? 1 : 0) - (from < target ? 1 : 0); // Descontando a própria tarefa, que sai do lugar
+		if (task.parentId === parentId && task.listId === listId) return this.moveTask(id, to);
+		const oldParentId = task.parentId;
+		this.applyChange(`mover "${task.text}"`, () => {
+			this.tasks.splice(to, 0, ...this.tasks.splice(from, 1));
+			task.parentId = parentId;
+			this.syncParents(oldParentId);
+			this.syncParents(parentId);
+		});
+		this.updateTaskListUI();
+		return true;
+	}
+
+	/**
+	 * @method moveTaskBy
+	 * @param {string} id - ID da tarefa.
+	 * @param {number} direction - -1 sobe, 1 desce.
+	 * @returns {boolean} Se a ordem mudou.
+	 * @description Troca de lugar com a vizinha visível do mesmo nível (com filtro, pula as tarefas escondidas). Só na ordem manual;
+	 * nas outras a posição vem da ordenação.
+	 */
+	moveTaskBy(id, direction) {
+		if (this.view.sort !== 'manual') {
+			app.notifications.show('Escolha "Ordem manual" para reorganizar as tarefas.', 'info');
+			return false;
+		}
+		const task = this.tasks[this.findIndex(id)];
+		if (!task) return false;
+		const visible = this.getVisibleTasks(task.parentId); // Só entre irmãs
+		const position = visible.findIndex(({ task: sibling }) => sibling.id === id);
+		const neighbor = visible[position + direction];
+		if (position < 0 || !neighbor) return false;
+		const moved = this.moveTask(id, neighbor.index);
+		this.focusTask(id);
+		return moved;
+	}
+
+	/**
+	 * @private
+	 * @param {string} label - Descrição da operação, usada nos avisos de desfazer/refazer.
+	 * @param {function} change - Altera `this.tasks` e/ou `this.lists`.
+	 * @returns {object} Entrada do histórico.
+	 * @description Toda alteração da lista passa por aqui: registra antes/depois no histórico e salva.
+	 */
+	applyChange(label, change) {
+		const before = this.snapshot();
+		change();
+		const entry = this.history.record(label, before, this.snapshot());
+		this.saveTasks();
+		this.updateHistoryButtons();
+		return entry;
+	}
+
+	/**
+	 * @method undo
+	 * @returns {boolean} Se havia algo para desfazer.
+	 * @description Desfaz a última operação (Ctrl+Z).
+	 */
+	undo() {
+		const entry = this.history.undo();
+		if (!entry) {
+			app.notifications.show('Nada para desfazer.', 'info');
+			return false;
+		}
+		this.restore(entry.before);
+		app.notifications.show(`Desfeito: ${entry.label}.`, 'info', {
+			actions: [{ label: 'Refazer', handler: () => this.redo() }]
+		});
+		return true;
+	}
+
+	/**
+	 * @method redo
+	 * @returns {boolean} Se havia algo para refazer.
+	 * @description Refaz a última operação desfeita (Ctrl+Shift+Z).
+	 */
+	redo() {
+		const entry = this.history.redo();
+		if (!entry) {
+			app.notifications.show('Nada para refazer.', 'info');
+			return false;
+		}
+		this.restore(entry.after);
+		app.notifications.show(`Refeito: ${entry.label}.`, 'info');
+		return true;
+	}
+
+	/**
+	 * @private
+	 * @param {number} id - Entrada do histórico ligada a um toast.
+	 * @description "Desfazer" do toast: só desfaz se aquela ainda for a última operação, para não levar junto
+	 * o que foi feito depois.
+	 */
+	undoEntry(id) {
+		if (this.history.isLatest(id)) {
+			this.undo();
+		} else {
+			app.notifications.show('Houve alterações depois desta. Use Ctrl+Z para desfazer passo a passo.', 'warning');
+		}
+	}
+
+	/**
+	 * @private
+	 * @returns {{tasks: Array<object>, lists: Array<object>}} Cópia do estado, para o histórico.
+	 */
+	snapshot() {
+		return utils.clone({ tasks: this.tasks, lists: this.lists });
+	}
+
+	/**
+	 * @private
+	 * @param {object} state - Estado do histórico ({ tasks, lists }).
+	 * @description Volta a um estado salvo. Lembretes disparam fora do histórico, então um estado anterior ao disparo
+	 * ainda os tem como pendentes: os já disparados nesta sessão (mesma tarefa, mesmo horário) continuam disparados.
+	 */
+	restore(state) {
+		const { tasks, lists } = utils.clone(state); // O histórico não pode mudar junto com a lista
+		tasks.forEach(task => {
+			const fired = this.firedReminders.get(task.id);
+			if (fired && !task.remindedAt && fired.reminderAt === task.reminderAt) task.remindedAt = fired.remindedAt;
+		});
+		this.tasks = tasks;
+		this.lists = lists;
+		this.saveTasks();
+		this.updateTaskListUI();
+		this.updateHistoryButtons();
+	}
+
+	/**
+	 * @private
+	 * @param {KeyboardEvent} event - Evento de teclado.
+	 * @description Ctrl+Z desfaz, Ctrl+Shift+Z (ou Ctrl+Y) refaz. Dentro de um campo de texto, o atalho fica com o campo.
+	 */
+	handleKeyDown(event) {
+		if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+		if (event.target.matches && event.target.matches('input[type="text"], textarea')) return;
+		const key = event.key.toLowerCase();
+		if (key === 'z' && !event.shiftKey) {
+			event.preventDefault();
+			this.undo();
+		} else if ((key === 'z' && event.shiftKey) || key === 'y') {
+			event.preventDefault();
+			this.redo();
+		}
+	}
+
+	/**
+	 * @private
+	 * @description Habilita os botões Desfazer/Refazer conforme o histórico.
+	 */
+	updateHistoryButtons() {
+		const undoButton = document.getElementById('undoTaskBtn');
+		const redoButton = document.getElementById('redoTaskBtn');
+		if (!undoButton || !redoButton) return;
+		const lastUndo = this.history.undoStack[this.history.undoStack.length - 1];
+		const lastRedo = this.history.redoStack[this.history.redoStack.length - 1];
+		undoButton.disabled = !lastUndo;
+		redoButton.disabled = !lastRedo;
+		undoButton.setAttribute('aria-label', lastUndo ? `Desfazer ${lastUndo.label}` : 'Desfazer');
+		redoButton.setAttribute('aria-label', lastRedo ? `Refazer ${lastRedo.label}` : 'Refazer');
+	}
+
+	/**
+	 * @method updateTaskListUI
+	 * @private
+	 * @description Atualiza a lista de tarefas (UL) na tela. Renderiza novamente os itens da lista.
+	 */
+	updateTaskListUI() {
+		const taskList = document.querySelector('.todo-list');
+		if (taskList) {
+			taskList.innerHTML = this.renderTaskListItems(); // Atualiza conteúdo da UL
+			document.getElementById('todoLists').innerHTML = this.renderListsNav(); // Contagens e lista ativa
+			document.getElementById('todoListTitle').textContent = this.getCurrentList().name;
+			document.getElementById('deleteListBtn').disabled = this.lists.length < 2;
+			document.getElementById('taskFilterTag').innerHTML = this.renderTagOptions(); // Tags novas entram no filtro
+			document.getElementById('taskFilterStatus').value = this.view.status;
+			document.getElementById('todoEmpty').hidden = taskList.children.length > 0;
+			document.getElementById('todoHint').textContent = this.getHint();
+			const board = this.view.layout === 'board';
+			taskList.hidden = board;
+			document.getElementById('todoBoardWrapper').hidden = !board;
+			document.getElementById('todoBoard').innerHTML = this.renderBoard();
+			document.getElementById('todoColumnSettings').innerHTML = this.renderColumnSettings();
+			document.querySelectorAll('#todoViewSwitch [data-layout]').forEach(button => {
+				button.setAttribute('aria-pressed', String(button.dataset.layout === this.view.layout));
+			});
+			this.setupEventListenersForListItems(); // Refaz eventos dos itens (deprecated)
+		}
+	}
+
+	/**
+	 * @method updateTaskItemUI
+	 * @private
+	 * @param {string} id - ID da tarefa.
+	 * @description Atualiza um item específico da tarefa na UI (classe 'completed', checkbox).
+	 */
+	updateTaskItemUI(id) {
+		const listItem = document.querySelector(`.todo-list li[data-id="${id}"]`);
+		if (listItem) {
+			const task = this.tasks[this.findIndex(id)];
+			const taskSpan = listItem.querySelector(':scope > .todo-body > .todo-text'); // Não os das subtarefas
+			const checkbox = listItem.querySelector(':scope > .todo-check');
+
+			if (taskSpan) taskSpan.classList.toggle('completed', task.completed); // Atualiza classe do span
+			if (checkbox) checkbox.checked = task.completed; // Atualiza checkbox
+			listItem.classList.toggle('overdue', ListaDeTarefas.isOverdue(task)); // Concluir tira o "atrasada"
+			document.getElementById('todoLists').innerHTML = this.renderListsNav(); // Contagem de pendentes
+			const due = listItem.querySelector(':scope > .todo-body > .todo-meta > .todo-due');
+			if (due) due.textContent = `${ListaDeTarefas.isOverdue(task) ? 'Atrasada · ' : ''}${new Date(`${task.dueDate}T00:00:00`).toLocaleDateString('pt-BR')}`;
+		}
+	}
+
+	/**
+	 * @method setupEventListenersForListItems
+	 * @private
+	 * @description Configura eventos para itens da lista (checkboxes/delete btns) - DEPRECATED.
+	 * @deprecated  - Delegação de eventos em `setupEventListeners` torna isto redundante.
+	 */
+	setupEventListenersForListItems() { // DEPRECATED - Delegação no setupEventListeners torna obsoleto
+		// Implementação de listeners para checkboxes e delete buttons em cada item, se necessário em renderização parcial.
+		// No modelo atual, delegação em 'setupEventListeners' torna essa função redundante, mantida por referência.
+	}
+}
+
+/** Prioridades das tarefas: rótulo mostrado e peso na ordenação. */
+ListaDeTarefas.PRIORITIES = {
+	alta: { label: 'Alta', weight: 3 },
+	media: { label: 'Média', weight: 2 },
+	baixa: { label: 'Baixa', weight: 1 }
+};
+
+/** Colunas do quadro de uma lista nova. A marcada com `done` é a das tarefas concluídas. */
+ListaDeTarefas.BOARD_COLUMNS = [
+	{ id: 'todo', name: 'A fazer', wip: 0, done: false },
+	{ id: 'doing', name: 'Fazendo', wip: 0, done: false },
+	{ id: 'done', name: 'Feito', wip: 0, done: true }
+];
+
+/** Lista criada na primeira vez (e para onde vão as tarefas de versões sem listas). */
+ListaDeTarefas.DEFAULT_LIST = { id: 'inbox', name: 'Tarefas' };
+
+/** Maior espera entre verificações de lembretes (ms). */
+ListaDeTarefas.REMINDER_MAX_DELAY = 60 * 1000;
+
+/** Quantas tarefas a prévia da importação lista (o resto só entra na contagem). */
+ListaDeTarefas.IMPORT_PREVIEW_LIMIT = 50;
+
+// --------------------------------------------------
+//  POMODORO - Ciclos de foco ligados às tarefas
+// --------------------------------------------------
+/**
+ * @class Pomodoro
+ * @description Timer de foco e pausas para uma tarefa da Lista de Tarefas. A sessão guarda horários (não um
+ * contador), então continua certa ao trocar de tela ou recarregar a página. O tempo de foco fica registrado por
+ * tarefa, para a lista e os resumos do dia e da semana.
+ */
+class Pomodoro {
+	/**
+	 * @constructor
+	 * @param {HTMLElement} contentDiv - Área de conteúdo do App.
+	 * @param {ListaDeTarefas} taskList - Lista de onde vêm as tarefas.
+	 */
+	constructor(contentDiv, taskList) {
+		this.contentDiv = contentDiv;
+		this.taskList = taskList;
+		this.scope = null; // ViewScope da tela montada (atualização do relógio)
+		this.settings = this.loadSettings(); // Durações em minutos (salvas em 'pomodoroSettings')
+		this.session = this.loadSession(); // Sessão em andamento ou null (salva em 'pomodoroSession')
+		this.log = this.loadLog(); // Trechos de foco: [{ taskId, start, end }] em ms (salvos em 'pomodoroLog')
+		this.timer = null; // Fim da fase atual; vive fora da tela, como os lembretes
+	}
+
+	/**
+	 * @private
+	 * @returns {{work: number, shortBreak: number, longBreak: number, longEvery: number}} Durações salvas.
+	 */
+	loadSettings() {
+		const settings = { ...Pomodoro.DEFAULT_SETTINGS };
+		const saved = appStorage.get('pomodoroSettings', {}) || {};
+		Object.keys(settings).forEach(key => {
+			const value = Math.floor(Number(saved[key]));
+			if (value >= 1 && value <= Pomodoro.MAX_MINUTES) settings[key] = value;
+		});
+		return settings;
+	}
+
+	/**
+	 * @private
+	 * @returns {object|null} Sessão salva: { taskId, phase ('work', 'short' ou 'long'), cycles (focos completos),
+	 * remaining (ms restantes quando pausada), startedAt e endsAt (ms; null quando pausada) }.
+	 */
+	loadSession() {
+		const session = appStorage.get('pomodoroSession');
+		if (!session || !Pomodoro.PHASES[session.phase] || !(session.remaining > 0)) return null;
+		return {
+			taskId: typeof session.taskId === 'string' ? session.taskId : null,
+			phase: session.phase,
+			cycles: Number.isInteger(session.cycles) ? session.cycles : 0,
+			remaining: session.remaining,
+			startedAt: Number.isFinite(session.startedAt) ? session.startedAt : null,
+			endsAt: Number.isFinite(session.endsAt) ? session.endsAt : null
+		};
+	}
+
+	/**
+	 * @private
+	 * @returns {Array<{taskId: string, start: number, end: number}>} Trechos de foco salvos.
+	 */
+	loadLog() {
+		const log = appStorage.get('pomodoroLog', []);
+		return Array.isArray(log) ? log.filter(entry => entry && typeof entry.taskId === 'string' && entry.end > entry.start) : [];
+	}
+
+	/**
+	 * @private
+	 * @description Salva sessão e registro e reagenda o fim da fase.
+	 */
+	save() {
+		appStorage.set('pomodoroSession', this.session && { ...this.session });
+		appStorage.set('pomodoroLog', [...this.log]);
+		this.schedule();
+	}
+
+	/**
+	 * @method restore
+	 * @description Retoma a sessão salva. O App chama ao iniciar: uma fase que terminou com a página fechada é
+	 * encerrada (com aviso) no horário em que terminou.
+	 */
+	restore() {
+		this.schedule();
+	}
+
+	/**
+	 * @private
+	 * @description Agenda `finishPhase` para o fim da fase em andamento (na hora, se já passou).
+	 */
+	schedule() {
+		clearTimeout(this.timer);
+		if (this.isRunning()) {
+			this.timer = setTimeout(() => this.finishPhase(), Math.max(this.session.endsAt - Date.now(), 0));
+		}
+	}
+
+	/**
+	 * @returns {boolean} Se o relógio está correndo.
+	 */
+	isRunning() {
+		return Boolean(this.session && this.session.endsAt);
+	}
+
+	/**
+	 * @param {string} phase - 'work', 'short' ou 'long'.
+	 * @returns {number} Duração da fase em ms.
+	 */
+	getPhaseLength(phase) {
+		return this.settings[Pomodoro.PHASES[phase].setting] * 60 * 1000;
+	}
+
+	/**
+	 * @returns {number} Ms que faltam na fase atual (0 sem sessão).
+	 */
+	getRemaining() {
+		if (!this.session) return 0;
+		return this.isRunning() ? Math.max(this.session.endsAt - Date.now(), 0) : this.session.remaining;
+	}
+
+	/**
+	 * @method start
+	 * @param {string|null} [taskId] - Tarefa do foco; sem ela, continua com a tarefa da sessão.
+	 * @description Começa (ou retoma) a fase atual. Sem sessão, abre uma começando pelo foco.
+	 */
+	start(taskId) {
+		if (this.isRunning()) return;
+		if (!this.session) {
+			this.session = { taskId: null, phase: 'work', cycles: 0, remaining: this.getPhaseLength('work'), startedAt: null, endsAt: null };
+		}
+		if (taskId !== undefined) this.session.taskId = taskId;
+		const now = Date.now();
+		this.session.startedAt = now;
+		this.session.endsAt = now + this.session.remaining;
+		this.taskList.requestNotificationPermission(); // Para avisar o fim da fase com a aba em segundo plano
+		this.save();
+		this.update();
+	}
+
+	/**
+	 * @method pause
+	 * @description Pausa a fase atual, guardando quanto falta (e registrando o foco feito até aqui).
+	 */
+	pause() {
+		if (!this.isRunning()) return;
+		const now = Date.now();
+		this.record(now);
+		this.session.remaining = Math.max(this.session.endsAt - now, 1000);
+		this.session.startedAt = null;
+		this.session.endsAt = null;
+		this.save();
+		this.update();
+	}
+
+	/**
+	 * @method setTask
+	 * @param {string|null} taskId - Nova tarefa da sessão.
+	 * @description Troca a tarefa; com o relógio correndo, o tempo até aqui fica com a anterior.
+	 */
+	setTask(taskId) {
+		if (!this.session) {
+			this.session = { taskId, phase: 'work', cycles: 0, remaining: this.getPhaseLength('work'), startedAt: null, endsAt: null };
+		} else if (taskId !== this.session.taskId) {
+			const now = Date.now();
+			this.record(now);
+			if (this.isRunning()) this.session.startedAt = now;
+			this.session.taskId = taskId;
+		}
+		this.save();
+		this.update();
+	}
+
+	/**
+	 * @method skip
+	 * @description Encerra a fase atual agora e prepara a próxima (sem aviso).
+	 */
+	skip() {
+		if (!this.session) return;
+		this.advance(Date.now());
+		this.save();
+		this.update();
+	}
+
+	/**
+	 * @method stop
+	 * @description Encerra a sessão (o foco feito até aqui fica registrado).
+	 */
+	stop() {
+		if (!this.session) return;
+		this.record(Date.now());
+		this.session = null;
+		this.save();
+		this.update();
+	}
+
+	/**
+	 * @private
+	 * @description Fim da fase em andamento: registra, prepara a próxima (pausada, esperando "Iniciar") e avisa.
+	 */
+	finishPhase() {
+		if (!this.isRunning()) return;
+		const finished = this.session.phase;
+		const task = this.getTask(this.session.taskId);
+		this.advance(this.session.endsAt);
+		this.save();
+		this.update();
+		const next = Pomodoro.PHASES[this.session.phase].label.toLowerCase();
+		const message = finished === 'work'
+			? `Fim do foco${task ? ` em "${task.text}"` : ''}. Hora da ${next}!`
+			: `Fim da ${Pomodoro.PHASES[finished].label.toLowerCase()}. Hora de focar!`;
+		app.notifications.show(message, 'success', {
+			duration: 0,
+			actions: [{ label: `Iniciar ${next}`, handler: () => this.start() }]
+		});
+		if (typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+			new Notification('Pomodoro', { body: message, tag: 'pomodoro' });
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {number} at - Momento em que a fase terminou (ms).
+	 * @description Registra o foco e passa para a próxima fase: pausa longa a cada `longEvery` focos, curta nos outros.
+	 */
+	advance(at) {
+		const session = this.session;
+		this.record(at);
+		if (session.phase === 'work') {
+			session.cycles++;
+			session.phase = session.cycles % this.settings.longEvery === 0 ? 'long' : 'short';
+		} else {
+			session.phase = 'work';
+		}
+		session.remaining = this.getPhaseLength(session.phase);
+		session.startedAt = null;
+		session.endsAt = null;
+	}
+
+	/**
+	 * @private
+	 * @param {number} end - Fim do trecho (ms).
+	 * @description Guarda o trecho de foco corrido desde `startedAt` para a tarefa da sessão.
+	 */
+	record(end) {
+		const session = this.session;
+		if (!session || session.phase !== 'work' || !session.startedAt || !session.taskId || end <= session.startedAt) return;
+		this.log.push({ taskId: session.taskId, start: session.startedAt, end });
+		if (this.log.length > Pomodoro.LOG_LIMIT) this.log.splice(0, this.log.length - Pomodoro.LOG_LIMIT); // Os mais antigos saem
+	}
+
+	/**
+	 * @private
+	 * @returns {Array<{taskId: string, start: number, end: number}>} Registro com o trecho em andamento até agora.
+	 */
+	getEntries() {
+		const session = this.session;
+		if (this.isRunning() && session.phase === 'work' && session.taskId) {
+			return [...this.log, { taskId: session.taskId, start: session.startedAt, end: Math.max(session.startedAt, Math.min(Date.now(), session.endsAt)) }];
+		}
+		return this.log;
+	}
+
+	/**
+	 * @method getTaskTime
+	 * @param {string} taskId - ID da tarefa.
+	 * @returns {number} Tempo de foco total da tarefa em ms.
+	 */
+	getTaskTime(taskId) {
+		return this.getEntries().filter(entry => entry.taskId === taskId).reduce((total, entry) => total + entry.end - entry.start, 0);
+	}
+
+	/**
+	 * @method getSummary
+	 * @param {Date} [now=new Date()] - Referência para "hoje" e "esta semana" (de segunda a domingo).
+	 * @returns {{today: number, week: number, days: Array<{date: string, total: number}>, todayTasks: Array, weekTasks: Array}}
+	 * Totais em ms, o total de cada dia da semana e, por tarefa ({ taskId, total }, maior primeiro), os de hoje e da
+	 * semana. Cada trecho conta no dia em que começou.
+	 */
+	getSummary(now = new Date()) {
+		const monday = new Date(now.getFullYear(), now.getMonth(), now.getDate() - (now.getDay() + 6) % 7);
+		const days = Array.from({ length: 7 }, (_, index) => {
+			const date = new Date(monday);
+			date.setDate(monday.getDate() + index);
+			return { date: ListaDeTarefas.toDateKey(date), total: 0 };
+		});
+		const todayKey = ListaDeTarefas.toDateKey(now);
+		const todayTasks = new Map();
+		const weekTasks = new Map();
+		const add = (map, taskId, time) => map.set(taskId, (map.get(taskId) || 0) + time);
+		this.getEntries().forEach(entry => {
+			const day = days.find(item => item.date === ListaDeTarefas.toDateKey(new Date(entry.start)));
+			if (!day) return;
+			const time = entry.end - entry.start;
+			day.total += time;
+			add(weekTasks, entry.taskId, time);
+			if (day.date === todayKey) add(todayTasks, entry.taskId, time);
+		});
+		const byTotal = (map) => [...map].map(([taskId, total]) => ({ taskId, total })).sort((a, b) => b.total - a.total);
+		return {
+			today: days.find(day => day.date === todayKey).total,
+			week: days.reduce((total, day) => total + day.total, 0),
+			days,
+			todayTasks: byTotal(todayTasks),
+			weekTasks: byTotal(weekTasks)
+		};
+	}
+
+	/**
+	 * @private
+	 * @param {string|null} taskId - ID da tarefa.
+	 * @returns {object|undefined} Tarefa, se ainda existir.
+	 */
+	getTask(taskId) {
+		return this.taskList.tasks.find(task => task.id === taskId);
+	}
+
+	/**
+	 * @method mount
+	 * @param {HTMLElement} container - Elemento onde o timer será exibido.
+	 * @param {ViewScope} scope - Escopo da tela; o relógio da tela para ao sair (a sessão continua).
+	 * @description Monta o timer no container (usado pelo registro de ferramentas do App).
+	 */
+	mount(container, scope) {
+		this.contentDiv = container;
+		this.scope = scope;
+		this.render();
+		scope.setInterval(() => this.updateClock(), 1000);
+	}
+
+	/**
+	 * @method unmount
+	 * @description Esquece a tela; o fim da fase continua agendado.
+	 */
+	unmount() {
+		this.scope = null;
+	}
+
+	/**
+	 * @private
+	 * @description Desenha a tela do timer.
+	 */
+	render() {
+		const settingsFields = [['work', 'Foco (min)'], ['shortBreak', 'Pausa curta (min)'], ['longBreak', 'Pausa longa (min)'], ['longEvery', 'Pausa longa a cada (focos)']];
+		this.contentDiv.innerHTML = `
+                <div class="pomodoro-container fade-in">
+                    <h2>Pomodoro</h2>
+                    <label for="pomodoroTask">Tarefa</label>
+                    <select id="pomodoroTask"></select>
+                    <div class="pomodoro-timer" role="timer" aria-live="off">
+                        <p class="pomodoro-phase" id="pomodoroPhase"></p>
+                        <p class="pomodoro-clock" id="pomodoroClock"></p>
+                        <progress id="pomodoroProgress" max="1" value="0" aria-label="Progresso da fase"></progress>
+                        <p class="pomodoro-cycles" id="pomodoroCycles"></p>
+                    </div>
+                    <div class="pomodoro-controls" role="group" aria-label="Controles do timer">
+                        <button id="pomodoroStartBtn"></button>
+                        <button id="pomodoroSkipBtn">Pular fase</button>
+                        <button id="pomodoroStopBtn">Encerrar</button>
+                    </div>
+                    <details class="pomodoro-settings">
+                        <summary>Durações</summary>
+                        <form id="pomodoroSettingsForm">
+                            ${settingsFields.map(([key, label]) => `<label>${label} <input type="number" name="${key}" min="1" max="${Pomodoro.MAX_MINUTES}" value="${this.settings[key]}" required></label>`).join('')}
+                            <button type="submit">Salvar</button>
+                        </form>
+                    </details>
+                    <section class="pomodoro-summary" id="pomodoroSummary" aria-label="Resumo do tempo de foco"></section>
+                    <button onclick="app.voltarAoMenu()">Voltar ao Menu</button>
+                </div>
+            `;
+		document.getElementById('pomodoroTask').addEventListener('change', (event) => this.setTask(event.target.value || null));
+		document.getElementById('pomodoroStartBtn').addEventListener('click', () => (this.isRunning() ? this.pause() : this.start()));
+		document.getElementById('pomodoroSkipBtn').addEventListener('click', () => this.skip());
+		document.getElementById('pomodoroStopBtn').addEventListener('click', () => this.stop());
+		document.getElementById('pomodoroSettingsForm').addEventListener('submit', (event) => {
+			event.preventDefault();
+			this.saveSettings(Object.fromEntries(new FormData(event.target)));
+		});
+		this.update();
+	}
+
+	/**
+	 * @method saveSettings
+	 * @param {object} values - { work, shortBreak, longBreak, longEvery } (valores fora de 1 a `MAX_MINUTES` são ignorados).
+	 * @description Salva as durações. Vale a partir da próxima fase; uma fase pausada que ainda não começou já usa a nova.
+	 */
+	saveSettings(values) {
+		const session = this.session;
+		const untouched = session && !this.isRunning() && session.remaining === this.getPhaseLength(session.phase);
+		Object.keys(this.settings).forEach(key => {
+			const value = Math.floor(Number(values[key]));
+			if (value >= 1 && value <= Pomodoro.MAX_MINUTES) this.settings[key] = value;
+		});
+		appStorage.set('pomodoroSettings', { ...this.settings });
+		if (untouched) session.remaining = this.getPhaseLength(session.phase);
+		this.save();
+		this.update();
+		app.notifications.show('Durações do Pomodoro salvas.', 'success');
+	}
+
+	/**
+	 * @private
+	 * @description Atualiza a tela montada (se houver) depois de uma mudança na sessão.
+	 */
+	update() {
+		const select = document.getElementById('pomodoroTask');
+		if (!select) return;
+		const taskId = this.session ? this.session.taskId : null;
+		const pending = this.taskList.tasks.filter(task => !task.completed || task.id === taskId);
+		select.innerHTML = `<option value="">Sem tarefa (não registra tempo)</option>${this.taskList.lists.map(list => {
+			const tasks = pending.filter(task => task.listId === list.id);
+			return tasks.length ? `<optgroup label="${utils.sanitizeInput(list.name)}">${tasks.map(task => `<option value="${task.id}">${utils.sanitizeInput(task.text)}</option>`).join('')}</optgroup>` : '';
+		}).join('')}`;
+		select.value = taskId && this.getTask(taskId) ? taskId : '';
+		const phase = Pomodoro.PHASES[this.session ? this.session.phase : 'work'];
+		document.getElementById('pomodoroPhase').textContent = `${phase.label}${this.session && !this.isRunning() ? ' (pausado)' : ''}`;
+		document.getElementById('pomodoroCycles').textContent = `Focos completos: ${this.session ? this.session.cycles : 0} · pausa longa a cada ${this.settings.longEvery}`;
+		const startButton = document.getElementById('pomodoroStartBtn');
+		startButton.textContent = this.isRunning() ? 'Pausar' : (this.session && this.session.remaining < this.getPhaseLength(this.session.phase) ? 'Retomar' : 'Iniciar');
+		document.getElementById('pomodoroSkipBtn').disabled = !this.session;
+		document.getElementById('pomodoroStopBtn').disabled = !this.session;
+		this.contentDiv.querySelector('.pomodoro-timer').className = `pomodoro-timer phase-${this.session ? this.session.phase : 'work'}`;
+		this.updateClock();
+		this.renderSummary();
+	}
+
+	/**
+	 * @private
+	 * @description Atualiza o relógio e a barra de progresso (a cada segundo, com a tela montada).
+	 */
+	updateClock() {
+		const clock = document.getElementById('pomodoroClock');
+		if (!clock) return;
+		const remaining = this.session ? this.getRemaining() : this.getPhaseLength('work');
+		const seconds = Math.ceil(remaining / 1000);
+		clock.textContent = `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+		const length = this.getPhaseLength(this.session ? this.session.phase : 'work');
+		document.getElementById('pomodoroProgress').value = Math.min(1, Math.max(0, 1 - remaining / length));
+	}
+
+	/**
+	 * @private
+	 * @description Mostra o tempo de foco de hoje e da semana, por dia e por tarefa.
+	 */
+	renderSummary() {
+		const summary = this.getSummary();
+		const taskName = (taskId) => {
+			const task = this.getTask(taskId);
+			return task ? utils.sanitizeInput(task.text) : '<em>Tarefa excluída</em>';
+		};
+		const taskRows = (rows) => (rows.length
+			? `<ul class="pomodoro-task-times">${rows.map(row => `<li><span>${taskName(row.taskId)}</span> <strong>${Pomodoro.formatDuration(row.total)}</strong></li>`).join('')}</ul>`
+			: '<p class="pomodoro-empty">Nenhum foco registrado.</p>');
+		const longest = Math.max(...summary.days.map(day => day.total), 1);
+		document.getElementById('pomodoroSummary').innerHTML = `
+                        <h3>Hoje: ${Pomodoro.formatDuration(summary.today)}</h3>
+                        ${taskRows(summary.todayTasks)}
+                        <h3>Esta semana: ${Pomodoro.formatDuration(summary.week)}</h3>
+                        <ol class="pomodoro-week">
+                            ${summary.days.map(day => `
+                            <li>
+                                <span class="pomodoro-day">${TaskRecurrence.toDate(day.date).toLocaleDateString('pt-BR', { weekday: 'short' })}</span>
+                                <span class="pomodoro-bar" style="width: ${(day.total / longest) * 100}%"></span>
+                                <span class="pomodoro-day-total">${Pomodoro.formatDuration(day.total)}</span>
+                            </li>`).join('')}
+                        </ol>
+                        ${taskRows(summary.weekTasks)}`;
+	}
+
+	/**
+	 * @param {number} ms - Duração.
+	 * @returns {string} Duração legível (ex: "1h 05min", "25min", "0min").
+	 */
+	static formatDuration(ms) {
+		const minutes = Math.floor(ms / 60000);
+		if (minutes < 60) return `${minutes}min`;
+		return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}min`;
+	}
+}
+
+/** Fases do ciclo: nome mostrado e a duração (em `settings`) que usam. */
+Pomodoro.PHASES = {
+	work: { label: 'Foco', setting: 'work' },
+	short: { label: 'Pausa curta', setting: 'shortBreak' },
+	long: { label: 'Pausa longa', setting: 'longBreak' }
+};
+
+/** Durações padrão (minutos) e quantos focos até a pausa longa. */
+Pomodoro.DEFAULT_SETTINGS = { work: 25, shortBreak: 5, longBreak: 15, longEvery: 4 };
+
+/** Maior valor aceito nas configurações. */
+Pomodoro.MAX_MINUTES = 180;
+
+/** Quantos trechos de foco o registro guarda (os mais antigos saem primeiro). */
+Pomodoro.LOG_LIMIT = 5000;
+
+// --------------------------------------------------
+//  MOTOR DE EXPRESSÕES - Fallback offline do math.js
+// --------------------------------------------------
+/**
+ * @class ExpressionError
+ * @extends Error
+ * @description Erro de sintaxe ou de avaliação de uma expressão, com a posição do problema no texto.
+ */
+class ExpressionError extends Error {
+	/**
+	 * @constructor
+	 * @param {string} message - Descrição do erro.
+	 * @param {number} [position=-1] - Índice (base 0) do caractere onde o erro foi encontrado.
+	 * @param {string} [token=''] - Trecho da expressão que causou o erro.
+	 */
+	constructor(message, position = -1, token = '') {
+		super(message);
+		this.name = 'ExpressionError';
+		this.position = position;
+		this.token = token;
+	}
+}
+
+/**
+ * @class ExpressionEngine
+ * @description Analisador e avaliador de expressões matemáticas sem `eval`. Usado pela Calculadora quando o
+ * math.js não carregou (ex: sem internet). Segue a mesma precedência do math.js: `!` e `%` (pós-fixos),
+ * depois `^` (associativo à direita), sinais unários, `* /` (e multiplicação implícita, como `2pi`) e `+ -`.
+ * Expõe `evaluate(expressao, escopo)` e `compile(expressao).evaluate(escopo)`, como o math.js.
+ */
+class ExpressionEngine {
+	constructor() {
+		/** @private */
+		this.constants = {
+			pi: Math.PI,
+			'π': Math.PI,
+			e: Math.E
+		};
+		/** @private */
+		this.functions = {
+			sqrt: Math.sqrt,
+			cbrt: Math.cbrt,
+			abs: Math.abs,
+			round: Math.round,
+			floor: Math.floor,
+			ceil: Math.ceil,
+			exp: Math.exp,
+			log: (x, base) => (base === undefined ? Math.log(x) : Math.log(x) / Math.log(base)), // log(x) é natural, como no math.js
+			log10: Math.log10,
+			log2: Math.log2,
+			sin: Math.sin,
+			cos: Math.cos,
+			tan: Math.tan,
+			asin: Math.asin,
+			acos: Math.acos,
+			atan: Math.atan,
+			sinh: Math.sinh,
+			cosh: Math.cosh,
+			tanh: Math.tanh,
+			pow: Math.pow,
+			min: Math.min,
+			max: Math.max,
+			mod: (a, b) => a % b
+		};
+	}
+
+	/**
+	 * @method evaluate
+	 * @param {string} expression - Expressão a ser calculada.
+	 * @param {object} [scope={}] - Variáveis e funções disponíveis na expressão.
+	 * @returns {number} Resultado.
+	 * @throws {ExpressionError} Se a expressão for inválida.
+	 */
+	evaluate(expression, scope = {}) {
+		return this.evaluateNode(this.parse(expression), scope);
+	}
+
+	/**
+	 * @method compile
+	 * @param {string} expression - Expressão a ser compilada.
+	 * @returns {{evaluate: function(object): number}} Expressão pré-analisada, para avaliar várias vezes (ex: gráficos).
+	 * @throws {ExpressionError} Se a expressão for inválida.
+	 */
+	compile(expression) {
+		const tree = this.parse(expression);
+		return {
+			evaluate: (scope = {}) => this.evaluateNode(tree, scope)
+		};
+	}
+
+	/**
+	 * @method parse
+	 * @param {string} expression - Expressão a ser analisada.
+	 * @returns {object} Árvore sintática (nós `number`, `symbol`, `unary`, `binary`, `postfix` e `call`,
+	 * todos com `start` e `end` apontando para o trecho original).
+	 * @throws {ExpressionError} Se a expressão for inválida.
+	 */
+	parse(expression) {
+		const tokens = this.tokenize(String(expression));
+		const state = { tokens, index: 0, source: String(expression) };
+		if (tokens.length === 1) { // Só o marcador de fim
+			throw new ExpressionError('Expressão vazia', 0);
+		}
+		const tree = this.parseAdditive(state);
+		const token = this.peek(state);
+		if (token.type !== 'end') {
+			throw new ExpressionError(`Símbolo inesperado "${token.text}"`, token.start, token.text);
+		}
+		return tree;
+	}
+
+	/**
+	 * @private
+	 * @method tokenize
+	 * @param {string} source - Expressão.
+	 * @returns {Array<object>} Tokens `{type, text, value, start, end}`, terminando com um token `end`.
+	 */
+	tokenize(source) {
+		const tokens = [];
+		const aliases = { '×': '*', '÷': '/', '−': '-' }; // Símbolos "bonitos" dos botões
+		let i = 0;
+		while (i < source.length) {
+			const char = source[i];
+			if (/\s/.test(char)) {
+				i++;
+				continue;
+			}
+			const number = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(source.slice(i));
+			if (number) {
+				tokens.push({ type: 'number', text: number[0], value: parseFloat(number[0]), start: i, end: i + number[0].length });
+				i += number[0].length;
+				continue;
+			}
+			const name = /^[A-Za-z_π][A-Za-z0-9_]*/.exec(source.slice(i));
+			if (name) {
+				tokens.push({ type: 'name', text: name[0], start: i, end: i + name[0].length });
+				i += name[0].length;
+				continue;
+			}
+			const operator = aliases[char] || char;
+			if ('+-*/^%!(),'.includes(operator)) {
+				tokens.push({ type: 'operator', text: operator, start: i, end: i + 1 });
+				i++;
+				continue;
+			}
+			throw new ExpressionError(`Caractere inválido "${char}"`, i, char);
+		}
+		tokens.push({ type: 'end', text: 'fim da expressão', start: source.length, end: source.length });
+		return tokens;
+	}
+
+	/** @private */
+	peek(state) {
+		return state.tokens[state.index];
+	}
+
+	/** @private */
+	isOperator(token, text) {
+		return token.type === 'operator' && token.text === text;
+	}
+
+	/** @private */
+	expect(state, text) {
+		const token = this.peek(state);
+		if (!this.isOperator(token, text)) {
+			throw new ExpressionError(`Esperava "${text}" mas encontrei "${token.text}"`, token.start, token.text);
+		}
+		state.index++;
+		return token;
+	}
+
+	/** @private */
+	parseAdditive(state) {
+		let left = this.parseMultiplicative(state);
+		let token = this.peek(state);
+		while (this.isOperator(token, '+') || this.isOperator(token, '-')) {
+			state.index++;
+			const right = this.parseMultiplicative(state);
+			left = { type: 'binary', operator: token.text, left, right, start: left.start, end: right.end };
+			token = this.peek(state);
+		}
+		return left;
+	}
+
+	/** @private */
+	parseMultiplicative(state) {
+		let left = this.parseUnary(state);
+		let token = this.peek(state);
+		while (true) {
+			const explicit = this.isOperator(token, '*') || this.isOperator(token, '/');
+			const implicit = token.type === 'name' || this.isOperator(token, '('); // Multiplicação implícita: 2pi, 3(4+1), (1+2)(3+4)
+			if (!explicit && !implicit) break;
+			if (explicit) state.index++;
+			const right = this.parseUnary(state);
+			left = { type: 'binary', operator: explicit ? token.text : '*', left, right, implicit, start: left.start, end: right.end };
+			token = this.peek(state);
+		}
+		return left;
+	}
+
+	/** @private */
+	parseUnary(state) {
+		const token = this.peek(state);
+		if (this.isOperator(token, '-') || this.isOperator(token, '+')) {
+			state.index++;
+			const argument = this.parseUnary(state);
+			return { type: 'unary', operator: token.text, argument, start: token.start, end: argument.end };
+		}
+		return this.parsePower(state);
+	}
+
+	/** @private */
+	parsePower(state) {
+		const base = this.parsePostfix(state);
+		if (this.isOperator(this.peek(state), '^')) {
+			state.index++;
+			const exponent = this.parseUnary(state); // Associativo à direita e aceita sinal: 2^-1, 2^3^2
+			return { type: 'binary', operator: '^', left: base, right: exponent, start: base.start, end: exponent.end };
+		}
+		return base;
+	}
+
+	/** @private */
+	parsePostfix(state) {
+		let node = this.parsePrimary(state);
+		let token = this.peek(state);
+		while (this.isOperator(token, '!') || this.isOperator(token, '%')) {
+			state.index++;
+			node = { type: 'postfix', operator: token.text, argument: node, start: node.start, end: token.end };
+			token = this.peek(state);
+		}
+		return node;
+	}
+
+	/** @private */
+	parsePrimary(state) {
+		const token = this.peek(state);
+		if (token.type === 'number') {
+			state.index++;
+			return { type: 'number', value: token.value, start: token.start, end: token.end };
+		}
+		if (token.type === 'name') {
+			state.index++;
+			if (this.isOperator(this.peek(state), '(')) { // Chamada de função: nome(arg1, arg2)
+				state.index++;
+				const args = [];
+				if (!this.isOperator(this.peek(state), ')')) {
+					args.push(this.parseAdditive(state));
+					while (this.isOperator(this.peek(state), ',')) {
+						state.index++;
+						args.push(this.parseAdditive(state));
+					}
+				}
+				const close = this.expect(state, ')');
+				return { type: 'call', name: token.text, args, start: token.start, end: close.end };
+			}
+			return { type: 'symbol', name: token.text, start: token.start, end: token.end };
+		}
+		if (this.isOperator(token, '(')) {
+			state.index++;
+			const inner = this.parseAdditive(state);
+			const close = this.expect(state, ')');
+			return { ...inner, parenthesized: true, start: token.start, end: close.end };
+		}
+		if (token.type === 'end') {
+			throw new ExpressionError('Expressão incompleta', token.start, '');
+		}
+		throw new ExpressionError(`Símbolo inesperado "${token.text}"`, token.start, token.text);
+	}
+
+	/**
+	 * @method evaluateNode
+	 * @param {object} node - Nó da árvore sintática.
+	 * @param {object} [scope={}] - Variáveis e funções disponíveis.
+	 * @returns {number} Valor do nó.
+	 * @throws {ExpressionError} Para símbolos ou funções desconhecidos.
+	 */
+	evaluateNode(node, scope = {}) {
+		switch (node.type) {
+			case 'number':
+				return node.value;
+			case 'symbol':
+				if (Object.prototype.hasOwnProperty.call(scope, node.name)) return scope[node.name];
+				if (Object.prototype.hasOwnProperty.call(this.constants, node.name)) return this.constants[node.name];
+				throw new ExpressionError(`Símbolo indefinido: ${node.name}`, node.start, node.name);
+			case 'unary': {
+				const value = this.evaluateNode(node.argument, scope);
+				return node.operator === '-' ? -value : value;
+			}
+			case 'postfix': {
+				const value = this.evaluateNode(node.argument, scope);
+				return node.operator === '%' ? value / 100 : this.factorial(value);
+			}
+			case 'binary':
+				return this.applyOperator(node.operator, this.evaluateNode(node.left, scope), this.evaluateNode(node.right, scope));
+			case 'call': {
+				const own = (object) => (Object.prototype.hasOwnProperty.call(object, node.name) ? object[node.name] : undefined); // constructor(5) e valueOf() não são funções da calculadora
+				const fn = typeof own(scope) === 'function' ? own(scope) : own(this.functions);
+				if (typeof fn !== 'function') {
+					throw new ExpressionError(`Função indefinida: ${node.name}`, node.start, node.name);
+				}
+				return fn(...node.args.map(arg => this.evaluateNode(arg, scope)));
+			}
+			default:
+				throw new ExpressionError(`Nó desconhecido: ${node.type}`);
+		}
+	}
+
+	/**
+	 * @method applyOperator
+	 * @param {string} operator - Operador binário (+, -, *, /, ^).
+	 * @param {number} left - Operando da esquerda.
+	 * @param {number} right - Operando da direita.
+	 * @returns {number} Resultado da operação.
+	 */
+	applyOperator(operator, left, right) {
+		switch (operator) {
+			case '+': return left + right;
+			case '-': return left - right;
+			case '*': return left * right;
+			case '/': return left / right;
+			case '^': return Math.pow(left, right);
+			default: throw new ExpressionError(`Operador desconhecido: ${operator}`);
+		}
+	}
+
+	/**
+	 * @method factorial
+	 * @param {number} value - Inteiro não negativo.
+	 * @returns {number} Fatorial, ou NaN para valores fora do domínio.
+	 */
+	factorial(value) {
+		if (!Number.isInteger(value) || value < 0) return NaN;
+		if (value > 170) return Infinity; // Acima disso estoura o double
+		let result = 1;
+		for (let i = 2; i <= value; i++) {
+			result *= i;
+		}
+		return result;
+	}
+}
+
+// --------------------------------------------------
+//  EXPLICAÇÃO PASSO A PASSO - Árvore de precedência e reduções
+// --------------------------------------------------
+/**
+ * @class ExpressionExplainer
+ * @description Explica como uma expressão é calculada, para fins didáticos: monta a árvore de precedência com a
+ * árvore sintática do ExpressionEngine e reduz a expressão uma operação por vez, na mesma ordem da avaliação
+ * (de dentro para fora, da esquerda para a direita). Não mexe no DOM: a Calculator desenha o resultado.
+ */
+class ExpressionExplainer {
+	/**
+	 * @constructor
+	 * @param {ExpressionEngine} [engine] - Motor usado para analisar e reduzir a expressão.
+	 */
+	constructor(engine = new ExpressionEngine()) {
+		/** @private */
+		this.engine = engine;
+		this.maxSteps = 200; // Expressões enormes param de ser detalhadas aqui
+	}
+
+	/**
+	 * @method explain
+	 * @param {string} expression - Expressão a explicar.
+	 * @param {object} [scope={}] - Variáveis e funções disponíveis (o mesmo escopo da calculadora).
+	 * @returns {{expression: string, tree: object|null, steps: Array<object>, result: number|null, error: object|null, truncated: boolean}}
+	 * `tree` tem nós `{label, description, value, text, start, end, children}`; cada passo tem `before` (texto antes
+	 * da redução), `highlight` ({start, end} em `before`), `after`, `description` e `rule`; `error` traz
+	 * `{message, position, token}` com a posição (base 0) no texto original.
+	 */
+	explain(expression, scope = {}) {
+		const source = String(expression);
+		const explanation = { expression: source, tree: null, steps: [], result: null, error: null, truncated: false };
+		let tree;
+		try {
+			tree = this.engine.parse(source);
+		} catch (error) {
+			explanation.error = this.describeError(error, source);
+			return explanation;
+		}
+		explanation.tree = this.describeNode(tree, source, scope);
+
+		const working = JSON.parse(JSON.stringify(tree)); // Cópia que vai sendo reduzida
+		while (working.type !== 'number') {
+			if (explanation.steps.length >= this.maxSteps) {
+				explanation.truncated = true;
+				break;
+			}
+			const node = this.findReducible(working);
+			const before = this.print(working, node);
+			let value;
+			try {
+				value = this.engine.evaluateNode(node, scope);
+			} catch (error) {
+				explanation.error = this.describeError(error, source, node);
+				return explanation;
+			}
+			const step = {
+				before: before.text,
+				highlight: { start: before.start, end: before.end },
+				description: `${this.describeOperation(node)}: ${before.text.slice(before.start, before.end)} = ${ExpressionExplainer.formatNumber(value)}`,
+				rule: this.describeRule(node)
+			};
+			if (typeof value !== 'number' || !isFinite(value)) {
+				explanation.steps.push(step);
+				explanation.error = { message: `${this.describeOperation(node)} sem resultado finito`, position: node.start, token: source.slice(node.start, node.end) };
+				return explanation;
+			}
+			const { start, end } = node;
+			Object.keys(node).forEach(key => delete node[key]); // Troca o nó pelo número, mantendo a posição no texto original
+			Object.assign(node, { type: 'number', value, start, end });
+			step.after = this.print(working).text;
+			if (step.after !== step.before) { // "-4" → "-4" (sinal de um número) não é um passo de verdade
+				explanation.steps.push(step);
+			}
+		}
+		explanation.result = working.type === 'number' ? working.value : null;
+		return explanation;
+	}
+
+	/**
+	 * @private
+	 * @param {object} node - Nó da árvore sintática original.
+	 * @returns {object} Nó da árvore de precedência, com o valor de cada subexpressão (quando dá para calcular).
+	 * Os filhos são descritos primeiro e o valor deles é reaproveitado: cada operação é calculada uma vez só.
+	 */
+	describeNode(node, source, scope) {
+		const children = ({ unary: [node.argument], postfix: [node.argument], binary: [node.left, node.right], call: node.args }[node.type] || [])
+			.map(child => this.describeNode(child, source, scope));
+		let value = null;
+		if (children.every(child => child.value !== null)) { // Filho sem valor: a conta dele dá erro, e esta também
+			try {
+				value = this.engine.evaluateNode(this.withValues(node, children.map(child => child.value)), scope);
+			} catch (error) {
+				value = null; // Erro aparece nos passos, com a posição
+			}
+		}
+		return {
+			label: this.describeLabel(node),
+			description: node.type === 'number' ? 'número' : this.describeOperation(node).toLowerCase(),
+			value,
+			text: source.slice(node.start, node.end),
+			start: node.start,
+			end: node.end,
+			parenthesized: Boolean(node.parenthesized),
+			children
+		};
+	}
+
+	/**
+	 * @private
+	 * @param {object} node - Nó da árvore sintática.
+	 * @param {Array<number>} values - Valores dos filhos, na ordem de `describeNode`.
+	 * @returns {object} Cópia rasa do nó com os filhos trocados por números (avaliar custa só a operação dele).
+	 */
+	withValues(node, values) {
+		const numbers = values.map(value => ({ type: 'number', value }));
+		switch (node.type) {
+			case 'unary':
+			case 'postfix': return { ...node, argument: numbers[0] };
+			case 'binary': return { ...node, left: numbers[0], right: numbers[1] };
+			case 'call': return { ...node, args: numbers };
+			default: return node;
+		}
+	}
+
+	/** @private */
+	describeLabel(node) {
+		switch (node.type) {
+			case 'number': return ExpressionExplainer.formatNumber(node.value);
+			case 'symbol': return node.name;
+			case 'call': return `${node.name}( )`;
+			default: return node.operator;
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {object} node - Nó sendo reduzido.
+	 * @returns {string} Nome da operação (ex: 'Multiplicação implícita').
+	 */
+	describeOperation(node) {
+		const names = { '+': 'Soma', '-': 'Subtração', '*': 'Multiplicação', '/': 'Divisão', '^': 'Potência', '!': 'Fatorial', '%': 'Porcentagem' };
+		switch (node.type) {
+			case 'symbol': return Object.prototype.hasOwnProperty.call(this.engine.constants, node.name) ? 'Constante' : 'Variável';
+			case 'call': return `Função ${node.name}`;
+			case 'unary': return node.operator === '-' ? 'Troca de sinal' : 'Sinal positivo';
+			case 'binary': return node.implicit ? 'Multiplicação implícita' : names[node.operator];
+			default: return names[node.operator] || 'Operação';
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {object} node - Nó sendo reduzido.
+	 * @returns {string} Por que esta operação vem agora.
+	 */
+	describeRule(node) {
+		if (node.parenthesized) return 'O que está entre parênteses é calculado primeiro.';
+		switch (node.type) {
+			case 'symbol': return 'Nomes são trocados pelo valor antes das contas.';
+			case 'call': return 'Os argumentos são calculados antes de aplicar a função.';
+			case 'postfix': return '! e % valem só para o número logo antes deles e vêm antes de qualquer outra operação.';
+			case 'unary': return 'O sinal vale para o que vem logo depois dele (−2^2 é −(2^2)).';
+			default:
+				if (node.operator === '^') return 'Potência vem antes de ×, ÷, + e − (e 2^3^2 é 2^(3^2)).';
+				if (node.operator === '*' || node.operator === '/') return '× e ÷ vêm antes de + e −, da esquerda para a direita.';
+				return '+ e − vêm por último, da esquerda para a direita.';
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {object} node - Raiz (ou subárvore) a procurar.
+	 * @returns {object} Primeiro nó cujos filhos já são números, na ordem da avaliação.
+	 */
+	findReducible(node) {
+		const children = { unary: [node.argument], postfix: [node.argument], binary: [node.left, node.right], call: node.args }[node.type] || [];
+		for (const child of children) {
+			if (child.type !== 'number') return this.findReducible(child);
+		}
+		return node;
+	}
+
+	/**
+	 * @private
+	 * @param {object} node - Árvore a escrever.
+	 * @param {object} [target] - Nó cujo trecho deve ser localizado no texto.
+	 * @returns {{text: string, start: number, end: number}} Expressão (com * e /) e o trecho do nó `target`.
+	 */
+	print(node, target = null) {
+		const output = { text: '', start: -1, end: -1 };
+		const write = (current, nested) => {
+			if (current === target) output.start = output.text.length;
+			const wrap = current.parenthesized && current.type !== 'number';
+			if (wrap) output.text += '(';
+			switch (current.type) {
+				case 'number': {
+					const text = ExpressionExplainer.formatNumber(current.value);
+					output.text += nested && text.startsWith('-') ? `(${text})` : text; // -2^2 mudaria de sentido sem parênteses
+					break;
+				}
+				case 'symbol':
+					output.text += current.name;
+					break;
+				case 'unary':
+					output.text += current.operator;
+					write(current.argument, true);
+					break;
+				case 'postfix':
+					write(current.argument, true);
+					output.text += current.operator;
+					break;
+				case 'call':
+					output.text += `${current.name}(`;
+					current.args.forEach((arg, index) => {
+						if (index > 0) output.text += ', ';
+						write(arg, false);
+					});
+					output.text += ')';
+					break;
+				case 'binary': {
+					write(current.left, true);
+					const juxtaposed = current.implicit && current.left.type === 'number' && (current.right.type !== 'number' || current.right.parenthesized);
+					output.text += juxtaposed ? '' : ` ${current.operator} `; // 2π continua 2π enquanto π não vira número
+					write(current.right, true);
+					break;
+				}
+			}
+			if (wrap) output.text += ')';
+			if (current === target) output.end = output.text.length;
+		};
+		write(node, false);
+		return output;
+	}
+
+	/**
+	 * @private
+	 * @returns {{message: string, position: number, token: string}} Erro com a posição no texto original.
+	 */
+	describeError(error, source, node = null) {
+		const hasPosition = typeof error.position === 'number' && error.position >= 0;
+		const position = hasPosition ? error.position : node ? node.start : -1;
+		const length = hasPosition ? (error.token || '').length : node ? node.end - node.start : 0;
+		return { message: error.message, position, token: position >= 0 ? source.slice(position, position + length) : '' }; // Trecho como foi digitado (× e não *)
+	}
+
+	/**
+	 * @param {number} value - Número.
+	 * @returns {string} Número curto para os passos (12 algarismos, sem lixo de ponto flutuante como 0.30000000000000004).
+	 */
+	static formatNumber(value) {
+		if (typeof value !== 'number') return String(value);
+		if (!isFinite(value) || Number.isInteger(value) && Math.abs(value) < 1e15) return String(value);
+		return String(Number(value.toPrecision(12)));
+	}
+}
+
+// --------------------------------------------------
+//  ENTRADA DA CALCULADORA - Máquina de estados no estilo iPhone
+// --------------------------------------------------
+/**
+ * @class CalculatorInput
+ * @description Máquina de estados da digitação da calculadora, imitando a calculadora do iOS: sem zero à esquerda,
+ * troca de operador em vez de repetir ("5 + ×" vira "5 ×"), +/−, C (limpa a entrada) vs AC (limpa tudo),
+ * total parcial ao apertar um operador e "=" repetido reaplicando a última operação.
+ * Não mexe no DOM: a Calculator lê `getDisplayText()`/`getExpressionText()` para desenhar o visor.
+ */
+class CalculatorInput {
+	/**
+	 * @constructor
+	 * @param {function(string): number} evaluate - Avalia uma expressão sem registrar no histórico.
+	 */
+	constructor(evaluate) {
+		/** @private */
+		this.evaluate = evaluate;
+		this.maxDigits = 15; // Limite de dígitos digitados (precisão do double)
+		this.reset();
+	}
+
+	/**
+	 * @method reset
+	 * @description AC: volta ao estado inicial, esquecendo também a operação repetida pelo "=".
+	 */
+	reset() {
+		this.tokens = []; // Parte já confirmada da expressão (ex: ['12', '+', 'sin(', '30', ')', '*'])
+		this.entry = '0'; // Número sendo digitado (formato canônico, com ponto) ou null logo após um operador
+		this.entryIsResult = false; // A entrada veio de um cálculo/memória (formata arredondado) e não da digitação
+		this.justEvaluated = false; // Acabou de apertar "="
+		this.lastOperation = null; // { operator, operand } reaplicado por "=" repetido
+		this.displayValue = '0'; // Valor mostrado quando não há entrada (total parcial)
+		this.lastExpression = ''; // Expressão do último "=", mostrada acima do resultado
+		this.resultText = null; // Forma exata do último resultado (fração mista, BigNumber), quando houver
+	}
+
+	/**
+	 * @method clear
+	 * @description Tecla C/AC: com algo digitado, apaga só a entrada (C); senão, limpa tudo (AC).
+	 */
+	clear() {
+		if (this.getClearLabel() === 'C') {
+			this.entry = '0';
+			this.entryIsResult = false;
+		} else {
+			this.reset();
+		}
+	}
+
+	/**
+	 * @method getClearLabel
+	 * @returns {string} 'C' quando há uma entrada para apagar, 'AC' caso contrário.
+	 */
+	getClearLabel() {
+		return this.entry !== null && this.entry !== '0' && !this.justEvaluated ? 'C' : 'AC';
+	}
+
+	/**
+	 * @method inputDigit
+	 * @param {string} digit - Dígito de '0' a '9'.
+	 */
+	inputDigit(digit) {
+		this.startFreshIfEvaluated();
+		if (this.entry === null || this.entryIsResult) {
+			if (this.entry === null && this.endsWithValue()) {
+				this.tokens.push('*'); // "π 2" vira "π × 2"
+			}
+			this.entry = '0';
+			this.entryIsResult = false;
+		}
+		if (this.countDigits(this.entry) >= this.maxDigits) return;
+
+		if (this.entry === '0') {
+			this.entry = digit; // Sem zero à esquerda
+		} else if (this.entry === '-0') {
+			this.entry = `-${digit}`;
+		} else {
+			this.entry += digit;
+		}
+	}
+
+	/**
+	 * @method inputDecimal
+	 * @description Separador decimal (vírgula no visor, ponto na expressão).
+	 */
+	inputDecimal() {
+		this.startFreshIfEvaluated();
+		if (this.entry === null || this.entryIsResult) {
+			if (this.entry === null && this.endsWithValue()) {
+				this.tokens.push('*');
+			}
+			this.entry = '0';
+			this.entryIsResult = false;
+		}
+		if (!this.entry.includes('.')) {
+			this.entry += '.';
+		}
+	}
+
+	/**
+	 * @method inputOperator
+	 * @param {string} operator - '+', '-', '*', '/' ou '^'.
+	 * @description Confirma a entrada e empilha o operador. Operador seguido de operador substitui o anterior.
+	 */
+	inputOperator(operator) {
+		const last = this.tokens[this.tokens.length - 1];
+		if (this.justEvaluated) {
+			this.tokens = [this.wrap(this.entry)]; // Continua a conta a partir do resultado
+			this.entry = null;
+			this.justEvaluated = false;
+		} else if (this.entry !== null) {
+			this.commitEntry();
+		} else if (this.isOperator(last)) {
+			this.tokens[this.tokens.length - 1] = operator; // "5 + ×" vira "5 ×"
+			this.updateRunningTotal();
+			return;
+		} else if (last === undefined || last.endsWith('(')) {
+			if (operator === '-') {
+				this.entry = '-0'; // "(" seguido de "−" começa um número negativo
+			}
+			return;
+		}
+		this.tokens.push(operator);
+		this.updateRunningTotal();
+	}
+
+	/**
+	 * @method insert
+	 * @param {string} text - Trecho do teclado científico ('sin(', 'pi', '^2', '!', ')'...).
+	 */
+	insert(text) {
+		const continuesTerm = /^[\^!)]/.test(text); // Aplica-se ao valor anterior (x², n!, 1/x, fecha parêntese)
+		if (this.justEvaluated) {
+			this.tokens = continuesTerm ? [this.wrap(this.entry)] : [];
+			this.entry = null;
+			this.justEvaluated = false;
+		}
+
+		if (continuesTerm) {
+			if (text === ')' && this.getOpenParentheses() <= 0) return; // Nada para fechar
+			if (this.entry !== null) {
+				this.commitEntry();
+			} else if (!this.endsWithValue()) {
+				return; // "5 + !" não faz sentido: ignoro
+			}
+		} else if (this.entry !== null) {
+			if (this.entry === '0' && !this.entryIsResult && this.tokens.length === 0) {
+				this.entry = null; // Zero inicial some: "sin(" em vez de "0 × sin("
+			} else {
+				this.commitEntry();
+				this.tokens.push('*'); // Multiplicação implícita: "2 π", "3 ("
+			}
+		} else if (this.endsWithValue()) {
+			this.tokens.push('*');
+		}
+		this.tokens.push(text);
+	}
+
+	/**
+	 * @method toggleSign
+	 * @description Tecla +/−: inverte o sinal da entrada (ou do resultado).
+	 */
+	toggleSign() {
+		if (this.entry === null) {
+			this.entry = '-0';
+			this.entryIsResult = false;
+			return;
+		}
+		this.entry = this.entry.startsWith('-') ? this.entry.slice(1) : `-${this.entry}`;
+		this.resultText = null; // A forma exata mostrada era a do resultado sem o sinal trocado
+	}
+
+	/**
+	 * @method percent
+	 * @description Porcentagem do iOS: depois de + ou −, é porcentagem do valor anterior (200 + 10% = 220); senão, divide por 100.
+	 */
+	percent() {
+		const value = this.getCurrentValue();
+		const last = this.tokens[this.tokens.length - 1];
+		let base = null;
+		if ((last === '+' || last === '-') && !this.justEvaluated) {
+			try {
+				base = this.evaluate(this.joinTokens(this.closeParentheses(this.tokens.slice(0, -1))));
+			} catch (error) {
+				base = null; // Prefixo incompleto: uso a porcentagem simples
+			}
+		}
+		this.justEvaluated = false;
+		this.setValue(base === null ? value / 100 : base * value / 100);
+	}
+
+	/**
+	 * @method backspace
+	 * @description Apaga o último dígito da entrada; sem entrada, desfaz o último trecho da expressão.
+	 */
+	backspace() {
+		if (this.justEvaluated) return; // Como no iOS, não se apaga um resultado
+		if (this.entry !== null && !this.entryIsResult) {
+			this.entry = this.entry.slice(0, -1);
+			if (this.entry === '' || this.entry === '-') {
+				this.entry = '0';
+			}
+		} else if (this.tokens.length > 0) {
+			this.tokens.pop();
+			this.entry = this.tokens.length === 0 ? '0' : null;
+		}
+	}
+
+	/**
+	 * @method setValue
+	 * @param {number} value - Valor a ser colocado na entrada (MR, resultado recuperado do histórico...).
+	 */
+	setValue(value) {
+		this.startFreshIfEvaluated();
+		if (this.entry === null && this.endsWithValue()) {
+			this.tokens.push('*');
+		}
+		this.entry = this.toCanonical(value);
+		this.entryIsResult = true;
+	}
+
+	/**
+	 * @method loadExpression
+	 * @param {string} expression - Expressão recuperada (ex: do histórico).
+	 * @description Recomeça a conta a partir de uma expressão pronta, que será avaliada no próximo "=".
+	 */
+	loadExpression(expression) {
+		this.reset();
+		const isNumber = /^-?\d+(\.\d+)?$/.test(String(expression).trim());
+		this.tokens = [isNumber ? String(expression).trim() : `(${expression})`];
+		this.entry = null;
+		try {
+			this.displayValue = this.toCanonical(this.evaluate(this.tokens[0])); // Mostra o valor enquanto não aperta "="
+		} catch (error) {
+			// Expressão que não avalia mais (ex: variável removida): o "=" mostrará o erro
+		}
+	}
+
+	/**
+	 * @method getExpressionForEquals
+	 * @returns {string|null} Expressão a ser calculada pelo "=", ou null se não há nada a calcular.
+	 * @description Monta a expressão do "=": completa "5 + =" com o próprio valor, fecha parênteses abertos e,
+	 * depois de um "=", reaplica a última operação ("2 + 3 = = " dá 5 e depois 8).
+	 */
+	getExpressionForEquals() {
+		if (this.justEvaluated) {
+			if (!this.lastOperation) return null;
+			return `${this.wrap(this.entry)} ${this.lastOperation.operator} ${this.lastOperation.operand}`;
+		}
+
+		const parts = [...this.tokens];
+		if (this.entry !== null) {
+			parts.push(this.wrap(this.entry));
+		} else if (this.isOperator(parts[parts.length - 1])) {
+			parts.push(this.wrap(this.displayValue)); // "5 + =" usa o valor do visor como segundo operando
+		}
+		if (parts.length <= 1 && this.entry !== null) return null; // Só um número: nada a fazer
+
+		const closed = this.closeParentheses(parts);
+		const operator = closed[closed.length - 2];
+		const operand = closed[closed.length - 1];
+		this.pendingOperation = this.isOperator(operator) && /^\(?-?[\d.]+(e[+-]?\d+)?\)?$/i.test(operand)
+			? { operator, operand }
+			: null; // Só repito operações simples com número no fim
+		return this.joinTokens(closed);
+	}
+
+	/**
+	 * @method commitResult
+	 * @param {number} result - Resultado do cálculo feito com `getExpressionForEquals`.
+	 * @param {string} expression - Expressão calculada.
+	 * @param {object} [exact] - { canonical, text } do resultado em BigNumber/fração, para continuar a conta sem perder precisão.
+	 */
+	commitResult(result, expression, exact = {}) {
+		if (!this.justEvaluated) {
+			this.lastOperation = this.pendingOperation || null;
+		}
+		this.lastExpression = expression;
+		this.tokens = [];
+		this.entry = exact.canonical || this.toCanonical(result);
+		this.resultText = exact.text || null;
+		this.entryIsResult = true;
+		this.justEvaluated = true;
+		this.displayValue = this.entry;
+	}
+
+	/**
+	 * @method getCurrentValue
+	 * @returns {number} Número mostrado no visor.
+	 */
+	getCurrentValue() {
+		return CalculatorInput.toNumber(this.entry !== null ? this.entry : this.displayValue);
+	}
+
+	/**
+	 * @method getDisplayText
+	 * @returns {string} Texto do visor principal, no formato brasileiro (1.234,5).
+	 */
+	getDisplayText() {
+		if (this.justEvaluated && this.resultText) return this.resultText;
+		const value = this.entry !== null ? this.entry : this.displayValue;
+		return this.entryIsResult || this.entry === null ? CalculatorInput.formatResult(CalculatorInput.toNumber(value)) : CalculatorInput.formatTyped(value);
+	}
+
+	/**
+	 * @method getExpressionText
+	 * @returns {string} Expressão pendente (ou a do último "="), para a linha de cima do visor.
+	 */
+	getExpressionText() {
+		if (this.justEvaluated) {
+			return `${CalculatorInput.formatExpression(this.lastExpression)} =`;
+		}
+		return CalculatorInput.formatExpression(this.joinTokens(this.tokens));
+	}
+
+	/**
+	 * @method getExplainableExpression
+	 * @returns {string} Conta do visor para o painel "Explicar": a do último "=" ou a que está sendo digitada
+	 * (com os parênteses fechados, como o "=" faria). Não mexe no estado, ao contrário de `getExpressionForEquals`.
+	 */
+	getExplainableExpression() {
+		if (this.justEvaluated) return this.lastExpression || this.entry;
+		const parts = [...this.tokens];
+		if (this.entry !== null) {
+			parts.push(this.wrap(this.entry));
+		}
+		return this.joinTokens(this.closeParentheses(parts));
+	}
+
+	/**
+	 * @method getPendingOperator
+	 * @returns {string|null} Operador aguardando o segundo operando (para destacar a tecla, como no iOS).
+	 */
+	getPendingOperator() {
+		const last = this.tokens[this.tokens.length - 1];
+		return this.entry === null && this.isOperator(last) ? last : null;
+	}
+
+	/**
+	 * @private
+	 * @description Depois de um "=", dígitos e constantes começam uma conta nova.
+	 */
+	startFreshIfEvaluated() {
+		if (this.justEvaluated) {
+			this.tokens = [];
+			this.entry = null;
+			this.justEvaluated = false;
+			this.entryIsResult = false;
+		}
+	}
+
+	/**
+	 * @private
+	 * @description Move a entrada para a expressão confirmada.
+	 */
+	commitEntry() {
+		if (this.entry !== null && this.entry.endsWith('.')) {
+			this.entry = this.entry.slice(0, -1); // "5," vira "5"
+		}
+		this.tokens.push(this.wrap(this.entry));
+		this.displayValue = this.entry;
+		this.entry = null;
+		this.entryIsResult = false;
+	}
+
+	/**
+	 * @private
+	 * @description Total parcial do iOS: "2 + 3 ×" mostra 3, "2 + 3 × 4 +" mostra 14.
+	 */
+	updateRunningTotal() {
+		const operator = this.tokens[this.tokens.length - 1];
+		const prefix = this.tokens.slice(0, -1);
+		if (this.getOpenParentheses() > 0 || prefix.length === 0) return;
+
+		let start = 0;
+		if (operator === '*' || operator === '/' || operator === '^') { // Só o termo multiplicativo atual
+			for (let i = prefix.length - 1, depth = 0; i >= 0; i--) {
+				depth += (prefix[i].match(/\)/g) || []).length - (prefix[i].match(/\(/g) || []).length;
+				if (depth === 0 && (prefix[i] === '+' || prefix[i] === '-')) {
+					start = i + 1;
+					break;
+				}
+			}
+		}
+		try {
+			const value = this.evaluate(this.joinTokens(prefix.slice(start)));
+			this.displayValue = this.toCanonical(value);
+		} catch (error) {
+			// Expressão parcial inválida: mantém o valor atual no visor
+		}
+	}
+
+	/** @private */
+	isOperator(token) {
+		return ['+', '-', '*', '/', '^'].includes(token);
+	}
+
+	/**
+	 * @private
+	 * @returns {boolean} True se a expressão confirmada termina num valor (número, constante, ")" ou pós-fixo).
+	 */
+	endsWithValue() {
+		const last = this.tokens[this.tokens.length - 1];
+		return last !== undefined && !this.isOperator(last) && !last.endsWith('(');
+	}
+
+	/**
+	 * @private
+	 * @param {string[]} parts - Trechos da expressão.
+	 * @returns {string} Expressão legível: "sin(30) + 2^2" em vez de "sin( 30 ) + 2 ^2".
+	 */
+	joinTokens(parts) {
+		return parts.join(' ')
+			.replace(/\( /g, '(')
+			.replace(/ \)/g, ')')
+			.replace(/ ?\^ ?/g, '^')
+			.replace(/ !/g, '!');
+	}
+
+	/** @private */
+	getOpenParentheses() {
+		const text = this.tokens.join('');
+		return (text.match(/\(/g) || []).length - (text.match(/\)/g) || []).length;
+	}
+
+	/** @private */
+	closeParentheses(parts) {
+		const text = parts.join('');
+		const open = (text.match(/\(/g) || []).length - (text.match(/\)/g) || []).length;
+		return open > 0 ? [...parts, ...Array(open).fill(')')] : parts;
+	}
+
+	/** @private */
+	countDigits(entry) {
+		return entry.replace(/[^\d]/g, '').length;
+	}
+
+	/**
+	 * @private
+	 * @param {string} value - Número canônico.
+	 * @returns {string} Número pronto para entrar na expressão (negativos entre parênteses: "(-3)^2" = 9).
+	 */
+	wrap(value) {
+		return String(value).startsWith('-') ? `(${value})` : String(value);
+	}
+
+	/** @private */
+	toCanonical(value) {
+		if (Object.is(value, -0)) return '0';
+		return String(value);
+	}
+
+	/**
+	 * @param {string} text - Número canônico: decimal ('-2.5', '1e+30') ou fração entre parênteses ('(4/3)', '(-1/3)').
+	 * @returns {number} Valor aproximado em double.
+	 */
+	static toNumber(text) {
+		const match = /^(-?)\(?(-?[\d.]+(?:e[+-]?\d+)?)(?:\/(\d+))?\)?$/i.exec(String(text));
+		if (!match) return parseFloat(text) || 0;
+		const value = parseFloat(match[2]) / (match[3] ? parseFloat(match[3]) : 1);
+		return match[1] ? -value : value;
+	}
+
+	/**
+	 * @param {string} text - Decimal exato, como o BigNumber escreve (ex: '-1234.5', '1.2676e+30').
+	 * @returns {string} Todos os dígitos no formato brasileiro (sem arredondar como `formatResult`).
+	 */
+	static formatDecimalString(text) {
+		const [mantissa, exponent] = String(text).toLowerCase().split('e');
+		const negative = mantissa.startsWith('-');
+		const [integerPart, decimalPart] = mantissa.replace('-', '').split('.');
+		const integer = integerPart.replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+		return `${negative ? '−' : ''}${integer}${decimalPart ? `,${decimalPart}` : ''}${exponent ? `e${exponent.replace('-', '−')}` : ''}`;
+	}
+
+	/**
+	 * @param {string} text - Fração exata 'n/d' (ex: '-4/3') ou inteiro.
+	 * @returns {string} Fração mista ('−1 1/3'); frações com decimal finito (ex: '1/4') viram decimal ('0,25').
+	 */
+	static formatFraction(text) {
+		const match = /^(-?)(\d+)\/(\d+)$/.exec(String(text));
+		if (!match) return CalculatorInput.formatDecimalString(text);
+		const sign = match[1] ? '−' : '';
+		const numerator = BigInt(match[2]);
+		const denominator = BigInt(match[3]);
+		if (CalculatorInput.hasFiniteDecimal(denominator)) {
+			return `${sign}${CalculatorInput.formatDecimalString(CalculatorInput.fractionToDecimal(numerator, denominator, 0))}`;
+		}
+		const whole = numerator / denominator;
+		return `${sign}${whole > 0n ? `${whole} ` : ''}${numerator % denominator}/${denominator}`;
+	}
+
+	/**
+	 * @param {string} text - Fração exata 'n/d'.
+	 * @param {number} [maxPeriod=12] - Maior período mostrado.
+	 * @returns {string|null} Dízima periódica com o período entre parênteses ('1,(3)'), ou null se não for dízima ou o período for longo.
+	 */
+	static formatRepeatingDecimal(text, maxPeriod = 12) {
+		const match = /^(-?)(\d+)\/(\d+)$/.exec(String(text));
+		if (!match) return null;
+		const decimal = CalculatorInput.fractionToDecimal(BigInt(match[2]), BigInt(match[3]), maxPeriod);
+		if (!decimal || !decimal.includes('(')) return null;
+		return `${match[1] ? '−' : ''}${decimal.replace('.', ',')}`;
+	}
+
+	/**
+	 * @private
+	 * @param {bigint} denominator - Denominador de uma fração irredutível.
+	 * @returns {boolean} True se a fração tem decimal finito (denominador só com fatores 2 e 5).
+	 */
+	static hasFiniteDecimal(denominator) {
+		let reduced = denominator;
+		for (const factor of [2n, 5n]) {
+			while (reduced % factor === 0n) {
+				reduced /= factor;
+			}
+		}
+		return reduced === 1n;
+	}
+
+	/**
+	 * @private
+	 * @param {bigint} numerator - Numerador (não negativo).
+	 * @param {bigint} denominator - Denominador (positivo).
+	 * @param {number} maxPeriod - Tamanho máximo do período procurado.
+	 * @returns {string|null} Decimal ('0.25'), dízima ('0.(3)'), ou null se o período passar do máximo.
+	 * @description Divisão longa guardando os restos: quando um resto se repete, começou o período.
+	 */
+	static fractionToDecimal(numerator, denominator, maxPeriod) {
+		const finite = CalculatorInput.hasFiniteDecimal(denominator);
+		let nonRepeating = 0; // Dígitos antes do período: o maior expoente de 2 ou 5 no denominador
+		for (const factor of [2n, 5n]) {
+			let power = factor;
+			for (let count = 1; denominator % power === 0n; count++, power *= factor) {
+				nonRepeating = Math.max(nonRepeating, count);
+			}
+		}
+
+		let remainder = numerator % denominator;
+		const digits = [];
+		const seen = new Map();
+		while (remainder !== 0n && !seen.has(remainder)) {
+			if (!finite && digits.length > nonRepeating + maxPeriod) return null; // Período longo demais
+			seen.set(remainder, digits.length);
+			remainder *= 10n;
+			digits.push((remainder / denominator).toString());
+			remainder %= denominator;
+		}
+		const integer = (numerator / denominator).toString();
+		if (remainder === 0n) {
+			return digits.length > 0 ? `${integer}.${digits.join('')}` : integer;
+		}
+		const start = seen.get(remainder);
+		return `${integer}.${digits.slice(0, start).join('')}(${digits.slice(start).join('')})`;
+	}
+
+	/**
+	 * @param {string} typed - Número digitado (ex: '-1234.50').
+	 * @returns {string} Número formatado preservando zeros e vírgula digitados (ex: '-1.234,50').
+	 */
+	static formatTyped(typed) {
+		const negative = typed.startsWith('-');
+		const [integerPart, decimalPart] = typed.replace('-', '').split('.');
+		const integer = Number(integerPart || '0').toLocaleString('pt-BR', { maximumFractionDigits: 0 });
+		return `${negative ? '−' : ''}${integer}${decimalPart !== undefined ? `,${decimalPart}` : ''}`;
+	}
+
+	/**
+	 * @param {number} value - Resultado numérico.
+	 * @returns {string} Resultado no formato brasileiro, com notação científica para números muito grandes ou pequenos.
+	 */
+	static formatResult(value) {
+		if (!isFinite(value)) return 'Erro';
+		const absolute = Math.abs(value);
+		if (absolute !== 0 && (absolute >= 1e15 || absolute < 1e-9)) {
+			return value.toExponential(8).replace('.', ',').replace(/,?0+e/, 'e').replace('-', '−');
+		}
+		return value.toLocaleString('pt-BR', { maximumFractionDigits: 10 }).replace('-', '−');
+	}
+
+	/**
+	 * @param {string} expression - Expressão canônica (com ponto e operadores ASCII).
+	 * @returns {string} Expressão para exibição: números no formato brasileiro e símbolos ×, ÷, −, π.
+	 */
+	static formatExpression(expression) {
+		return String(expression)
+			.replace(/\d+(\.\d+)?(e[+-]?\d+)?/gi, (number) => (/e/i.test(number) ? number.replace('.', ',') : CalculatorInput.formatTyped(number)))
+			.replace(/\*/g, '×')
+			.replace(/\//g, '÷')
+			.replace(/(^|[^e])-/g, '$1−')
+			.replace(/\bpi\b/g, 'π');
+	}
+}
+
+// --------------------------------------------------
+//  MODO PROGRAMADOR - Inteiros de tamanho fixo com BigInt
+// --------------------------------------------------
+/**
+ * @class ProgrammerCalculator
+ * @description Lógica do modo programador: um inteiro de 8/16/32/64 bits guardado como padrão de bits (BigInt sem sinal),
+ * interpretado com ou sem sinal (complemento de dois), operações bit a bit, deslocamentos e rotações.
+ * Não mexe no DOM: a Calculator desenha os visores e a grade de bits a partir dele.
+ */
+class ProgrammerCalculator {
+	/**
+	 * @constructor
+	 * @param {object} [options] - { wordSize, signed, base }.
+	 */
+	constructor(options = {}) {
+		this.wordSize = 64; // Bits da palavra: 8, 16, 32 ou 64
+		this.signed = true; // Interpreta o bit mais alto como sinal (complemento de dois)
+		this.base = 16; // Base usada na digitação
+		this.configure(options);
+		this.clear();
+	}
+
+	/**
+	 * @method configure
+	 * @param {object} options - { wordSize, signed, base } (os ausentes ficam como estão).
+	 */
+	configure({ wordSize, signed, base } = {}) {
+		if (ProgrammerCalculator.WORD_SIZES.includes(Number(wordSize))) {
+			this.wordSize = Number(wordSize);
+		}
+		if (typeof signed === 'boolean') {
+			this.signed = signed;
+		}
+		if (Object.values(ProgrammerCalculator.BASES).includes(Number(base))) {
+			this.base = Number(base);
+		}
+		if (this.value !== undefined) {
+			this.value = this.truncate(this.value); // Diminuir a palavra descarta os bits altos
+			this.finishEntry();
+		}
+	}
+
+	/**
+	 * @method clear
+	 * @description AC: zera o valor e esquece a operação pendente.
+	 */
+	clear() {
+		this.value = 0n; // Padrão de bits (sempre entre 0 e mask)
+		this.pending = null; // { operator, operand } aguardando o segundo operando
+		this.entry = ''; // Dígitos digitados na base atual ('' = nada digitado)
+		this.entryNegative = false;
+		this.startNewEntry = false; // Próximo dígito começa um número novo (depois de operador ou "=")
+	}
+
+	/**
+	 * @returns {bigint} Máscara com todos os bits da palavra ligados.
+	 */
+	get mask() {
+		return (1n << BigInt(this.wordSize)) - 1n;
+	}
+
+	/**
+	 * @method inputDigit
+	 * @param {string} digit - '0'-'9' ou 'A'-'F'.
+	 * @returns {boolean} False se o dígito não vale na base atual ou não cabe na palavra.
+	 */
+	inputDigit(digit) {
+		const digitValue = parseInt(digit, 16);
+		if (isNaN(digitValue) || digitValue >= this.base) return false;
+		if (this.startNewEntry) {
+			this.entry = '';
+			this.entryNegative = false;
+			this.startNewEntry = false;
+		}
+		const text = `${this.entry}${digit.toUpperCase()}`.replace(/^0+(?=.)/, '');
+		const magnitude = ProgrammerCalculator.parse(text, this.base);
+		if (magnitude > this.mask) return false; // Não cabe na palavra
+		this.entry = text;
+		this.value = this.truncate(this.entryNegative ? -magnitude : magnitude);
+		return true;
+	}
+
+	/**
+	 * @method backspace
+	 * @description Apaga o último dígito digitado.
+	 */
+	backspace() {
+		if (this.startNewEntry) return;
+		this.entry = this.entry.slice(0, -1);
+		const magnitude = ProgrammerCalculator.parse(this.entry || '0', this.base);
+		this.value = this.truncate(this.entryNegative ? -magnitude : magnitude);
+	}
+
+	/**
+	 * @method inputOperator
+	 * @param {string} operator - Operador binário (ver `ProgrammerCalculator.BINARY_OPERATORS`).
+	 * @description Encadeia como uma calculadora comum: "A AND B OR C" calcula da esquerda para a direita.
+	 */
+	inputOperator(operator) {
+		if (!ProgrammerCalculator.BINARY_OPERATORS.includes(operator)) return;
+		if (this.pending && !this.startNewEntry) {
+			this.value = this.apply(this.pending.operand, this.pending.operator, this.value);
+		}
+		this.pending = { operator, operand: this.value };
+		this.finishEntry();
+	}
+
+	/**
+	 * @method equals
+	 * @returns {object|null} { left, operator, right, result } da operação feita, ou null se não havia nada pendente.
+	 */
+	equals() {
+		if (!this.pending) return null;
+		const { operand, operator } = this.pending;
+		const right = this.value;
+		const result = this.apply(operand, operator, right);
+		this.value = result;
+		this.pending = null;
+		this.finishEntry();
+		return { left: operand, operator, right, result };
+	}
+
+	/**
+	 * @method not
+	 * @description NOT: inverte todos os bits da palavra.
+	 */
+	not() {
+		this.value = this.truncate(~this.value);
+		this.finishEntry();
+	}
+
+	/**
+	 * @method negate
+	 * @description ±: complemento de dois (mesmo padrão de bits de 0 − valor).
+	 */
+	negate() {
+		this.value = this.truncate(-this.value);
+		if (!this.startNewEntry) {
+			this.entryNegative = !this.entryNegative; // Continua digitando o número negativo
+		}
+	}
+
+	/**
+	 * @method toggleBit
+	 * @param {number} index - Bit a inverter (0 = menos significativo).
+	 */
+	toggleBit(index) {
+		if (index < 0 || index >= this.wordSize) return;
+		this.value = this.truncate(this.value ^ (1n << BigInt(index)));
+		this.finishEntry();
+	}
+
+	/**
+	 * @method getBit
+	 * @param {number} index - Posição do bit.
+	 * @returns {boolean} Se o bit está ligado.
+	 */
+	getBit(index) {
+		return ((this.value >> BigInt(index)) & 1n) === 1n;
+	}
+
+	/**
+	 * @method getNumericValue
+	 * @returns {bigint} Valor interpretado conforme com/sem sinal.
+	 */
+	getNumericValue() {
+		return this.toSigned(this.value);
+	}
+
+	/**
+	 * @method format
+	 * @param {number} base - 16, 10, 8 ou 2.
+	 * @param {bigint} [value] - Padrão de bits (padrão: valor atual).
+	 * @returns {string} Valor na base pedida; HEX/OCT/BIN mostram o padrão de bits (complemento de dois), DEC o número.
+	 */
+	format(base, value = this.value) {
+		if (base === 10) {
+			const decimal = this.toSigned(value);
+			const digits = (decimal < 0n ? -decimal : decimal).toString().replace(/\B(?=(\d{3})+(?!\d))/g, '.');
+			return decimal < 0n ? `−${digits}` : digits;
+		}
+		const groupSize = base === 8 ? 3 : 4;
+		let text = value.toString(base).toUpperCase();
+		if (base === 2) {
+			text = text.padStart(Math.ceil(text.length / 4) * 4, '0'); // Nibbles completos
+		}
+		return text.replace(new RegExp(`\\B(?=(.{${groupSize}})+$)`, 'g'), ' ');
+	}
+
+	/**
+	 * @method getPendingText
+	 * @returns {string} Operação pendente na base atual (ex: "FF AND").
+	 */
+	getPendingText() {
+		if (!this.pending) return '';
+		return `${this.format(this.base, this.pending.operand)} ${ProgrammerCalculator.OPERATOR_LABELS[this.pending.operator]}`;
+	}
+
+	/**
+	 * @private
+	 * @param {bigint} left - Padrão de bits da esquerda.
+	 * @param {string} operator - Operador binário.
+	 * @param {bigint} right - Padrão de bits da direita.
+	 * @returns {bigint} Resultado já truncado para a palavra.
+	 */
+	apply(left, operator, right) {
+		const bits = BigInt(this.wordSize);
+		const shift = right >= bits ? bits : right; // Deslocar a palavra inteira zera (ou replica o sinal)
+		switch (operator) {
+			case '+': return this.truncate(left + right);
+			case '-': return this.truncate(left - right);
+			case '*': return this.truncate(this.toSigned(left) * this.toSigned(right));
+			case '/':
+			case 'MOD': {
+				if (right === 0n) throw new Error('Divisão por zero');
+				const a = this.toSigned(left);
+				const b = this.toSigned(right);
+				return this.truncate(operator === '/' ? a / b : a % b); // BigInt já trunca em direção a zero
+			}
+			case 'AND': return left & right;
+			case 'OR': return left | right;
+			case 'XOR': return left ^ right;
+			case 'LSH': return this.truncate(left << shift);
+			case 'RSH': return this.truncate(this.toSigned(left) >> shift); // Aritmético com sinal, lógico sem sinal
+			case 'ROL':
+			case 'ROR': {
+				const amount = right % bits;
+				const leftAmount = operator === 'ROL' ? amount : (bits - amount) % bits;
+				return this.truncate((left << leftAmount) | (left >> (bits - leftAmount)));
+			}
+			default: throw new Error(`Operador desconhecido: ${operator}`);
+		}
+	}
+
+	/** @private */
+	truncate(value) {
+		return BigInt.asUintN(this.wordSize, value);
+	}
+
+	/** @private */
+	toSigned(value) {
+		return this.signed ? BigInt.asIntN(this.wordSize, value) : value;
+	}
+
+	/**
+	 * @private
+	 * @description Encerra a digitação: o próximo dígito começa um número novo.
+	 */
+	finishEntry() {
+		this.entry = '';
+		this.entryNegative = false;
+		this.startNewEntry = true;
+	}
+
+	/**
+	 * @param {string} text - Dígitos (sem prefixo) na base indicada.
+	 * @param {number} base - 16, 10, 8 ou 2.
+	 * @returns {bigint} Valor lido.
+	 */
+	static parse(text, base) {
+		const prefixes = { 16: '0x', 8: '0o', 2: '0b', 10: '' };
+		return BigInt(`${prefixes[base]}${text || '0'}`);
+	}
+}
+
+/** Bases oferecidas pelo modo programador. */
+ProgrammerCalculator.BASES = { HEX: 16, DEC: 10, OCT: 8, BIN: 2 };
+/** Tamanhos de palavra, em bits. */
+ProgrammerCalculator.WORD_SIZES = [8, 16, 32, 64];
+/** Operadores com dois operandos (LSH/RSH/ROL/ROR usam o da direita como quantidade de bits). */
+ProgrammerCalculator.BINARY_OPERATORS = ['+', '-', '*', '/', 'MOD', 'AND', 'OR', 'XOR', 'LSH', 'RSH', 'ROL', 'ROR'];
+/** Rótulos dos operadores nas teclas e na linha da operação pendente. */
+ProgrammerCalculator.OPERATOR_LABELS = { '+': '+', '-': '−', '*': '×', '/': '÷', MOD: 'MOD', AND: 'AND', OR: 'OR', XOR: 'XOR', LSH: '<<', RSH: '>>', ROL: 'ROL', ROR: 'ROR' };
+
+// --------------------------------------------------
+//  VARIÁVEIS E FUNÇÕES DO USUÁRIO
+// --------------------------------------------------
+/**
+ * @class CalculatorScopeError
+ * @extends Error
+ * @description Erro de uma definição do usuário (nome reservado, número errado de argumentos, recursão infinita...).
+ * A mensagem já é adequada para mostrar na tela.
+ */
+class CalculatorScopeError extends Error {
+	/**
+	 * @constructor
+	 * @param {string} message - Descrição do erro.
+	 */
+	constructor(message) {
+		super(message);
+		this.name = 'CalculatorScopeError';
+	}
+}
+
+/**
+ * @class CalculatorScope
+ * @description Variáveis (`taxa = 0.15`) e funções (`f(x) = x^2 + 1`) definidas pelo usuário, salvas no
+ * armazenamento do app ao lado do `calcHistory`. A Calculator injeta as definições no escopo de cada avaliação com `apply`.
+ */
+class CalculatorScope {
+	/**
+	 * @constructor
+	 * @param {string} [storageKey='calcScope'] - Coleção do {@link AppStorage}.
+	 */
+	constructor(storageKey = 'calcScope') {
+		this.storageKey = storageKey;
+		this.definitions = []; // [{ name, kind: 'variable', expression, value, exact?, precision } | { name, kind: 'function', params, body }]
+		this.callDepth = 0; // Profundidade de chamadas de funções do usuário (protege contra f(x) = f(x))
+		this.maxCallDepth = 100;
+	}
+
+	/**
+	 * @param {string} text - Texto digitado (ex: 'taxa = 0.15', 'f(x, y) = x * y').
+	 * @returns {object|null} Definição lida ou null se o texto não é uma definição (é uma expressão comum).
+	 */
+	static parseDefinition(text) {
+		const functionMatch = /^\s*([a-zA-Z_]\w*)\s*\(\s*([a-zA-Z_]\w*(?:\s*,\s*[a-zA-Z_]\w*)*)?\s*\)\s*=(?!=)\s*(.+)$/.exec(text);
+		if (functionMatch) {
+			const params = functionMatch[2] ? functionMatch[2].split(',').map(param => param.trim()) : [];
+			return { kind: 'function', name: functionMatch[1], params, body: functionMatch[3].trim() };
+		}
+		const variableMatch = /^\s*([a-zA-Z_]\w*)\s*=(?!=)\s*(.+)$/.exec(text);
+		if (variableMatch) {
+			return { kind: 'variable', name: variableMatch[1], expression: variableMatch[2].trim() };
+		}
+		return null;
+	}
+
+	/**
+	 * @method load
+	 * @description Carrega as definições salvas (ignora dados corrompidos).
+	 */
+	load() {
+		const definitions = appStorage.get(this.storageKey, []);
+		this.definitions = Array.isArray(definitions)
+			? definitions.filter(definition => definition && typeof definition.name === 'string')
+			: [];
+	}
+
+	/**
+	 * @method save
+	 * @description Salva as definições.
+	 */
+	save() {
+		appStorage.set(this.storageKey, utils.clone(this.definitions));
+	}
+
+	/**
+	 * @method setVariable
+	 * @param {string} name - Nome da variável.
+	 * @param {string} expression - Expressão digitada (para edição).
+	 * @param {object} outcome - Resultado da avaliação: { value, exact?, precision }.
+	 */
+	setVariable(name, expression, outcome) {
+		const definition = { name, kind: 'variable', expression, value: outcome.value, precision: outcome.precision || 'double' };
+		if (outcome.exact) {
+			definition.exact = outcome.exact;
+		}
+		this.replace(definition);
+	}
+
+	/**
+	 * @method setFunction
+	 * @param {string} name - Nome da função.
+	 * @param {string[]} params - Nomes dos parâmetros.
+	 * @param {string} body - Expressão do corpo.
+	 */
+	setFunction(name, params, body) {
+		if (new Set(params).size !== params.length) {
+			throw new CalculatorScopeError(`Parâmetros repetidos em ${name}(${params.join(', ')}).`);
+		}
+		this.replace({ name, kind: 'function', params, body });
+	}
+
+	/**
+	 * @method remove
+	 * @param {string} name - Nome da variável ou função.
+	 * @returns {boolean} Se havia algo com esse nome.
+	 */
+	remove(name) {
+		const before = this.definitions.length;
+		this.definitions = this.definitions.filter(definition => definition.name !== name);
+		return this.definitions.length !== before;
+	}
+
+	/**
+	 * @method get
+	 * @param {string} name - Nome procurado.
+	 * @returns {object|undefined} Definição com esse nome.
+	 */
+	get(name) {
+		return this.definitions.find(definition => definition.name === name);
+	}
+
+	/**
+	 * @method list
+	 * @returns {object[]} Variáveis e depois funções, em ordem alfabética.
+	 */
+	list() {
+		return [...this.definitions].sort((a, b) => (a.kind === b.kind ? a.name.localeCompare(b.name) : a.kind === 'variable' ? -1 : 1));
+	}
+
+	/**
+	 * @method toText
+	 * @param {object} definition - Definição salva.
+	 * @returns {string} Texto editável da definição (ex: 'f(x) = x^2 + 1').
+	 */
+	static toText(definition) {
+		return definition.kind === 'function'
+			? `${definition.name}(${definition.params.join(', ')}) = ${definition.body}`
+			: `${definition.name} = ${definition.expression}`;
+	}
+
+	/**
+	 * @method apply
+	 * @param {object} scope - Escopo da avaliação, completado com as definições.
+	 * @param {object} parser - math.js, instância de precisão ou ExpressionEngine usado no cálculo.
+	 * @param {boolean} [convertValues=false] - Converte as variáveis para o tipo numérico do parser (BigNumber/Fraction).
+	 * @returns {object} O próprio escopo.
+	 */
+	apply(scope, parser, convertValues = false) {
+		this.definitions.forEach(definition => {
+			if (definition.kind === 'variable') {
+				scope[definition.name] = convertValues ? parser.evaluate(definition.exact || String(definition.value)) : definition.value;
+			} else {
+				scope[definition.name] = (...args) => this.call(definition, args, scope, parser);
+			}
+		});
+		return scope;
+	}
+
+	/**
+	 * @private
+	 * @description Avalia o corpo da função com os parâmetros ligados aos argumentos.
+	 */
+	call(definition, args, scope, parser) {
+		const { name, params, body } = definition;
+		if (args.length !== params.length) {
+			throw new CalculatorScopeError(`${name}() espera ${params.length} argumento${params.length === 1 ? '' : 's'}, recebeu ${args.length}.`);
+		}
+		if (this.callDepth >= this.maxCallDepth) {
+			throw new CalculatorScopeError(`Recursão demais ao calcular ${name}(): a função chama a si mesma sem parar.`);
+		}
+		const localScope = { ...scope };
+		params.forEach((param, index) => {
+			localScope[param] = args[index];
+		});
+		this.callDepth++;
+		try {
+			return parser.evaluate(body, localScope);
+		} finally {
+			this.callDepth--;
+		}
+	}
+
+	/** @private */
+	replace(definition) {
+		const index = this.definitions.findIndex(existing => existing.name === definition.name);
+		if (index === -1) {
+			this.definitions.push(definition);
+		} else {
+			this.definitions[index] = definition;
+		}
+	}
+}
+
+// --------------------------------------------------
+//  GRÁFICOS - Plotagem de f(x) em canvas
+// --------------------------------------------------
+/**
+ * @class GraphPlotter
+ * @description Desenha uma ou mais funções f(x) num canvas, com grade e marcações nos eixos, arrastar/zoom,
+ * cursor de rastreamento e destaque de raízes, extremos e interseções (achados numericamente).
+ * Não sabe avaliar expressões: recebe de quem usa uma função `evaluate(x)` para cada curva.
+ */
+class GraphPlotter {
+	/**
+	 * @constructor
+	 * @param {HTMLCanvasElement} canvas - Canvas onde o gráfico é desenhado.
+	 */
+	constructor(canvas) {
+		this.canvas = canvas;
+		this.context = typeof canvas.getContext === 'function' ? canvas.getContext('2d') : null; // Sem canvas (ex: testes), só calcula
+		this.functions = []; // [{ id, label, color, evaluate(x) }]
+		this.view = { ...GraphPlotter.DEFAULT_VIEW }; // Janela visível em coordenadas do gráfico
+		this.cursorX = null; // Posição x do cursor de rastreamento (coordenada do gráfico) ou null
+		this.samples = new Map(); // Amostras por função ({ xs, ys }), refeitas quando a janela ou as funções mudam
+		this.features = []; // Raízes, extremos e interseções da janela atual
+		this.dirty = true;
+	}
+
+	/** @returns {number} Largura do canvas em pixels. */
+	get width() {
+		return this.canvas.width || 600;
+	}
+
+	/** @returns {number} Altura do canvas em pixels. */
+	get height() {
+		return this.canvas.height || 400;
+	}
+
+	/**
+	 * @method setFunctions
+	 * @param {object[]} functions - Curvas visíveis: { id, label, color, evaluate(x) }.
+	 */
+	setFunctions(functions) {
+		this.functions = functions;
+		this.dirty = true;
+	}
+
+	/**
+	 * @method setView
+	 * @param {object} view - { xMin, xMax, yMin, yMax }.
+	 */
+	setView(view) {
+		const { xMin, xMax, yMin, yMax } = view || {};
+		if ([xMin, xMax, yMin, yMax].every(isFinite) && xMax > xMin && yMax > yMin) {
+			this.view = { xMin, xMax, yMin, yMax };
+			this.dirty = true;
+		}
+	}
+
+	/**
+	 * @method resetView
+	 * @description Volta para a janela padrão (-10 a 10).
+	 */
+	resetView() {
+		this.setView(GraphPlotter.DEFAULT_VIEW);
+	}
+
+	/**
+	 * @method pan
+	 * @param {number} dx - Deslocamento horizontal em pixels (positivo arrasta o gráfico para a direita).
+	 * @param {number} dy - Deslocamento vertical em pixels (positivo arrasta para baixo).
+	 */
+	pan(dx, dy) {
+		const { xMin, xMax, yMin, yMax } = this.view;
+		const shiftX = dx * (xMax - xMin) / this.width;
+		const shiftY = dy * (yMax - yMin) / this.height;
+		this.setView({ xMin: xMin - shiftX, xMax: xMax - shiftX, yMin: yMin + shiftY, yMax: yMax + shiftY });
+	}
+
+	/**
+	 * @method zoom
+	 * @param {number} factor - Menor que 1 aproxima, maior que 1 afasta.
+	 * @param {number} [px] - Pixel x que fica parado (padrão: centro).
+	 * @param {number} [py] - Pixel y que fica parado (padrão: centro).
+	 */
+	zoom(factor, px = this.width / 2, py = this.height / 2) {
+		const x = this.toWorldX(px);
+		const y = this.toWorldY(py);
+		const { xMin, xMax, yMin, yMax } = this.view;
+		this.setView({
+			xMin: x - (x - xMin) * factor,
+			xMax: x + (xMax - x) * factor,
+			yMin: y - (y - yMin) * factor,
+			yMax: y + (yMax - y) * factor
+		});
+	}
+
+	/** @returns {number} Pixel x da coordenada x. */
+	toScreenX(x) {
+		return (x - this.view.xMin) / (this.view.xMax - this.view.xMin) * this.width;
+	}
+
+	/** @returns {number} Pixel y da coordenada y. */
+	toScreenY(y) {
+		return (this.view.yMax - y) / (this.view.yMax - this.view.yMin) * this.height;
+	}
+
+	/** @returns {number} Coordenada x do pixel. */
+	toWorldX(px) {
+		return this.view.xMin + px / this.width * (this.view.xMax - this.view.xMin);
+	}
+
+	/** @returns {number} Coordenada y do pixel. */
+	toWorldY(py) {
+		return this.view.yMax - py / this.height * (this.view.yMax - this.view.yMin);
+	}
+
+	/**
+	 * @method setCursor
+	 * @param {number|null} px - Pixel x do cursor de rastreamento, ou null para escondê-lo.
+	 */
+	setCursor(px) {
+		this.cursorX = px === null ? null : this.toWorldX(px);
+	}
+
+	/**
+	 * @method getCursorReadout
+	 * @returns {object|null} { x, values: [{ label, color, y }] } no cursor de rastreamento.
+	 */
+	getCursorReadout() {
+		if (this.cursorX === null) return null;
+		return {
+			x: this.cursorX,
+			values: this.functions.map(fn => ({ label: fn.label, color: fn.color, y: this.safeEvaluate(fn, this.cursorX) }))
+		};
+	}
+
+	/**
+	 * @method analyze
+	 * @returns {object[]} Pontos notáveis: { type: 'root'|'minimum'|'maximum'|'intersection', x, y, labels, color }.
+	 */
+	analyze() {
+		if (!this.dirty) return this.features;
+		this.samples.clear();
+		this.functions.forEach(fn => this.samples.set(fn.id, this.sample(fn)));
+
+		const features = [];
+		this.functions.forEach(fn => {
+			const { xs, ys } = this.samples.get(fn.id);
+			this.findRoots(xs, ys, (x) => this.safeEvaluate(fn, x)).forEach(x => {
+				features.push({ type: 'root', x, y: 0, labels: [fn.label], color: fn.color });
+			});
+			this.findExtrema(fn, xs, ys).forEach(point => {
+				features.push({ ...point, labels: [fn.label], color: fn.color });
+			});
+		});
+		for (let i = 0; i < this.functions.length; i++) { // Interseções: raízes de f − g para cada par
+			for (let j = i + 1; j < this.functions.length; j++) {
+				const f = this.functions[i];
+				const g = this.functions[j];
+				const { xs, ys: fys } = this.samples.get(f.id);
+				const gys = this.samples.get(g.id).ys;
+				const difference = (x) => this.safeEvaluate(f, x) - this.safeEvaluate(g, x);
+				this.findRoots(xs, fys.map((y, index) => y - gys[index]), difference).forEach(x => {
+					features.push({ type: 'intersection', x, y: this.safeEvaluate(f, x), labels: [f.label, g.label], color: '#fff' });
+				});
+			}
+		}
+		this.features = features.slice(0, GraphPlotter.MAX_FEATURES);
+		this.dirty = false;
+		return this.features;
+	}
+
+	/**
+	 * @method draw
+	 * @description Redesenha grade, eixos, curvas, pontos notáveis e cursor.
+	 */
+	draw() {
+		const features = this.analyze();
+		const ctx = this.context;
+		if (!ctx) return;
+		ctx.clearRect(0, 0, this.width, this.height);
+		ctx.fillStyle = '#000';
+		ctx.fillRect(0, 0, this.width, this.height);
+		this.drawGrid(ctx);
+		this.functions.forEach(fn => this.drawCurve(ctx, fn));
+		features.forEach(feature => this.drawFeature(ctx, feature));
+		this.drawCursor(ctx);
+	}
+
+	/**
+	 * @private
+	 * @description Avalia sem deixar erros (ex: domínio) interromperem o desenho.
+	 */
+	safeEvaluate(fn, x) {
+		try {
+			const y = fn.evaluate(x);
+			return typeof y === 'number' ? y : NaN; // Complexos etc. ficam fora do gráfico
+		} catch (error) {
+			return NaN;
+		}
+	}
+
+	/** @private */
+	sample(fn) {
+		const count = Math.max(2, Math.round(this.width)); // Uma amostra por pixel
+		const xs = [];
+		const ys = [];
+		for (let i = 0; i <= count; i++) {
+			const x = this.view.xMin + i / count * (this.view.xMax - this.view.xMin);
+			xs.push(x);
+			ys.push(this.safeEvaluate(fn, x));
+		}
+		return { xs, ys };
+	}
+
+	/**
+	 * @private
+	 * @returns {boolean} True se entre duas amostras há um salto (assíntota ou descontinuidade) e não uma curva contínua.
+	 */
+	isJump(y0, y1) {
+		return !isFinite(y0) || !isFinite(y1) || Math.abs(y1 - y0) > (this.view.yMax - this.view.yMin) * 2;
+	}
+
+	/**
+	 * @private
+	 * @param {number[]} xs - Abscissas das amostras.
+	 * @param {number[]} ys - Valores amostrados.
+	 * @param {function(number): number} evaluate - Função, para refinar por bissecção.
+	 * @returns {number[]} Raízes na janela (trocas de sinal refinadas; assíntotas descartadas).
+	 */
+	findRoots(xs, ys, evaluate) {
+		const roots = [];
+		const tolerance = (this.view.yMax - this.view.yMin) * 1e-6;
+		for (let i = 0; i < xs.length - 1; i++) {
+			const y0 = ys[i];
+			const y1 = ys[i + 1];
+			if (!isFinite(y0) || !isFinite(y1)) continue;
+			if (y0 === 0) {
+				roots.push(xs[i]);
+				continue;
+			}
+			if (y0 * y1 >= 0 || this.isJump(y0, y1)) continue;
+
+			let low = xs[i];
+			let high = xs[i + 1];
+			let lowValue = y0;
+			for (let iteration = 0; iteration < 60; iteration++) { // Bissecção
+				const middle = (low + high) / 2;
+				const value = evaluate(middle);
+				if (!isFinite(value)) break;
+				if (lowValue * value <= 0) {
+					high = middle;
+				} else {
+					low = middle;
+					lowValue = value;
+				}
+			}
+			const root = (low + high) / 2;
+			if (Math.abs(evaluate(root)) <= tolerance) { // Troca de sinal numa assíntota (ex: tan) não é raiz
+				roots.push(root);
+			}
+		}
+		return roots;
+	}
+
+	/**
+	 * @private
+	 * @returns {object[]} Mínimos e máximos locais: { type, x, y }, refinados por busca da razão áurea.
+	 */
+	findExtrema(fn, xs, ys) {
+		const extrema = [];
+		for (let i = 1; i < xs.length - 1; i++) {
+			const [y0, y1, y2] = [ys[i - 1], ys[i], ys[i + 1]];
+			if (this.isJump(y0, y1) || this.isJump(y1, y2)) continue;
+			const rising = y1 - y0;
+			const falling = y2 - y1;
+			if (rising === 0 || rising * falling >= 0) continue;
+
+			const isMaximum = rising > 0;
+			const sign = isMaximum ? -1 : 1; // Minimizo sign * f
+			let low = xs[i - 1];
+			let high = xs[i + 1];
+			const ratio = (Math.sqrt(5) - 1) / 2;
+			for (let iteration = 0; iteration < 60; iteration++) {
+				const a = high - ratio * (high - low);
+				const b = low + ratio * (high - low);
+				if (sign * this.safeEvaluate(fn, a) < sign * this.safeEvaluate(fn, b)) {
+					high = b;
+				} else {
+					low = a;
+				}
+			}
+			const x = (low + high) / 2;
+			extrema.push({ type: isMaximum ? 'maximum' : 'minimum', x, y: this.safeEvaluate(fn, x) });
+		}
+		return extrema;
+	}
+
+	/** @private */
+	drawGrid(ctx) {
+		const stepX = GraphPlotter.niceStep((this.view.xMax - this.view.xMin) / 10);
+		const stepY = GraphPlotter.niceStep((this.view.yMax - this.view.yMin) / 8);
+		const originX = Math.min(Math.max(this.toScreenX(0), 0), this.width); // Eixo preso na borda quando fora da janela
+		const originY = Math.min(Math.max(this.toScreenY(0), 0), this.height);
+
+		ctx.lineWidth = 1;
+		ctx.font = '11px sans-serif';
+		ctx.fillStyle = '#888';
+		for (let x = Math.ceil(this.view.xMin / stepX) * stepX; x <= this.view.xMax; x += stepX) {
+			const px = Math.round(this.toScreenX(x)) + 0.5;
+			ctx.strokeStyle = '#222';
+			ctx.beginPath();
+			ctx.moveTo(px, 0);
+			ctx.lineTo(px, this.height);
+			ctx.stroke();
+			if (Math.abs(x) > stepX / 2) {
+				ctx.fillText(GraphPlotter.formatNumber(x), px + 2, Math.min(originY + 12, this.height - 2));
+			}
+		}
+		for (let y = Math.ceil(this.view.yMin / stepY) * stepY; y <= this.view.yMax; y += stepY) {
+			const py = Math.round(this.toScreenY(y)) + 0.5;
+			ctx.strokeStyle = '#222';
+			ctx.beginPath();
+			ctx.moveTo(0, py);
+			ctx.lineTo(this.width, py);
+			ctx.stroke();
+			if (Math.abs(y) > stepY / 2) {
+				ctx.fillText(GraphPlotter.formatNumber(y), Math.min(originX + 4, this.width - 40), py - 2);
+			}
+		}
+
+		ctx.strokeStyle = '#666';
+		ctx.beginPath();
+		ctx.moveTo(originX, 0);
+		ctx.lineTo(originX, this.height);
+		ctx.moveTo(0, originY);
+		ctx.lineTo(this.width, originY);
+		ctx.stroke();
+	}
+
+	/** @private */
+	drawCurve(ctx, fn) {
+		const { xs, ys } = this.samples.get(fn.id);
+		ctx.strokeStyle = fn.color;
+		ctx.lineWidth = 2;
+		ctx.beginPath();
+		let drawing = false;
+		for (let i = 0; i < xs.length; i++) {
+			if (!isFinite(ys[i]) || (i > 0 && this.isJump(ys[i - 1], ys[i]))) { // Interrompe a linha em assíntotas
+				drawing = false;
+				if (!isFinite(ys[i])) continue;
+			}
+			const px = this.toScreenX(xs[i]);
+			const py = Math.min(Math.max(this.toScreenY(ys[i]), -this.height), this.height * 2); // Evita coordenadas gigantes
+			if (drawing) {
+				ctx.lineTo(px, py);
+			} else {
+				ctx.moveTo(px, py);
+				drawing = true;
+			}
+		}
+		ctx.stroke();
+	}
+
+	/** @private */
+	drawFeature(ctx, feature) {
+		const px = this.toScreenX(feature.x);
+		const py = this.toScreenY(feature.y);
+		ctx.beginPath();
+		ctx.arc(px, py, feature.type === 'intersection' ? 6 : 4, 0, Math.PI * 2);
+		ctx.fillStyle = feature.type === 'intersection' ? 'transparent' : feature.color;
+		ctx.strokeStyle = '#fff';
+		ctx.lineWidth = feature.type === 'root' ? 2 : 1;
+		if (feature.type !== 'intersection') ctx.fill();
+		ctx.stroke();
+	}
+
+	/** @private */
+	drawCursor(ctx) {
+		const readout = this.getCursorReadout();
+		if (!readout) return;
+		const px = this.toScreenX(readout.x);
+		ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+		ctx.lineWidth = 1;
+		ctx.beginPath();
+		ctx.moveTo(px, 0);
+		ctx.lineTo(px, this.height);
+		ctx.stroke();
+		readout.values.forEach(({ y, color }) => {
+			if (!isFinite(y)) return;
+			ctx.beginPath();
+			ctx.arc(px, this.toScreenY(y), 4, 0, Math.PI * 2);
+			ctx.fillStyle = color;
+			ctx.fill();
+		});
+	}
+
+	/**
+	 * @param {number} rawStep - Espaçamento desejado.
+	 * @returns {number} Espaçamento "redondo" mais próximo (1, 2 ou 5 × 10ⁿ).
+	 */
+	static niceStep(rawStep) {
+		const power = Math.pow(10, Math.floor(Math.log10(rawStep)));
+		const fraction = rawStep / power;
+		return (fraction < 1.5 ? 1 : fraction < 3.5 ? 2 : fraction < 7.5 ? 5 : 10) * power;
+	}
+
+	/**
+	 * @param {number} value - Coordenada.
+	 * @returns {string} Coordenada no formato brasileiro, com até 4 casas decimais.
+	 */
+	static formatNumber(value) {
+		const rounded = Math.abs(value) < 1e-10 ? 0 : value; // -0 e resíduos de ponto flutuante viram 0
+		return rounded.toLocaleString('pt-BR', { maximumFractionDigits: 4 }).replace('-', '−');
+	}
+}
+
+/** Janela inicial do gráfico. */
+GraphPlotter.DEFAULT_VIEW = { xMin: -10, xMax: 10, yMin: -7, yMax: 7 };
+/** Limite de pontos notáveis destacados (funções muito oscilantes teriam milhares). */
+GraphPlotter.MAX_FEATURES = 60;
+/** Cores das curvas, na ordem em que são adicionadas. */
+GraphPlotter.COLORS = ['#ff9500', '#0a84ff', '#30d158', '#ff375f', '#bf5af2', '#64d2ff'];
+
+// --------------------------------------------------
+//  MODO RPN - Notação polonesa reversa (estilo HP)
+// --------------------------------------------------
+/**
+ * @class RpnCalculator
+ * @description Pilha do modo RPN: digitação na linha de entrada, ENTER, SWAP, DROP, ROLL (R↓) e LASTx.
+ * Não faz contas sozinha: cada operação vira uma expressão infixa (ex: "12 + 3", "sqrt(16)") calculada por quem
+ * chama, o que deixa o trabalho em RPN no mesmo histórico das contas normais.
+ */
+class RpnCalculator {
+	/**
+	 * @constructor
+	 */
+	constructor() {
+		this.maxDigits = 15; // Mesmo limite de dígitos da digitação normal
+		this.clear();
+	}
+
+	/**
+	 * @method clear
+	 * @description Esvazia a pilha e a linha de entrada.
+	 */
+	clear() {
+		this.stack = []; // Último item é o X (nível 1), o penúltimo o Y (nível 2)...
+		this.entry = null; // Número sendo digitado (formato canônico) ou null
+		this.lastX = null; // X antes da última operação (LASTx)
+	}
+
+	/**
+	 * @method inputDigit
+	 * @param {string} digit - Dígito de '0' a '9'.
+	 */
+	inputDigit(digit) {
+		const entry = this.entry === null || this.entry === '0' ? '' : this.entry === '-0' ? '-' : this.entry;
+		if (entry.replace(/[^\d]/g, '').length >= this.maxDigits) return;
+		this.entry = `${entry}${digit}`;
+	}
+
+	/**
+	 * @method inputDecimal
+	 * @description Separador decimal na linha de entrada.
+	 */
+	inputDecimal() {
+		if (this.entry === null) {
+			this.entry = '0';
+		}
+		if (!this.entry.includes('.')) {
+			this.entry += '.';
+		}
+	}
+
+	/**
+	 * @method backspace
+	 * @returns {boolean} False se não havia entrada para apagar (o teclado usa isso para fazer DROP, como na HP).
+	 */
+	backspace() {
+		if (this.entry === null) return false;
+		this.entry = this.entry.slice(0, -1);
+		if (this.entry === '' || this.entry === '-') {
+			this.entry = null;
+		}
+		return true;
+	}
+
+	/**
+	 * @method changeSign
+	 * @description CHS: troca o sinal da entrada ou, sem entrada, do X.
+	 */
+	changeSign() {
+		if (this.entry !== null) {
+			this.entry = this.entry.startsWith('-') ? this.entry.slice(1) : `-${this.entry}`;
+		} else if (this.stack.length > 0) {
+			this.stack[this.stack.length - 1] = -this.stack[this.stack.length - 1];
+		}
+	}
+
+	/**
+	 * @method enter
+	 * @description ENTER: empurra a entrada para a pilha; sem entrada, duplica o X.
+	 */
+	enter() {
+		if (this.entry !== null) {
+			this.commitEntry();
+		} else if (this.stack.length > 0) {
+			this.stack.push(this.stack[this.stack.length - 1]);
+		}
+	}
+
+	/**
+	 * @method drop
+	 * @description DROP: descarta a entrada em andamento ou, sem entrada, o X.
+	 */
+	drop() {
+		if (this.entry !== null) {
+			this.entry = null;
+		} else {
+			this.stack.pop();
+		}
+	}
+
+	/**
+	 * @method swap
+	 * @description SWAP: troca X e Y.
+	 */
+	swap() {
+		this.commitEntry();
+		this.requireItems(2);
+		const x = this.stack.pop();
+		const y = this.stack.pop();
+		this.stack.push(x, y);
+	}
+
+	/**
+	 * @method roll
+	 * @description ROLL (R↓): gira a pilha para baixo; o X vai para o topo e o Y vira X.
+	 */
+	roll() {
+		this.commitEntry();
+		if (this.stack.length > 1) {
+			this.stack.unshift(this.stack.pop());
+		}
+	}
+
+	/**
+	 * @method recallLastX
+	 * @description LASTx: empurra o X usado na última operação.
+	 */
+	recallLastX() {
+		this.commitEntry();
+		if (this.lastX === null) throw new Error('Nenhuma operação feita ainda (LASTx vazio)');
+		this.stack.push(this.lastX);
+	}
+
+	/**
+	 * @method push
+	 * @param {number} value - Valor a empurrar (constante, memória, Ans...).
+	 */
+	push(value) {
+		this.commitEntry();
+		this.stack.push(value);
+	}
+
+	/**
+	 * @method applyBinary
+	 * @param {string} operator - '+', '-', '*', '/' ou '^'.
+	 * @param {function(string): number} compute - Calcula a expressão infixa (e registra no histórico).
+	 * @description Tira Y e X da pilha e empurra "Y operador X".
+	 */
+	applyBinary(operator, compute) {
+		this.commitEntry();
+		this.requireItems(2);
+		const x = this.stack[this.stack.length - 1];
+		const y = this.stack[this.stack.length - 2];
+		const result = compute(`${RpnCalculator.toOperand(y)} ${operator} ${RpnCalculator.toOperand(x)}`); // Se falhar, a pilha fica intacta
+		this.stack.splice(-2, 2, result);
+		this.lastX = x;
+	}
+
+	/**
+	 * @method applyUnary
+	 * @param {string} template - Expressão com '#' no lugar do X (ex: 'sqrt(#)', '#^2', '#!').
+	 * @param {function(string): number} compute - Calcula a expressão infixa (e registra no histórico).
+	 */
+	applyUnary(template, compute) {
+		this.commitEntry();
+		this.requireItems(1);
+		const x = this.stack[this.stack.length - 1];
+		const result = compute(template.replace('#', RpnCalculator.toOperand(x)));
+		this.stack[this.stack.length - 1] = result;
+		this.lastX = x;
+	}
+
+	/**
+	 * @method applyFunction
+	 * @param {string} name - Função do usuário (ex: 'hip').
+	 * @param {number} arity - Quantos números ela consome da pilha.
+	 * @param {function(string): number} compute - Calcula a expressão infixa (e registra no histórico).
+	 * @description Consome os `arity` níveis de baixo para cima (hip com 3 e 4 na pilha → hip(3, 4)).
+	 */
+	applyFunction(name, arity, compute) {
+		this.commitEntry();
+		this.requireItems(arity);
+		const args = this.stack.slice(this.stack.length - arity);
+		const result = compute(`${name}(${args.map(RpnCalculator.toOperand).join(', ')})`);
+		this.stack.splice(this.stack.length - arity, arity, result);
+		this.lastX = args[args.length - 1];
+	}
+
+	/**
+	 * @method percent
+	 * @param {function(string): number} compute - Calcula a expressão infixa.
+	 * @description % da HP: X vira Y × X / 100 e o Y continua na pilha (ex: 200 ENTER 15 % → 30, com 200 embaixo).
+	 */
+	percent(compute) {
+		this.commitEntry();
+		this.requireItems(2);
+		const x = this.stack[this.stack.length - 1];
+		const y = this.stack[this.stack.length - 2];
+		this.stack[this.stack.length - 1] = compute(`${RpnCalculator.toOperand(y)} * ${RpnCalculator.toOperand(x)} / 100`);
+		this.lastX = x;
+	}
+
+	/**
+	 * @method getX
+	 * @returns {number} Valor do X (a entrada, se houver).
+	 */
+	getX() {
+		if (this.entry !== null) return parseFloat(this.entry) || 0;
+		return this.stack.length > 0 ? this.stack[this.stack.length - 1] : 0;
+	}
+
+	/**
+	 * @method getDisplayText
+	 * @returns {string} Linha de entrada ou X, no formato brasileiro.
+	 */
+	getDisplayText() {
+		if (this.entry !== null) return CalculatorInput.formatTyped(this.entry);
+		return CalculatorInput.formatResult(this.getX());
+	}
+
+	/** @private */
+	commitEntry() {
+		if (this.entry === null) return;
+		this.stack.push(parseFloat(this.entry) || 0);
+		this.entry = null;
+	}
+
+	/** @private */
+	requireItems(count) {
+		if (this.stack.length < count) {
+			throw new Error(`A operação precisa de ${count} ${count === 1 ? 'número' : 'números'} na pilha`);
+		}
+	}
+
+	/**
+	 * @param {number} value - Número da pilha.
+	 * @returns {string} Número pronto para a expressão infixa (negativos entre parênteses).
+	 */
+	static toOperand(value) {
+		return value < 0 || Object.is(value, -0) ? `(${value})` : String(value);
+	}
+}
+
+// --------------------------------------------------
+//  CALCULADORA
+// --------------------------------------------------
+/**
+ * @class Calculator
+ * @description Gerencia a lógica da Calculadora.
+ */
+class Calculator {
+	/**
+	 * @constructor
+	 * @param {object} i18n - Objeto de internacionalização.
+	 * @param {object} contentDiv - Div de conteúdo.
+	 */
+	constructor(i18n, contentDiv) {
+		this.contentDiv = contentDiv;
+		this.i18n = i18n;
+		this.history = [];
+		this.cache = new Cache({ maxEntries: 300, ttl: 24 * 60 * 60 * 1000, namespace: 'calc' }); // Resultados caros já calculados (ver getCacheKey)
+		this.fallbackParser = new ExpressionEngine(); // Motor interno, funciona sem internet
+		this.mathParser = typeof math !== 'undefined' ? math : this.fallbackParser; // math.js quando já estiver carregado
+		this.offlineNoticeShown = false; // Aviso de "modo offline" aparece uma vez só
+		this.scope = null; // ViewScope da tela montada (listeners de teclado e timers)
+		this.settings = { scientific: false, angleUnit: 'deg', historyLimit: 1000, programmer: false, graph: false, rpn: false, wordSize: 64, signed: true, base: 16, precision: 'double', precisionDigits: 32 }; // Preferências salvas (modos, DEG/RAD, limite do histórico, palavra/base do modo programador, precisão)
+		this.historySearch = ''; // Filtro de texto do histórico
+		this.historyVisibleCount = 20; // Paginação: quantos itens do histórico estão na tela
+		this.historyPageSize = 20; // Quantos itens entram a cada "Mostrar mais"
+		this.memory = 0; // Registrador de memória (MC/MR/M+/M−)
+		this.lastAnswer = 0; // Último resultado, usado pela tecla Ans
+		this.lastExact = null; // Forma exata do último resultado ('4/3', '0.1000...'), para Ans não perder precisão
+		this.lastOutcome = null; // Último resultado completo de calculate() (valor, forma exata, precisão usada)
+		this.precisionParsers = {}; // Instâncias do math.js configuradas para BigNumber/Fraction, criadas sob demanda
+		this.precisionNoticeShown = false; // Aviso de "precisão exige math.js" aparece uma vez só
+		this.input = new CalculatorInput((expression) => this.evaluate(expression)); // Estado da digitação (sobrevive à troca de tela)
+		this.programmer = new ProgrammerCalculator(); // Estado do modo programador (HEX/DEC/OCT/BIN)
+		this.rpn = new RpnCalculator(); // Pilha do modo RPN (sobrevive à troca de tela)
+		this.explainer = new ExpressionExplainer(this.fallbackParser); // Passo a passo do painel "Explicar"
+		this.explainOpen = false; // Painel "Explicar" aberto
+		this.explainExpression = ''; // Última expressão explicada
+		this.userScope = new CalculatorScope(); // Variáveis e funções do usuário (salvas em 'calcScope')
+		this.graphState = { functions: [], view: null }; // Funções do modo gráfico e janela visível (salvas em 'calcGraphs')
+		this.graph = null; // GraphPlotter do canvas montado
+		/** @private */
+		this.scientificKeys = [ // Teclas do modo científico: o que cada uma insere no display
+			{ key: '(', label: '(', insert: '(' },
+			{ key: ')', label: ')', insert: ')' },
+			{ key: 'MC', label: 'MC', className: 'memory' },
+			{ key: 'MR', label: 'MR', className: 'memory' },
+			{ key: 'M+', label: 'M+', className: 'memory' },
+			{ key: 'M-', label: 'M−', className: 'memory' },
+			{ key: 'angle', label: 'DEG', className: 'angle-toggle' },
+			{ key: 'Ans', label: 'Ans', insert: 'Ans' },
+			{ key: 'square', label: 'x²', insert: '^2' },
+			{ key: '^', label: 'xʸ', insert: '^' },
+			{ key: 'sqrt', label: '√', insert: 'sqrt(' },
+			{ key: 'cbrt', label: '∛', insert: 'cbrt(' },
+			{ key: 'sin', label: 'sin', insert: 'sin(' },
+			{ key: 'cos', label: 'cos', insert: 'cos(' },
+			{ key: 'tan', label: 'tan', insert: 'tan(' },
+			{ key: '!', label: 'n!', insert: '!' },
+			{ key: 'asin', label: 'sin⁻¹', insert: 'asin(' },
+			{ key: 'acos', label: 'cos⁻¹', insert: 'acos(' },
+			{ key: 'atan', label: 'tan⁻¹', insert: 'atan(' },
+			{ key: 'inverse', label: '1/x', insert: '^(-1)' },
+			{ key: 'ln', label: 'ln', insert: 'log(' },
+			{ key: 'log', label: 'log', insert: 'log10(' },
+			{ key: 'pi', label: 'π', insert: 'pi' },
+			{ key: 'e', label: 'e', insert: 'e' }
+		];
+	}
+
+	initialize() {
+		this.loadSettings(); // Carrega modo científico, DEG/RAD e memória
+		this.programmer.configure({ wordSize: this.settings.wordSize, signed: this.settings.signed, base: this.settings.base });
+		this.updatePrecisionUI();
+		this.loadHistory(); // Carrega o histórico salvo
+		this.userScope.load(); // Carrega variáveis e funções
+		this.loadGraphs(); // Carrega as funções do modo gráfico
+		this.updateVariablesDisplay();
+		this.lastAnswer = this.history.length > 0 ? this.history[0].result : 0; // Ans continua valendo após recarregar
+		this.lastExact = this.history.length > 0 ? this.history[0].exact || null : null;
+		this.updateScientificUI();
+	}
+
+	/**
+	 * @method mount
+	 * @param {HTMLElement} container - Elemento onde a calculadora será exibida.
+	 * @param {ViewScope} scope - Escopo da tela; o listener de teclado global vive só enquanto ele existir.
+	 * @description Monta a calculadora no container (usado pelo registro de ferramentas do App).
+	 */
+	mount(container, scope) {
+		this.contentDiv = container;
+		this.scope = scope;
+		this.loadMathLibraryInBackground(); // math.js só é baixado quando a calculadora é usada.
+		this.contentDiv.innerHTML = this.render(); // Renderizo a calculadora na tela.
+		this.initialize(); // Carrego o histórico salvo.
+		this.setupEventListeners(); // Ativo os eventos dos botões e teclado.
+		this.updateDisplay(); // Volta com a conta que estava em andamento
+		this.updateRpnStack();
+		this.updateExplainPanel();
+		this.updateProgrammerDisplay();
+		this.updateGraph();
+	}
+
+	/**
+	 * @method setMathLibrary
+	 * @param {object} library - Instância do math.js.
+	 * @description Passa a calcular com o math.js no lugar do motor interno.
+	 */
+	setMathLibrary(library) {
+		this.mathParser = library;
+		this.precisionParsers = {};
+		this.updateGraph(); // Recompila as curvas com o math.js
+	}
+
+	/**
+	 * @private
+	 * @method loadMathLibraryInBackground
+	 * @description Pede o math.js sem bloquear a calculadora; se não carregar, o motor interno continua valendo.
+	 */
+	loadMathLibraryInBackground() {
+		if (this.mathParser !== this.fallbackParser) return; // Já estou usando o math.js
+		loadMathLibrary()
+			.then(library => this.setMathLibrary(library))
+			.catch(() => {
+				if (!this.offlineNoticeShown && typeof app !== 'undefined') {
+					this.offlineNoticeShown = true;
+					app.notifications.show('Não foi possível carregar o math.js. Usando o motor de cálculo interno.', 'info');
+				}
+			});
+	}
+
+	/**
+	 * @method unmount
+	 * @description Esquece o escopo da tela; o App já remove o listener de teclado ao descartá-lo.
+	 */
+	unmount() {
+		this.scope = null;
+		this.graph = null; // O canvas sai da tela junto com a calculadora
+	}
+
+	/**
+	 * @private
+	 * @returns {string} HTML dos botões.
+	 * @description Renderiza os botões.
+	 */
+	renderButtons() {
+		const buttons = [
+			'clear', 'sign', '%', '/', // Linha de cima do iPhone: AC/C, +/−, %
+			'7', '8', '9', '*',
+			'4', '5', '6', '-',
+			'1', '2', '3', '+',
+			'0', '.', '='
+		];
+		const labels = { clear: 'AC', sign: '±', '/': '÷', '*': '×', '-': '−', '.': ',' }; // Símbolos mostrados na tecla
+		const ariaLabels = { clear: 'Limpar', sign: 'Inverter sinal', '%': 'Porcentagem', '/': 'Dividir', '*': 'Multiplicar', '-': 'Subtrair', '+': 'Somar', '.': 'Vírgula', '=': 'Igual' };
+
+		return buttons.map(button => {
+			let className = 'calc-button';
+			if (['/', '*', '-', '+'].includes(button)) { // É operador?
+				className += ' operator';
+			} else if (button === '=') { // É igual?
+				className += ' equal';
+			} else if (['clear', 'sign', '%'].includes(button)) { // Teclas cinza de cima
+				className += ' clear-entry';
+			}
+
+			return `<button
+                                 class="${className}"
+                                 data-key="${button}"
+                                 aria-label="${ariaLabels[button] || button}"
+                             >${labels[button] || button}</button>`;
+		}).join(''); // Junta tudo em HTML
+	}
+
+	/**
+	 * @private
+	 * @returns {string} HTML das teclas científicas.
+	 * @description Renderiza o teclado do modo científico.
+	 */
+	renderScientificButtons() {
+		return this.scientificKeys.map(definition => `<button
+                                 class="calc-button scientific${definition.className ? ` ${definition.className}` : ''}"
+                                 data-key="${definition.key}"
+                                 aria-label="${definition.label}"
+                             >${definition.label}</button>`).join('');
+	}
+
+	/**
+	 * @private
+	 * @returns {string} HTML do modo programador: palavra, com/sem sinal, visores por base, grade de bits e teclado.
+	 */
+	renderProgrammerPanel() {
+		const keys = [
+			'AND', 'OR', 'XOR', 'NOT', 'LSH', 'RSH',
+			'ROL', 'ROR', 'MOD', 'back', 'clear', '/',
+			'A', 'B', '7', '8', '9', '*',
+			'C', 'D', '4', '5', '6', '-',
+			'E', 'F', '1', '2', '3', '+',
+			'sign', '0', '='
+		];
+		const labels = { ...ProgrammerCalculator.OPERATOR_LABELS, NOT: 'NOT', back: '⌫', clear: 'AC', sign: '±' };
+		const ariaLabels = { LSH: 'Deslocar à esquerda', RSH: 'Deslocar à direita', ROL: 'Rotacionar à esquerda', ROR: 'Rotacionar à direita', back: 'Apagar', clear: 'Limpar tudo', sign: 'Complemento de dois (inverter sinal)' };
+
+		return `
+                        <div class="calc-prog-options">
+                            <label for="progWordSize">Palavra</label>
+                            <select id="progWordSize">
+                                ${ProgrammerCalculator.WORD_SIZES.map(size => `<option value="${size}">${size} bits</option>`).join('')}
+                            </select>
+                            <label><input type="checkbox" id="progSigned"> Com sinal</label>
+                            <a href="#/ascii" class="calc-prog-ascii-link">Tabela ASCII</a>
+                        </div>
+                        <div class="calc-prog-readouts" role="radiogroup" aria-label="Base de entrada">
+                            ${Object.entries(ProgrammerCalculator.BASES).map(([name, base]) => `<button class="calc-prog-readout" data-base="${base}" role="radio" aria-checked="false">
+                                <span class="calc-prog-base">${name}</span>
+                                <span class="calc-prog-value" id="progValue${base}"></span>
+                            </button>`).join('')}
+                        </div>
+                        <p class="calc-prog-ascii" id="progAscii" aria-live="polite"></p>
+                        <div class="calc-prog-pending" id="progPending" aria-live="polite"></div>
+                        <div class="calc-prog-bits" id="progBits" role="group" aria-label="Bits (clique para inverter)"></div>
+                        <div class="calc-prog-keys">
+                            ${keys.map(key => `<button class="calc-prog-key${ProgrammerCalculator.BINARY_OPERATORS.includes(key) || key === 'NOT' ? ' operator' : ''}${key === '=' ? ' equal' : ''}" data-prog-key="${key}" aria-label="${ariaLabels[key] || labels[key] || key}">${labels[key] || key}</button>`).join('')}
+                        </div>`;
+	}
+
+	/**
+	 * @private
+	 * @param {string} key - Tecla do modo programador (dígito, operador, 'NOT', 'sign', 'back', 'clear' ou '=').
+	 */
+	handleProgrammerKey(key) {
+		try {
+			if (/^[0-9A-F]$/.test(key)) {
+				this.programmer.inputDigit(key);
+			} else if (ProgrammerCalculator.BINARY_OPERATORS.includes(key)) {
+				this.programmer.inputOperator(key);
+			} else if (key === 'NOT') {
+				this.programmer.not();
+			} else if (key === 'sign') {
+				this.programmer.negate();
+			} else if (key === 'back') {
+				this.programmer.backspace();
+			} else if (key === 'clear') {
+				this.programmer.clear();
+			} else if (key === '=') {
+				this.programmer.equals();
+			}
+		} catch (error) {
+			app.notifications.show(error.message, 'error'); // Ex: divisão por zero
+		}
+		this.updateProgrammerDisplay();
+	}
+
+	/**
+	 * @private
+	 * @param {object} options - { wordSize, signed, base } alterados pelo usuário.
+	 * @description Aplica e salva a configuração do modo programador.
+	 */
+	configureProgrammer(options) {
+		this.programmer.configure(options);
+		this.settings.wordSize = this.programmer.wordSize;
+		this.settings.signed = this.programmer.signed;
+		this.settings.base = this.programmer.base;
+		this.saveSettings();
+		this.updateProgrammerDisplay();
+	}
+
+	/**
+	 * @private
+	 * @description Atualiza os visores HEX/DEC/OCT/BIN, o caractere ASCII, a grade de bits e as teclas válidas na base atual.
+	 */
+	updateProgrammerDisplay() {
+		const panel = this.contentDiv.querySelector('.calc-programmer');
+		if (!panel || !this.settings.programmer) return;
+		const programmer = this.programmer;
+
+		Object.values(ProgrammerCalculator.BASES).forEach(base => {
+			document.getElementById(`progValue${base}`).textContent = programmer.format(base);
+			panel.querySelector(`[data-base="${base}"]`).setAttribute('aria-checked', String(base === programmer.base));
+		});
+		const code = Number(programmer.value);
+		document.getElementById('progAscii').textContent = programmer.value >= 32n && programmer.value <= 126n ? `ASCII: ${String.fromCharCode(code)}` : '';
+		document.getElementById('progPending').textContent = programmer.getPendingText();
+		document.getElementById('progWordSize').value = String(programmer.wordSize);
+		document.getElementById('progSigned').checked = programmer.signed;
+
+		const bits = [];
+		for (let nibble = programmer.wordSize / 4 - 1; nibble >= 0; nibble--) { // Do bit mais alto para o mais baixo, em grupos de 4
+			const nibbleBits = [];
+			for (let bit = nibble * 4 + 3; bit >= nibble * 4; bit--) {
+				const on = programmer.getBit(bit);
+				nibbleBits.push(`<button class="calc-prog-bit" data-bit="${bit}" aria-pressed="${on}" aria-label="Bit ${bit}" title="Bit ${bit}">${on ? 1 : 0}</button>`);
+			}
+			bits.push(`<span class="calc-prog-nibble" data-first-bit="${nibble * 4}">${nibbleBits.join('')}</span>`);
+		}
+		document.getElementById('progBits').innerHTML = bits.join('');
+
+		panel.querySelectorAll('[data-prog-key]').forEach(button => { // Dígitos fora da base ficam desabilitados
+			const key = button.dataset.progKey;
+			button.disabled = /^[0-9A-F]$/.test(key) && parseInt(key, 16) >= programmer.base;
+		});
+	}
+
+	/**
+	 * @private
+	 * @param {KeyboardEvent} event - Tecla pressionada com o modo programador ligado.
+	 */
+	handleProgrammerKeyPress(event) {
+		const key = event.key;
+		const shortcuts = { '&': 'AND', '|': 'OR', '^': 'XOR', '~': 'NOT', '<': 'LSH', '>': 'RSH', '%': 'MOD', '+': '+', '-': '-', '*': '*', '/': '/', '=': '=', Enter: '=', Backspace: 'back', Escape: 'clear', Delete: 'clear' };
+		let programmerKey = shortcuts[key];
+		if (!programmerKey && /^[0-9a-f]$/i.test(key)) {
+			programmerKey = key.toUpperCase();
+		}
+		if (programmerKey) {
+			event.preventDefault();
+			this.handleProgrammerKey(programmerKey);
+		}
+	}
+
+	/**
+	 * @private
+	 * @description Carrega as funções e a janela do modo gráfico, salvas ao lado do histórico.
+	 */
+	loadGraphs() {
+		const saved = appStorage.get('calcGraphs');
+		if (saved && Array.isArray(saved.functions)) {
+			this.graphState = {
+				functions: saved.functions.filter(fn => fn && typeof fn.expression === 'string'),
+				view: saved.view || null
+			};
+		}
+	}
+
+	/**
+	 * @private
+	 * @description Salva as funções e a janela do modo gráfico.
+	 */
+	saveGraphs() {
+		if (this.graph) {
+			this.graphState.view = { ...this.graph.view };
+		}
+		appStorage.set('calcGraphs', utils.clone(this.graphState));
+	}
+
+	/**
+	 * @private
+	 * @param {string} expression - Expressão em x.
+	 * @returns {function(number): number} f(x) avaliada pelo mesmo parser e escopo do `calculate` (Ans, variáveis, DEG/RAD).
+	 */
+	compileGraphFunction(expression) {
+		const compiled = this.mathParser.compile(expression);
+		const scope = this.getEvaluationScope();
+		return (x) => {
+			scope.x = x;
+			return compiled.evaluate(scope);
+		};
+	}
+
+	/**
+	 * @method addGraphFunction
+	 * @param {string} text - Expressão em x (aceita também 'y = ...' e 'f(x) = ...').
+	 * @returns {boolean} Se a curva foi adicionada.
+	 */
+	addGraphFunction(text) {
+		const expression = text.replace(/^\s*(?:y|[a-zA-Z_]\w*\s*\(\s*x\s*\))\s*=(?!=)\s*/, '').trim();
+		if (!expression) return false;
+		try {
+			const evaluate = this.compileGraphFunction(expression);
+			const errors = [];
+			[0.5, -1.5, 2.5].forEach(x => { // Erros de domínio num ponto são normais; em todos, a expressão não serve
+				try {
+					evaluate(x);
+				} catch (error) {
+					errors.push(error);
+				}
+			});
+			if (errors.length === 3) throw errors[0];
+		} catch (error) {
+			app.notifications.show(this.describeError(error), 'error');
+			return false;
+		}
+		const usedColors = this.graphState.functions.map(fn => fn.color);
+		const color = GraphPlotter.COLORS.find(candidate => !usedColors.includes(candidate)) || GraphPlotter.COLORS[this.graphState.functions.length % GraphPlotter.COLORS.length];
+		this.graphState.functions.push({ id: this.createHistoryId(), expression, color, visible: true });
+		this.saveGraphs();
+		this.updateGraph();
+		return true;
+	}
+
+	/**
+	 * @method removeGraphFunction
+	 * @param {string} id - Curva a remover.
+	 */
+	removeGraphFunction(id) {
+		this.graphState.functions = this.graphState.functions.filter(fn => fn.id !== id);
+		this.saveGraphs();
+		this.updateGraph();
+	}
+
+	/**
+	 * @private
+	 * @description Recompila as curvas visíveis, redesenha e atualiza a lista de funções.
+	 */
+	updateGraph() {
+		const list = document.getElementById('graphFunctions');
+		if (!this.graph || !list || !this.contentDiv.contains(list) || !this.settings.graph) return;
+
+		const label = (index) => `f${index + 1}`; // Nome pela posição na lista
+		const functions = [];
+		this.graphState.functions.forEach((fn, index) => {
+			if (!fn.visible) return;
+			try {
+				functions.push({ id: fn.id, label: label(index), color: fn.color, evaluate: this.compileGraphFunction(fn.expression) });
+			} catch (error) {
+				Logger.log(Logger.levels.ERROR, 'Função do gráfico inválida', { expression: fn.expression, error });
+			}
+		});
+		this.graph.setFunctions(functions);
+
+		list.innerHTML = this.graphState.functions.map((fn, index) => `
+                <li class="calc-graph-function" data-id="${fn.id}">
+                    <span class="calc-graph-swatch" style="background-color: ${fn.color}"></span>
+                    <label>
+                        <input type="checkbox" data-graph-action="toggle" ${fn.visible ? 'checked' : ''}>
+                        ${label(index)}(x) = ${utils.sanitizeInput(fn.expression)}
+                    </label>
+                    <button data-graph-action="remove" aria-label="Remover ${label(index)}">🗑️</button>
+                </li>`).join('');
+		document.getElementById('graphCanvas').setAttribute('aria-label', functions.length === 0
+			? 'Gráfico vazio'
+			: `Gráfico de ${functions.map(fn => `${fn.label}(x) = ${this.graphState.functions.find(item => item.id === fn.id).expression}`).join('; ')}`);
+		this.drawGraph();
+	}
+
+	/**
+	 * @private
+	 * @description Redesenha o canvas e atualiza a leitura do cursor e a lista de pontos notáveis.
+	 */
+	drawGraph() {
+		if (!this.graph) return;
+		const featuresChanged = this.graph.dirty;
+		this.graph.draw();
+
+		const readout = this.graph.getCursorReadout();
+		document.getElementById('graphReadout').textContent = readout
+			? [`x = ${GraphPlotter.formatNumber(readout.x)}`, ...readout.values.map(({ label, y }) => `${label} = ${isFinite(y) ? GraphPlotter.formatNumber(y) : '—'}`)].join(' · ')
+			: 'Passe o mouse sobre o gráfico para ler as coordenadas.';
+
+		if (!featuresChanged) return;
+		const names = { root: 'Raiz', minimum: 'Mínimo', maximum: 'Máximo', intersection: 'Interseção' };
+		document.getElementById('graphFeatures').innerHTML = this.graph.features.map(feature => `
+                <li>
+                    <button class="calc-graph-feature ${feature.type}" data-x="${feature.x}">
+                        <span class="calc-graph-swatch" style="background-color: ${feature.color}"></span>
+                        ${names[feature.type]} de ${feature.labels.join(' e ')}: (${GraphPlotter.formatNumber(feature.x)}; ${GraphPlotter.formatNumber(feature.y)})
+                    </button>
+                </li>`).join('');
+	}
+
+	/**
+	 * @private
+	 * @description Eventos do modo gráfico: formulário, lista de curvas, zoom, arrastar, rodinha, cursor e teclado do canvas.
+	 */
+	setupGraphListeners() {
+		const canvas = document.getElementById('graphCanvas');
+		if (!canvas) return;
+		this.graph = new GraphPlotter(canvas);
+		this.graph.setView(this.graphState.view);
+
+		document.getElementById('graphForm').addEventListener('submit', (event) => {
+			event.preventDefault();
+			const input = document.getElementById('graphExpression');
+			if (this.addGraphFunction(input.value)) {
+				input.value = '';
+			}
+		});
+
+		this.contentDiv.querySelector('.calc-graph').addEventListener('click', (event) => {
+			const target = event.target.closest('[data-graph-action], [data-x]');
+			if (!target) return;
+			const action = target.dataset.graphAction;
+			if (action === 'zoom-in' || action === 'zoom-out') {
+				this.graph.zoom(action === 'zoom-in' ? 0.8 : 1.25);
+			} else if (action === 'reset') {
+				this.graph.resetView();
+			} else if (action === 'remove') {
+				this.removeGraphFunction(target.closest('[data-id]').dataset.id);
+				return;
+			} else if (action === 'toggle') {
+				const fn = this.graphState.functions.find(item => item.id === target.closest('[data-id]').dataset.id);
+				fn.visible = target.checked;
+				this.saveGraphs();
+				this.updateGraph();
+				return;
+			} else if (target.dataset.x !== undefined) { // Clique num ponto notável leva o cursor até ele
+				this.graph.cursorX = Number(target.dataset.x);
+				this.drawGraph();
+				return;
+			}
+			this.saveGraphs();
+			this.drawGraph();
+		});
+
+		const toCanvasPoint = (event) => { // Coordenadas do evento em pixels do canvas (o CSS pode redimensioná-lo)
+			const rect = canvas.getBoundingClientRect();
+			return {
+				x: (event.clientX - rect.left) * (rect.width ? canvas.width / rect.width : 1),
+				y: (event.clientY - rect.top) * (rect.height ? canvas.height / rect.height : 1)
+			};
+		};
+		let dragStart = null;
+		canvas.addEventListener('pointerdown', (event) => {
+			dragStart = toCanvasPoint(event);
+			if (canvas.setPointerCapture) canvas.setPointerCapture(event.pointerId);
+		});
+		canvas.addEventListener('pointermove', (event) => {
+			const point = toCanvasPoint(event);
+			if (dragStart) {
+				this.graph.pan(point.x - dragStart.x, point.y - dragStart.y);
+				dragStart = point;
+			}
+			this.graph.setCursor(point.x);
+			this.drawGraph();
+		});
+		const endDrag = () => {
+			if (!dragStart) return;
+			dragStart = null;
+			this.saveGraphs();
+		};
+		canvas.addEventListener('pointerup', endDrag);
+		canvas.addEventListener('pointercancel', endDrag);
+		canvas.addEventListener('pointerleave', () => {
+			this.graph.setCursor(null);
+			this.drawGraph();
+		});
+		canvas.addEventListener('wheel', (event) => {
+			event.preventDefault();
+			const point = toCanvasPoint(event);
+			this.graph.zoom(event.deltaY < 0 ? 0.8 : 1.25, point.x, point.y);
+			this.saveGraphs();
+			this.drawGraph();
+		}, { passive: false });
+		canvas.addEventListener('keydown', (event) => {
+			const step = 40; // Pixels por seta
+			const moves = { ArrowLeft: [step, 0], ArrowRight: [-step, 0], ArrowUp: [0, step], ArrowDown: [0, -step] };
+			if (moves[event.key]) {
+				this.graph.pan(...moves[event.key]);
+			} else if (event.key === '+' || event.key === '=') {
+				this.graph.zoom(0.8);
+			} else if (event.key === '-') {
+				this.graph.zoom(1.25);
+			} else if (event.key === '0') {
+				this.graph.resetView();
+			} else {
+				return;
+			}
+			event.preventDefault();
+			this.saveGraphs();
+			this.drawGraph();
+		});
+	}
+
+	/**
+	 * @param {string} button - Botão clicado.
+	 * @description Manipula o clique dos botões, repassando para a máquina de estados da entrada.
+	 */
+	handleButtonClick(button) {
+		if (this.settings.rpn && this.handleRpnKey(button)) { // No modo RPN as teclas operam a pilha
+			this.updateDisplay();
+			return;
+		}
+		const scientificKey = this.scientificKeys.find(definition => definition.key === button);
+		if (/^\d$/.test(button)) { // Número
+			this.input.inputDigit(button);
+		} else if (button === '.' || button === ',') { // Vírgula decimal
+			this.input.inputDecimal();
+		} else if (['+', '-', '*', '/', '^'].includes(button)) { // Operador (xʸ também é operador)
+			this.input.inputOperator(button);
+		} else if (scientificKey && scientificKey.insert) { // Tecla científica que insere função/constante
+			this.input.insert(scientificKey.insert);
+		} else if (['MC', 'MR', 'M+', 'M-'].includes(button)) { // Memória
+			this.handleMemory(button);
+		} else if (button === 'angle') { // Alterna DEG/RAD
+			this.toggleAngleUnit();
+		} else if (button === '=') { // Clicou em igual
+			this.handleEquals();
+		} else if (button === 'clear') { // C apaga a entrada, AC apaga tudo
+			this.input.clear();
+		} else if (button === 'sign') { // Clicou em +/−
+			this.input.toggleSign();
+		} else if (button === '%') { // Clicou em porcentagem
+			this.input.percent();
+		}
+		this.updateDisplay();
+	}
+
+	/**
+	 * @private
+	 * @param {string} button - Tecla do teclado comum, do científico ou da barra RPN.
+	 * @returns {boolean} Se a tecla foi tratada (memória e DEG/RAD seguem o caminho normal).
+	 * @description Teclas no modo RPN: números vão para a linha de entrada, operadores consomem a pilha e
+	 * funções científicas viram operações sobre o X. Cada conta passa por calculate() e entra no histórico.
+	 */
+	handleRpnKey(button) {
+		const scientificKey = this.scientificKeys.find(definition => definition.key === button);
+		const compute = (expression) => this.calculate(expression);
+		const stackKeys = {
+			'=': () => this.rpn.enter(), // O "=" do teclado vira ENTER
+			ENTER: () => this.rpn.enter(),
+			SWAP: () => this.rpn.swap(),
+			DROP: () => this.rpn.drop(),
+			ROLL: () => this.rpn.roll(),
+			LASTX: () => this.rpn.recallLastX(),
+			clear: () => (this.rpn.entry !== null ? this.rpn.drop() : this.rpn.clear()), // C apaga a entrada, AC a pilha
+			sign: () => this.rpn.changeSign(),
+			'%': () => this.rpn.percent(compute)
+		};
+
+		try {
+			if (/^\d$/.test(button)) {
+				this.rpn.inputDigit(button);
+			} else if (button === '.' || button === ',') {
+				this.rpn.inputDecimal();
+			} else if (['+', '-', '*', '/', '^'].includes(button)) {
+				this.rpn.applyBinary(button, compute);
+			} else if (stackKeys[button]) {
+				stackKeys[button]();
+			} else if (scientificKey && scientificKey.insert) {
+				const insert = scientificKey.insert;
+				if (insert === '(' || insert === ')') return true; // RPN dispensa parênteses
+				if (insert.endsWith('(')) { // sin(, sqrt(, log(...
+					this.rpn.applyUnary(`${insert}#)`, compute);
+				} else if (/^[\^!]/.test(insert)) { // x², 1/x, n!
+					this.rpn.applyUnary(`#${insert}`, compute);
+				} else { // π, e, Ans
+					this.rpn.push(this.evaluate(insert));
+				}
+			} else {
+				return false;
+			}
+		} catch (error) {
+			app.notifications.show(error.message, 'error'); // A pilha fica como estava
+		}
+		this.updateRpnStack();
+		return true;
+	}
+
+	/**
+	 * @private
+	 * @description Desenha a pilha RPN (nível 1 = X embaixo, como na HP) e rola até o X.
+	 */
+	updateRpnStack() {
+		const list = document.getElementById('rpnStack');
+		if (!list || !this.contentDiv.contains(list)) return;
+		const stack = this.rpn.stack;
+		list.innerHTML = stack.map((value, index) => {
+			const level = stack.length - index;
+			return `<li><span class="calc-rpn-level">${level}:</span> <span class="calc-rpn-value">${CalculatorInput.formatResult(value)}</span></li>`;
+		}).join('');
+		document.getElementById('rpnStackEmpty').hidden = stack.length > 0;
+		document.getElementById('rpnLastX').textContent = this.rpn.lastX === null ? '' : `LASTx: ${CalculatorInput.formatResult(this.rpn.lastX)}`;
+		list.scrollTop = list.scrollHeight;
+	}
+
+	/**
+	 * @private
+	 * @description Tecla "=": calcula a conta pendente (ou repete a última operação) e registra no histórico.
+	 */
+	handleEquals() {
+		const expression = this.input.getExpressionForEquals();
+		if (!expression) return; // Só um número no visor: nada a calcular
+		try {
+			const result = this.calculate(expression); // Calcula
+			this.input.commitResult(result, expression, this.lastOutcome); // Mostra no display (na forma exata, se houver)
+		} catch (error) {
+			app.notifications.show(error.message, 'error'); // Mostra erro se tiver
+		}
+		if (this.explainOpen) {
+			this.explain(expression); // Com o painel aberto, cada "=" (inclusive os que dão erro) já vem explicado
+		}
 	}
 
 	/**
-	 * @method loadTasks
-	 * @returns {Array<object>} - Array de tarefas do localStorage ou vazio.
-	 * @description Carrega tarefas salvas ou inicia lista vazia.
+	 * @private
+	 * @description Desenha o visor a partir do estado da entrada: número em formato brasileiro, expressão pendente,
+	 * rótulo AC/C, operador destacado e fonte reduzida para números longos.
 	 */
-	loadTasks() {
-		const storedTasks = localStorage.getItem('tasks');
-		return storedTasks ? JSON.parse(storedTasks) : []; // Retorna tarefas do storage ou array vazio
+	updateDisplay() {
+		const display = document.getElementById('display');
+		if (!display || !this.contentDiv.contains(display)) return; // Calculadora não está na tela
+
+		const rpn = this.settings.rpn;
+		const text = rpn ? this.rpn.getDisplayText() : this.input.getDisplayText();
+		display.value = text;
+		display.style.setProperty('--calc-display-scale', String(Math.max(0.35, Math.min(1, 9 / text.length)))); // Encolhe a partir de 9 caracteres
+		document.getElementById('calcExpression').textContent = rpn ? '' : this.input.getExpressionText();
+
+		const equalButton = this.contentDiv.querySelector('[data-key="="]');
+		equalButton.textContent = rpn ? 'ENTER' : '=';
+		equalButton.setAttribute('aria-label', rpn ? 'Enter (empurra para a pilha)' : 'Igual');
+
+		const clearButton = this.contentDiv.querySelector('[data-key="clear"]');
+		const clearLabel = rpn ? (this.rpn.entry !== null ? 'C' : 'AC') : this.input.getClearLabel();
+		clearButton.textContent = clearLabel;
+		clearButton.setAttribute('aria-label', clearLabel === 'C' ? 'Limpar entrada' : 'Limpar tudo');
+
+		const pendingOperator = rpn ? null : this.input.getPendingOperator();
+		this.contentDiv.querySelectorAll('.calc-button.operator').forEach(button => {
+			button.classList.toggle('active', button.dataset.key === pendingOperator);
+		});
 	}
 
 	/**
-	 * @method saveTasks
-	 * @description Salva tarefas no localStorage.
+	 * @private
+	 * @param {string} button - 'MC', 'MR', 'M+' ou 'M-'.
+	 * @description Operações do registrador de memória.
 	 */
-	saveTasks() {
-		localStorage.setItem('tasks', JSON.stringify(this.tasks)); // Salva array de tarefas no storage
+	handleMemory(button) {
+		if (button === 'MC') {
+			this.memory = 0;
+		} else if (button === 'MR') {
+			if (this.settings.rpn) {
+				this.rpn.push(this.memory);
+				this.updateRpnStack();
+			} else {
+				this.input.setValue(this.memory);
+			}
+		} else {
+			const value = this.settings.rpn ? this.rpn.getX() : this.input.getCurrentValue(); // Soma o número do visor, como no iPhone
+			this.memory += button === 'M+' ? value : -value;
+		}
+		this.saveSettings();
+		this.updateScientificUI();
 	}
 
 	/**
-	 * @method renderTasks
-	 * @description Renderiza a lista de tarefas na tela.
+	 * @method toggleScientific
+	 * @description Liga/desliga o teclado científico.
 	 */
-	renderTasks() {
-		this.contentDiv.innerHTML = `
-                <div class="todo-container fade-in">
-                    <h2>Lista de Tarefas</h2>
-                    <div class="todo-header">
-                        <input type="text" id="taskInput" placeholder="Adicione uma tarefa" aria-label="Nova tarefa">
-                        <button id="addTaskBtn">Adicionar</button>
-                    </div>
-                    <ul class="todo-list">
-                        ${this.renderTaskListItems()}
-                    </ul>
-                    <button onclick="app.voltarAoMenu()">Voltar ao Menu</button>
-                </div>
-            `;
-		this.setupEventListeners(); // Configura eventos dos botões
+	toggleScientific() {
+		this.setMode('scientific');
 	}
 
 	/**
-	 * @method renderTaskListItems
 	 * @private
-	 * @returns {string} - HTML para itens da lista de tarefas.
-	 * @description Cria HTML para cada tarefa na lista.
+	 * @param {string} mode - 'scientific', 'programmer', 'graph' ou 'rpn'.
+	 * @param {boolean} [enabled] - Liga ou desliga (padrão: inverte).
+	 * @description Um modo de cada vez: ligar um desliga os outros. A exceção é RPN + científica, que andam juntas
+	 * (as teclas científicas viram operações sobre o X).
 	 */
-	renderTaskListItems() {
-		return this.tasks.map((task, index) => `
-                <li class="todo-item">
-                    <input type="checkbox" id="task-${index}" ${task.completed ? 'checked' : ''} aria-labelledby="task-label-${index}">
-                    <span id="task-label-${index}" class="${task.completed ? 'completed' : ''}">${utils.sanitizeInput(task.text)}</span>
-                    <button class="delete-btn" data-index="${index}" aria-label="Excluir tarefa ${task.text}">Excluir</button>
-                </li>`).join(''); // Transforma array de HTML em string
+	setMode(mode, enabled = !this.settings[mode]) {
+		const compatible = { scientific: ['rpn'], rpn: ['scientific'] };
+		['scientific', 'programmer', 'graph', 'rpn'].forEach(name => {
+			if (name === mode) {
+				this.settings[name] = enabled;
+			} else if (enabled && !(compatible[mode] || []).includes(name)) {
+				this.settings[name] = false;
+			}
+		});
+		this.saveSettings();
+		this.updateScientificUI();
+		this.updateDisplay();
+		this.updateRpnStack();
+		this.updateProgrammerDisplay();
+		this.updateGraph();
 	}
 
-
 	/**
-	 * @method setupEventListeners
-	 * @private
-	 * @description Configura eventos para botões e checkboxes.
+	 * @method toggleProgrammer
+	 * @description Liga/desliga o modo programador (substitui o visor e o teclado comuns).
 	 */
-	setupEventListeners() {
-		document.getElementById('addTaskBtn').addEventListener('click', () => this.addTask()); // Evento botão Adicionar
-
-		const taskList = document.querySelector('.todo-list');
-		taskList.addEventListener('change', (event) => { // Evento change nos checkboxes (delegação)
-			if (event.target.type === 'checkbox') {
-				const index = parseInt(event.target.id.split('-')[1], 10); // Pega índice do checkbox
-				this.toggleTask(index); // Alterna tarefa
-			}
-		});
-
-		taskList.addEventListener('click', (event) => { // Evento click nos botões delete (delegação)
-			if (event.target.classList.contains('delete-btn')) {
-				const index = parseInt(event.target.dataset.index, 10); // Pega índice do botão delete
-				this.deleteTask(index); // Deleta tarefa
-			}
-		});
+	toggleProgrammer() {
+		this.setMode('programmer');
 	}
 
+	/**
+	 * @method toggleGraph
+	 * @description Liga/desliga o modo gráfico (substitui o visor e o teclado comuns).
+	 */
+	toggleGraph() {
+		this.setMode('graph');
+	}
 
 	/**
-	 * @method addTask
-	 * @description Adiciona nova tarefa. Valida input, atualiza UI e localStorage.
+	 * @method toggleRpn
+	 * @description Liga/desliga o modo RPN (pilha no lugar da conta infixa).
 	 */
-	addTask() {
-		const taskInput = document.getElementById('taskInput');
-		const taskText = taskInput.value.trim(); // Pega texto da tarefa
+	toggleRpn() {
+		this.setMode('rpn');
+	}
 
-		if (!taskText) {
-			alert("Por favor, insira uma tarefa antes de adicionar."); // Alerta se input vazio
-			return; // Sai da função se não tiver texto
+	/**
+	 * @method toggleExplain
+	 * @description Abre/fecha o painel "Explicar", já explicando a conta do visor.
+	 */
+	toggleExplain() {
+		this.explainOpen = !this.explainOpen;
+		if (this.explainOpen) {
+			this.explainExpression = this.settings.rpn
+				? (this.history[0] ? this.history[0].expression : '') // No RPN a última operação está no histórico
+				: this.input.getExplainableExpression();
 		}
-
-		this.tasks.push({
-			text: taskText,
-			completed: false
-		}); // Adiciona tarefa ao array
-		this.saveTasks(); // Salva tarefas
-		taskInput.value = ''; // Limpa input
-		this.updateTaskListUI(); // Atualiza lista na tela
+		this.updateExplainPanel();
 	}
 
+	/**
+	 * @method explain
+	 * @param {string} expression - Expressão a explicar (ex: a do visor).
+	 * @description Mostra a árvore de precedência e cada redução da expressão, ou o ponto exato do erro de sintaxe.
+	 */
+	explain(expression) {
+		this.explainOpen = true;
+		this.explainExpression = String(expression).trim();
+		this.updateExplainPanel();
+	}
 
 	/**
-	 * @method toggleTask
-	 * @param {number} index - Índice da tarefa.
-	 * @description Alterna status (concluída/não concluída) da tarefa. Atualiza UI e localStorage.
-	 */
-	toggleTask(index) {
-		if (index >= 0 && index < this.tasks.length) { // Valida índice
-			this.tasks[index].completed = !this.tasks[index].completed; // Inverte status da tarefa
-			this.saveTasks(); // Salva tarefas
-			this.updateTaskItemUI(index); // Atualiza item da tarefa na tela
-		} else {
-			console.error('Índice de tarefa inválido:', index); // Erro: índice inválido
+	 * @private
+	 * @description Desenha o painel "Explicar" a partir de `explainExpression`.
+	 */
+	updateExplainPanel() {
+		const panel = document.getElementById('calcExplain');
+		if (!panel || !this.contentDiv.contains(panel)) return;
+		panel.hidden = !this.explainOpen;
+		document.getElementById('explainToggle').setAttribute('aria-pressed', String(this.explainOpen));
+		const input = document.getElementById('calcExplainInput');
+		if (document.activeElement !== input) {
+			input.value = this.explainExpression;
+		}
+		const output = document.getElementById('calcExplainOutput');
+		if (!this.explainOpen || !this.explainExpression) {
+			output.innerHTML = this.explainOpen ? '<p class="calc-explain-note">Digite uma conta (ou faça uma na calculadora) para ver o passo a passo.</p>' : '';
+			return;
+		}
+
+		const explanation = this.explainer.explain(this.explainExpression, this.getEvaluationScope()); // Mesmas variáveis, funções, Ans e DEG/RAD da calculadora
+		const parts = [];
+		if (explanation.tree) {
+			parts.push(`<h4>Árvore de precedência</h4><ul class="calc-explain-tree" role="tree" aria-label="Árvore de precedência">${this.renderExplainNode(explanation.tree)}</ul>`);
+		}
+		if (explanation.steps.length > 0) {
+			parts.push(`<h4>Passos</h4><ol class="calc-explain-steps">${explanation.steps.map(step => `
+                            <li>
+                                <code>${this.formatExplainText(step.before.slice(0, step.highlight.start))}<mark>${this.formatExplainText(step.before.slice(step.highlight.start, step.highlight.end))}</mark>${this.formatExplainText(step.before.slice(step.highlight.end))}</code>
+                                <span class="calc-explain-step">${this.formatExplainText(step.description)}</span>
+                                <small>${utils.sanitizeInput(step.rule)}</small>
+                            </li>`).join('')}
+                        </ol>`);
+		}
+		if (explanation.truncated) {
+			parts.push(`<p class="calc-explain-note">Só os primeiros ${this.explainer.maxSteps} passos são mostrados.</p>`);
 		}
+		if (explanation.error) {
+			parts.push(this.renderExplainError(explanation.error, explanation.expression));
+		} else if (explanation.result !== null) {
+			parts.push(`<p class="calc-explain-result">Resultado: <strong>${CalculatorInput.formatResult(explanation.result)}</strong></p>`);
+			if (this.settings.precision !== 'double') {
+				parts.push('<p class="calc-explain-note">Os passos usam a precisão padrão (double); o visor pode mostrar mais dígitos ou a fração exata.</p>');
+			}
+		}
+		output.innerHTML = parts.join('');
 	}
 
 	/**
-	 * @method deleteTask
-	 * @param {number} index - Índice da tarefa.
-	 * @description Deleta tarefa da lista. Atualiza UI e localStorage.
+	 * @private
+	 * @param {object} node - Nó da árvore de `ExpressionExplainer.explain`.
+	 * @returns {string} Item da árvore: operação, o trecho do texto que ela cobre e o valor.
 	 */
-	deleteTask(index) {
-		if (index >= 0 && index < this.tasks.length) { // Valida índice
-			this.tasks.splice(index, 1); // Remove tarefa do array
-			this.saveTasks(); // Salva tarefas
-			this.updateTaskListUI(); // Atualiza lista na tela
-		} else {
-			console.error('Índice de tarefa inválido:', index); // Erro: índice inválido
-		}
+	renderExplainNode(node) {
+		const value = node.value === null ? '' : ` <span class="calc-explain-value">= ${CalculatorInput.formatResult(node.value)}</span>`;
+		const label = node.children.length > 0
+			? `<span class="calc-explain-operator">${this.formatExplainText(node.label)}</span> <span class="calc-explain-kind">${utils.sanitizeInput(node.description)}${node.parenthesized ? ', entre parênteses' : ''}</span> <code>${this.formatExplainText(node.text)}</code>`
+			: `<code>${this.formatExplainText(node.text)}</code>`;
+		const children = node.children.length > 0 ? `<ul role="group">${node.children.map(child => this.renderExplainNode(child)).join('')}</ul>` : '';
+		return `<li role="treeitem"${node.children.length > 0 ? ' aria-expanded="true"' : ''}>${label}${value}${children}</li>`;
 	}
 
 	/**
-	 * @method updateTaskListUI
 	 * @private
-	 * @description Atualiza a lista de tarefas (UL) na tela. Renderiza novamente os itens da lista.
+	 * @param {{message: string, position: number, token: string}} error - Erro com a posição no texto.
+	 * @param {string} source - Expressão original.
+	 * @returns {string} Mensagem com o trecho culpado destacado e um circunflexo embaixo dele.
 	 */
-	updateTaskListUI() {
-		const taskList = document.querySelector('.todo-list');
-		if (taskList) {
-			taskList.innerHTML = this.renderTaskListItems(); // Atualiza conteúdo da UL
-			this.setupEventListenersForListItems(); // Refaz eventos dos itens (deprecated)
+	renderExplainError(error, source) {
+		if (error.position < 0) {
+			return `<p class="calc-explain-error" role="alert">${utils.sanitizeInput(error.message)}</p>`;
 		}
+		const length = error.token && source.startsWith(error.token, error.position) ? error.token.length : 0; // Sem trecho (fim da expressão): só o circunflexo
+		const marked = `${utils.sanitizeInput(source.slice(0, error.position))}<mark>${utils.sanitizeInput(source.slice(error.position, error.position + length)) || ' '}</mark>${utils.sanitizeInput(source.slice(error.position + length))}`;
+		return `
+                        <div class="calc-explain-error" role="alert">
+                            <p>${utils.sanitizeInput(error.message)} na posição ${error.position + 1}${length ? ` (trecho "${utils.sanitizeInput(error.token)}")` : ''}.</p>
+                            <pre>${marked}\n${' '.repeat(error.position)}${'^'.repeat(Math.max(1, length))}</pre>
+                        </div>`;
 	}
 
 	/**
-	 * @method updateTaskItemUI
 	 * @private
-	 * @param {number} index - Índice da tarefa.
-	 * @description Atualiza um item específico da tarefa na UI (classe 'completed', checkbox).
+	 * @param {string} text - Trecho de expressão.
+	 * @returns {string} Trecho com os símbolos do teclado (×, ÷, −, π) e escapado para HTML.
 	 */
-	updateTaskItemUI(index) {
-		const listItem = document.querySelector(`.todo-list li:nth-child(${index + 1})`);
-		if (listItem) {
-			const task = this.tasks[index];
-			const taskSpan = listItem.querySelector('span');
-			const checkbox = listItem.querySelector('input[type="checkbox"]');
+	formatExplainText(text) {
+		return utils.sanitizeInput(CalculatorInput.formatExpression(text));
+	}
 
-			if (taskSpan) taskSpan.className = task.completed ? 'completed' : ''; // Atualiza classe do span
-			if (checkbox) checkbox.checked = task.completed; // Atualiza checkbox
-		}
+	/**
+	 * @method toggleAngleUnit
+	 * @description Alterna entre graus (DEG) e radianos (RAD) para as funções trigonométricas.
+	 */
+	toggleAngleUnit() {
+		this.settings.angleUnit = this.settings.angleUnit === 'deg' ? 'rad' : 'deg';
+		this.saveSettings();
+		this.updateScientificUI();
 	}
 
 	/**
-	 * @method setupEventListenersForListItems
 	 * @private
-	 * @description Configura eventos para itens da lista (checkboxes/delete btns) - DEPRECATED.
-	 * @deprecated  - Delegação de eventos em `setupEventListeners` torna isto redundante.
+	 * @description Sincroniza teclado científico, indicador DEG/RAD e indicador de memória com o estado atual.
 	 */
-	setupEventListenersForListItems() { // DEPRECATED - Delegação no setupEventListeners torna obsoleto
-		// Implementação de listeners para checkboxes e delete buttons em cada item, se necessário em renderização parcial.
-		// No modelo atual, delegação em 'setupEventListeners' torna essa função redundante, mantida por referência.
+	updateScientificUI() {
+		const panel = this.contentDiv.querySelector('.calc-scientific');
+		if (!panel) return;
+		const angleLabel = this.settings.angleUnit.toUpperCase();
+
+		panel.hidden = !this.settings.scientific;
+		this.contentDiv.querySelector('.calculator-container').classList.toggle('scientific-mode', this.settings.scientific);
+		this.contentDiv.querySelector('.calculator-container').classList.toggle('programmer-mode', this.settings.programmer);
+		this.contentDiv.querySelector('.calc-programmer').hidden = !this.settings.programmer;
+		this.contentDiv.querySelector('.calculator-container').classList.toggle('graph-mode', this.settings.graph);
+		this.contentDiv.querySelector('.calc-graph').hidden = !this.settings.graph;
+		document.getElementById('graphToggle').setAttribute('aria-pressed', String(this.settings.graph));
+		this.contentDiv.querySelector('.calculator-container').classList.toggle('rpn-mode', this.settings.rpn);
+		this.contentDiv.querySelector('.calc-rpn').hidden = !this.settings.rpn;
+		document.getElementById('rpnToggle').setAttribute('aria-pressed', String(this.settings.rpn));
+		const toggle = document.getElementById('scientificToggle');
+		toggle.setAttribute('aria-pressed', String(this.settings.scientific));
+		document.getElementById('programmerToggle').setAttribute('aria-pressed', String(this.settings.programmer));
+		panel.querySelector('[data-key="angle"]').textContent = angleLabel;
+		document.getElementById('calcAngleIndicator').textContent = this.settings.scientific ? angleLabel : '';
+		document.getElementById('calcMemoryIndicator').textContent = this.memory !== 0 ? 'M' : '';
 	}
-}
 
-// --------------------------------------------------
-//  CALCULADORA
-// --------------------------------------------------
-/**
- * @class Calculator
- * @description Gerencia a lógica da Calculadora.
- */
-class Calculator {
 	/**
-	 * @constructor
-	 * @param {object} i18n - Objeto de internacionalização.
-	 * @param {object} contentDiv - Div de conteúdo.
+	 * @private
+	 * @returns {object} Escopo da avaliação: `Ans` e, em graus, as funções trigonométricas convertidas.
 	 */
-	constructor(i18n, contentDiv) {
-		this.contentDiv = contentDiv;
-		this.i18n = i18n;
-		this.history = [];
-		this.cache = new Cache(); // Cache (se precisar)
-		this.mathParser = math; // Biblioteca math.js
+	getEvaluationScope(parser = null) {
+		const scope = this.userScope.apply({}, parser || this.mathParser, Boolean(parser)); // Variáveis e funções do usuário
+		scope.Ans = parser ? parser.evaluate(this.lastExact || String(this.lastAnswer)) : this.lastAnswer; // Ans no tipo numérico do parser
+		if (this.settings.angleUnit === 'deg') {
+			const functions = parser || Math; // Em BigNumber as funções do math.js mantêm os dígitos extras
+			const toRadians = parser ? (x) => parser.multiply(x, parser.divide(parser.pi, 180)) : (x) => x * Math.PI / 180;
+			const toDegrees = parser ? (x) => parser.multiply(x, parser.divide(180, parser.pi)) : (x) => x * 180 / Math.PI;
+			scope.sin = (x) => functions.sin(toRadians(x));
+			scope.cos = (x) => functions.cos(toRadians(x));
+			scope.tan = (x) => functions.tan(toRadians(x));
+			scope.asin = (x) => toDegrees(functions.asin(x));
+			scope.acos = (x) => toDegrees(functions.acos(x));
+			scope.atan = (x) => toDegrees(functions.atan(x));
+		}
+		return scope;
 	}
 
-	initialize() {
-		this.loadHistory(); // Carrega o histórico salvo
+	/**
+	 * @method setPrecision
+	 * @param {string} precision - 'double', 'bignumber' ou 'fraction'.
+	 * @param {number} [digits] - Dígitos significativos do BigNumber (16 a 256).
+	 */
+	setPrecision(precision, digits = this.settings.precisionDigits) {
+		if (!['double', 'bignumber', 'fraction'].includes(precision)) return;
+		this.settings.precision = precision;
+		this.settings.precisionDigits = Math.min(256, Math.max(16, Math.round(Number(digits)) || 32));
+		this.saveSettings();
+		this.updatePrecisionUI();
 	}
 
 	/**
 	 * @private
-	 * @returns {string} HTML dos botões.
-	 * @description Renderiza os botões.
+	 * @description Sincroniza o seletor de precisão e o campo de dígitos (só aparece em BigNumber).
 	 */
-	renderButtons() {
-		const buttons = [
-			'7', '8', '9', '/',
-			'4', '5', '6', '*',
-			'1', '2', '3', '-',
-			'0', '.', '=', '+',
-			'CE', '%' // Botões extras
-		];
+	updatePrecisionUI() {
+		const select = document.getElementById('calcPrecision');
+		const digits = document.getElementById('calcPrecisionDigits');
+		if (!select || !digits) return;
+		select.value = this.settings.precision;
+		digits.value = String(this.settings.precisionDigits);
+		digits.hidden = this.settings.precision !== 'bignumber';
+	}
 
-		return buttons.map(button => {
-			let className = 'calc-button';
-			if (['/', '*', '-', '+', '%'].includes(button)) { // É operador?
-				className += ' operator';
-			} else if (button === '=') { // É igual?
-				className += ' equal';
-			} else if (button === 'CE') { // É Clear Entry?
-				className += ' clear-entry';
+	/**
+	 * @private
+	 * @returns {object|null} Instância do math.js para a precisão escolhida, ou null para usar double.
+	 * @description Cria (uma vez por configuração) uma instância própria com `math.create` e ajusta o `config` dela,
+	 * sem mexer na configuração do `math` global que o resto da página usa.
+	 */
+	getPrecisionParser() {
+		const { precision, precisionDigits } = this.settings;
+		if (precision === 'double') return null;
+		if (this.mathParser === this.fallbackParser || typeof this.mathParser.create !== 'function') {
+			if (!this.precisionNoticeShown && typeof app !== 'undefined') {
+				this.precisionNoticeShown = true;
+				app.notifications.show('BigNumber e frações exatas precisam do math.js. Calculando com a precisão padrão.', 'info');
 			}
-
-			return `<button
-                                 class="${className}"
-                                 data-key="${button}"
-                                 aria-label="${button}"
-                             >${button}</button>`;
-		}).join(''); // Junta tudo em HTML
+			return null;
+		}
+		const key = precision === 'bignumber' ? `bignumber:${precisionDigits}` : precision;
+		if (!this.precisionParsers[key]) {
+			const config = precision === 'bignumber' ? { number: 'BigNumber', precision: precisionDigits } : { number: 'Fraction' };
+			const instance = this.mathParser.create(); // Cópia do math.js com todas as funções
+			instance.config(config);
+			this.precisionParsers[key] = instance;
+		}
+		return this.precisionParsers[key];
 	}
 
 	/**
-	 * @param {string} button - Botão clicado.
-	 * @description Manipula o clique dos botões.
+	 * @private
+	 * @param {string} expression - Expressão a ser avaliada.
+	 * @returns {object} { value, precision, digits?, exact?, canonical?, text? }: `value` é sempre um double; os demais
+	 * campos existem quando o resultado saiu exato em BigNumber/fração.
+	 * @description Avalia na precisão escolhida. Se o resultado não couber nela (ex: √2 como fração), calcula em double
+	 * e registra isso no `precision` do resultado.
 	 */
-	handleButtonClick(button) {
-		const display = document.getElementById('display');
-		if (button === '=') { // Clicou em igual
+	evaluatePrecise(expression) {
+		const parser = this.getPrecisionParser();
+		if (parser) {
 			try {
-				const result = this.calculate(display.value); // Calcula
-				display.value = result; // Mostra no display
+				const value = parser.evaluate(expression.replace(/%/g, '/100'), this.getEvaluationScope(parser));
+				const number = Number(value);
+				if (isFinite(number) && parser.isBigNumber(value)) {
+					const exact = value.toString();
+					return { value: number, precision: 'bignumber', digits: this.settings.precisionDigits, exact, canonical: exact, text: CalculatorInput.formatDecimalString(exact) };
+				}
+				if (isFinite(number) && parser.isFraction(value)) {
+					const exact = value.toFraction();
+					return { value: number, precision: 'fraction', exact, canonical: exact.includes('/') ? `(${exact})` : exact, text: CalculatorInput.formatFraction(exact) };
+				}
 			} catch (error) {
-				app.notifications.show(error.message, 'error'); // Mostra erro se tiver
+				Logger.log(Logger.levels.INFO, 'Expressão fora da precisão escolhida, calculando em double', { expression, error: error.message });
 			}
-		} else if (button === 'CE') { // Clicou em CE
-			this.clearEntry(); // Limpa a entrada
-		} else if (button === '%') { // Clicou em porcentagem
-			this.handlePercentage(); // Faz a conta de porcentagem
-		} else { // Clicou em número ou operador
-			display.value += button; // Adiciona ao que já está no display
 		}
+		return { value: this.evaluate(expression), precision: 'double' };
 	}
 
+
 	/**
 	 * @returns {string} HTML da calculadora.
 	 * @description Renderiza a calculadora.
@@ -754,16 +8053,98 @@ class Calculator {
 		return `
                 <div class="calculator-container" role="application">
                     <h2>Calculadora - Parecida com iphone</h2>
+                    <div class="calc-toolbar">
+                        <button id="scientificToggle" class="calc-mode-toggle" aria-pressed="false">Científica</button>
+                        <button id="programmerToggle" class="calc-mode-toggle" aria-pressed="false">Programador</button>
+                        <button id="graphToggle" class="calc-mode-toggle" aria-pressed="false">Gráfico</button>
+                        <button id="rpnToggle" class="calc-mode-toggle" aria-pressed="false" title="Notação polonesa reversa">RPN</button>
+                        <button id="explainToggle" class="calc-mode-toggle" aria-pressed="false" aria-controls="calcExplain" title="Árvore de precedência e passo a passo da conta">Explicar</button>
+                        <label for="calcPrecision">Precisão</label>
+                        <select id="calcPrecision">
+                            <option value="double">Padrão (double)</option>
+                            <option value="bignumber">BigNumber</option>
+                            <option value="fraction">Fração exata</option>
+                        </select>
+                        <input type="number" id="calcPrecisionDigits" min="16" max="256" step="1" aria-label="Dígitos significativos" title="Dígitos significativos" hidden>
+                    </div>
+                    <div class="calc-rpn" role="group" aria-label="Pilha RPN" hidden>
+                        <ol class="calc-rpn-stack" id="rpnStack" aria-label="Níveis da pilha" tabindex="0"></ol>
+                        <p class="calc-rpn-empty" id="rpnStackEmpty">Pilha vazia: digite um número e aperte ENTER.</p>
+                        <div class="calc-rpn-keys">
+                            <button data-key="ENTER" aria-label="Enter (empurra para a pilha)">ENTER</button>
+                            <button data-key="SWAP" aria-label="Trocar X e Y">x⇄y</button>
+                            <button data-key="DROP" aria-label="Descartar X">DROP</button>
+                            <button data-key="ROLL" aria-label="Girar a pilha para baixo">R↓</button>
+                            <button data-key="LASTX" aria-label="Último X">LASTx</button>
+                        </div>
+                        <p class="calc-rpn-lastx" id="rpnLastX" aria-live="polite"></p>
+                    </div>
                     <div class="calc-display" role="textbox" aria-label="${this.i18n.t('display')}">
+                        <div class="calc-indicators" aria-live="polite">
+                            <span id="calcAngleIndicator"></span>
+                            <span id="calcMemoryIndicator"></span>
+                        </div>
+                        <div class="calc-expression" id="calcExpression" aria-live="polite"></div>
                         <input type="text" id="display" value="0" readonly>
                     </div>
+                    <div class="calc-scientific" role="group" aria-label="Teclas científicas" hidden>
+                        ${this.renderScientificButtons()}
+                    </div>
+                    <div class="calc-programmer" role="group" aria-label="Modo programador" hidden>
+                        ${this.renderProgrammerPanel()}
+                    </div>
+                    <div class="calc-graph" role="group" aria-label="Gráfico de funções" hidden>
+                        <form class="calc-graph-form" id="graphForm">
+                            <input type="text" id="graphExpression" placeholder="f(x), ex: x^2 - 2 ou sin(x)" aria-label="Nova função de x" autocomplete="off" spellcheck="false">
+                            <button type="submit">Adicionar</button>
+                        </form>
+                        <ul class="calc-graph-functions" id="graphFunctions" role="list"></ul>
+                        <div class="calc-graph-toolbar">
+                            <button data-graph-action="zoom-in" aria-label="Aproximar">+</button>
+                            <button data-graph-action="zoom-out" aria-label="Afastar">−</button>
+                            <button data-graph-action="reset" aria-label="Voltar à janela padrão">⟲</button>
+                        </div>
+                        <canvas id="graphCanvas" width="600" height="400" tabindex="0" role="img" aria-label="Gráfico das funções"></canvas>
+                        <p class="calc-graph-readout" id="graphReadout" aria-live="polite"></p>
+                        <ul class="calc-graph-features" id="graphFeatures" role="list" aria-label="Raízes, extremos e interseções"></ul>
+                    </div>
                     <div class="calc-buttons" role="group">
                         ${this.renderButtons()}
                     </div>
+                    <section class="calc-explain" id="calcExplain" aria-labelledby="calcExplainTitle" hidden>
+                        <h3 id="calcExplainTitle">Passo a passo</h3>
+                        <form class="calc-explain-form" id="calcExplainForm">
+                            <input type="text" id="calcExplainInput" placeholder="Expressão, ex: 2 + 3 * 4" aria-label="Expressão a explicar" autocomplete="off" spellcheck="false">
+                            <button type="submit">Explicar</button>
+                        </form>
+                        <div id="calcExplainOutput" aria-live="polite"></div>
+                    </section>
+                    <aside class="calc-variables" aria-labelledby="calcVariablesTitle">
+                        <h3 id="calcVariablesTitle">Variáveis e funções</h3>
+                        <form class="calc-definition-form" id="calcDefinitionForm">
+                            <input type="text" id="calcDefinitionInput" placeholder="taxa = 0.15, f(x) = x^2 + 1 ou 1200 * taxa" aria-label="Definição ou expressão" autocomplete="off" spellcheck="false">
+                            <button type="submit">OK</button>
+                        </form>
+                        <ul id="calcVariablesList" role="list"></ul>
+                        <p class="calc-variables-empty" id="calcVariablesEmpty">Nenhuma variável ou função definida.</p>
+                    </aside>
                     <div class="calc-history">
                         <h3>${this.i18n.t('history')}</h3>
+                        <div class="calc-history-tools">
+                            <input type="search" id="calcHistorySearch" placeholder="Buscar no histórico" aria-label="Buscar no histórico">
+                            <label for="calcHistoryLimit">Guardar</label>
+                            <select id="calcHistoryLimit" aria-label="Limite do histórico">
+                                ${[100, 500, 1000, 0].map(limit => `<option value="${limit}">${limit === 0 ? 'Sem limite' : `${limit} itens`}</option>`).join('')}
+                            </select>
+                        </div>
                         <ul id="calcHistory" role="list"></ul>
-                        <button class="clear-history" onclick="app.calculator.clearHistory()">${this.i18n.t('clearHistory') || 'Limpar Histórico'}</button>
+                        <p class="calc-history-summary" id="calcHistorySummary" aria-live="polite"></p>
+                        <button class="calc-history-more" id="calcHistoryMore" hidden>Mostrar mais</button>
+                        <div class="calc-history-actions">
+                            <button class="clear-history" onclick="app.calculator.clearHistory()">${this.i18n.t('clearHistory') || 'Limpar Histórico'}</button>
+                            <button class="clear-history" onclick="app.calculator.exportHistory('csv')">Exportar CSV</button>
+                            <button class="clear-history" onclick="app.calculator.exportHistory('json')">Exportar JSON</button>
+                        </div>
                     </div>
                     <button
                         onclick="app.voltarAoMenu()"
@@ -783,22 +8164,216 @@ class Calculator {
 	 */
 	calculate(expression) {
 		try {
-			expression = expression.replace(/%/g, '/100'); // Troca % por divisão por 100
-			const result = this.mathParser.evaluate(expression); // Usa math.js pra calcular
-
-			if (!isFinite(result)) { // Checa se o resultado é um número válido
-				throw new Error(this.i18n.t('calculationError')); // Se não for, dá erro
+			const cacheKey = this.isCacheable(expression) ? this.getCacheKey(expression) : null;
+			let outcome = cacheKey && this.cache.get(cacheKey);
+			if (!outcome) {
+				const startedAt = performance.now();
+				outcome = this.evaluatePrecise(expression);
+				if (cacheKey && performance.now() - startedAt >= Calculator.CACHE_MIN_TIME) {
+					this.cache.set(cacheKey, outcome); // Só resultados válidos e caros: erros e contas rápidas não entram
+				}
 			}
-
-			this.addToHistory(expression, result); // Salva no histórico
-			return result; // Retorna o resultado
+			expression = expression.replace(/%/g, '/100'); // Mostra no histórico como foi calculado
+			this.lastAnswer = outcome.value; // Disponível na tecla Ans
+			this.lastExact = outcome.exact || null;
+			this.lastOutcome = outcome;
+			this.addToHistory(expression, outcome.value, outcome); // Salva no histórico (com a precisão usada)
+			return outcome.value; // Retorna o resultado
 		} catch (error) {
 			Logger.log(Logger.levels.ERROR, 'Erro no cálculo', { // Loga o erro
 				expression,
 				error
 			});
-			throw new Error(this.i18n.t('calculationError')); // Manda o erro pra tela
+			throw new Error(this.describeError(error)); // Manda o erro pra tela
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {string} expression - Expressão a calcular.
+	 * @returns {boolean} Se o resultado pode ir para o cache: não pode se a expressão (ou uma função do usuário que
+	 * ela possa chamar) usa funções aleatórias, que dão um valor diferente a cada cálculo.
+	 */
+	isCacheable(expression) {
+		const sources = [expression, ...this.userScope.definitions.map(definition => definition.body || '')];
+		return !sources.some(source => Calculator.IMPURE_FUNCTIONS.test(source));
+	}
+
+	/**
+	 * @private
+	 * @param {string} expression - Expressão a calcular.
+	 * @returns {string} Chave do cache de resultados: a expressão mais tudo o que muda o resultado dela
+	 * (precisão, DEG/RAD, motor em uso, Ans quando aparece e as variáveis/funções do usuário).
+	 */
+	getCacheKey(expression) {
+		return JSON.stringify([
+			expression,
+			this.settings.precision,
+			this.settings.precision === 'bignumber' ? this.settings.precisionDigits : null,
+			this.settings.angleUnit,
+			this.mathParser === this.fallbackParser ? 'interno' : 'mathjs',
+			/\bAns\b/.test(expression) ? this.lastExact || this.lastAnswer : null,
+			this.userScope.definitions.length > 0 ? Cache.hash(JSON.stringify(this.userScope.definitions)) : null
+		]);
+	}
+
+	/**
+	 * @private
+	 * @param {Error} error - Erro da avaliação (math.js, motor interno ou definição do usuário).
+	 * @returns {string} Mensagem para o usuário: específica para símbolos/funções não definidos, genérica nos demais casos.
+	 */
+	describeError(error) {
+		if (error instanceof CalculatorScopeError) return error.message;
+		const message = error && error.message ? error.message : '';
+		const symbol = /(?:Undefined symbol|Símbolo indefinido:)\s*([\w.]+)/.exec(message); // math.js ou motor interno
+		if (symbol) {
+			return `${this.i18n.t('undefinedSymbol')}: "${symbol[1]}". Defina com ${symbol[1]} = valor no painel de variáveis.`;
+		}
+		const fn = /(?:Undefined function|Função indefinida:)\s*([\w.]+)/.exec(message);
+		if (fn) {
+			return `${this.i18n.t('undefinedFunction')}: "${fn[1]}". Defina com ${fn[1]}(x) = ... no painel de variáveis.`;
+		}
+		return this.i18n.t('calculationError');
+	}
+
+	/**
+	 * @method submitDefinition
+	 * @param {string} text - 'nome = expressão', 'f(x) = expressão' ou uma expressão comum.
+	 * @returns {boolean} Se deu certo (o campo pode ser limpo).
+	 * @description Entrada do painel de variáveis: define/atualiza variáveis e funções ou calcula a expressão digitada.
+	 */
+	submitDefinition(text) {
+		if (!text.trim()) return false;
+		const definition = CalculatorScope.parseDefinition(text);
+		try {
+			if (!definition) { // Expressão comum (ex: 1200 * taxa): calcula como o "="
+				const result = this.calculate(text.trim());
+				if (this.settings.rpn) {
+					this.rpn.push(result);
+					this.updateRpnStack();
+				} else {
+					this.input.commitResult(result, text.trim(), this.lastOutcome);
+				}
+				this.updateDisplay();
+				return true;
+			}
+			if (this.isReservedName(definition.name)) {
+				throw new CalculatorScopeError(`"${definition.name}" é um nome reservado (função ou constante da calculadora).`);
+			}
+			if (definition.kind === 'function') {
+				this.mathParser.parse(definition.body); // Só valida a sintaxe: o corpo pode usar algo definido depois
+				this.userScope.setFunction(definition.name, definition.params, definition.body);
+			} else {
+				const outcome = this.evaluatePrecise(definition.expression);
+				this.userScope.setVariable(definition.name, definition.expression, outcome);
+			}
+		} catch (error) {
+			const message = definition && !(error instanceof CalculatorScopeError) ? this.describeError(error) : error.message; // calculate() já traduz o erro
+			app.notifications.show(message, 'error');
+			return false;
+		}
+		this.userScope.save();
+		this.updateVariablesDisplay();
+		app.notifications.show(`${definition.kind === 'function' ? 'Função' : 'Variável'} ${definition.name} salva.`, 'success');
+		return true;
+	}
+
+	/**
+	 * @private
+	 * @param {string} name - Nome que o usuário quer definir.
+	 * @returns {boolean} True para Ans e nomes de funções/constantes do math.js ou do motor interno.
+	 */
+	isReservedName(name) {
+		if (name === 'Ans') return true;
+		if (Object.prototype.hasOwnProperty.call(this.fallbackParser.constants, name) || Object.prototype.hasOwnProperty.call(this.fallbackParser.functions, name)) return true;
+		return this.mathParser !== this.fallbackParser && name in this.mathParser;
+	}
+
+	/**
+	 * @method deleteDefinition
+	 * @param {string} name - Variável ou função a excluir.
+	 */
+	deleteDefinition(name) {
+		if (!this.userScope.remove(name)) return;
+		this.userScope.save();
+		this.updateVariablesDisplay();
+		app.notifications.show(`${name} excluída.`, 'info');
+	}
+
+	/**
+	 * @private
+	 * @description Atualiza a lista do painel de variáveis e funções.
+	 */
+	updateVariablesDisplay() {
+		const list = document.getElementById('calcVariablesList');
+		if (!list || !this.contentDiv.contains(list)) return;
+		const definitions = this.userScope.list();
+
+		list.innerHTML = definitions.map(definition => {
+			const name = utils.sanitizeInput(definition.name);
+			const label = definition.kind === 'function'
+				? utils.sanitizeInput(CalculatorScope.toText(definition))
+				: `${name} = ${definition.exact ? this.formatHistoryResult({ ...definition, result: definition.value }) : CalculatorInput.formatResult(definition.value)}`;
+			return `
+                <li class="calc-variable ${definition.kind}" data-name="${name}">
+                    <button class="calc-variable-use" data-action="use" title="Inserir ${name} na conta">${label}</button>
+                    <button data-action="edit" aria-label="Editar ${name}">✏️</button>
+                    <button data-action="delete" aria-label="Excluir ${name}">🗑️</button>
+                </li>`;
+		}).join('');
+		document.getElementById('calcVariablesEmpty').hidden = definitions.length > 0;
+	}
+
+	/**
+	 * @private
+	 * @param {Event} event - Clique na lista de variáveis.
+	 * @description Insere o nome na conta, leva a definição para edição ou exclui.
+	 */
+	handleVariablesClick(event) {
+		const button = event.target.closest('[data-action]');
+		const listItem = event.target.closest('[data-name]');
+		if (!button || !listItem) return;
+		const definition = this.userScope.get(listItem.dataset.name);
+		if (!definition) return;
+
+		if (button.dataset.action === 'use' && this.settings.rpn) { // Variável empurra o valor; função consome a pilha
+			try {
+				if (definition.kind === 'function') {
+					this.rpn.applyFunction(definition.name, definition.params.length, (expression) => this.calculate(expression));
+				} else {
+					this.rpn.push(this.evaluate(definition.name));
+				}
+			} catch (error) {
+				app.notifications.show(error.message, 'error');
+			}
+			this.updateRpnStack();
+			this.updateDisplay();
+		} else if (button.dataset.action === 'use') {
+			this.input.insert(definition.kind === 'function' ? `${definition.name}(` : definition.name);
+			this.updateDisplay();
+		} else if (button.dataset.action === 'edit') {
+			const input = document.getElementById('calcDefinitionInput');
+			input.value = CalculatorScope.toText(definition);
+			input.focus();
+		} else if (button.dataset.action === 'delete') {
+			this.deleteDefinition(definition.name);
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {string} expression - Expressão matemática.
+	 * @returns {number} Resultado, sem registrar no histórico (usado também por M+/M−).
+	 * @throws {Error} Se a expressão for inválida ou o resultado não for finito.
+	 */
+	evaluate(expression) {
+		expression = expression.replace(/%/g, '/100'); // Troca % por divisão por 100
+		const result = this.mathParser.evaluate(expression, this.getEvaluationScope()); // Usa math.js (ou o motor interno) pra calcular
+
+		if (!isFinite(result)) { // Checa se o resultado é um número válido
+			throw new Error(this.i18n.t('calculationError')); // Se não for, dá erro
 		}
+		return result;
 	}
 
 	/**
@@ -806,15 +8381,24 @@ class Calculator {
 	 * @param {number} result - Resultado do cálculo.
 	 * @description Adiciona ao histórico.
 	 */
-	addToHistory(expression, result) {
+	addToHistory(expression, result, outcome = {}) {
 		const historyItem = {
+			id: this.createHistoryId(),
 			expression,
 			result,
-			timestamp: new Date().toISOString() // Guarda a hora que calculou
+			precision: outcome.precision || 'double', // Precisão realmente usada neste cálculo
+			timestamp: new Date().toISOString(), // Guarda a hora que calculou
+			pinned: false
 		};
+		if (outcome.exact) {
+			historyItem.exact = outcome.exact; // '4/3' ou todos os dígitos do BigNumber
+		}
+		if (outcome.precision === 'bignumber') {
+			historyItem.digits = outcome.digits;
+		}
 
 		this.history.unshift(historyItem); // Põe no começo da lista
-		this.history = this.history.slice(0, 10); // Limita a 10 itens no histórico
+		this.trimHistory(); // Respeita o limite configurado (fixados nunca saem)
 		this.saveHistory(); // Salva o histórico
 		this.updateHistoryDisplay(); // Atualiza a tela do histórico
 	}
@@ -823,30 +8407,78 @@ class Calculator {
 	 * @description Carrega histórico.
 	 */
 	loadHistory() {
-		try {
-			const saved = localStorage.getItem('calcHistory'); // Pega do localStorage
-			if (saved) {
-				this.history = JSON.parse(saved); // Transforma de volta pra objeto
-				this.updateHistoryDisplay(); // Mostra na tela
-			}
-		} catch (error) {
-			Logger.log(Logger.levels.ERROR, 'Erro ao carregar histórico', { // Se der erro, loga
-				error
-			});
+		const saved = appStorage.get('calcHistory'); // Pega do armazenamento
+		if (!saved) return;
+		if (!Array.isArray(saved)) {
+			Logger.log(Logger.levels.ERROR, 'Erro ao carregar histórico', { saved }); // Corrompido: começa vazio
+			return;
+		}
+		this.history = saved.filter(item => item && typeof item === 'object').map(item => ({
+			...item,
+			id: item.id || this.createHistoryId(), // Itens antigos não tinham id, pinned nem precisão
+			pinned: Boolean(item.pinned),
+			precision: item.precision || 'double'
+		}));
+		this.updateHistoryDisplay(); // Mostra na tela
+	}
+
+	/**
+	 * @description Carrega preferências (modo científico, DEG/RAD) e memória.
+	 */
+	loadSettings() {
+		const savedSettings = appStorage.get('calcSettings');
+		if (savedSettings && typeof savedSettings === 'object') {
+			this.settings = { ...this.settings, ...savedSettings };
 		}
+		const savedMemory = appStorage.get('calcMemory', 0); // Já migrado para número
+		this.memory = Number.isFinite(savedMemory) ? savedMemory : 0;
+	}
+
+	/**
+	 * @description Salva preferências e memória (ao lado do histórico).
+	 */
+	saveSettings() {
+		appStorage.set('calcSettings', { ...this.settings });
+		appStorage.set('calcMemory', this.memory);
 	}
 
 	/**
 	 * @description Salva histórico.
 	 */
 	saveHistory() {
-		try {
-			localStorage.setItem('calcHistory', JSON.stringify(this.history)); // Salva no localStorage
-		} catch (error) {
-			Logger.log(Logger.levels.ERROR, 'Erro ao salvar histórico', { // Se der erro, loga
-				error
-			});
-		}
+		appStorage.set('calcHistory', utils.clone(this.history)); // Sem espaço, o AppStorage avisa
+	}
+
+	/**
+	 * @private
+	 * @returns {string} Identificador único de um item do histórico.
+	 */
+	createHistoryId() {
+		return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+	}
+
+	/**
+	 * @private
+	 * @description Corta o histórico no limite configurado, sem nunca remover itens fixados. Limite 0 = sem limite.
+	 */
+	trimHistory() {
+		const limit = this.settings.historyLimit;
+		if (!limit) return;
+		let unpinned = 0;
+		this.history = this.history.filter(item => item.pinned || ++unpinned <= limit);
+	}
+
+	/**
+	 * @private
+	 * @returns {Array<object>} Itens que passam na busca, com os fixados primeiro (mantendo a ordem do mais novo ao mais antigo).
+	 */
+	getFilteredHistory() {
+		const search = this.historySearch.trim().toLowerCase();
+		const matches = this.history.filter(item => !search ||
+			String(item.expression).toLowerCase().includes(search) ||
+			String(item.result).toLowerCase().includes(search) ||
+			utils.formatNumber(item.result).toLowerCase().includes(search));
+		return [...matches.filter(item => item.pinned), ...matches.filter(item => !item.pinned)];
 	}
 
 	/**
@@ -856,29 +8488,129 @@ class Calculator {
 		const historyList = this.contentDiv.querySelector('.calc-history ul'); // Pega a lista HTML
 		if (!historyList) return; // Se não tem lista, não faz nada
 
-		historyList.innerHTML = this.history.map(item => `
-                <li class="history-item" role="listitem">
-                    <span class="expression">${utils.sanitizeInput(item.expression)}</span>
+		const items = this.getFilteredHistory();
+		const visibleItems = items.slice(0, this.historyVisibleCount); // Paginação: só monto o que cabe na página atual
+
+		historyList.innerHTML = visibleItems.map(item => `
+                <li class="history-item${item.pinned ? ' pinned' : ''}" role="listitem" data-id="${item.id}">
+                    <button class="expression" data-action="recall-expression" title="Usar a expressão">${utils.sanitizeInput(item.expression)}</button>
                     <span class="separator">=</span>
-                    <span class="result">${utils.formatNumber(item.result)}</span>
+                    <button class="result" data-action="recall-result" title="Usar o resultado">${this.formatHistoryResult(item)}</button>
+                    ${item.precision !== 'double' ? `<span class="precision">${this.getPrecisionLabel(item)}</span>` : ''}
                     <span class="timestamp">${this.formatTimestamp(item.timestamp)}</span>
+                    <button class="pin" data-action="pin" aria-pressed="${item.pinned}" aria-label="${item.pinned ? 'Desafixar' : 'Fixar'} ${utils.sanitizeInput(item.expression)}">📌</button>
                 </li>
             `).join(''); // Cria HTML pra cada item do histórico
 
-		const lastItem = historyList.lastElementChild; // Pega o último item adicionado
-		if (lastItem) {
-			lastItem.classList.add('new-item'); // Animação visual de novo item
-			setTimeout(() => {
-				lastItem.classList.remove('new-item'); // Remove a animação depois de um tempo
+		const summary = this.contentDiv.querySelector('#calcHistorySummary');
+		if (summary) {
+			summary.textContent = this.history.length === 0 ? '' : `Mostrando ${visibleItems.length} de ${items.length}${this.historySearch ? ` (busca em ${this.history.length})` : ''}`;
+		}
+		const moreButton = this.contentDiv.querySelector('#calcHistoryMore');
+		if (moreButton) {
+			moreButton.hidden = visibleItems.length >= items.length;
+		}
+
+		const newest = this.history[0];
+		const newestItem = newest ? historyList.querySelector(`[data-id="${newest.id}"]`) : null; // Item mais recente
+		if (newestItem && this.scope) {
+			newestItem.classList.add('new-item'); // Animação visual de novo item
+			this.scope.setTimeout(() => {
+				newestItem.classList.remove('new-item'); // Remove a animação depois de um tempo
 			}, 500); // Tempo da animação
 		}
 	}
 
 	/**
-	 * @description Limpa o histórico.
+	 * @private
+	 * @param {Event} event - Clique dentro da lista do histórico.
+	 * @description Recupera expressão/resultado no display ou fixa/desafixa o item clicado.
+	 */
+	handleHistoryClick(event) {
+		const button = event.target.closest('[data-action]');
+		const listItem = event.target.closest('[data-id]');
+		if (!button || !listItem) return;
+		const item = this.history.find(entry => entry.id === listItem.dataset.id);
+		if (!item) return;
+
+		if (this.settings.rpn && button.dataset.action.startsWith('recall-')) { // Na pilha só entra número
+			this.rpn.push(item.result);
+			this.updateRpnStack();
+			this.updateDisplay();
+		} else if (button.dataset.action === 'recall-expression') {
+			this.input.loadExpression(item.expression);
+			this.updateDisplay();
+		} else if (button.dataset.action === 'recall-result') {
+			this.input.setValue(item.result);
+			this.updateDisplay();
+		} else if (button.dataset.action === 'pin') {
+			item.pinned = !item.pinned;
+			this.trimHistory(); // Desafixar pode fazer o histórico passar do limite
+			this.saveHistory();
+			this.updateHistoryDisplay();
+		}
+	}
+
+	/**
+	 * @method setHistoryLimit
+	 * @param {number} limit - Máximo de itens não fixados (0 = sem limite).
+	 * @description Altera o limite do histórico e descarta o excesso.
+	 */
+	setHistoryLimit(limit) {
+		this.settings.historyLimit = Math.max(0, parseInt(limit, 10) || 0);
+		this.trimHistory();
+		this.saveSettings();
+		this.saveHistory();
+		this.updateHistoryDisplay();
+	}
+
+	/**
+	 * @private
+	 * @param {object} item - Item do histórico.
+	 * @returns {string} Resultado para a lista: fração mista (com a dízima, se curta), todos os dígitos do BigNumber ou o double.
+	 */
+	formatHistoryResult(item) {
+		if (!item.exact) return utils.formatNumber(item.result);
+		if (item.precision === 'fraction') {
+			const repeating = CalculatorInput.formatRepeatingDecimal(item.exact);
+			return `${CalculatorInput.formatFraction(item.exact)}${repeating ? ` = ${repeating}` : ''}`;
+		}
+		return CalculatorInput.formatDecimalString(item.exact);
+	}
+
+	/**
+	 * @private
+	 * @param {object} item - Item do histórico.
+	 * @returns {string} Nome da precisão usada ('' para double).
+	 */
+	getPrecisionLabel(item) {
+		if (item.precision === 'fraction') return 'Fração';
+		if (item.precision === 'bignumber') return `BigNumber (${item.digits})`;
+		return '';
+	}
+
+	/**
+	 * @method exportHistory
+	 * @param {string} format - 'csv' ou 'json'.
+	 * @description Baixa o histórico completo no formato pedido.
+	 */
+	exportHistory(format) {
+		const date = new Date().toISOString().slice(0, 10);
+		if (format === 'json') {
+			utils.downloadFile(`historico-calculadora-${date}.json`, JSON.stringify(this.history, null, 2), 'application/json');
+			return;
+		}
+		const header = ['expressao', 'resultado', 'data', 'fixado', 'precisao', 'exato'];
+		const rows = this.history.map(item => [item.expression, item.result, item.timestamp, item.pinned ? 'sim' : 'nao', this.getPrecisionLabel(item) || 'Double', item.exact || '']);
+		const csv = [header, ...rows].map(row => row.map(utils.escapeCsv).join(',')).join('\r\n');
+		utils.downloadFile(`historico-calculadora-${date}.csv`, csv, 'text/csv');
+	}
+
+	/**
+	 * @description Limpa o histórico (itens fixados são mantidos).
 	 */
 	clearHistory() {
-		this.history = []; // Limpa o array do histórico
+		this.history = this.history.filter(item => item.pinned); // Limpa o array do histórico, menos os fixados
 		this.saveHistory(); // Salva histórico vazio
 		this.updateHistoryDisplay(); // Atualiza a tela do histórico
 	}
@@ -908,9 +8640,113 @@ class Calculator {
 			});
 		}
 
-		document.addEventListener('keydown', (event) => { // Evento de teclado
-			this.handleKeyPress(event); // Manda pro manipulador de teclado
-		});
+		const scientificPanel = this.contentDiv.querySelector('.calc-scientific');
+		if (scientificPanel) {
+			scientificPanel.addEventListener('click', (event) => { // Mesmo manipulador para as teclas científicas
+				const key = event.target.dataset.key;
+				if (key) {
+					this.handleButtonClick(key);
+				}
+			});
+		}
+
+		const scientificToggle = document.getElementById('scientificToggle');
+		if (scientificToggle) {
+			scientificToggle.addEventListener('click', () => this.toggleScientific());
+		}
+
+		const explainForm = document.getElementById('calcExplainForm');
+		if (explainForm) {
+			document.getElementById('explainToggle').addEventListener('click', () => this.toggleExplain());
+			explainForm.addEventListener('submit', (event) => {
+				event.preventDefault();
+				this.explain(document.getElementById('calcExplainInput').value);
+			});
+		}
+
+		const rpnPanel = this.contentDiv.querySelector('.calc-rpn');
+		if (rpnPanel) {
+			rpnPanel.addEventListener('click', (event) => { // ENTER, SWAP, DROP, ROLL e LASTx
+				const key = event.target.dataset.key;
+				if (key) {
+					this.handleButtonClick(key);
+				}
+			});
+			document.getElementById('rpnToggle').addEventListener('click', () => this.toggleRpn());
+		}
+
+		const precisionSelect = document.getElementById('calcPrecision');
+		const precisionDigits = document.getElementById('calcPrecisionDigits');
+		if (precisionSelect && precisionDigits) {
+			precisionSelect.addEventListener('change', () => this.setPrecision(precisionSelect.value));
+			precisionDigits.addEventListener('change', () => this.setPrecision(this.settings.precision, precisionDigits.value));
+		}
+
+		this.setupGraphListeners();
+
+		const programmerPanel = this.contentDiv.querySelector('.calc-programmer');
+		if (programmerPanel) {
+			programmerPanel.addEventListener('click', (event) => { // Teclas, escolha da base e grade de bits (delegação)
+				const target = event.target.closest('[data-prog-key], [data-base], [data-bit]');
+				if (!target) return;
+				if (target.dataset.progKey) {
+					this.handleProgrammerKey(target.dataset.progKey);
+				} else if (target.dataset.base) {
+					this.configureProgrammer({ base: Number(target.dataset.base) });
+				} else {
+					this.programmer.toggleBit(Number(target.dataset.bit));
+					this.updateProgrammerDisplay();
+				}
+			});
+			document.getElementById('progWordSize').addEventListener('change', (event) => this.configureProgrammer({ wordSize: Number(event.target.value) }));
+			document.getElementById('progSigned').addEventListener('change', (event) => this.configureProgrammer({ signed: event.target.checked }));
+			document.getElementById('programmerToggle').addEventListener('click', () => this.toggleProgrammer());
+			document.getElementById('graphToggle').addEventListener('click', () => this.toggleGraph());
+		}
+
+		const definitionForm = document.getElementById('calcDefinitionForm');
+		if (definitionForm) {
+			definitionForm.addEventListener('submit', (event) => {
+				event.preventDefault();
+				const input = document.getElementById('calcDefinitionInput');
+				if (this.submitDefinition(input.value)) {
+					input.value = '';
+				}
+			});
+			document.getElementById('calcVariablesList').addEventListener('click', (event) => this.handleVariablesClick(event));
+		}
+
+		const historyList = this.contentDiv.querySelector('.calc-history ul');
+		if (historyList) {
+			historyList.addEventListener('click', (event) => this.handleHistoryClick(event)); // Recuperar/fixar (delegação)
+		}
+		const historySearch = document.getElementById('calcHistorySearch');
+		if (historySearch) {
+			historySearch.value = this.historySearch;
+			historySearch.addEventListener('input', () => {
+				this.historySearch = historySearch.value;
+				this.historyVisibleCount = this.historyPageSize; // Nova busca volta para a primeira página
+				this.updateHistoryDisplay();
+			});
+		}
+		const historyLimit = document.getElementById('calcHistoryLimit');
+		if (historyLimit) {
+			historyLimit.value = String(this.settings.historyLimit); // Preferência já carregada em initialize()
+			historyLimit.addEventListener('change', () => this.setHistoryLimit(historyLimit.value));
+		}
+		const historyMore = document.getElementById('calcHistoryMore');
+		if (historyMore) {
+			historyMore.addEventListener('click', () => {
+				this.historyVisibleCount += this.historyPageSize; // Próxima página
+				this.updateHistoryDisplay();
+			});
+		}
+
+		if (this.scope) {
+			this.scope.listen(document, 'keydown', (event) => { // Evento de teclado, removido ao sair da calculadora
+				this.handleKeyPress(event); // Manda pro manipulador de teclado
+			});
+		}
 	}
 
 	/**
@@ -919,9 +8755,37 @@ class Calculator {
 	 */
 	handleKeyPress(event) {
 		const key = event.key; // Tecla que apertou
-		const validKeys = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '/', '*', '-', '+', '.', '=', '%']; // Teclas válidas na calculadora
+		const validKeys = ['0', '1', '2', '3', '4', '5', '6', '7', '8', '9', '/', '*', '-', '+', '.', ',', '=', '%']; // Teclas válidas na calculadora (vírgula é decimal)
+		const scientificShortcuts = { // Atalhos do modo científico (parênteses, ^ e ! valem sempre)
+			'(': '(',
+			')': ')',
+			'^': '^',
+			'!': '!',
+			s: 'sin',
+			c: 'cos',
+			t: 'tan',
+			r: 'sqrt',
+			l: 'log',
+			n: 'ln',
+			p: 'pi',
+			e: 'e',
+			a: 'Ans'
+		};
+		const isLetter = /^[a-z]$/.test(key);
+
+		if (event.ctrlKey || event.metaKey || event.altKey) return; // Não rouba atalhos do navegador
+		if (event.target.matches && event.target.matches('input:not(#display), textarea, select')) return; // Digitando em outro campo (ex: busca)
+		if (this.settings.programmer) { // Modo programador tem teclado próprio (A-F, &, |, ^, ~, <, >)
+			this.handleProgrammerKeyPress(event);
+			return;
+		}
+		if (this.settings.graph) return; // No modo gráfico o teclado é do canvas (setas e zoom)
+		if (this.settings.rpn && this.handleRpnKeyPress(event)) return; // Teclas de pilha; o resto segue o caminho normal
 
-		if (validKeys.includes(key)) { // É tecla de número/operador?
+		if (scientificShortcuts[key] && (!isLetter || this.settings.scientific)) { // Tecla científica?
+			event.preventDefault();
+			this.handleButtonClick(scientificShortcuts[key]);
+		} else if (validKeys.includes(key)) { // É tecla de número/operador?
 			event.preventDefault(); // Previne ação padrão da tecla
 			this.handleButtonClick(key === '=' ? '=' : key); // Simula clique no botão
 		} else if (key === 'Enter') { // É Enter?
@@ -932,45 +8796,89 @@ class Calculator {
 			this.handleBackspace(); // Apaga um caractere
 		} else if (key === 'Escape') { // É Escape?
 			event.preventDefault();
-			this.clearDisplay(); // Limpa o display
+			this.clearEntry(); // C e, apertando de novo, AC
+		} else if (key === 'Delete') { // Delete = AC
+			event.preventDefault();
+			this.clearDisplay();
+		}
+	}
+
+	/**
+	 * @private
+	 * @param {KeyboardEvent} event - Evento de teclado.
+	 * @returns {boolean} Se a tecla foi tratada aqui.
+	 * @description Teclado do modo RPN: Enter/= fazem ENTER, Backspace apaga a entrada (ou faz DROP, sem entrada),
+	 * x troca X e Y, d gira a pilha (R↓), L recupera o LASTx, Escape limpa a entrada e Delete a pilha toda.
+	 */
+	handleRpnKeyPress(event) {
+		const actions = {
+			Enter: 'ENTER',
+			'=': 'ENTER',
+			x: 'SWAP',
+			d: 'ROLL',
+			L: 'LASTX',
+			Escape: 'clear'
+		};
+		let action = actions[event.key];
+		if (event.key === 'Backspace') {
+			action = this.rpn.entry !== null ? null : 'DROP';
+			if (!action) {
+				this.rpn.backspace();
+			}
+		} else if (event.key === 'Delete') {
+			this.rpn.clear();
+		} else if (!action) {
+			return false;
+		}
+		event.preventDefault();
+		if (action) {
+			this.handleButtonClick(action);
+		} else {
+			this.updateRpnStack();
+			this.updateDisplay();
 		}
+		return true;
 	}
 
 	/**
-	 * @description Apaga um caractere do display.
+	 * @description Apaga o último dígito digitado.
 	 */
 	handleBackspace() {
-		const display = document.getElementById('display'); // Display da calculadora
-		display.value = display.value.slice(0, -1); // Remove o último char
+		this.input.backspace();
+		this.updateDisplay();
 	}
 
 	/**
-	 * @description Limpa display pra zero.
+	 * @description AC: zera o display e esquece a conta em andamento.
 	 */
 	clearDisplay() {
-		const display = document.getElementById('display'); // Display da calculadora
-		display.value = '0'; // Zera o display
+		this.input.reset();
+		this.updateDisplay();
 	}
 
 	/**
-	 * @description Limpa a entrada atual.
+	 * @description C: limpa a entrada atual (se já estiver limpa, vira AC).
 	 */
 	clearEntry() {
-		this.clearDisplay(); // CE faz a mesma coisa que Clear Display aqui
+		this.input.clear();
+		this.updateDisplay();
 	}
 
 	/**
-	 * @description Manipula porcentagem.
+	 * @description Manipula porcentagem (200 + 10% = 220, como no iPhone).
 	 */
 	handlePercentage() {
-		const display = document.getElementById('display'); // Display da calculadora
-		let currentValue = parseFloat(display.value); // Valor atual no display
-		if (!isNaN(currentValue)) { // Se for número
-			display.value = currentValue / 100; // Divide por 100 (cálculo da %)
-		}
+		this.input.percent();
+		this.updateDisplay();
 	}
 }
 
+/** Funções do math.js que não dão sempre o mesmo resultado (ficam fora do cache). */
+Calculator.IMPURE_FUNCTIONS = /\b(?:random|randomInt|pickRandom)\s*\(/;
+
+/** Tempo mínimo de cálculo (ms) para guardar o resultado no cache: contas rápidas não compensam o espaço. */
+Calculator.CACHE_MIN_TIME = 5;
+
 // --------------------------------------------------
 //  CLASSE ImprovedBlindEqualization (Implementação do Algoritmo de Equalização Cega)
 // --------------------------------------------------
@@ -1068,6 +8976,196 @@ class ImprovedBlindEqualization {
 	}
 }
 
+// --------------------------------------------------
+//  ROTEADOR - Navegação por hash (#/rota?param=valor)
+// --------------------------------------------------
+/**
+ * @class Router
+ * @description Roteador baseado no hash da URL. Cada ferramenta ganha uma rota (ex: `#/calculadora`),
+ * que pode ser favoritada, compartilhada e navegada com os botões voltar/avançar do navegador.
+ */
+class Router {
+	constructor() {
+		/** @private */
+		this.routes = new Map(); // Rota -> handler (Map: `#/__proto__` e `#/toString` não acham nada do Object.prototype)
+		/** @private */
+		this.homeHandler = () => {}; // Handler da rota vazia (menu principal)
+		/** @private */
+		this.notFoundHandler = () => {}; // Handler para rotas desconhecidas
+		/** @private */
+		this.currentHash = null; // Último hash resolvido (evita resolver duas vezes o mesmo hash)
+	}
+
+	/**
+	 * @method register
+	 * @param {string} path - Nome da rota, sem `#/` (ex: 'calculadora').
+	 * @param {function(object): void} handler - Função chamada com os parâmetros da URL.
+	 * @returns {Router} O próprio roteador, para encadear chamadas.
+	 * @description Registra uma rota.
+	 */
+	register(path, handler) {
+		this.routes.set(path, handler);
+		return this;
+	}
+
+	/**
+	 * @method setHome
+	 * @param {function(): void} handler - Função chamada quando não há rota no hash.
+	 * @returns {Router} O próprio roteador.
+	 * @description Define o que acontece na rota vazia (menu principal).
+	 */
+	setHome(handler) {
+		this.homeHandler = handler;
+		return this;
+	}
+
+	/**
+	 * @method setNotFound
+	 * @param {function(string): void} handler - Função chamada com o nome da rota desconhecida.
+	 * @returns {Router} O próprio roteador.
+	 * @description Define o que acontece quando o hash aponta para uma rota não registrada.
+	 */
+	setNotFound(handler) {
+		this.notFoundHandler = handler;
+		return this;
+	}
+
+	/**
+	 * @method start
+	 * @description Começa a ouvir o histórico do navegador e resolve a rota atual (restaura a rota no reload).
+	 */
+	start() {
+		window.addEventListener('popstate', () => this.resolve()); // Voltar/avançar do navegador
+		window.addEventListener('hashchange', () => this.resolve()); // Hash editado à mão na barra de endereço
+		this.resolve();
+	}
+
+	/**
+	 * @method navigate
+	 * @param {string} path - Rota de destino ('' para o menu principal).
+	 * @param {object} [params={}] - Parâmetros a serem colocados na URL.
+	 * @description Navega para uma rota, criando uma nova entrada no histórico do navegador.
+	 */
+	navigate(path, params = {}) {
+		const hash = this.buildHash(path, params);
+		if (hash === this.currentHash) return; // Já estou nessa rota, não empilho histórico repetido.
+		history.pushState(null, '', this.buildUrl(hash));
+		this.resolve();
+	}
+
+	/**
+	 * @method setParams
+	 * @param {object} params - Novos parâmetros da rota atual.
+	 * @description Atualiza os parâmetros da rota atual sem criar entrada no histórico nem renderizar de novo.
+	 */
+	setParams(params) {
+		const { path } = this.parse(location.hash);
+		const hash = this.buildHash(path, params);
+		history.replaceState(null, '', this.buildUrl(hash));
+		this.currentHash = hash;
+	}
+
+	/**
+	 * @method isCurrent
+	 * @param {string} path - Nome da rota.
+	 * @returns {boolean} True se o hash atual aponta para essa rota.
+	 */
+	isCurrent(path) {
+		return this.parse(location.hash).path === path;
+	}
+
+	/**
+	 * @method refresh
+	 * @description Resolve a rota atual de novo (ex: uma ferramenta foi registrada depois do link ser aberto).
+	 */
+	refresh() {
+		this.currentHash = null;
+		this.resolve();
+	}
+
+	/**
+	 * @private
+	 * @method resolve
+	 * @description Lê o hash atual e chama o handler da rota correspondente.
+	 */
+	resolve() {
+		const hash = location.hash;
+		if (hash === this.currentHash) return; // popstate e hashchange podem disparar juntos
+		this.currentHash = hash;
+
+		const { path, params } = this.parse(hash);
+		if (path === '') {
+			this.homeHandler();
+		} else if (this.routes.has(path)) {
+			this.routes.get(path)(params);
+		} else {
+			this.notFoundHandler(path);
+		}
+	}
+
+	/**
+	 * @private
+	 * @method parse
+	 * @param {string} hash - Hash da URL (ex: '#/primo?n=97').
+	 * @returns {{path: string, params: object}} Rota e parâmetros.
+	 */
+	parse(hash) {
+		const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+		const params = {};
+		new URLSearchParams(query).forEach((value, key) => {
+			params[key] = value;
+		});
+		return {
+			path: Router.decode(path),
+			params
+		};
+	}
+
+	/**
+	 * @private
+	 * @param {string} path - Rota como veio no hash.
+	 * @returns {string} Rota decodificada, ou a original se a codificação for inválida (ex: `#/%E0%A4%A` num link
+	 * quebrado), que cai no handler de rota desconhecida em vez de derrubar a inicialização.
+	 */
+	static decode(path) {
+		try {
+			return decodeURIComponent(path);
+		} catch (error) {
+			Logger.log(Logger.levels.INFO, 'Rota com codificação inválida', { path });
+			return path;
+		}
+	}
+
+	/**
+	 * @private
+	 * @method buildHash
+	 * @param {string} path - Nome da rota.
+	 * @param {object} params - Parâmetros (valores vazios, null ou undefined são ignorados).
+	 * @returns {string} Hash no formato '#/rota?param=valor', ou '' para o menu.
+	 */
+	buildHash(path, params) {
+		if (!path) return '';
+		const query = new URLSearchParams();
+		Object.keys(params).forEach(key => {
+			if (params[key] !== undefined && params[key] !== null && params[key] !== '') {
+				query.set(key, params[key]);
+			}
+		});
+		const queryString = query.toString();
+		return `#/${encodeURIComponent(path)}${queryString ? `?${queryString}` : ''}`;
+	}
+
+	/**
+	 * @private
+	 * @method buildUrl
+	 * @param {string} hash - Hash a ser usado.
+	 * @returns {string} URL completa da página com o hash informado.
+	 */
+	buildUrl(hash) {
+		return `${location.pathname}${location.search}${hash}`;
+	}
+}
+
 // --------------------------------------------------
 //  CLASSE APP - Centralizando o gerenciamento da aplicação
 // --------------------------------------------------
@@ -1089,7 +9187,9 @@ class App {
 					'history': 'Histórico',
 					'returnToMenu': 'Voltar ao Menu',
 					'back': 'Voltar',
-					'calculationError': 'Erro no cálculo'
+					'calculationError': 'Erro no cálculo',
+					'undefinedSymbol': 'Símbolo não definido',
+					'undefinedFunction': 'Função não definida'
 					// Aqui posso adicionar mais traduções se precisar.
 				};
 				return translations[key] || key;
@@ -1098,10 +9198,20 @@ class App {
 		/** @type {Calculator} */
 		// Inicializo as classes que representam cada funcionalidade do menu, passando as dependências necessárias.
 		this.calculator = new Calculator(this.i18n, this.contentDiv);
+		this.primeCache = new Cache({ maxEntries: 200, ttl: 30 * 24 * 60 * 60 * 1000, namespace: 'primos' }); // isPrimo de números grandes
 		this.notifications = new Notifications();
 		this.forca = new Forca(this.contentDiv);
 		this.jogoDaVelha = new JogoDaVelha(this.contentDiv);
 		this.listaDeTarefas = new ListaDeTarefas(this.contentDiv);
+		this.pomodoro = new Pomodoro(this.contentDiv, this.listaDeTarefas);
+		/** @type {Router} */
+		this.router = new Router(); // Roteador por hash, para links diretos e histórico do navegador.
+		/** @type {Array<object>} */
+		this.tools = []; // Ferramentas registradas com registerTool, na ordem do menu.
+		this.activeTool = null; // Ferramenta montada no momento.
+		/** @type {ViewScope|null} */
+		this.activeScope = null; // Escopo de listeners/timers da ferramenta montada.
+		this.started = false; // Vira true depois que o roteador resolve a rota inicial.
 	}
 	/**
 	 * @method initialize
@@ -1109,6 +9219,161 @@ class App {
 	 */
 	initialize() {
 		this.setupMenu(); // Configuro o menu principal assim que a aplicação inicia.
+		this.setupRoutes(); // Configuro as rotas do menu principal e de opção inválida.
+		this.registerBuiltInTools(); // Registro as ferramentas que vêm com o projeto.
+		this.router.start(); // Restauro a rota que estiver na URL (reload, favorito ou link compartilhado).
+		this.started = true;
+		this.listaDeTarefas.startReminders(); // Lembretes de tarefas valem em qualquer tela.
+		this.pomodoro.restore(); // O Pomodoro também: a fase segue correndo fora da tela dele.
+		document.addEventListener('visibilitychange', () => this.handleVisibilityChange());
+		// Aviso scripts de terceiros que o app está pronto para receber novas ferramentas.
+		document.dispatchEvent(new CustomEvent('app:ready', { detail: this }));
+	}
+
+	/**
+	 * @method registerTool
+	 * @param {object} tool - Definição da ferramenta.
+	 * @param {string} tool.id - Identificador único, usado também como rota (`#/id`).
+	 * @param {string} tool.title - Texto do botão no menu.
+	 * @param {string} [tool.icon] - Ícone (emoji ou texto curto) exibido antes do título.
+	 * @param {function(HTMLElement, object, ViewScope): void} tool.mount - Monta a ferramenta no container, recebendo os
+	 * parâmetros da rota e um {@link ViewScope} para registrar listeners e timers que devem morrer junto com a tela.
+	 * @param {function(HTMLElement): void} [tool.unmount] - Desmonta a ferramenta quando o usuário sai dela.
+	 * @param {function(): void} [tool.suspend] - Chamada quando a aba fica oculta com a ferramenta aberta.
+	 * @param {function(): void} [tool.resume] - Chamada quando a aba volta a ficar visível.
+	 * @returns {object} A ferramenta registrada.
+	 * @throws {Error} Se a definição estiver incompleta ou o id já estiver em uso.
+	 * @description Registra uma ferramenta no menu. Pode ser chamada por scripts externos, por exemplo:
+	 * `document.addEventListener('app:ready', (e) => e.detail.registerTool({ ... }))`.
+	 */
+	registerTool(tool) {
+		if (!tool || typeof tool.id !== 'string' || !tool.id || !tool.title || typeof tool.mount !== 'function') {
+			throw new Error('Ferramenta inválida: informe id, title e mount.');
+		}
+		if (this.getTool(tool.id)) {
+			throw new Error(`Já existe uma ferramenta registrada com o id "${tool.id}".`);
+		}
+
+		this.tools.push(tool);
+		this.router.register(tool.id, (params) => this.openTool(tool.id, params));
+		this.renderMenu(); // O menu é sempre gerado a partir do registro.
+
+		if (this.started && this.router.isCurrent(tool.id)) {
+			this.router.refresh(); // Link direto para uma ferramenta registrada depois da inicialização.
+		}
+		return tool;
+	}
+
+	/**
+	 * @method getTool
+	 * @param {string} id - Identificador da ferramenta.
+	 * @returns {object|undefined} A ferramenta registrada, se existir.
+	 */
+	getTool(id) {
+		return this.tools.find(tool => tool.id === id);
+	}
+
+	/**
+	 * @private
+	 * @method openTool
+	 * @param {string} id - Identificador da ferramenta.
+	 * @param {object} params - Parâmetros da rota.
+	 * @description Desmonta a ferramenta atual e monta a ferramenta pedida.
+	 */
+	openTool(id, params) {
+		this.closeActiveTool();
+		const tool = this.getTool(id);
+		this.activeTool = tool;
+		this.activeScope = new ViewScope(this.contentDiv); // Tudo que a ferramenta registrar aqui é liberado ao sair.
+		this.updateMenuSelection();
+		try {
+			tool.mount(this.contentDiv, params, this.activeScope);
+		} catch (error) {
+			Logger.log(Logger.levels.ERROR, 'Erro ao montar ferramenta', { // Uma ferramenta com defeito não derruba o app.
+				id,
+				error
+			});
+			this.contentDiv.innerHTML = "<h2>Não foi possível abrir esta ferramenta.</h2>";
+		}
+	}
+
+	/**
+	 * @private
+	 * @method closeActiveTool
+	 * @description Desmonta a ferramenta ativa (se houver), libera seus listeners e timers e limpa a área de conteúdo.
+	 */
+	closeActiveTool() {
+		const tool = this.activeTool;
+		const scope = this.activeScope;
+		this.activeTool = null;
+		this.activeScope = null;
+		if (tool && typeof tool.unmount === 'function') {
+			try {
+				tool.unmount(this.contentDiv);
+			} catch (error) {
+				Logger.log(Logger.levels.ERROR, 'Erro ao desmontar ferramenta', {
+					id: tool.id,
+					error
+				});
+			}
+		}
+		if (scope) {
+			scope.dispose(); // Remove listeners globais e cancela timers pendentes da ferramenta.
+		}
+		this.contentDiv.innerHTML = "";
+		this.updateMenuSelection();
+	}
+
+	/**
+	 * @private
+	 * @method handleVisibilityChange
+	 * @description Suspende a ferramenta ativa quando a aba fica oculta e retoma quando volta a ficar visível.
+	 */
+	handleVisibilityChange() {
+		const tool = this.activeTool;
+		if (!tool) return;
+		const hook = document.hidden ? tool.suspend : tool.resume;
+		if (typeof hook === 'function') {
+			hook.call(tool);
+		}
+	}
+
+	/**
+	 * @private
+	 * @method registerBuiltInTools
+	 * @description Registra as ferramentas nativas do projeto, na ordem em que aparecem no menu.
+	 */
+	registerBuiltInTools() {
+		this.registerTool({ id: 'ola-mundo', title: "Exibir mensagem 'Olá Mundo!'", icon: '👋', mount: () => this.exibirOlaMundo() });
+		this.registerTool({ id: 'nome', title: 'Digitar e exibir seu nome', icon: '✍️', mount: () => this.lerNome() });
+		this.registerTool({
+			id: 'calculadora',
+			title: 'Calculadora',
+			icon: '🧮',
+			mount: (container, params, scope) => this.calculator.mount(container, scope),
+			unmount: () => this.calculator.unmount()
+		});
+		this.registerTool({ id: 'idade', title: 'Calculadora de Idade', icon: '🎂', mount: (container, params) => this.calculadoraIdade(params) });
+		this.registerTool({ id: 'primo', title: 'Verificador de Número Primo', icon: '🔢', mount: (container, params) => this.verificarNumeroPrimo(params) });
+		this.registerTool({ id: 'imc', title: 'Calculadora de IMC', icon: '⚖️', mount: (container, params) => this.calculadoraIMC(params) });
+		this.registerTool({ id: 'temperatura', title: 'Conversor de Temperatura', icon: '🌡️', mount: (container, params) => this.conversorTemperatura(params) });
+		this.registerTool({ id: 'ascii', title: 'Gerador de Tabela ASCII', icon: '🔤', mount: () => this.geradorTabelaASCII() });
+		this.registerTool({ id: 'forca', title: 'Jogo da Forca', icon: '🪢', mount: (container) => this.forca.mount(container) });
+		this.registerTool({
+			id: 'jogo-da-velha',
+			title: 'Jogo da Velha',
+			icon: '❌',
+			mount: (container, params, scope) => this.jogoDaVelha.mount(container, scope),
+			unmount: () => this.jogoDaVelha.unmount()
+		});
+		this.registerTool({ id: 'tarefas', title: 'Lista de Tarefas', icon: '✅', mount: (container, params, scope) => this.listaDeTarefas.mount(container, scope) });
+		this.registerTool({
+			id: 'pomodoro',
+			title: 'Pomodoro',
+			icon: '🍅',
+			mount: (container, params, scope) => this.pomodoro.mount(container, scope),
+			unmount: () => this.pomodoro.unmount()
+		});
 	}
 
 	/**
@@ -1117,87 +9382,93 @@ class App {
 	 * @description Configura os listeners para os botões do menu.
 	 */
 	setupMenu() {
-		document.querySelectorAll(".menu button").forEach(button => {
-			button.addEventListener("click", () => {
-				const option = parseInt(button.dataset.option);
-
-				// Aqui direciono para a função correta baseado na opção que o usuário escolheu no menu.
-				switch (option) {
-					case 1:
-						this.exibirOlaMundo();
-						break;
-					case 2:
-						this.lerNome();
-						break;
-					case 3:
-						this.showCalculator(); // Mostro a calculadora.
-						break;
-					case 4:
-						this.calculadoraIdade();
-						break;
-					case 5:
-						this.verificarNumeroPrimo();
-						break;
-					case 6:
-						this.calculadoraIMC();
-						break;
-					case 7:
-						this.conversorTemperatura();
-						break;
-					case 8:
-						this.geradorTabelaASCII();
-						break;
-					case 9:
-						this.showForca();
-						break;
-					case 10:
-						this.showJogoDaVelha();
-						break;
-					case 11:
-						this.showListaDeTarefas();
-						break;
-					case 12:
-						this.contentDiv.innerHTML = "<h2>Saindo do programa... Até mais!</h2>";
-						break;
-					default:
-						this.contentDiv.innerHTML = "<h2>Opção inválida. Tente novamente.</h2>";
-				}
-			});
+		const menu = document.querySelector(".menu");
+		menu.addEventListener("click", (event) => { // Delegação: os botões são gerados a partir do registro.
+			const button = event.target.closest("button[data-route]");
+			if (button) {
+				this.router.navigate(button.dataset.route); // Cada botão leva para a rota da sua ferramenta.
+			}
 		});
+
+		const closeButton = document.getElementById('closeButton');
+		if (closeButton) {
+			closeButton.addEventListener("click", () => {
+				this.router.navigate(''); // Saio de qualquer ferramenta antes da mensagem de despedida.
+				this.contentDiv.innerHTML = "<h2>Saindo do programa... Até mais!</h2>";
+			});
+		}
 	}
 
 	/**
-	 * @method showCalculator
-	 * @description Exibe a interface da calculadora.
+	 * @private
+	 * @method renderMenu
+	 * @description Gera os botões do menu a partir das ferramentas registradas (o botão "Sair" fica sempre por último).
 	 */
-	showCalculator() {
-		this.contentDiv.innerHTML = this.calculator.render(); // Renderizo a calculadora na tela.
-		this.calculator.initialize(); // Inicializo a lógica da calculadora.
-		this.calculator.setupEventListeners(); // Ativo os eventos dos botões e teclado para a calculadora funcionar.
+	renderMenu() {
+		const menu = document.querySelector(".menu");
+		if (!menu) return;
+		const closeButton = document.getElementById('closeButton');
+
+		menu.querySelectorAll("button[data-route]").forEach(button => button.remove());
+		this.tools.forEach(tool => {
+			const button = document.createElement("button");
+			button.dataset.route = tool.id;
+			button.setAttribute("role", "menuitem");
+			button.innerHTML = `${tool.icon ? `<span class="menu-icon" aria-hidden="true">${utils.sanitizeInput(tool.icon)}</span> ` : ''}${utils.sanitizeInput(tool.title)}`;
+			menu.insertBefore(button, closeButton);
+		});
+		this.updateMenuSelection();
 	}
 
 	/**
-	 * @method showForca
-	 * @description Exibe o jogo da forca.
+	 * @private
+	 * @method updateMenuSelection
+	 * @description Marca no menu (aria-current) qual ferramenta está aberta.
 	 */
-	showForca() {
-		this.forca.atualizarJogo(); // Atualizo a tela do jogo da forca.
+	updateMenuSelection() {
+		document.querySelectorAll(".menu button[data-route]").forEach(button => {
+			if (this.activeTool && button.dataset.route === this.activeTool.id) {
+				button.setAttribute("aria-current", "page");
+			} else {
+				button.removeAttribute("aria-current");
+			}
+		});
 	}
 
 	/**
-	 * @method showJogoDaVelha
-	 * @description Exibe o jogo da velha.
+	 * @private
+	 * @method setupRoutes
+	 * @description Configura as rotas que não são ferramentas (menu principal e rota desconhecida).
 	 */
-	showJogoDaVelha() {
-		this.jogoDaVelha.renderBoard(); // Renderizo o tabuleiro do jogo da velha.
+	setupRoutes() {
+		this.router
+			.setHome(() => {
+				this.closeActiveTool(); // Menu principal: área de conteúdo vazia.
+			})
+			.setNotFound(() => {
+				this.closeActiveTool();
+				this.contentDiv.innerHTML = "<h2>Opção inválida. Tente novamente.</h2>";
+			});
 	}
 
 	/**
-	 * @method showListaDeTarefas
-	 * @description Exibe a lista de tarefas.
+	 * @private
+	 * @method preencherCampos
+	 * @param {object} params - Parâmetros vindos da URL.
+	 * @param {object} campos - Mapa parâmetro -> ID do input a ser preenchido.
+	 * @returns {boolean} True se algum campo foi preenchido a partir da URL.
+	 * @description Preenche os inputs de uma tela com os valores que vieram na rota (ex: `#/primo?n=97`).
 	 */
-	showListaDeTarefas() {
-		this.listaDeTarefas.renderTasks(); // Renderizo a lista de tarefas.
+	preencherCampos(params, campos) {
+		let preencheu = false;
+		Object.keys(campos).forEach(param => {
+			const input = document.getElementById(campos[param]);
+			if (input && params[param] !== undefined) {
+				input.value = params[param];
+				preencheu = true;
+			}
+		});
+		return preencheu;
 	}
 
 	/**
@@ -1205,7 +9476,7 @@ class App {
 	 * @description Limpa o conteúdo principal e volta para o menu.
 	 */
 	voltarAoMenu() {
-		this.contentDiv.innerHTML = ""; // Limpo o conteúdo da div principal para voltar para o menu.
+		this.router.navigate(''); // Volto para a rota vazia, que limpa o conteúdo e deixa o menu.
 	}
 
 	/**
@@ -1256,9 +9527,10 @@ class App {
 
 	/**
 	 * @method calculadoraIdade
+	 * @param {object} [params={}] - Parâmetros da rota (`nascimento`, `atual`).
 	 * @description Inicializa a calculadora de idade, configurando a interface.
 	 */
-	calculadoraIdade() {
+	calculadoraIdade(params = {}) {
 		this.contentDiv.innerHTML = `
                 <div class="calculadora-idade-container">
                     <div class="input-group">
@@ -1279,6 +9551,10 @@ class App {
 
 		document.getElementById('calcularIdadeBtn').addEventListener('click', () => this.processarCalculoIdade());
 		document.getElementById('voltarMenuBtn').addEventListener('click', () => this.voltarAoMenu());
+
+		if (this.preencherCampos(params, { nascimento: 'anoNascimento', atual: 'anoAtual' })) {
+			this.processarCalculoIdade(); // Veio com valores na URL: já mostro o resultado.
+		}
 	}
 
 	/**
@@ -1317,6 +9593,7 @@ class App {
 		const idade = anoAtual - anoNascimento;
 
 		if (idade >= 0) {
+			this.router.setParams({ nascimento: anoNascimento, atual: anoAtual }); // Guardo os valores na URL.
 			document.getElementById("resultado-idade").innerHTML = `
                     <h2>Sua idade é: <span class="idade-valor">${idade}</span> anos</h2>
             `;
@@ -1368,9 +9645,10 @@ class App {
 
 	/**
 	 * @method verificarNumeroPrimo
+	 * @param {object} [params={}] - Parâmetros da rota (`n`).
 	 * @description Inicializa a interface para verificar se um número é primo.
 	 */
-	verificarNumeroPrimo() {
+	verificarNumeroPrimo(params = {}) {
 		this.contentDiv.innerHTML = `
                 <div class="verificador-primo-container">
                     <div class="input-group">
@@ -1386,6 +9664,10 @@ class App {
 
 		document.getElementById('verificarPrimoBtn').addEventListener('click', () => this.processarVerificacaoPrimo());
 		document.getElementById('voltarMenuBtn').addEventListener('click', () => this.voltarAoMenu());
+
+		if (this.preencherCampos(params, { n: 'numeroPrimo' })) {
+			this.processarVerificacaoPrimo(); // Ex: #/primo?n=97 já abre com a resposta.
+		}
 	}
 
 	/**
@@ -1411,6 +9693,7 @@ class App {
 
 		// Se passou nas validações, verifico se é primo e exibo o resultado.
 		const ehPrimo = this.isPrimo(numero);
+		this.router.setParams({ n: numero }); // Deixo o número na URL para poder compartilhar.
 
 		const resultadoTexto = ehPrimo ? `<span class="primo-valor">${numero}</span> é um número primo.` : `<span class="nao-primo-valor">${numero}</span> não é um número primo.`;
 		document.getElementById("resultado-primo").innerHTML = `<h2>${resultadoTexto}</h2>`;
@@ -1420,9 +9703,26 @@ class App {
 	 * @method isPrimo
 	 * @param {number} numero - Número a ser verificado.
 	 * @returns {boolean} True se primo, false caso contrário.
-	 * @description Verifica se um número é primo de forma eficiente.
+	 * @description Verifica se um número é primo de forma eficiente. Números grandes (a partir de
+	 * `App.PRIME_CACHE_MIN`) ficam no cache, porque a divisão por tentativas demora perto de 2^53.
 	 */
 	isPrimo(numero) {
+		if (numero < App.PRIME_CACHE_MIN) return this.testarPrimo(numero);
+		const chave = String(numero);
+		const salvo = this.primeCache.get(chave);
+		if (salvo !== null) return salvo;
+		const ehPrimo = this.testarPrimo(numero);
+		this.primeCache.set(chave, ehPrimo);
+		return ehPrimo;
+	}
+
+	/**
+	 * @private
+	 * @method testarPrimo
+	 * @param {number} numero - Número a ser verificado.
+	 * @returns {boolean} True se primo (divisão por tentativas, sem cache).
+	 */
+	testarPrimo(numero) {
 		if (numero <= 1) return false; // Números <= 1 não são primos.
 		if (numero <= 3) return true; // 2 e 3 são primos.
 
@@ -1439,9 +9739,10 @@ class App {
 
 	/**
 	 * @method calculadoraIMC
+	 * @param {object} [params={}] - Parâmetros da rota (`peso`, `altura`).
 	 * @description Inicializa a interface da calculadora de IMC.
 	 */
-	calculadoraIMC() {
+	calculadoraIMC(params = {}) {
 		this.contentDiv.innerHTML = `
                 <div class="calculadora-imc-container">
                     <div class="input-group">
@@ -1462,6 +9763,10 @@ class App {
 
 		document.getElementById('calcularIMCBtn').addEventListener('click', () => this.processarCalculoIMC());
 		document.getElementById('voltarMenuBtn').addEventListener('click', () => this.voltarAoMenu());
+
+		if (this.preencherCampos(params, { peso: 'peso', altura: 'altura' })) {
+			this.processarCalculoIMC();
+		}
 	}
 
 	/**
@@ -1498,6 +9803,7 @@ class App {
 
 		// Classifico o IMC e exibo o resultado na tela.
 		const classificacao = this.classificarIMC(imc);
+		this.router.setParams({ peso, altura });
 
 		document.getElementById("resultado-imc").innerHTML = `
                 <h2>Seu IMC é: <span class="imc-valor">${imc.toFixed(2).toLocaleString('pt-BR')}</span></h2>
@@ -1532,9 +9838,10 @@ class App {
 
 	/**
 	 * @method conversorTemperatura
+	 * @param {object} [params={}] - Parâmetros da rota (`valor`, `tipo`).
 	 * @description Inicializa a interface do conversor de temperatura.
 	 */
-	conversorTemperatura() {
+	conversorTemperatura(params = {}) {
 		this.contentDiv.innerHTML = `
                 <div class="conversor-temperatura-container"> <div class="input-group">
                     <label for="temperatura">Digite a temperatura:</label>
@@ -1562,6 +9869,10 @@ class App {
 
 		document.getElementById('converterBtn').addEventListener('click', () => this.processarConversao());
 		document.getElementById('voltarMenuBtn').addEventListener('click', () => this.voltarAoMenu());
+
+		if (this.preencherCampos(params, { valor: 'temperatura', tipo: 'tipoConversao' })) {
+			this.processarConversao();
+		}
 	}
 
 	/**
@@ -1633,6 +9944,7 @@ class App {
 		}
 
 		// Exibo o resultado da conversão na tela.
+		this.router.setParams({ valor: temperatura, tipo: tipoConversao });
 		this.exibirResultadoConversao(temperatura, unidadeOriginal, resultado, unidadeConvertida);
 	}
 
@@ -1776,6 +10088,9 @@ class App {
 	}
 }
 
+/** A partir deste número, isPrimo guarda o resultado no cache (abaixo disso a conta é instantânea). */
+App.PRIME_CACHE_MIN = 1e10;
+
 // --------------------------------------------------
 //  INICIALIZAÇÃO DA APLICAÇÃO - Ponto de partida do app
 // --------------------------------------------------
@@ -1789,7 +10104,7 @@ let app; // Aqui vai ficar a instância da nossa classe App.
 
 /**
  * @global
- * @description Função que roda quando o math.js termina de carregar.
+ * @description Função que inicializa o app. Não depende do math.js: a calculadora usa o motor interno até ele carregar.
  */
 function initializeApp() {
 	app = new App(); // Crio uma nova instância do App.
@@ -1798,8 +10113,8 @@ function initializeApp() {
 	// Modo escuro - Puxando as configurações e ativando se já tava antes
 	const darkModeToggle = document.getElementById('darkModeToggle');
 
-	// Checo se o modo escuro tava ligado da última vez no localStorage
-	if (localStorage.getItem('darkMode') === 'enabled') {
+	// Checo se o modo escuro tava ligado da última vez
+	if (appStorage.get('darkMode', false) === true) {
 		document.body.classList.add('dark-mode'); // Se tava, já ligo o modo escuro no body.
 		darkModeToggle.checked = true; // E deixo o toggle 'ligado' visualmente.
 	}
@@ -1809,28 +10124,50 @@ function initializeApp() {
 		console.log("DarkMode toggle changed:", darkModeToggle.checked);
 		if (darkModeToggle.checked) {
 			document.body.classList.add('dark-mode'); // Ligo o modo escuro.
-			localStorage.setItem('darkMode', 'enabled'); // Salvo que tá ligado no localStorage.
+			appStorage.set('darkMode', true); // Salvo que tá ligado.
 		} else {
 			document.body.classList.remove('dark-mode'); // Desligo o modo escuro.
-			localStorage.setItem('darkMode', 'disabled'); // Salvo que tá desligado.
+			appStorage.set('darkMode', false); // Salvo que tá desligado.
 		}
 	});
 }
 
+/**
+ * @global
+ * @type {Promise<object>|null}
+ * @description Promessa do carregamento do math.js (compartilhada para baixar a biblioteca uma vez só).
+ */
+let mathLibraryPromise = null;
+
+/**
+ * @global
+ * @returns {Promise<object>} Resolve com o math.js ou rejeita se o script não carregar (ex: sem internet).
+ * @description Carrega o math.js do CDN sob demanda.
+ */
 function loadMathLibrary() {
-	const script = document.createElement('script');
-	script.src = 'https://cdnjs.cloudflare.com/ajax/libs/mathjs/11.7.0/math.min.js';
-	script.onload = () => {
-		console.log('Math.js loaded.');
-		initializeApp(); // Assim que carregar, inicializo o app.
-	};
-	script.onerror = () => {
-		console.error('Erro ao carregar Math.js.'); // Se der erro, console avisa.
-	};
-	document.head.appendChild(script); // Adiciono o script no head pra começar o download e execução.
+	if (typeof math !== 'undefined') return Promise.resolve(math); // Já estava na página
+	if (mathLibraryPromise) return mathLibraryPromise;
+
+	mathLibraryPromise = new Promise((resolve, reject) => {
+		const script = document.createElement('script');
+		script.src = 'https://cdnjs.cloudflare.com/ajax/libs/mathjs/11.7.0/math.min.js';
+		script.onload = () => {
+			console.log('Math.js loaded.');
+			resolve(math);
+		};
+		script.onerror = () => {
+			console.error('Erro ao carregar Math.js. Usando o motor de cálculo interno.'); // Se der erro, console avisa.
+			mathLibraryPromise = null; // Permite tentar de novo na próxima vez que a calculadora abrir.
+			script.remove();
+			reject(new Error('Math.js indisponível'));
+		};
+		document.head.appendChild(script); // Adiciono o script no head pra começar o download e execução.
+	});
+	return mathLibraryPromise;
 }
 
 // Inicializa tudo DEPOIS que a página carrega completamente
 document.addEventListener('DOMContentLoaded', () => {
-	loadMathLibrary(); // Chamo a função que carrega o math.js e inicia o app.
-});
\ No newline at end of file
+	// O app sobe com ou sem internet; só espera o armazenamento abrir (e migrar dados antigos), que nunca falha
+	appStorage.open().then(() => initializeApp());
+});
@@ -0,0 +1,18 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+const { ExpressionEngine, ExpressionError } = loadScript({}, ['ExpressionEngine', 'ExpressionError']);
+
+test('calcula com precedência, funções e variáveis', () => {
+	const engine = new ExpressionEngine();
+	assert.strictEqual(engine.evaluate('1 + 2 * 3^2'), 19);
+	assert.strictEqual(engine.evaluate('sqrt(16) + f(x)', { x: 3, f: (a) => a * 2 }), 10);
+});
+
+test('nomes do Object.prototype não são funções', () => {
+	const engine = new ExpressionEngine();
+	['constructor(5)', 'valueOf()', 'hasOwnProperty(1)', 'toString()', '__proto__(1)'].forEach(expression => {
+		assert.throws(() => engine.evaluate(expression), error => error instanceof ExpressionError && error.position === 0 && /Função indefinida/.test(error.message), expression);
+	});
+});
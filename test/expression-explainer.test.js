@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+const { ExpressionExplainer } = loadScript({}, ['ExpressionExplainer']);
+
+const values = (node) => [node.text, node.value, ...node.children.map(values)];
+
+test('a árvore traz o valor de cada subexpressão', () => {
+	const { tree } = new ExpressionExplainer().explain('1 + 2 * f(x)', { x: 3, f: (a) => a * 2 });
+	assert.deepStrictEqual(values(tree).flat(Infinity), ['1 + 2 * f(x)', 13, '1', 1, '2 * f(x)', 12, '2', 2, 'f(x)', 6, 'x', 3]);
+});
+
+test('subexpressão com erro fica sem valor, e as que dependem dela também', () => {
+	const { tree } = new ExpressionExplainer().explain('1 + y * 2');
+	assert.deepStrictEqual(values(tree).flat(Infinity), ['1 + y * 2', null, '1', 1, 'y * 2', null, 'y', null, '2', 2]);
+});
+
+test('cada operação é calculada uma vez ao montar a árvore', () => {
+	const explainer = new ExpressionExplainer();
+	const expression = Array.from({ length: 300 }, (_, index) => index + 1).join(' + ');
+	let calls = 0;
+	const evaluateNode = explainer.engine.evaluateNode;
+	explainer.engine.evaluateNode = function(...args) {
+		calls++;
+		return evaluateNode.apply(this, args);
+	};
+	explainer.describeNode(explainer.engine.parse(expression), expression, {});
+	assert.ok(calls < 300 * 4, `${calls} avaliações para 300 números`);
+});
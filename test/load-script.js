@@ -0,0 +1,29 @@
+// Carrega o script.js (script de navegador, sem módulos) num contexto isolado do Node, com o mínimo de
+// globais para a avaliação não quebrar. Serve para testar as partes que não dependem do DOM.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+/**
+ * @param {object} [globals={}] - Globais extras do contexto (ex: `location`).
+ * @param {Array<string>} [names=[]] - Classes/funções do script a expor (declarações `class` e `const` não viram
+ * propriedades do contexto).
+ * @returns {object} O contexto, com os nomes pedidos.
+ */
+function loadScript(globals = {}, names = []) {
+	const context = vm.createContext({
+		console: { log() {}, error() {}, info() {}, warn() {} }, // Logger silencioso
+		URLSearchParams,
+		setTimeout,
+		clearTimeout,
+		document: { addEventListener() {} },
+		window: { addEventListener() {} },
+		...globals
+	});
+	const source = fs.readFileSync(path.join(__dirname, '..', 'script.js'), 'utf8');
+	const exports = names.map(name => `this.${name} = ${name};`).join('\n');
+	vm.runInContext(`${source}\n;${exports}`, context, { filename: 'script.js' });
+	return context;
+}
+
+module.exports = { loadScript };
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+const { Router } = loadScript({}, ['Router']);
+
+test('parse decodifica a rota e os parâmetros', () => {
+	const { path, params } = new Router().parse('#/conversor%20de%20moedas?de=BRL&para=USD');
+	assert.strictEqual(path, 'conversor de moedas');
+	assert.deepStrictEqual({ ...params }, { de: 'BRL', para: 'USD' });
+});
+
+test('parse não lança com codificação inválida', () => {
+	assert.strictEqual(new Router().parse('#/%E0%A4%A').path, '%E0%A4%A');
+});
+
+test('start num link malformado cai na rota desconhecida', () => {
+	const context = loadScript({ location: { hash: '#/%E0%A4%A' } }, ['Router']);
+	const calls = [];
+	const router = new context.Router()
+		.setHome(() => calls.push('home'))
+		.setNotFound(path => calls.push(`notFound:${path}`));
+	assert.doesNotThrow(() => router.start());
+	assert.deepStrictEqual(calls, ['notFound:%E0%A4%A']);
+});
+
+test('rotas com nomes do Object.prototype caem na rota desconhecida', () => {
+	['#/__proto__', '#/toString', '#/constructor', '#/hasOwnProperty'].forEach(hash => {
+		const context = loadScript({ location: { hash } }, ['Router']);
+		const calls = [];
+		const router = new context.Router()
+			.register('calculadora', () => calls.push('calculadora'))
+			.setNotFound(path => calls.push(`notFound:${path}`));
+		assert.doesNotThrow(() => router.start(), hash);
+		assert.deepStrictEqual(calls, [`notFound:${hash.slice(2)}`]);
+	});
+});
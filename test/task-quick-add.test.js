@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+const { TaskQuickAdd } = loadScript({}, ['TaskQuickAdd']);
+const now = new Date(2026, 9, 19, 12); // Segunda-feira, 19/10/2026, meio-dia
+
+const parse = (input) => {
+	const { text, dueDate, time, tags, priority } = TaskQuickAdd.parse(input, now);
+	return { text, dueDate, time, tags: Array.from(tags), priority };
+};
+
+test('reconhece prazo, hora, tag e prioridade', () => {
+	assert.deepStrictEqual(parse('pagar boleto amanhã 18h #casa !alta'), { text: 'pagar boleto', dueDate: '2026-10-20', time: '18:00', tags: ['casa'], priority: 'alta' });
+});
+
+test('tags separadas por vírgula, com ou sem espaço', () => {
+	assert.deepStrictEqual(parse('#a,#b texto'), { text: 'texto', dueDate: null, time: null, tags: ['a', 'b'], priority: null });
+	assert.deepStrictEqual(parse('lixo #Casa, #rua').tags, ['casa', 'rua']);
+	assert.strictEqual(parse('lixo #Casa, #rua').text, 'lixo');
+});
+
+test('"segunda" e "terça" sozinhas não viram data', () => {
+	assert.deepStrictEqual(parse('pedir segunda via do boleto'), { text: 'pedir segunda via do boleto', dueDate: null, time: null, tags: [], priority: null });
+	assert.strictEqual(parse('ler a segunda parte').dueDate, null);
+	assert.strictEqual(parse('terça parte do bolo').dueDate, null);
+});
+
+test('dias da semana com preposição, "próxima" ou "-feira"', () => {
+	assert.deepStrictEqual(parse('reunião segunda-feira'), { text: 'reunião', dueDate: '2026-10-26', time: null, tags: [], priority: null });
+	assert.strictEqual(parse('na segunda revisar').dueDate, '2026-10-26');
+	assert.strictEqual(parse('até terça entregar').dueDate, '2026-10-20');
+	assert.strictEqual(parse('na próxima segunda sair').dueDate, '2026-10-26');
+	assert.strictEqual(parse('sexta pizza').dueDate, '2026-10-23');
+});
@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadScript } = require('./load-script');
+
+const { TaskTransfer, TaskImportError } = loadScript({}, ['TaskTransfer', 'TaskImportError']);
+
+const calendar = (...properties) => ['BEGIN:VCALENDAR', 'BEGIN:VTODO', 'SUMMARY:Pagar', ...properties, 'END:VTODO', 'END:VCALENDAR'].join('\r\n');
+
+test('CSV aceita o prazo como DD/MM/AAAA (Excel em português) e AAAA-MM-DD', () => {
+	const tasks = TaskTransfer.parseCsv('texto;prazo\nA;31/12/2026\nB;2026-01-05\nC;\nD;5/3/2027 00:00');
+	assert.deepStrictEqual(Array.from(tasks, task => task.dueDate), ['2026-12-31', '2026-01-05', null, '2027-03-05']);
+});
+
+test('CSV com prazo inválido aponta a linha', () => {
+	assert.throws(() => TaskTransfer.parseCsv('texto;prazo\nA;01/01/2026\nB;31/02/2026'), error => error instanceof TaskImportError && error.line === 3);
+	assert.throws(() => TaskTransfer.parseCsv('texto,prazo\nA,amanhã'), TaskImportError);
+});
+
+test('iCalendar ignora CREATED fora do intervalo', () => {
+	const [task] = TaskTransfer.parseICalendar(calendar('CREATED:20261399T000000Z'));
+	assert.strictEqual(task.createdAt, undefined);
+	assert.strictEqual(TaskTransfer.parseICalendar(calendar('CREATED:20261203T101500Z'))[0].createdAt, '2026-12-03T10:15:00.000Z');
+});
+
+test('iCalendar com DUE inválido aponta a linha, contando as linhas dobradas', () => {
+	const text = calendar('DESCRIPTION:nota', ' longa', 'DUE;VALUE=DATE:20261340');
+	assert.throws(() => TaskTransfer.parseICalendar(text), error => error instanceof TaskImportError && error.line === 6);
+});
+
+test('prioridade com nome do Object.prototype vira média', () => {
+	const { ListaDeTarefas } = loadScript({}, ['ListaDeTarefas']);
+	const tasks = TaskTransfer.parseCsv('texto;prioridade\nA;constructor\nB;__proto__\nC;toString\nD;alta');
+	assert.deepStrictEqual(Array.from(tasks, task => ListaDeTarefas.normalizeTask(task).priority), ['media', 'media', 'media', 'alta']);
+});
+
+test('iCalendar dobra as linhas em 75 octetos UTF-8 sem partir caracteres', () => {
+	const text = `${'ação é já '.repeat(12)}🎉${'😀'.repeat(30)}`;
+	const task = { id: 'a1', text, notes: '', tags: [], dueDate: '2026-12-31', createdAt: '2026-01-01T00:00:00.000Z', completed: false, priority: 'media', parentId: null };
+	const calendar = TaskTransfer.toICalendar([task]);
+	calendar.split('\r\n').forEach(line => {
+		assert.ok(Buffer.byteLength(line, 'utf8') <= 75, line);
+		assert.ok(!/[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/.test(line), 'surrogate solto');
+	});
+	assert.strictEqual(TaskTransfer.parseICalendar(calendar)[0].text, text);
+});